@@ -4,7 +4,7 @@
 
 import { EncryptionPolicy } from "./EncryptionPolicy.js";
 import { NullEncryptionPolicy } from "./encryption-policies/NullEncryptionPolicy.js";
-import { BubblePermissions, BubbleProvider, ContentId, ROOT_PATH, assert, ErrorCodes } from '@bubble-protocol/core';
+import { BubblePermissions, BubbleProvider, BubbleError, ContentId, ROOT_PATH, assert, ErrorCodes, PreconditionFailedError } from '@bubble-protocol/core';
 import { toFileId } from "./utils.js";
 import { HTTPBubbleProvider } from "./bubble-providers/HTTPBubbleProvider.js";
 import { UserManager } from "./UserManager.js";
@@ -12,6 +12,9 @@ import { UserManager } from "./UserManager.js";
 
 const Crypto = crypto || (window ? window.crypto : undefined);
 
+const DEFAULT_LIST_PAGE_SIZE = 100;
+const BINARY_ENCODINGS = ['base64', 'hex'];
+
 
 export class Bubble {
 
@@ -132,20 +135,31 @@ export class Bubble {
    * Writes the given data to the given file.  The data will be encrypted if the encryption policy
    * requires it or the `encrypted` option is given.
    * 
+   * Data can be a string or binary (a `Uint8Array`, `Buffer` or `ArrayBuffer`).  Binary data is 
+   * sent base64 encoded, or hex encoded if the `encoding` option is 'hex'.  A string is assumed to
+   * be utf8 unless the `encoding` option is given, in which case it must already be encoded.
+   * 
+   * Use the `ifMatch` option to only write if the file's version has not changed since it was
+   * last read (see `getVersion`), or the `ifNoneMatch: '*'` option to only write if the file does
+   * not yet exist.  Rejects with a `PreconditionFailedError` if the condition is not met.  Pass
+   * the `returnVersion` option to resolve with the file's new version, ready for the `ifMatch`
+   * option of the next request, without calling `getVersion` again.
+   * 
    * @param {String} path file to write to
-   * @param {any} data the data to write
-   * @param {Object} options passed transparently to the bubble server
-   * @returns {Promise} Promise to resolve with the file's ContentId when complete
+   * @param {String|Uint8Array} data the data to write
+   * @param {Object} options passed transparently to the bubble server, except `returnVersion`
+   * @returns {Promise} Promise to resolve with the file's ContentId when complete or, if the
+   * `returnVersion` option is given, with `{contentId, version, hash}`
    */
   async write(path, data, options = {}) {
-    const encrypt = data && (options.encrypted || (options.encrypted !== false && this.encryptionPolicy.isEncrypted(this.getContentId(path))));
-    return (encrypt ? this.encryptionPolicy.encrypt(data, path) : Promise.resolve(data))
-      .then(dataToSend => {
-        return this.rpcFactory.write(path, dataToSend, options);
+    const {returnVersion, ...writeOptions} = options;
+    return this._encryptIfRequired(path, data, writeOptions)
+      .then(toSend => {
+        return this.rpcFactory.write(path, toSend.data, toSend.options);
       })
       .then(this.post)
-      .then(() => { 
-        return this.getContentId(path) 
+      .then(result => { 
+        return this._writeResult(path, result, returnVersion) 
       });
   }
 
@@ -153,20 +167,29 @@ export class Bubble {
    * Appends the given data to the given file.  The data will be encrypted if the encryption policy
    * requires it or the `encrypted` option is given.
    * 
+   * Data can be a string or binary, as for `write`.
+   * 
+   * Use the `ifMatch` option to only append if the file's version has not changed since it was
+   * last read (see `getVersion`), or the `ifNoneMatch: '*'` option to only append if the file does
+   * not yet exist.  Rejects with a `PreconditionFailedError` if the condition is not met.  Pass
+   * the `returnVersion` option to resolve with the file's new version, ready for the `ifMatch`
+   * option of the next request, without calling `getVersion` again.
+   * 
    * @param {String} path file to append to
-   * @param data the data to append
-   * @param {Object} options passed transparently to the bubble server
-   * @returns {Promise} Promise to resolve with the file's ContentId when complete
+   * @param {String|Uint8Array} data the data to append
+   * @param {Object} options passed transparently to the bubble server, except `returnVersion`
+   * @returns {Promise} Promise to resolve with the file's ContentId when complete or, if the
+   * `returnVersion` option is given, with `{contentId, version, hash}`
    */
   async append(path, data, options = {}) {
-    const encrypt = data && (options.encrypted || (options.encrypted !== false && this.encryptionPolicy.isEncrypted(this.getContentId(path))));
-    return (encrypt ? this.encryptionPolicy.encrypt(data, path) : Promise.resolve(data))
-      .then(dataToSend => {
-        return this.rpcFactory.append(path, dataToSend, options);
+    const {returnVersion, ...appendOptions} = options;
+    return this._encryptIfRequired(path, data, appendOptions)
+      .then(toSend => {
+        return this.rpcFactory.append(path, toSend.data, toSend.options);
       })
       .then(this.post)
-      .then(() => { 
-        return this.getContentId(path) 
+      .then(result => { 
+        return this._writeResult(path, result, returnVersion) 
       });
   }
 
@@ -174,18 +197,33 @@ export class Bubble {
    * Reads the given file.  The contents will be decrypted if the encryption policy
    * requires it or the `encrypted` option is given.
    * 
+   * Use the `offset`, `length` and `tail` options to read only part of the file (see 
+   * `DataServer.read`).  Encrypted files cannot be decrypted in part, so for an encrypted file 
+   * the whole file is fetched and the range is applied to the decrypted contents.
+   * 
+   * To read a binary file, pass the `encoding` option 'base64' or 'hex'.  The file is transferred
+   * in that encoding and the promise resolves with a `Uint8Array`.
+   * 
    * @param {String} path file to read from
    * @param {Object} options passed transparently to the bubble server
    * @returns {Promise} Promise to resolve with the file contents
    */
   async read(path = ROOT_PATH, options = {}) {
     const decrypt = options.encrypted || (options.encrypted !== false && this.encryptionPolicy.isEncrypted(this.getContentId(path)));
-    return this.rpcFactory.read(path, options)
+    const binary = BINARY_ENCODINGS.includes(options.encoding);
+    const {offset, length, tail, ...wholeFileOptions} = options;
+    const ranged = offset !== undefined || length !== undefined || tail !== undefined;
+    const {encoding, ...ciphertextOptions} = ranged ? wholeFileOptions : options;
+    return this.rpcFactory.read(path, decrypt ? ciphertextOptions : options)
       .then(this.post)
       .then(data => {
-        return (decrypt && assert.isString(data)) 
-          ? this.encryptionPolicy.decrypt(data, path).then(buf => { return Buffer.from(buf).toString() }) 
-          : data || '';
+        if (decrypt && assert.isString(data)) {
+          return this.encryptionPolicy.decrypt(data, path)
+            .then(buf => { return ranged ? readRange(new Uint8Array(buf), options) : new Uint8Array(buf) })
+            .then(plaintext => { return binary ? plaintext : Buffer.from(plaintext).toString() });
+        }
+        if (binary && assert.isString(data)) return new Uint8Array(Buffer.from(data, options.encoding));
+        return data || '';
       })
   }
 
@@ -195,6 +233,7 @@ export class Bubble {
    * `providerOpts`:
    *    `force` - force delete of a non-empty directory
    *    `silent` - don't throw an error if file does not exist
+   *    `ifMatch` - only delete if the file's version matches (see `getVersion`)
    * 
    * @param {String} path file to delete
    * @param {Object} options passed transparently to the bubble server.
@@ -223,6 +262,84 @@ export class Bubble {
       });
   }
 
+  /**
+   * Moves the given file to a new path within the bubble.  Equivalent to `mv` on a POSIX system.
+   * Requires read and write permission on the source file and write permission on the destination.
+   * The file's contents are moved as stored on the server, so any encryption is preserved.  Use
+   * `read` and `write` instead if the encryption policy differs between the source and destination.
+   * 
+   * @param {String} path file to move
+   * @param {String} to path to move the file to
+   * @param {Object} options passed transparently to the bubble server
+   * @returns {Promise} Promise to resolve with the destination file's ContentId when complete
+   */
+  async move(path, to, options) {
+    return this.rpcFactory.move(path, to, options)
+      .then(this.post)
+      .then(() => { 
+        return this.getContentId(to) 
+      });
+  }
+
+  /**
+   * Copies the given file to a new path within the bubble.  Equivalent to `cp` on a POSIX system.
+   * Requires read permission on the source file and write permission on the destination.  The 
+   * file's contents are copied as stored on the server (see `move`).
+   * 
+   * @param {String} path file to copy
+   * @param {String} to path to copy the file to
+   * @param {Object} options passed transparently to the bubble server
+   * @returns {Promise} Promise to resolve with the destination file's ContentId when complete
+   */
+  async copy(path, to, options) {
+    return this.rpcFactory.copy(path, to, options)
+      .then(this.post)
+      .then(() => { 
+        return this.getContentId(to) 
+      });
+  }
+
+  /**
+   * Makes a prior version of the given file its current version.  Only available if the bubble 
+   * was created with the `retainVersions` option.  Use `list` with the `versions` option to list
+   * a file's prior versions and `read` with the `version` option to read one.  Requires write 
+   * permission on the file.  The version's contents are restored as stored on the server (see 
+   * `move`).
+   * 
+   * @param {String} path file to restore
+   * @param {String} version the prior version to restore
+   * @param {Object} options passed transparently to the bubble server
+   * @returns {Promise} Promise to resolve with the file's ContentId when complete
+   */
+  async restore(path, version, options = {}) {
+    return this.rpcFactory.restore(path, {...options, version})
+      .then(this.post)
+      .then(() => { 
+        return this.getContentId(path) 
+      });
+  }
+
+  /**
+   * Applies the given operations as a single atomic transaction.  Either all operations are 
+   * applied or none are.  The server checks the permissions for every operation before applying
+   * any of them.  Write and append data will be encrypted if the encryption policy requires it or 
+   * the operation's `encrypted` option is given.
+   * 
+   * @param {Array} ops array of operations, each of the form `{method, path, data, options}` where
+   *   method is one of 'write', 'append', 'delete' or 'mkdir'.
+   * @param {Object} options passed transparently to the bubble server
+   * @returns {Promise} Promise to resolve with an array of the results of each operation
+   */
+  async transaction(ops, options) {
+    assert.isArray(ops, 'ops');
+    return Promise.all(ops.map(op => {
+      return this._encryptIfRequired(op.path, op.data, op.options || {})
+        .then(toSend => ({...op, ...toSend}));
+    }))
+      .then(opsToSend => this.rpcFactory.transaction(opsToSend, options))
+      .then(this.post);
+  }
+
   /**
    * Lists the given file or directory.  Equivalent to `ls` on a POSIX system.
    * 
@@ -239,6 +356,67 @@ export class Bubble {
       });
   }
 
+  /**
+   * Iterates over every entry in the given directory, fetching the listing from the server one 
+   * page at a time and following the cursor returned with each page.  Accepts the same options as
+   * `list`, e.g. to sort, filter or recursively list the root directory.
+   * 
+   * ```
+   * for await (const entry of bubble.listAll(path, {sort: 'modified'})) { ... }
+   * ```
+   * 
+   * @param {String} path directory to list
+   * @param {Object} options passed transparently to the bubble server.  `limit` sets the page size
+   *   (defaults to 100).
+   * @returns {AsyncGenerator} async iterator of listing entries
+   */
+  async *listAll(path, options = {}) {
+    let cursor = options.cursor;
+    do {
+      const pageOptions = {...options, limit: options.limit || DEFAULT_LIST_PAGE_SIZE};
+      if (cursor !== undefined) pageOptions.cursor = cursor;
+      const page = await this.list(path, pageOptions);
+      if (!assert.isArray(page.items)) throw new Error('bubble server returned invalid listing page');
+      for (const entry of page.items) yield entry;
+      cursor = page.nextCursor;
+    } while (cursor !== undefined && cursor !== null);
+  }
+
+  /**
+   * Gets the current version of the given file.  Pass the version to `write`, `append` or 
+   * `delete` in the `ifMatch` option to detect if the file has been modified by someone else in 
+   * the meantime.
+   * 
+   * @param {String} path file to get the version of
+   * @param {Object} options passed transparently to the bubble server
+   * @returns {Promise} Promise to resolve with the version string
+   */
+  async getVersion(path, options = {}) {
+    return this.list(path, {...options, version: true})
+      .then(listing => {
+        if (!listing[0] || !assert.isString(listing[0].version)) throw new Error('bubble server did not return a version');
+        return listing[0].version;
+      });
+  }
+
+  /**
+   * Gets the content hash of the given file: the hex SHA-256 digest of the file's contents as 
+   * stored on the server.  Compare with `contentHash` of a local copy to check if the copy is up to
+   * date without reading the file.  Note, the hash of an encrypted file is the hash of its 
+   * encrypted contents.
+   * 
+   * @param {String} path file to get the hash of
+   * @param {Object} options passed transparently to the bubble server
+   * @returns {Promise} Promise to resolve with the hash as a hex string
+   */
+  async getHash(path, options = {}) {
+    return this.list(path, {...options, hash: true})
+      .then(listing => {
+        if (!listing[0] || !assert.isString(listing[0].hash)) throw new Error('bubble server did not return a hash');
+        return listing[0].hash;
+      });
+  }
+
   /**
    * Gets the permissions bitmap for the given file or directory as specified by the smart 
    * contract.  Use the `Permissions` class to decode.
@@ -338,18 +516,28 @@ export class Bubble {
    */
   async post(rpc) {
     return this.provider.post(rpc.method, rpc.params)
-    .catch(this._checkForTerminatedError);
+    .catch(this._checkForTerminatedError)
+    .catch(checkForPreconditionFailedError);
   }
 
   /**
-   * Posts all the given RPCs to the bubble server in one transaction.
+   * Posts all the given RPCs to the bubble server in a single JSON-RPC batch.  Each RPC is
+   * processed independently by the server, so some may succeed while others fail.  RPCs without
+   * an `id` are given one.  The RPCs must already be signed (see `RPCFactory`).
    * 
    * @param rpcs array of RPCs to send
-   * @returns Promise to resolve with an object containing the results to each RPC.  Match the
-   *          response id to the RPC id.
+   * @returns Promise to resolve with an array of `{id, result}` or `{id, error}` objects, one per
+   *          RPC and in the same order as the RPCs.  Rejects only if the batch as a whole fails.
    */
   async postAll(rpcs) {
+    assert.isArray(rpcs, 'rpcs');
+    rpcs.forEach(rpc => { if (rpc.id === undefined) rpc.id = this.rpcFactory.nextId++ });
     return this.provider.postAll(rpcs)
+    .then(responses => {
+      const terminated = responses.find(response => response.error && response.error.code == ErrorCodes.BUBBLE_ERROR_BUBBLE_TERMINATED);
+      if (terminated) this.terminatedListeners.forEach(listener => listener(this));
+      return responses;
+    })
     .catch(this._checkForTerminatedError);
   }
 
@@ -403,6 +591,33 @@ export class Bubble {
    */
   toFileId = toFileId;
 
+  /**
+   * Encrypts the given data if the encryption policy requires it or the `encrypted` option is 
+   * given.  Encrypted data is sent as a utf8 string so any `encoding` option, which describes the 
+   * plaintext, is removed from the options.
+   * 
+   * @returns Promise to resolve with the data and options to send to the bubble server
+   */
+  _encryptIfRequired(path, data, options) {
+    const encrypt = data && (options.encrypted || (options.encrypted !== false && this.encryptionPolicy.isEncrypted(this.getContentId(path))));
+    if (!encrypt) return Promise.resolve(data).then(plaintext => ({data: plaintext, options}));
+    const {encoding, ...ciphertextOptions} = options;
+    const plaintext = assert.isString(data) && BINARY_ENCODINGS.includes(encoding) ? Buffer.from(data, encoding) : data;
+    return this.encryptionPolicy.encrypt(plaintext, path)
+      .then(ciphertext => ({data: ciphertext, options: ciphertextOptions}));
+  }
+
+  /**
+   * Resolves the result of a write or append: the file's ContentId or, if `returnVersion` is set,
+   * the ContentId with the file's new version and content hash returned by the server.
+   */
+  _writeResult(path, result, returnVersion) {
+    const contentId = this.getContentId(path);
+    if (!returnVersion) return contentId;
+    if (!result || !assert.isString(result.version)) throw new Error('bubble server did not return a version');
+    return {contentId, version: result.version, hash: result.hash};
+  }
+
   /**
    * Checks the given error for a terminated error code and dispatches the terminated event if found.
    * Throws the error onwards.
@@ -481,6 +696,10 @@ export class RPCFactory {
    * RPC to write the given data to the given file.  The data will be encrypted if the encryption policy
    * requires it or the `encrypted` option is given.
    * 
+   * Binary data (a `Uint8Array`, `Buffer` or `ArrayBuffer`) is sent base64 encoded, or hex encoded
+   * if the `encoding` option is 'hex'.  String data must already be in the given `encoding` 
+   * (defaults to 'utf8').
+   * 
    * @param _path file to write to
    * @param data the data to write
    * @param options passed transparently to the bubble server
@@ -488,8 +707,8 @@ export class RPCFactory {
    */
   write(_path, data, options = {}) {
     assert.isString(_path, "path");
-    assert.isString(data, "data");
     assert.isObject(options, "options");
+    ({data, options} = encodeData(data, options, "data"));
     return this.sign({
       method: 'write',
       params: {
@@ -507,7 +726,7 @@ export class RPCFactory {
 
   /**
    * RPC to append the given data to the given file.  The data will be encrypted if the encryption policy
-   * requires it or the `encrypted` option is given.
+   * requires it or the `encrypted` option is given.  Binary data is encoded as for `write`.
    * 
    * @param _path file to append to
    * @param data the data to append
@@ -516,8 +735,8 @@ export class RPCFactory {
    */
   append(_path, data, options = {}) {
     assert.isString(_path, "path");
-    assert.isString(data, "data");
     assert.isObject(options, "options");
+    ({data, options} = encodeData(data, options, "data"));
     return this.sign({
       method: 'append',
       params: {
@@ -612,6 +831,116 @@ export class RPCFactory {
     });
   }
 
+  /**
+   * RPC to move the given file to a new path.  Equivalent to `mv` on a POSIX system.
+   * 
+   * @param _path file to move
+   * @param _to path to move the file to
+   * @param options passed transparently to the bubble server
+   * @returns RPC
+   */
+  move(_path, _to, options = {}) {
+    assert.isString(_path, "path");
+    assert.isString(_to, "to");
+    assert.isObject(options, "options");
+    return this.sign({
+      method: 'move',
+      params: {
+        version: 1,
+        timestamp: Date.now(),
+        nonce: Crypto.randomUUID(),
+        chainId: this.chainId,
+        contract: this.contract,
+        file: _path,
+        to: _to,
+        options: options 
+      }
+    });
+  }
+
+  /**
+   * RPC to copy the given file to a new path.  Equivalent to `cp` on a POSIX system.
+   * 
+   * @param _path file to copy
+   * @param _to path to copy the file to
+   * @param options passed transparently to the bubble server
+   * @returns RPC
+   */
+  copy(_path, _to, options = {}) {
+    assert.isString(_path, "path");
+    assert.isString(_to, "to");
+    assert.isObject(options, "options");
+    return this.sign({
+      method: 'copy',
+      params: {
+        version: 1,
+        timestamp: Date.now(),
+        nonce: Crypto.randomUUID(),
+        chainId: this.chainId,
+        contract: this.contract,
+        file: _path,
+        to: _to,
+        options: options 
+      }
+    });
+  }
+
+  /**
+   * RPC to make a prior version of the given file its current version.
+   * 
+   * @param _path file to restore
+   * @param options passed transparently to the bubble server.  Must include the `version` to restore.
+   * @returns RPC
+   */
+  restore(_path, options = {}) {
+    assert.isString(_path, "path");
+    assert.isObject(options, "options");
+    return this.sign({
+      method: 'restore',
+      params: {
+        version: 1,
+        timestamp: Date.now(),
+        nonce: Crypto.randomUUID(),
+        chainId: this.chainId,
+        contract: this.contract,
+        file: _path,
+        options: options 
+      }
+    });
+  }
+
+  /**
+   * RPC to apply the given operations as a single atomic transaction.
+   * 
+   * @param ops array of operations, each of the form `{method, path, data, options}` where method
+   *   is one of 'write', 'append', 'delete' or 'mkdir'.  Binary data is encoded as for `write`.
+   * @param options passed transparently to the bubble server
+   * @returns RPC
+   */
+  transaction(ops, options = {}) {
+    assert.isArray(ops, "ops");
+    assert.isObject(options, "options");
+    ops = ops.map(op => {
+      assert.isObject(op, "op");
+      assert.isString(op.method, "op.method");
+      assert.isString(op.path, "op.path");
+      if (op.data === undefined) return op;
+      return {...op, ...encodeData(op.data, op.options || {}, "op.data")};
+    });
+    return this.sign({
+      method: 'transaction',
+      params: {
+        version: 1,
+        timestamp: Date.now(),
+        nonce: Crypto.randomUUID(),
+        chainId: this.chainId,
+        contract: this.contract,
+        ops: ops.map(op => ({method: op.method, file: op.path, data: op.data, options: op.options})),
+        options: options 
+      }
+    });
+  }
+
   /**
    * RPC to list the given file or directory.  Equivalent to `ls` on a POSIX system.
    * 
@@ -753,6 +1082,51 @@ export class RPCFactory {
 // Functions
 //
 
+/**
+ * Converts a precondition failed error from the bubble server to a `PreconditionFailedError` so
+ * that conflicts can be detected with `instanceof`.  Throws the error onwards.
+ */
+function checkForPreconditionFailedError(error) {
+  if (error && error.code == ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED && !(error instanceof PreconditionFailedError)) {
+    throw new PreconditionFailedError(error.message, {cause: error.cause});
+  }
+  throw error;
+}
+
+/**
+ * Encodes binary data for transport according to the `encoding` option, defaulting to base64, and 
+ * adds the encoding to the options.  String data is checked against any given encoding and passed 
+ * through unchanged.
+ * 
+ * @returns the data and options to send to the bubble server
+ */
+function encodeData(data, options, name) {
+  if (data instanceof ArrayBuffer) data = new Uint8Array(data);
+  if (data instanceof Uint8Array) {
+    const encoding = options.encoding || 'base64';
+    if (!BINARY_ENCODINGS.includes(encoding)) throw new TypeError(name + " type. Expected base64 or hex encoding for binary data");
+    return {data: Buffer.from(data).toString(encoding), options: {...options, encoding}};
+  }
+  assert.isEncodedData(data, options.encoding, name);
+  return {data, options};
+}
+
+/**
+ * Applies the `offset`, `length` and `tail` read options to the given decrypted bytes in the same
+ * way as a bubble server (see `DataServer.read`).  Used for encrypted files, which must be read
+ * whole.  Ranges are byte offsets so must be applied before the plaintext is decoded.
+ */
+function readRange(data, {offset, length, tail}) {
+  for (const [name, value] of Object.entries({offset, length, tail})) {
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0))
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, `invalid ${name} option`);
+  }
+  if (offset !== undefined && tail !== undefined)
+    throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "offset and tail options cannot be combined");
+  const start = tail !== undefined ? Math.max(data.length - tail, 0) : offset || 0;
+  return data.slice(start, length !== undefined ? start + length : undefined);
+}
+
 function safeDecrypt(encryptionPolicy, contentId, data) {
   return encryptionPolicy.decrypt(data, contentId).then(buf => Buffer.from(buf).toString()).catch(() => data);
 }
\ No newline at end of file
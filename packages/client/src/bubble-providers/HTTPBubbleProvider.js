@@ -4,6 +4,7 @@
 
 import { BubbleError, BubbleProvider, assert } from '@bubble-protocol/core';
 import jayson from 'jayson';
+import { matchBatchResponses, toBubbleError } from './batch.js';
 
 export class HTTPBubbleProvider extends BubbleProvider {
 
@@ -33,4 +34,20 @@ export class HTTPBubbleProvider extends BubbleProvider {
     })
   }
 
+  postAll(rpcs) {
+    assert.isArray(rpcs, 'rpcs');
+    const batch = rpcs.map(rpc => this.client.request(rpc.method, rpc.params, rpc.id, false));
+    return new Promise((resolve, reject) => {
+      this.client.request(batch, (err, responses) => {
+        if (err) reject(err);
+        else if (!Array.isArray(responses)) {
+          if (responses && responses.error) reject(toBubbleError(responses.error));
+          else reject(new Error('invalid server response'));
+        }
+        else resolve(matchBatchResponses(batch, responses));
+      });
+    })
+  }
+
 }
+
@@ -3,6 +3,7 @@
 // file LICENSE or http://www.opensource.org/licenses/mit-license.php.
 
 import { BubbleError, BubbleProvider, assert } from '@bubble-protocol/core';
+import { matchBatchResponses } from './batch.js';
 
 let WebSocket;
 if (typeof window === 'undefined') {
@@ -92,7 +93,7 @@ const STATE_MACHINE = {
 /**
  * BubbleProvider using the websocket protocols.
  * 
- * Provides `post`, `subscribe` and `unsubscribe` methods plus the websocket methods `close`, 
+ * Provides `post`, `postAll`, `subscribe` and `unsubscribe` methods plus the websocket methods `close`, 
  * `on` and `off`.  
  */
 export class WebsocketBubbleProvider extends BubbleProvider {
@@ -203,6 +204,40 @@ export class WebsocketBubbleProvider extends BubbleProvider {
   }
 
 
+  /**
+   * Sends the given RPCs as a single JSON-RPC batch message.  Each RPC is given an internal
+   * request id for the duration of the batch, and the responses are matched back to the caller's
+   * ids.
+   * 
+   * @param rpcs array of `{id, method, params}` objects
+   * @returns Promise to resolve with an array of `{id, result}` or `{id, error}` objects in the
+   *          same order as the RPCs.
+   */
+  postAll(rpcs) {
+    return new Promise((resolve, reject) => {
+      assert.isArray(rpcs, 'rpcs');
+      if (this.state !== STATES.open) reject({code: ErrorCodes.PROVIDER_CLOSED_ERROR_CODE, message: 'provider is not open'});
+      if (this.ws.readyState !== WebSocket.OPEN) reject({code: ErrorCodes.PROVIDER_CLOSED_ERROR_CODE, message: 'websocket is not open'});
+      const batch = rpcs.map(rpc => ({ id: this.requestId++, method: rpc.method, params: rpc.params }));
+      const request = {resolve, reject, batch};
+      request.timeout = setTimeout(() => {
+        batch.forEach(rpc => this.requests.delete(rpc.id));
+        reject({code: ErrorCodes.SEND_TIMEOUT_ERROR_CODE, message: `request timed out`});
+      }, this.options.sendTimeout)
+      batch.forEach(rpc => this.requests.set(rpc.id, request));
+      this.ws.send(JSON.stringify(batch));
+    })
+    .then(({batch, responses}) => {
+      return matchBatchResponses(batch, responses).map((response, i) => ({...response, id: rpcs[i].id}));
+    })
+    .catch(error => {
+      if (error.code !== undefined) throw new BubbleError(error.code, error.message, {cause: error.cause});
+      else if (error.message) throw new Error(error.message, {cause: error.cause})    
+      else throw error;    
+    })
+  }
+
+
   subscribe(params, listener) {
     return this.post('subscribe', params)
       .then(response => {
@@ -253,7 +288,8 @@ export class WebsocketBubbleProvider extends BubbleProvider {
   _handleMessage(data) {
     if (typeof window !== 'undefined') data = data.data;  // browser version passes an event
     const response = JSON.parse(data);
-    if (response.method === 'subscription') this._handleSubscription(response.params);
+    if (Array.isArray(response)) this._handleBatchResponse(response);
+    else if (response.method === 'subscription') this._handleSubscription(response.params);
     else if (this.requests.has(response.id)) { 
       const {resolve, reject, timeout} = this.requests.get(response.id);
       clearTimeout(timeout);
@@ -268,6 +304,15 @@ export class WebsocketBubbleProvider extends BubbleProvider {
     else console.warn('WebsocketBubbleProvider: unexpected response - id not found in requests map', response);
   }
 
+  _handleBatchResponse(responses) {
+    const match = responses.find(response => assert.isObject(response) && this.requests.has(response.id));
+    if (!match) return console.warn('WebsocketBubbleProvider: unexpected batch response - ids not found in requests map', responses);
+    const {resolve, timeout, batch} = this.requests.get(match.id);
+    clearTimeout(timeout);
+    batch.forEach(rpc => this.requests.delete(rpc.id));
+    resolve({batch, responses});
+  }
+
   _handleSubscription(notification) {
     const listener = this.subscriptions.get(notification.subscriptionId);
     if (listener) listener(notification);
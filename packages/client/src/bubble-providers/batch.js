@@ -0,0 +1,33 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { BubbleError, assert } from '@bubble-protocol/core';
+
+
+/**
+ * Matches each JSON-RPC batch response to its request by id, returning responses in the order of
+ * the requests.  Error responses are converted to BubbleErrors.
+ * 
+ * @param {Array} requests the requests sent, each with an `id` field
+ * @param {Array} responses the responses received from the server
+ * @returns array of `{id, result}` or `{id, error}` objects
+ */
+export function matchBatchResponses(requests, responses) {
+  const responseMap = new Map(responses.filter(response => assert.isObject(response)).map(response => [response.id, response]));
+  return requests.map(request => {
+    const response = responseMap.get(request.id);
+    if (!response) return {id: request.id, error: new Error('missing response')};
+    if (response.error) return {id: request.id, error: toBubbleError(response.error)};
+    return {id: request.id, result: response.result};
+  });
+}
+
+
+/**
+ * Converts a JSON-RPC error object to a BubbleError, or a plain Error if it has no code.
+ */
+export function toBubbleError(error) {
+  if (error.code !== undefined) return new BubbleError(error.code, error.message, {cause: error.cause});
+  else return new Error(error.message, {cause: error.cause});
+}
@@ -19,7 +19,7 @@ export {eip712} from './eip712.js';
 export {eip191} from './eip191.js';
 
 // re-export bubble-core exports for convenience
-export {BubbleProvider, ContentId, BubbleFilename, BubblePermissions, ROOT_PATH, BubbleError, ErrorCodes, assert} from '@bubble-protocol/core';
+export {BubbleProvider, ContentId, BubbleFilename, BubblePermissions, ROOT_PATH, DATA_ENCODINGS, BubbleError, ErrorCodes, PreconditionFailedError, assert} from '@bubble-protocol/core';
 
 // re-export crypto exports for convenience
 export {ecdsa, ecies} from '@bubble-protocol/crypto';
@@ -4,6 +4,7 @@
 
 import { BubbleFilename, assert } from "@bubble-protocol/core";
 import { ecdsa } from "@bubble-protocol/crypto";
+import { getCrypto } from "@bubble-protocol/crypto/utils";
 
 /**
  * Largest file id (2^256-1)
@@ -72,3 +73,17 @@ export function toDelegateSignature(sig, delegate) {
 export function toDelegateSignFunction(signFunction, delegate) {
   return (hash) => signFunction(hash).then(sig => toDelegateSignature(sig, delegate));
 }
+
+
+/**
+ * Calculates the content hash of the given data, as reported by a bubble server in the `hash` 
+ * field of a file listing (@see `Bubble.getHash`).  Strings are hashed as utf8.
+ * 
+ * @param {String|Uint8Array|ArrayBuffer} data the data to hash
+ * @returns Promise to resolve with the hex SHA-256 digest of the data
+ */
+export async function contentHash(data) {
+  const bytes = assert.isString(data) ? Buffer.from(data) : data;
+  const digest = await getCrypto().subtle.digest('SHA-256', bytes);
+  return Buffer.from(digest).toString('hex');
+}
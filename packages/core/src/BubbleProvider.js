@@ -19,6 +19,18 @@ export class BubbleProvider {
     throw new Error('BubbleProvider.post is a virtual function and must be implemented');
   }
 
+  /**
+   * Posts a batch of remote procedure calls to the server in a single JSON-RPC 2.0 batch request.
+   * Each call succeeds or fails independently.
+   * 
+   * @param {Array} rpcs array of RPCs, each of the form `{id, method, params}`
+   * @returns Promise to resolve with an array of responses, one per RPC and in the same order, each
+   * of the form `{id, result}` or `{id, error}`.  Rejects only if the batch as a whole fails.
+   */
+  postAll(rpcs) {
+    throw new Error('BubbleProvider.postAll is not supported by this provider');
+  }
+
 }
 
 
@@ -2,6 +2,8 @@
 // Distributed under the MIT software license, see the accompanying
 // file LICENSE or http://www.opensource.org/licenses/mit-license.php.
 
+import { DATA_ENCODINGS } from './constants.js';
+
 /**
  * bubble-sdk assertions.  Used to encourage strong typing of parameters during runtime.
  */
@@ -11,6 +13,10 @@ const VALID_HEX32_REGEX = /^(0x)?[0-9a-fA-F]{64}$/;
 const VALID_POSIX_FILENAME_REGEX = /^[^\0\/]{1,255}$/;  // POSIX files can be any string between 1 and 255 chars but must not contain null or '/'
 const VALID_BASE64_REGEX = /^[a-zA-Z0-9+/=]+$/;
 const VALID_BASE64URL_REGEX = /^[a-zA-Z0-9_-]+$/;
+const VALID_ENCODED_DATA_REGEX = {
+  base64: /^(?:[a-zA-Z0-9+/]{4})*(?:[a-zA-Z0-9+/]{2}==|[a-zA-Z0-9+/]{3}=)?$/,
+  hex: /^(?:[0-9a-fA-F]{2})*$/
+};
 
 
 export function isNotEmpty(value, name) {
@@ -115,6 +121,12 @@ export function isBase64OrBase64UrlString(value, name) {
   else return result;
 };
 
+export function isEncodedData(value, encoding = 'utf8', name) {
+  const result = isString(value) && DATA_ENCODINGS.includes(encoding) && (encoding === 'utf8' || VALID_ENCODED_DATA_REGEX[encoding].test(value));
+  if (name !== undefined && !result) throw new TypeError(name + " type. Expected " + encoding + " encoded string");
+  else return result;
+};
+
 export function isInstanceOf(value, type, name) {
   const result = isNotNull(value, name) && (value instanceof type);
   if (name !== undefined && !result) throw new TypeError(name + " type. Expected " + type.name);
@@ -1 +1,3 @@
 export const ROOT_PATH = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+export const DATA_ENCODINGS = ['utf8', 'base64', 'hex'];
@@ -17,12 +17,15 @@ export const ErrorCodes = {
   BUBBLE_ERROR_INVALID_CONTENT_ID: -32006,
   BUBBLE_ERROR_SUBSCRIPTION_TERMINATED: -32007,
   BUBBLE_ERROR_CONTRACT_DOES_NOT_EXIST: -32008,
+  BUBBLE_ERROR_REQUEST_EXPIRED: -32009,
+  BUBBLE_ERROR_REQUEST_REPLAYED: -32010,
   BUBBLE_SERVER_ERROR_BUBBLE_ALREADY_EXISTS: -32020,
   BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST: -32021,
   BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST: -32022,
   BUBBLE_SERVER_ERROR_DIR_ALREADY_EXISTS: -32023,
   BUBBLE_SERVER_ERROR_INVALID_OPTION: -32024,
-  BUBBLE_SERVER_ERROR_INTERNAL_ERROR: -32025
+  BUBBLE_SERVER_ERROR_INTERNAL_ERROR: -32025,
+  BUBBLE_SERVER_ERROR_PRECONDITION_FAILED: -32026
     // -32040..-32099 reserved for user-defined data server errors
 }
 
@@ -56,4 +59,20 @@ export class BubbleError extends Error {
     }
   }
   
-}
\ No newline at end of file
+}
+
+
+/**
+ * Thrown when a conditional request (`ifMatch` or `ifNoneMatch` option) is rejected because the
+ * file's current version does not satisfy the condition.  Typically indicates the file has been
+ * modified by another client since it was last read.
+ */
+
+export class PreconditionFailedError extends BubbleError {
+
+  constructor(message = 'precondition failed', options) {
+    super(ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED, message, options);
+    this.name = 'PreconditionFailedError';
+  }
+
+}
@@ -10,7 +10,7 @@ export {BubbleProvider} from './BubbleProvider.js';
 export {ContentId} from './ContentId.js';
 export {BubbleFilename} from './BubbleFilename.js';
 export {BubblePermissions} from './Permissions.js';
-export {ROOT_PATH} from './constants.js';
+export {ROOT_PATH, DATA_ENCODINGS} from './constants.js';
 export * as assert from './assertions.js';
-export {BubbleError, ErrorCodes} from './errors.js';
+export {BubbleError, ErrorCodes, PreconditionFailedError} from './errors.js';
 export {Delegation} from './Delegation.js';
\ No newline at end of file
@@ -14,6 +14,103 @@
  //   [req-ds-gen-1] The data server shall reject any method call with an `INVALID_OPTION` error if it
  //                  detects the user has passed an invalid option.
  //
+ // Versions:
+ //
+ //   [req-ds-ver-1] The data server shall maintain a version for each file: a non-empty string that changes
+ //                  whenever the file's contents change (via `write`, `append` or `restore`).  Versions are opaque to the
+ //                  client and are only compared for equality.
+ //
+ //   [req-ds-ver-2] The data server shall not reuse a version for the same file, even if the file is deleted
+ //                  and re-created.
+ //
+ //   [req-ds-ver-3] Directories do not have a version.
+ //
+ // Conditional Requests:
+ //
+ //   The `write`, `append` and `delete` methods accept the following options:
+ //     ifMatch: {String} only service the request if the file exists and its current version equals this 
+ //              value, or, if the value is '*', if the file exists.
+ //     ifNoneMatch: {String} only service the request if the file does not exist or its current version 
+ //                  does not equal this value, or, if the value is '*', if the file does not exist.
+ //
+ //   [req-ds-pre-1] If the `ifMatch` option is given and the condition is not met, the data server shall reject
+ //                  with a `PRECONDITION_FAILED` error and leave the file unchanged.
+ //
+ //   [req-ds-pre-2] If the `ifNoneMatch` option is given and the condition is not met, the data server shall
+ //                  reject with a `PRECONDITION_FAILED` error and leave the file unchanged.
+ //
+ //   [req-ds-pre-3] The data server shall evaluate preconditions before the `silent` option.  I.e. a `delete`
+ //                  with an `ifMatch` option shall reject with a `PRECONDITION_FAILED` error if the file does not
+ //                  exist, even if the `silent` option is given.
+ //
+ //   [req-ds-pre-4] The data server shall check the precondition and service the request atomically, so that no
+ //                  other request can modify the file in between.
+ //
+ //   [req-ds-pre-5] The data server shall reject with an `INVALID_OPTION` error if either option is given and
+ //                  is not a string.
+ //
+ // Data Encoding:
+ //
+ //   A file's contents are a sequence of bytes.  File data is passed to and from the data server as a string
+ //   encoded according to the `encoding` option of the `write`, `append`, `read` and `subscribe` methods:
+ //     encoding: {String} 'utf8' (default), 'base64' or 'hex'
+ //
+ //   [req-ds-enc-1] The data server shall decode the data passed to `write` and `append` using the given
+ //                  encoding and store the resulting bytes.  (The Guardian only passes data that is valid for
+ //                  the given encoding).
+ //
+ //   [req-ds-enc-2] The data server shall encode the data resolved by `read` using the given encoding, 
+ //                  regardless of the encoding used to write the file.
+ //
+ //   [req-ds-enc-3] The data server shall encode the file contents included in a subscription's responses and
+ //                  notifications using the encoding given when subscribing.
+ //
+ //   [req-ds-enc-4] File lengths (see `list`) and ranged read positions (see `read`) are measured in bytes.
+ //
+ //   [req-ds-enc-5] The data server shall reject with an `INVALID_OPTION` error if the `encoding` option is 
+ //                  given and is not one of the values above.
+ //
+ // Version History:
+ //
+ //   Optional.  Only required if the server supports version history.  A bubble keeps the prior versions of
+ //   its files if it was created with the `retainVersions` option:
+ //     retainVersions: {Number} the number of prior versions to retain for each file.  Defaults to 0 (none).
+ //   Retained versions are listed with the `versions` option of `list`, read with the `version` option of
+ //   `read` and made current again with `restore`.
+ //
+ //   [req-ds-vh-1] If the bubble retains versions, the data server shall retain a file's current version
+ //                 whenever it is replaced (by `write`, `append`, `restore`, or as the destination of `move` or
+ //                 `copy`) or deleted (by `delete`, including as part of a deleted directory, or as the source
+ //                 of `move`).
+ //
+ //   [req-ds-vh-2] The data server shall retain at most `retainVersions` prior versions of each file, discarding
+ //                 the oldest first.  Retained versions are deleted when the bubble is terminated.
+ //
+ //   [req-ds-vh-3] The data server shall reject `create` with an `INVALID_OPTION` error if the `retainVersions`
+ //                 option is given and is not a non-negative integer.
+ //
+ //   [req-ds-vh-4] If the `versions` option is given to `list` and the file is not a directory, the data server 
+ //                 shall resolve with an entry for the file's current version (if the file exists) followed by an
+ //                 entry for each retained version, most recent first.  Each entry shall be of the form 
+ //                 `{name, type: 'file', version, length, modified, hash}`, where `modified` is the time the
+ //                 version was written.  All other listing options are ignored.
+ //
+ //   [req-ds-vh-5] The data server shall reject `list` with a `FILE_DOES_NOT_EXIST` error if the `versions` 
+ //                 option is given and the file neither exists nor has any retained versions, unless the `silent`
+ //                 option is given, in which case it shall resolve with an empty array.  It shall reject with an 
+ //                 `INVALID_OPTION` error if the file is a directory.
+ //
+ //   [req-ds-vh-6] If the `version` option is given to `read`, the data server shall resolve with the contents of
+ //                 the given version of the file, whether current or retained.  All other read options apply.  It
+ //                 shall reject with a `FILE_DOES_NOT_EXIST` error if the version is not the current version and is
+ //                 not retained (regardless of any `silent` option), and with an `INVALID_OPTION` error if the
+ //                 option is not a non-empty string.
+ //
+ //   [req-ds-vh-7] A data server that does not support version history shall reject `create` with an 
+ //                 `INVALID_OPTION` error if the `retainVersions` option is given and is not 0, `list` if the
+ //                 `versions` option is given and is not false, `read` if the `version` option is given, and
+ //                 every call to `restore`.
+ //
  // Notes:
  //
  //   1) A DataServer is protected by a Guardian.  The guardian enforces all access permissions and will only
@@ -32,6 +129,10 @@
  //   4) Each method's `options` parameter is passed unfiltered from the client.  Implementors are free to add
  //      any additional options that suit the data storage service being provided.
  //
+ //   5) The `contract` parameter uniquely identifies a bubble.  It is usually the bubble's contract address but,
+ //      when the data server is shared between chains (see `MultiChainGuardian`), it is a namespaced id that
+ //      includes the chain.  Implementors should treat it as an opaque string.
+ //
 export class DataServer {
 
   /**
@@ -44,6 +145,7 @@ export class DataServer {
    * 
    * Options:
    *   silent: {boolean} do not reject if the bubble already exists
+   *   retainVersions: {Number} number of prior versions of each file to retain - see Version History above
    */
   //
   // Requirements:
@@ -67,10 +169,15 @@ export class DataServer {
    * 
    * @param {Address} contract the bubble's ACC
    * @param {BubbleFile} file the file path to write
-   * @param {String} data the data to write
+   * @param {String} data the data to write, encoded according to the `encoding` option
    * @param {Object} options user defined (passed through transparently from client)
-   * @returns Promise to service the request
+   * @returns Promise to resolve with an object containing the file's new `version` and `hash`
    * @throws Rejects with a BubbleError if unable to comply (@see core/errors.js for error codes)
+   * 
+   * Options:
+   *   ifMatch: {String} see Conditional Requests above
+   *   ifNoneMatch: {String} see Conditional Requests above
+   *   encoding: {String} encoding of the data - see Data Encoding above
    */
   //
   // Requirements:
@@ -86,6 +193,12 @@ export class DataServer {
   //   [req-ds-wr-4] The data server shall reject with a `BUBBLE_DOES_NOT_EXIST` error if the 
   //                 bubble does not exist on the server (regardless of any `silent` option).
   //
+  //   [req-ds-wr-5] The data server shall resolve with a plain object containing a `version` field holding 
+  //                 the file's new version (see [req-ds-ver-1]).
+  //
+  //   [req-ds-wr-6] The resolved object shall also contain a `hash` field holding the file's new content hash 
+  //                 (see [req-ds-ls-29]).
+  //
   write(contract, file, data, options) {
     return Promise.reject("DataServer.write is a virtual function and must be implemented")
   }
@@ -96,10 +209,15 @@ export class DataServer {
    * 
    * @param {Address} contract the bubble's ACC
    * @param {BubbleFile} file the file path to append
-   * @param {String} data the data to append
+   * @param {String} data the data to append, encoded according to the `encoding` option
    * @param {Object} options user defined (passed through transparently from client)
-   * @returns Promise to service the request
+   * @returns Promise to resolve with an object containing the file's new `version` and `hash`
    * @throws Rejects with a BubbleError if unable to comply (@see core/errors.js for error codes)
+   * 
+   * Options:
+   *   ifMatch: {String} see Conditional Requests above
+   *   ifNoneMatch: {String} see Conditional Requests above
+   *   encoding: {String} encoding of the data - see Data Encoding above
    */
   //
   // Requirements:
@@ -115,6 +233,12 @@ export class DataServer {
   //   [req-ds-ap-4] The data server shall reject with a `BUBBLE_DOES_NOT_EXIST` error if the 
   //                 bubble does not exist on the server (regardless of any `silent` option).
   //
+  //   [req-ds-ap-5] The data server shall resolve with a plain object containing a `version` field holding 
+  //                 the file's new version (see [req-ds-ver-1]).
+  //
+  //   [req-ds-ap-6] The resolved object shall also contain a `hash` field holding the content hash of the whole
+  //                 file after the append (see [req-ds-ls-29]).
+  //
   append(contract, file, data, options) {
     return Promise.reject("DataServer.append is a virtual function and must be implemented")
   }
@@ -132,6 +256,14 @@ export class DataServer {
    * 
    * Options:
    *   silent: {boolean} do not reject if the file does not exist (empty string returned)
+   *   offset: {Number} position to start reading from.  Defaults to 0.
+   *   length: {Number} maximum amount of data to read.  Defaults to the rest of the file.
+   *   tail: {Number} read only the last `tail` of the file.  Cannot be combined with `offset`.
+   *   encoding: {String} encoding of the returned data - see Data Encoding above
+   *   version: {String} read the given version of the file - see Version History above
+   * 
+   * Positions and lengths are measured in bytes, the same units as the `length` field of a 
+   * listing (see `list`).
    */
   //
   // Requirements:
@@ -149,6 +281,19 @@ export class DataServer {
   //   [req-ds-rd-4] The data server shall reject with a BUBBLE_DOES_NOT_EXIST error if the 
   //                 bubble does not exist on the server (regardless of any `silent` option).
   //
+  //   [req-ds-rd-5] If the `offset` and/or `length` option is given, the data server shall resolve with only
+  //                 the part of the file starting at `offset` (default 0) and containing at most `length` 
+  //                 (default the rest of the file).  If the offset is at or beyond the end of the file the data 
+  //                 server shall resolve with the empty string.
+  //
+  //   [req-ds-rd-6] If the `tail` option is given, the data server shall resolve with the last `tail` of the 
+  //                 file, or the whole file if it is shorter than `tail`.  If the `length` option is also given 
+  //                 then at most `length` is returned, starting from the beginning of the tail.
+  //
+  //   [req-ds-rd-7] The data server shall reject with an `INVALID_OPTION` error if the `offset`, `length` or 
+  //                 `tail` option is given and is not a non-negative integer, or if both `offset` and `tail` 
+  //                 are given.
+  //
   read(contract, file, options) {
     return Promise.reject("DataServer.read is a virtual function and must be implemented")
   }
@@ -167,6 +312,8 @@ export class DataServer {
    * 
    * Options:
    *   silent: {boolean} do not reject if the file does not exist
+   *   ifMatch: {String} see Conditional Requests above
+   *   ifNoneMatch: {String} see Conditional Requests above
    */
   //
   // Requirements:
@@ -238,7 +385,8 @@ export class DataServer {
    * @param {BubbleFile} file the file or directory to list
    * @param {Object} options user defined (passed through transparently from client)
    * @returns Promise to service the request and return an array object with each element
-   *   being an Object representing a file.  See below for the Object fields.
+   *   being an Object representing a file.  See below for the Object fields.  If the `limit` or
+   *   `cursor` option is given then resolves with a page of the form `{items, nextCursor}`.
    * @throws Rejects with a BubbleError if unable to comply or the directory already exists 
    *   (@see core/errors.js for error codes)
    * 
@@ -250,6 +398,8 @@ export class DataServer {
    *   length: {Number} length of the file in bytes or the number of files within if a directory
    *   created: {Number} UNIX timestamp of when the file or directory was created
    *   modified: {Number} UNIX timestamp of when the file or directory was last modified
+   *   version: {String} the file's current version (files only, see [req-ds-ver-1])
+   *   hash: {String} hex SHA-256 digest of the file's contents (files only, see [req-ds-ls-29])
    * 
    * Options:
    *   silent: {boolean} do not reject if the file does not exist
@@ -261,6 +411,12 @@ export class DataServer {
    *   createdAfter: {Number} include only files and directories with a creation time later than this 
    *   createdBefore: {Number} include only files and directories with a creation time earlier than this
    *   directoryOnly: {boolean} if file is a directory, just list the directory itself not its contents (like `ls -d`)
+   *   recursive: {boolean} if file is the root directory, also list the contents of each sub-directory (like `ls -R`)
+   *   sort: {string} sort the listing by 'name', 'created' or 'modified'
+   *   order: {string} sort order - 'asc' (default) or 'desc'
+   *   limit: {Number} return at most this many entries in a paginated response (see Pagination below)
+   *   cursor: {String} continue a paginated listing from the `nextCursor` of the previous page
+   *   versions: {boolean} list the versions of a file - see Version History above
    */
   //
   // Requirements:
@@ -316,6 +472,16 @@ export class DataServer {
   //                  contents was last modified on the server.
   //                   Example: `modified: 1683455053023`
   //
+  //   [req-ds-ls-21] If the `long` and/or `version` option is given, each file entry shall contain a `version`
+  //                  field (type `string`) with the file's current version (see [req-ds-ver-1]).  Directory 
+  //                  entries shall not contain a `version` field.
+  //                   Example: `version: '17'`
+  //
+  //   [req-ds-ls-29] If the `long` and/or `hash` option is given, each file entry shall contain a `hash` field 
+  //                  (type `string`) with the lowercase hex SHA-256 digest of the file's contents, i.e. of the 
+  //                  stored bytes (see Data Encoding).  Directory entries shall not contain a `hash` field.
+  //                   Example: `hash: '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824'`
+  //
   //   [req-ds-ls-11] A file is considered `modified` if it's contents are changed.
   //
   //   [req-ds-ls-12] A directory (including the bubble's ROOT_PATH) is considered `modified` if any new files are added
@@ -359,6 +525,43 @@ export class DataServer {
   //   [req-ds-ls-20] If multiple filters (i.e. from requirements [req-ds-ls-15]..[req-ds-ls-19]) are given, the data 
   //                  server shall apply all those given to the listing.
   //
+  // Recursion:
+  //
+  //   [req-ds-ls-22] If the file is the bubble's root directory and the `recursive` option is given, the listing shall
+  //                  contain the entries of [req-ds-ls-14] plus an entry for each file within each sub-directory.  The
+  //                  option has no effect when listing a sub-directory or a file.
+  //
+  // Sorting:
+  //
+  //   [req-ds-ls-23] If the `sort` option is given, the data server shall sort the listing by the given field - 
+  //                  'name', 'created' or 'modified' - in ascending order, or descending order if the `order` 
+  //                  option is 'desc'.  Entries with equal sort values shall be ordered by name, in the same 
+  //                  direction.  The sort field need not be included in the entries unless requested (see 
+  //                  [req-ds-ls-8..10]).
+  //
+  //   [req-ds-ls-24] The data server shall reject with an `INVALID_OPTION` error if the `sort` option is not one of
+  //                  'name', 'created' or 'modified', or the `order` option is not one of 'asc' or 'desc'.
+  //
+  // Pagination:
+  //
+  //   [req-ds-ls-25] If the `limit` or `cursor` option is given, the data server shall resolve with a plain object
+  //                  of the form `{items, nextCursor}` instead of an array, where `items` is the array of entries
+  //                  in the page and `nextCursor` is present only if there are further entries.
+  //                    Example: `{ items: [{ name: '0x0000..0001', type: 'file' }], nextCursor: 'eyJ2Ijo...' }`
+  //
+  //   [req-ds-ls-26] The data server shall apply any filters, then sort the listing (by name in ascending order if 
+  //                  no `sort` option is given), then return at most `limit` entries starting after the last entry
+  //                  of the page that returned the given `cursor`, or from the start if no cursor is given.
+  //
+  //   [req-ds-ls-27] `nextCursor` shall be an opaque string that, when passed back in the `cursor` option with the
+  //                  same sort and filter options, continues the listing.  Following cursors shall return every 
+  //                  entry exactly once, provided the directory is not modified in the meantime.  Entries added
+  //                  or removed between pages may or may not be included.
+  //
+  //   [req-ds-ls-28] The data server shall reject with an `INVALID_OPTION` error if the `limit` option is not a 
+  //                  positive integer, or if the `cursor` option is not a cursor previously returned by the data 
+  //                  server for the same sort order.
+  //
   list(contract, file, options) {
     return Promise.reject("DataServer.list is a virtual function and must be implemented")
   }
@@ -379,6 +582,7 @@ export class DataServer {
    *   since: {Number} return a list of directory contents created or updated since (but not on) the given 
    *                   timestamp (integer UNIX timestamp in ms, directory subscriptions only).
    *   read: {boolean} return the file contents (file subscriptions only)
+   *   encoding: {String} encoding of any file contents returned - see Data Encoding above
    */
   //
   // Requirements:
@@ -502,6 +706,182 @@ export class DataServer {
     return Promise.reject("DataServer.unsubscribe is a virtual function and must be implemented")
   }
 
+  /**
+   * Unconditionally apply a list of operations to a bubble as a single atomic transaction.  Either
+   * all operations are applied or none are.
+   * 
+   * Optional.  Only required if the server supports the `transaction` method.
+   * 
+   * @param {Address} contract the bubble's ACC
+   * @param {Array} ops the operations to apply, in order.  Each is a plain object of the form:
+   *   `{method: 'write'|'append'|'delete'|'mkdir', file: BubbleFile, data: String, options: Object}`
+   *   where `data` is only present for write and append operations and `options` are the options
+   *   for that operation (as for the equivalent method).
+   * @param {Object} options user defined (passed through transparently from client)
+   * @returns Promise to resolve with an array containing the result of each operation
+   * @throws Rejects with a BubbleError if unable to comply (@see core/errors.js for error codes)
+   */
+  //
+  // Requirements:
+  //
+  //   [req-ds-tx-1] When called, the data server shall apply each operation in the order given, as if the
+  //                 equivalent method (`write`, `append`, `delete` or `mkdir`) had been called with the
+  //                 operation's file, data and options.  Each operation shall see the effects of the
+  //                 operations before it.
+  //
+  //   [req-ds-tx-2] If all operations succeed, the data server shall resolve with an array containing the
+  //                 result of each operation, in the order given.
+  //
+  //   [req-ds-tx-3] If any operation fails, the data server shall reject with the error of the first operation
+  //                 to fail and shall leave the bubble exactly as it was before the transaction.
+  //
+  //   [req-ds-tx-4] The data server shall send subscription notifications for the operations (in the order
+  //                 of the operations) only once all operations have succeeded, and shall send no 
+  //                 notifications for a transaction that fails.
+  //
+  //   [req-ds-tx-5] The data server shall reject with a `BUBBLE_DOES_NOT_EXIST` error if the 
+  //                 bubble does not exist on the server.
+  //
+  transaction(contract, ops, options) {
+    return Promise.reject("DataServer.transaction is a virtual function and must be implemented")
+  }
+
+  /**
+   * Unconditionally move a file to a new path within the same bubble.  Equivalent to `mv` on a 
+   * POSIX system.
+   * 
+   * Optional.  Only required if the server supports the `move` method.
+   * 
+   * @param {Address} contract the bubble's ACC
+   * @param {BubbleFile} file the path of the file to move
+   * @param {BubbleFile} to the path to move the file to
+   * @param {Object} options user defined (passed through transparently from client)
+   * @returns Promise to resolve with an object containing the destination file's `version`
+   * @throws Rejects with a BubbleError if unable to comply (@see core/errors.js for error codes)
+   * 
+   * Options:
+   *   ifMatch: {String} see Conditional Requests above.  Applies to the destination file.
+   *   ifNoneMatch: {String} see Conditional Requests above.  Applies to the destination file.
+   */
+  //
+  // Requirements:
+  //
+  //   [req-ds-mv-1] When called, the data server shall atomically move the contents of the file to the 
+  //                 destination path, overwriting the destination file if it exists, and remove the source file.
+  //
+  //   [req-ds-mv-2] If the destination path is a file within a directory that does not exist then the data server
+  //                 shall first create the directory.
+  //
+  //   [req-ds-mv-3] The destination file shall keep the source file's `created` and `modified` times.  Its 
+  //                 version shall change (see [req-ds-ver-1]).
+  //
+  //   [req-ds-mv-4] The data server shall notify subscribers of the destination file (and its parent directory)
+  //                 with a `write` event, and subscribers of the source file (and its parent directory) with a
+  //                 `delete` event.
+  //
+  //   [req-ds-mv-5] The data server shall reject with a `FILE_DOES_NOT_EXIST` error if the source file does
+  //                 not exist, leaving the destination unchanged.
+  //
+  //   [req-ds-mv-6] The data server shall reject with a `BUBBLE_DOES_NOT_EXIST` error if the 
+  //                 bubble does not exist on the server.
+  //
+  //   [req-ds-mv-7] The data server shall resolve with a plain object containing a `version` field holding 
+  //                 the destination file's new version.
+  //
+  move(contract, file, to, options) {
+    return Promise.reject("DataServer.move is a virtual function and must be implemented")
+  }
+
+  /**
+   * Unconditionally copy a file to a new path within the same bubble.  Equivalent to `cp` on a 
+   * POSIX system.
+   * 
+   * Optional.  Only required if the server supports the `copy` method.
+   * 
+   * @param {Address} contract the bubble's ACC
+   * @param {BubbleFile} file the path of the file to copy
+   * @param {BubbleFile} to the path to copy the file to
+   * @param {Object} options user defined (passed through transparently from client)
+   * @returns Promise to resolve with an object containing the destination file's `version`
+   * @throws Rejects with a BubbleError if unable to comply (@see core/errors.js for error codes)
+   * 
+   * Options:
+   *   ifMatch: {String} see Conditional Requests above.  Applies to the destination file.
+   *   ifNoneMatch: {String} see Conditional Requests above.  Applies to the destination file.
+   */
+  //
+  // Requirements:
+  //
+  //   [req-ds-cp-1] When called, the data server shall copy the contents of the file to the destination path,
+  //                 overwriting the destination file if it exists.  The source file shall be unchanged.
+  //
+  //   [req-ds-cp-2] If the destination path is a file within a directory that does not exist then the data server
+  //                 shall first create the directory.
+  //
+  //   [req-ds-cp-3] The destination file is considered a new file.  Its `created` and `modified` times shall be 
+  //                 the time of the copy.
+  //
+  //   [req-ds-cp-4] The data server shall notify subscribers of the destination file (and its parent directory)
+  //                 with a `write` event.
+  //
+  //   [req-ds-cp-5] The data server shall reject with a `FILE_DOES_NOT_EXIST` error if the source file does
+  //                 not exist, leaving the destination unchanged.
+  //
+  //   [req-ds-cp-6] The data server shall reject with a `BUBBLE_DOES_NOT_EXIST` error if the 
+  //                 bubble does not exist on the server.
+  //
+  //   [req-ds-cp-7] The data server shall resolve with a plain object containing a `version` field holding 
+  //                 the destination file's new version.
+  //
+  copy(contract, file, to, options) {
+    return Promise.reject("DataServer.copy is a virtual function and must be implemented")
+  }
+
+  /**
+   * Make a retained version of a file the current version, creating the file if it has been deleted.
+   * 
+   * Optional.  Only required if the server supports version history (see Version History above).
+   * 
+   * @param {Address} contract the bubble's ACC
+   * @param {BubbleFile} file the path of the file to restore
+   * @param {Object} options user defined (passed through transparently from client)
+   * @returns Promise to resolve with an object containing the file's new `version` and `hash`
+   * @throws Rejects with a BubbleError if unable to comply (@see core/errors.js for error codes)
+   * 
+   * Options:
+   *   version: {String} the retained version to restore.  Mandatory.
+   *   ifMatch: {String} see Conditional Requests above.  Applies to the current file.
+   *   ifNoneMatch: {String} see Conditional Requests above.  Applies to the current file.
+   */
+  //
+  // Requirements:
+  //
+  //   [req-ds-rs-1] When called, the data server shall write the contents of the given version to the file,
+  //                 as if by `write`.  The file's version shall change (see [req-ds-ver-1]) and its previous
+  //                 version shall be retained (see [req-ds-vh-1]).
+  //
+  //   [req-ds-rs-2] If the file is within a directory that does not exist then the data server shall first 
+  //                 create the directory.
+  //
+  //   [req-ds-rs-3] The data server shall notify subscribers of the file (and its parent directory) with a 
+  //                 `write` event.
+  //
+  //   [req-ds-rs-4] The data server shall reject with a `FILE_DOES_NOT_EXIST` error if the version is not a 
+  //                 retained version of the file.
+  //
+  //   [req-ds-rs-5] The data server shall reject with an `INVALID_OPTION` error if the `version` option is not
+  //                 given or is not a non-empty string.
+  //
+  //   [req-ds-rs-6] The data server shall reject with a `BUBBLE_DOES_NOT_EXIST` error if the 
+  //                 bubble does not exist on the server.
+  //
+  //   [req-ds-rs-7] The data server shall resolve with a plain object containing a `version` field holding 
+  //                 the file's new version and a `hash` field holding its content hash.
+  //
+  restore(contract, file, options) {
+    return Promise.reject("DataServer.restore is a virtual function and must be implemented")
+  }
+
   /**
    * Unconditionally delete a bubble and all it's files.
    * 
@@ -528,4 +908,40 @@ export class DataServer {
     return Promise.reject("DataServer.terminate is a virtual function and must be implemented")
   }
 
+  /**
+   * Enumerate the bubbles hosted by this data server.  Not called by the Guardian.  Used by
+   * server-side services that need to visit every bubble, such as the `TerminatedBubbleSweeper`.
+   *
+   * Optional.  Only required if the server supports bubble enumeration.
+   *
+   * @param {Object} options user defined.  In addition:
+   *   limit: {Number} return at most this many bubbles in the page
+   *   cursor: {String} continue the enumeration from the `nextCursor` of the previous page
+   * @returns Promise to resolve with a page of the form `{items, nextCursor}`, where `items` is an
+   *   array of bubble ids.
+   * @throws Rejects with a BubbleError if unable to comply (@see core/errors.js for error codes)
+   */
+  //
+  // Requirements:
+  //
+  //   [req-ds-lb-1] When called, the data server shall resolve with a plain object of the form
+  //                 `{items, nextCursor}`, where `items` is an array of the ids of bubbles that currently
+  //                 exist on the server.  The id of a bubble is the `contract` passed to `create`.
+  //
+  //   [req-ds-lb-2] If the `limit` option is given, the data server shall include at most `limit` ids in
+  //                 `items`.  The data server may return fewer ids than `limit` even if further bubbles exist.
+  //
+  //   [req-ds-lb-3] `nextCursor` shall be present only if there are further bubbles to enumerate.  It shall be
+  //                 an opaque string that, when passed back in the `cursor` option, continues the enumeration.
+  //                 Following cursors shall return every bubble that exists for the whole enumeration exactly
+  //                 once.  Bubbles created or terminated during the enumeration may or may not be included.
+  //
+  //   [req-ds-lb-4] The data server shall reject with an `INVALID_OPTION` error if the `limit` option is not a
+  //                 positive integer, or if the `cursor` option is not a cursor previously returned by the data
+  //                 server.
+  //
+  listBubbles(options) {
+    return Promise.reject("DataServer.listBubbles is a virtual function and must be implemented")
+  }
+
 }
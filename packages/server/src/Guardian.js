@@ -2,16 +2,52 @@
 // Distributed under the MIT software license, see the accompanying
 // file LICENSE or http://www.opensource.org/licenses/mit-license.php.
 
-import { ROOT_PATH, BubbleProvider, BubblePermissions, assert, BubbleError, ErrorCodes, BubbleFilename } from '@bubble-protocol/core';
+import { ROOT_PATH, BubbleProvider, BubblePermissions, assert, BubbleError, ErrorCodes, BubbleFilename, DATA_ENCODINGS } from '@bubble-protocol/core';
+import { MemoryNonceStore } from './nonce-stores/MemoryNonceStore.js';
 
 
 /**
  * JSON RPC 2.0 error codes
  */
 
-const JSON_RPC_ERROR_INVALID_REQUEST = -32600;
-const JSON_RPC_ERROR_METHOD_NOT_FOUND = -32601;
-const JSON_RPC_ERROR_INVALID_METHOD_PARAMS = -32602;
+export const JSON_RPC_ERROR_INVALID_REQUEST = -32600;
+export const JSON_RPC_ERROR_METHOD_NOT_FOUND = -32601;
+export const JSON_RPC_ERROR_INVALID_METHOD_PARAMS = -32602;
+
+
+/**
+ * Operations that may be served from the permission cache, if one is configured. The 'notification'
+ * operation refers to the permission check made before each subscription notification is forwarded.
+ */
+
+export const DEFAULT_CACHED_OPERATIONS = ['read', 'list', 'subscribe', 'notification'];
+
+
+/**
+ * Default maximum number of requests permitted in a single batch
+ */
+
+export const DEFAULT_MAX_BATCH_SIZE = 100;
+
+
+/**
+ * Values of the Guardian's `watchSubscriptions` option
+ */
+
+export const SUBSCRIPTION_WATCH_MODES = ['block', 'log'];
+
+
+/**
+ * Operations permitted within a transaction, each mapped to the permission check for that 
+ * operation.  The checks match those applied when the operation is requested on its own.
+ */
+
+const TRANSACTION_OPERATIONS = {
+  write: file => file.isFile() && file.permissions.canWrite(),
+  append: file => file.isFile() && (file.permissions.canAppend() || file.permissions.canWrite()),
+  delete: file => !file.isRoot() && file.permissions.canWrite(),
+  mkdir: file => !file.isRoot() && file.isDirectory() && file.permissions.canWrite()
+};
 
 
 /**
@@ -26,6 +62,14 @@ export class Guardian extends BubbleProvider {
 
   dataServer;
   blockchainProvider;
+  requestWindow;
+  nonceStore;
+  permissionCache;
+  cachedOperations;
+  maxBatchSize;
+  subscriptionWatcher;
+  requestValidators;
+  postCommitHooks;
 
   /**
    * @param _dataServer the data server that handles permitted RPCs
@@ -34,12 +78,47 @@ export class Guardian extends BubbleProvider {
    * `async ({method as String, params as Object, file as BubbleFilename, signatory as String, permissions as BubblePermissions}) => void` 
    * that throw a BubbleError if the request is invalid.  Validators are called in order and 
    * all must pass for the request to be serviced.
+   * @param _options optional configuration:
+   *   postCommitHooks: {Array} functions called after a mutating request has been serviced
+   *     successfully (@see addPostCommitHook).
+   *   requestWindow: {Number} enables replay protection. Requests whose timestamp differs from the
+   *     server time by more than this period (ms) are rejected as expired, and requests whose nonce
+   *     has already been seen within the window are rejected as replayed.
+   *   nonceStore: {INonceStore} store used to record request nonces.  Defaults to a 
+   *     `MemoryNonceStore`.  Hosts running multiple Guardian instances should provide a shared store.
+   *   permissionCache: {PermissionCache} cache to use when getting permissions for the operations
+   *     listed in `cachedOperations`.  All other operations always get fresh permissions.
+   *   cachedOperations: {Array} methods that may use cached permissions, plus 'notification' for
+   *     subscription notifications.  Defaults to `DEFAULT_CACHED_OPERATIONS`.
+   *   maxBatchSize: {Number} maximum number of requests accepted by `postAll` and the maximum
+   *     number of operations in a transaction. Defaults to `DEFAULT_MAX_BATCH_SIZE`.
+   *   watchSubscriptions: {'block'|'log'} re-check the permissions of open subscriptions as soon as
+   *     on-chain state may have changed, instead of waiting for the next notification.  'block'
+   *     re-checks every open subscription on each new block (requires the blockchain provider to
+   *     implement `onNewBlock`).  'log' re-checks the subscriptions to a bubble whenever its
+   *     contract emits a log (requires `onContractLogs`).  Subscribers that can no longer read the
+   *     subscribed file are sent a `BUBBLE_ERROR_SUBSCRIPTION_TERMINATED` error and unsubscribed,
+   *     and the bubble is deleted if its contract has been terminated.
    */
-  constructor(_dataServer, _blockchainProvider, _requestValidators) {
+  constructor(_dataServer, _blockchainProvider, _requestValidators, _options = {}) {
     super();
     this.dataServer = _dataServer;
     this.blockchainProvider = _blockchainProvider;
-    this.requestValidators = _requestValidators || [];
+    this.requestValidators = [...(_requestValidators || [])];
+    this.postCommitHooks = [...(_options.postCommitHooks || [])];
+    if (_options.requestWindow !== undefined) {
+      assert.isNumber(_options.requestWindow, 'requestWindow');
+      this.requestWindow = _options.requestWindow;
+      this.nonceStore = _options.nonceStore || new MemoryNonceStore();
+    }
+    this.permissionCache = _options.permissionCache;
+    this.cachedOperations = _options.cachedOperations || DEFAULT_CACHED_OPERATIONS;
+    this.maxBatchSize = _options.maxBatchSize || DEFAULT_MAX_BATCH_SIZE;
+    if (_options.watchSubscriptions !== undefined) {
+      if (!SUBSCRIPTION_WATCH_MODES.includes(_options.watchSubscriptions)) 
+        throw new TypeError("watchSubscriptions option. Expected one of '"+SUBSCRIPTION_WATCH_MODES.join("', '")+"'");
+      this.subscriptionWatcher = new SubscriptionWatcher(this, _options.watchSubscriptions);
+    }
   }
 
 
@@ -68,11 +147,103 @@ export class Guardian extends BubbleProvider {
    * `{response as Any, file as BubbleFilename, signatory as String, permissionBits as BubblePermissions}` 
    */
   async postWithMetadata(method, params, subscriptionListener) {
-    return await this._handleRequest(method, params, subscriptionListener, true);
+    return await this._handleRequest(method, params, subscriptionListener);
+  }
+
+
+  /**
+   * Services a request made by the server itself on behalf of the given account, for example a
+   * notification delivered from one bubble to another.  The request is not signed.  Instead,
+   * the given signatory is used as the requester.  All other validation is applied, including
+   * replay protection, request validators and the bubble contract's permission check for the
+   * signatory.
+   * 
+   * Must never be exposed to clients, since it allows any account to be impersonated.
+   * 
+   * @param {String} signatory the account making the request
+   * @param method the RPC method
+   * @param params the RPC params (without a signature)
+   * @returns Promise to service the call resolving with data if appropriate
+   */
+  async postAs(signatory, method, params) {
+    assert.isString(signatory, 'signatory');
+    const {response} = await this._handleRequest(method, params, undefined, signatory.toLowerCase());
+    return response;
+  }
+
+
+  /**
+   * Adds a request validator to be run after any already registered.
+   * 
+   * @param {Function} validator the validator (@see constructor)
+   */
+  addRequestValidator(validator) {
+    assert.isFunction(validator, 'validator');
+    this.requestValidators.push(validator);
+  }
+
+
+  /**
+   * Adds a hook to be called each time a mutating request (create, write, append, delete, mkdir,
+   * transaction, move, copy, restore or terminate) has been serviced successfully by the data
+   * server.  Hooks are never called for requests that are rejected.  Each hook has signature
+   * `({method, params, file, signatory, permissions, response, internal}) => void`, where 
+   * `internal` is true if the request was made by the server itself via `postAs`.  Move and copy
+   * requests also include the destination as `to` (a BubbleFilename), and transactions include 
+   * the serviced operations as `ops`, each of the form `{method, file, data, options}`.
+   * 
+   * Hooks are called in order once the data server has responded but are not awaited, so they
+   * cannot delay or affect the response.  Hooks that throw or reject are logged.
+   * 
+   * @param {Function} hook the hook
+   */
+  addPostCommitHook(hook) {
+    assert.isFunction(hook, 'hook');
+    this.postCommitHooks.push(hook);
+  }
+
+
+  /**
+   * Receives a JSON-RPC 2.0 batch of remote procedure calls.  Each request is validated and
+   * authorised independently, exactly as if it had been passed to `post`, so a failed request 
+   * does not affect the others.  Requests are serviced in order.  Requests without an `id` are
+   * notifications: they are serviced but receive no response.
+   * 
+   * @param rpcs array of requests, each of the form `{id, method, params}`
+   * @param subscriptionListener client to receive subscription notifications. Only required if
+   * the batch contains subscribe requests.
+   * @returns Promise to resolve with an array of responses, one per request with an id and in the
+   * same order, each of the form `{id, result}` or `{id, error: {code, message, cause}}`.  The
+   * array is empty if every request is a notification, in which case nothing should be returned
+   * to the client.
+   * @throws if the batch is not an array, is empty or exceeds the maximum batch size
+   */
+  async postAll(rpcs, subscriptionListener) {
+    return postBatch(rpcs, this.maxBatchSize, (method, params) => this.post(method, params, subscriptionListener));
+  }
+
+
+  /**
+   * Stops watching subscriptions for the given subscription ids.  Only required if the
+   * `watchSubscriptions` option is given and the server closes subscriptions directly with the
+   * data server, e.g. when a client disconnects, rather than via an `unsubscribe` request.
+   * 
+   * @param {Array} subscriptionIds ids of the closed subscriptions
+   */
+  releaseSubscriptions(subscriptionIds) {
+    if (this.subscriptionWatcher) subscriptionIds.forEach(id => this.subscriptionWatcher.remove(id));
+  }
+
+
+  /**
+   * Stops watching the blockchain for changes to subscribed bubbles, if configured to do so.
+   */
+  close() {
+    if (this.subscriptionWatcher) this.subscriptionWatcher.close();
   }
 
 
-  async _handleRequest(method, params, subscriptionListener) {
+  async _handleRequest(method, params, subscriptionListener, internalSignatory) {
 
     if (method === 'subscribe') assert.isFunction(subscriptionListener, 'subscriptionListener');
 
@@ -98,24 +269,42 @@ export class Guardian extends BubbleProvider {
     if (!this.blockchainProvider.validateContract(params.contract)) 
       throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed contract');
 
-    if (!assert.isNotNull(params.signature))
+    if (internalSignatory === undefined && !assert.isNotNull(params.signature))
       throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'missing signature');
 
     if (params.file !== undefined && (!assert.isString(params.file) || !assert.isNotEmpty(params.file))) 
       throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed file');
 
-    if (params.file === undefined && ['write', 'append', 'read', 'delete', 'mkdir', 'list', 'getPermissions', 'subscribe'].includes(method)) 
+    if (params.file === undefined && ['write', 'append', 'read', 'delete', 'mkdir', 'list', 'getPermissions', 'subscribe', 'move', 'copy', 'restore'].includes(method)) 
       throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'missing file param');
-      
-    if (params.data !== undefined && !assert.isString(params.data)) 
-      throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed data');
 
+    if (params.to !== undefined && (!assert.isString(params.to) || !assert.isNotEmpty(params.to))) 
+      throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed to');
+
+    if (params.to === undefined && (method === 'move' || method === 'copy')) 
+      throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'missing to param');
+      
     if (params.subscriptionId === undefined && method === 'unsubscribe') 
       throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'missing subscriptionId param');
 
     if (params.options && !assert.isObject(params.options)) 
       throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed options');
 
+    if (params.options && params.options.encoding !== undefined && !DATA_ENCODINGS.includes(params.options.encoding)) 
+      throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed encoding');
+
+    if (method === 'restore' && (!params.options || params.options.version === undefined)) 
+      throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'missing version option');
+
+    if (method === 'restore' && (!assert.isString(params.options.version) || !assert.isNotEmpty(params.options.version))) 
+      throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed version');
+
+    if (params.data !== undefined && !assert.isEncodedData(params.data, params.options ? params.options.encoding : undefined)) 
+      throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed data');
+
+    if (method === 'transaction' && (!assert.isArray(params.ops) || params.ops.length === 0)) 
+      throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed ops');
+
 
     /**
      * Enforce form of contract as lowercase.  Filename enforcement is performed by BubbleFilename.
@@ -136,6 +325,7 @@ export class Guardian extends BubbleProvider {
      */
 
     if (method === 'unsubscribe') {
+      if (this.subscriptionWatcher) this.subscriptionWatcher.remove(params.subscriptionId);
       return this.dataServer.unsubscribe(params.subscriptionId, params.options)
         .then((response) => ({response}))
         .catch(_validateDataServerError);
@@ -146,14 +336,22 @@ export class Guardian extends BubbleProvider {
      * Recover signatory
      */
 
-    const signatory = await this._recoverSignatory(method, params);
+    const signatory = internalSignatory !== undefined ? internalSignatory : await this._recoverSignatory(method, params);
+
+
+    /**
+     * Record the nonce (only if replay protection is enabled).  Recorded against the signatory,
+     * after recovery, so that a forged or unsigned request cannot use up a genuine request's nonce.
+     */
+
+    await this._recordNonce(params, signatory);
 
 
     /** 
      * Get permissions from ACC
      */
 
-    const permissionBits = await this._getPermissions(params.contract, file.getPermissionedPart(), signatory);
+    const permissionBits = await this._getPermissions(params.contract, file.getPermissionedPart(), signatory, method);
     file.setPermissions(new BubblePermissions(permissionBits)); 
 
     /**
@@ -164,6 +362,15 @@ export class Guardian extends BubbleProvider {
       return { response, file, signatory, permissionBits };
     }
 
+    /**
+     * Pass a successfully serviced mutating request to the post-commit hooks
+     */
+
+    const _committed = (response, metadata) => {
+      this._runPostCommitHooks({method, params, file, signatory, permissions: file.permissions, response, internal: internalSignatory !== undefined, ...metadata});
+      return response;
+    }
+
     /**
      * Service getPermissions request regardless of whether or not the bubble has been terminated or whether
      * the permissions are valid.
@@ -191,7 +398,7 @@ export class Guardian extends BubbleProvider {
       const terminateOptions = (method === 'terminate') ? params.options : undefined;
       return this.dataServer.terminate(params.contract, terminateOptions)
         .then(() => {
-          if (method === 'terminate') return;
+          if (method === 'terminate') return _committed();
           else throw new BubbleError(ErrorCodes.BUBBLE_ERROR_BUBBLE_TERMINATED, 'bubble has been terminated');
         })
         .then(_buildResult)
@@ -220,6 +427,7 @@ export class Guardian extends BubbleProvider {
       case "create":
         if (file.isRoot() && file.permissions.canWrite()) {
           return this.dataServer.create(params.contract, params.options)
+            .then(_committed)
             .then(_buildResult)
             .catch(_validateDataServerError);
         }
@@ -229,6 +437,7 @@ export class Guardian extends BubbleProvider {
         if (params.data === undefined) throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'no data');
         else if (file.isFile() && file.permissions.canWrite())
           return this.dataServer.write(params.contract, file.fullFilename, params.data, params.options)
+            .then(_committed)
             .then(_buildResult)
             .catch(_validateDataServerError);
         else throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'permission denied');
@@ -237,6 +446,7 @@ export class Guardian extends BubbleProvider {
         if (params.data === undefined) throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'no data');
         else if (file.isFile() && (file.permissions.canAppend() || file.permissions.canWrite()))
           return this.dataServer.append(params.contract, file.fullFilename, params.data, params.options)
+            .then(_committed)
             .then(_buildResult)
             .catch(_validateDataServerError);
         else throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'permission denied');
@@ -245,6 +455,7 @@ export class Guardian extends BubbleProvider {
         if (file.permissions.canRead())
           return file.isDirectory()
             ? this.dataServer.list(params.contract, file.fullFilename, params.options)
+                .then(listing => this._filterRecursiveListing(params, file, signatory, listing))
                 .then(_buildResult)
                 .catch(_validateDataServerError)
             : this.dataServer.read(params.contract, file.fullFilename, params.options)
@@ -255,6 +466,7 @@ export class Guardian extends BubbleProvider {
       case "delete":
         if (!file.isRoot() && file.permissions.canWrite())
           return this.dataServer.delete(params.contract, file.fullFilename, params.options)
+            .then(_committed)
             .then(_buildResult)
             .catch(_validateDataServerError);
         else throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'permission denied');
@@ -262,6 +474,7 @@ export class Guardian extends BubbleProvider {
       case "mkdir":
         if (!file.isRoot() && file.isDirectory() && file.permissions.canWrite())
           return this.dataServer.mkdir(params.contract, file.fullFilename, params.options)
+            .then(_committed)
             .then(_buildResult)
             .catch(_validateDataServerError);
         else throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'permission denied');
@@ -269,19 +482,48 @@ export class Guardian extends BubbleProvider {
       case "list":
         if (file.permissions.canRead())
           return this.dataServer.list(params.contract, file.fullFilename, params.options)
+            .then(listing => this._filterRecursiveListing(params, file, signatory, listing))
             .then(_buildResult)
             .catch(_validateDataServerError);
         else throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'permission denied');
 
       case "subscribe":
         if (file.permissions.canRead()) {
-          const subscription = new ProtectedSubscription(this.blockchainProvider, params.contract, file, signatory, subscriptionListener);
+          const subscription = new ProtectedSubscription(this._getPermissionSource('notification'), params.contract, file, signatory, subscriptionListener);
           return this.dataServer.subscribe(params.contract, file.fullFilename, subscription.listener, params.options)
+            .then(response => {
+              if (this.subscriptionWatcher) this.subscriptionWatcher.add(response.subscriptionId, subscription);
+              return response;
+            })
             .then(_buildResult)
             .catch(_validateDataServerError);
         }
         else throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'permission denied');
 
+      case "transaction":
+        return this._validateTransaction(params, signatory)
+          .then(ops => this.dataServer.transaction(params.contract, ops, params.options).then(response => _committed(response, {ops})))
+          .then(_buildResult)
+          .catch(_validateDataServerError);
+
+      case "move":
+      case "copy":
+        // moving a file removes the source so requires write permission on the source as well as read
+        if (file.isFile() && file.permissions.canRead() && (method === 'copy' || file.permissions.canWrite()))
+          return this._validateDestination(method, params, file, signatory)
+            .then(to => this.dataServer[method](params.contract, file.fullFilename, to.fullFilename, params.options).then(response => _committed(response, {to})))
+            .then(_buildResult)
+            .catch(_validateDataServerError);
+        else throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'permission denied');
+
+      case "restore":
+        if (file.isFile() && file.permissions.canWrite())
+          return this.dataServer.restore(params.contract, file.fullFilename, params.options)
+            .then(_committed)
+            .then(_buildResult)
+            .catch(_validateDataServerError);
+        else throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'permission denied');
+
       case "terminate": // terminate is handled above if ACC has been terminated
         throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'permission denied');
 
@@ -291,6 +533,118 @@ export class Guardian extends BubbleProvider {
   }
 
 
+  /**
+   * Validates each operation of a transaction request and confirms the signatory is permitted to
+   * perform all of them.  Permissions are checked for every operation before any is serviced so
+   * that the transaction can be passed to the data server as a whole.
+   * 
+   * @returns promise to resolve the array of operations to pass to the data server
+   * @throws if any operation is malformed or is not permitted
+   */
+  async _validateTransaction(params, signatory) {
+
+    if (params.ops.length > this.maxBatchSize) 
+      throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, `transaction exceeds maximum size of ${this.maxBatchSize}`);
+
+    const files = params.ops.map((op, i) => {
+      const cause = `ops[${i}]`;
+      if (!assert.isObject(op))
+        throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed operation', {cause});
+      if (!TRANSACTION_OPERATIONS[op.method])
+        throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'operation not supported in a transaction: '+op.method, {cause});
+      if (!assert.isString(op.file) || !assert.isNotEmpty(op.file)) 
+        throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed file', {cause});
+      if (op.options && !assert.isObject(op.options)) 
+        throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed options', {cause});
+      if (op.options && op.options.encoding !== undefined && !DATA_ENCODINGS.includes(op.options.encoding)) 
+        throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed encoding', {cause});
+      if (op.data !== undefined && !assert.isEncodedData(op.data, op.options ? op.options.encoding : undefined)) 
+        throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed data', {cause});
+      if ((op.method === 'write' || op.method === 'append') && op.data === undefined)
+        throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'no data', {cause});
+      const file = new BubbleFilename(op.file);
+      if (!file.isValid()) throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed file', {cause});
+      return file;
+    });
+
+    const permissions = await Promise.all(files.map(file => this._getPermissions(params.contract, file.getPermissionedPart(), signatory, 'transaction')));
+
+    for (let i = 0; i < params.ops.length; i++) {
+      const op = params.ops[i];
+      const file = files[i];
+      file.setPermissions(new BubblePermissions(permissions[i]));
+      if (!file.isValid() || !TRANSACTION_OPERATIONS[op.method](file))
+        throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'permission denied', {cause: `ops[${i}]`});
+      for (const validator of this.requestValidators) {
+        await validator({method: op.method, params: {...params, file: op.file, data: op.data, options: op.options}, file, signatory, permissions: file.permissions});
+      }
+    }
+
+    return params.ops.map((op, i) => ({method: op.method, file: files[i].fullFilename, data: op.data, options: op.options}));
+  }
+
+
+  /**
+   * Validates the destination of a move or copy request and confirms the signatory has write 
+   * permission to it.  Request validators are run against the destination file.
+   * 
+   * @returns promise to resolve a BubbleFilename object constructed from params.to
+   * @throws if the destination is malformed, is the same as the source or is not permitted
+   */
+  async _validateDestination(method, params, file, signatory) {
+    const to = new BubbleFilename(params.to);
+    if (!to.isValid()) throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed to');
+    if (to.fullFilename === file.fullFilename) 
+      throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'source and destination are the same');
+    const permissionBits = await this._getPermissions(params.contract, to.getPermissionedPart(), signatory, method);
+    to.setPermissions(new BubblePermissions(permissionBits));
+    if (!to.isValid() || !to.isFile() || !to.permissions.canWrite())
+      throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'permission denied', {cause: 'to'});
+    for (const validator of this.requestValidators) {
+      await validator({method, params: {...params, file: params.to}, file: to, signatory, permissions: to.permissions});
+    }
+    return to;
+  }
+
+
+  /**
+   * Calls each post-commit hook with the given commit, logging any failure.
+   */
+  _runPostCommitHooks(commit) {
+    for (const hook of this.postCommitHooks) {
+      new Promise(resolve => resolve(hook(commit)))
+        .catch(error => console.warn('post-commit hook failed for', commit.method, 'request:', error));
+    }
+  }
+
+
+  /**
+   * A recursive listing of the root directory includes the contents of every sub-directory, each 
+   * of which has its own permissions.  Removes the contents of any sub-directory the signatory
+   * cannot read.  Paginated listings are filtered page by page, so a page may contain fewer 
+   * entries than requested.
+   * 
+   * @returns promise to resolve the filtered listing, in the same form as given
+   */
+  async _filterRecursiveListing(params, file, signatory, listing) {
+    if (!file.isRoot() || !params.options || !params.options.recursive) return listing;
+    const items = assert.isArray(listing) ? listing : assert.isObject(listing) ? listing.items : undefined;
+    if (!assert.isArray(items)) return listing;
+    const directoryOf = entry => {
+      const filename = new BubbleFilename(entry && entry.name);
+      return filename.isValid() && filename.hasDirectory() ? filename.getPermissionedPart() : undefined;
+    }
+    const directories = [...new Set(items.map(directoryOf).filter(dir => dir !== undefined))];
+    const permissions = await Promise.all(directories.map(dir => this._getPermissions(params.contract, dir, signatory, 'list')));
+    const readable = new Set(directories.filter((_, i) => new BubblePermissions(permissions[i]).canRead()));
+    const filtered = items.filter(entry => {
+      const dir = directoryOf(entry);
+      return dir === undefined || readable.has(dir);
+    });
+    return assert.isArray(listing) ? filtered : {...listing, items: filtered};
+  }
+
+
   /**
    * Validates the chain id and timestamp, and ensures params.file has a valid form
    * 
@@ -306,12 +660,6 @@ export class Guardian extends BubbleProvider {
     const file = new BubbleFilename(params.file || ROOT_PATH);
     if (!file.isValid()) throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed file');
     
-    /**
-     * Validate timestamp
-     */
-
-    // TODO
-
     /** 
      * Validate params.chainId
      */
@@ -319,10 +667,35 @@ export class Guardian extends BubbleProvider {
     if (params.chainId !== this.blockchainProvider.getChainId()) 
     throw new BubbleError(ErrorCodes.BUBBLE_ERROR_BLOCKCHAIN_NOT_SUPPORTED, 'blockchain not supported');
 
+    /**
+     * Validate timestamp (only if replay protection is enabled)
+     */
+
+    if (this.requestWindow !== undefined && Math.abs(Date.now() - params.timestamp) > this.requestWindow)
+      throw new BubbleError(ErrorCodes.BUBBLE_ERROR_REQUEST_EXPIRED, 'request expired');
+
     return file;
   }
 
 
+  /**
+   * Records the request's nonce for the given signatory if replay protection is enabled.
+   * 
+   * @throws if the signatory has already used the nonce or the nonce store is unavailable
+   */
+  async _recordNonce(params, signatory) {
+    if (this.requestWindow === undefined) return;
+    let isNewNonce;
+    try {
+      isNewNonce = await this.nonceStore.add(`${signatory}:${params.nonce}`, params.timestamp + this.requestWindow);
+    }
+    catch(error) {
+      throw new BubbleError(ErrorCodes.BUBBLE_ERROR_INTERNAL_ERROR, 'nonce store unavailable', {cause: error.message || error});
+    }
+    if (!isNewNonce) throw new BubbleError(ErrorCodes.BUBBLE_ERROR_REQUEST_REPLAYED, 'request replayed');
+  }
+
+
   /**
    * Recovers the signatory of the request. If a delegate is present then it is validated
    * and confirmed to delegate permission to the request signatory.
@@ -349,11 +722,67 @@ export class Guardian extends BubbleProvider {
   }
 
 
-  async _getPermissions(contract, file, signatory) {
-    return getPermissions(this.blockchainProvider, contract, file, signatory);
+  async _getPermissions(contract, file, signatory, method) {
+    return getPermissions(this._getPermissionSource(method), contract, file, signatory);
+  }
+
+
+  /**
+   * Returns the permission cache if the given operation may use cached permissions, otherwise
+   * the blockchain provider.
+   */
+  _getPermissionSource(operation) {
+    return this.permissionCache && this.cachedOperations.includes(operation) ? this.permissionCache : this.blockchainProvider;
+  }
+
+
+}
+
+
+/**
+ * Services a batch of requests in order using the given post function, capturing each response
+ * or error against the request id.  Requests without an id are JSON-RPC notifications and are
+ * omitted from the responses.
+ * 
+ * @param rpcs array of requests, each of the form `{id, method, params}`
+ * @param maxBatchSize the maximum number of requests permitted in the batch
+ * @param post function of the form `async (method, params) => result` used to service each request
+ * @returns Promise to resolve with an array of responses of the form `{id, result}` or `{id, error}`
+ * @throws if the batch is not an array, is empty or exceeds the maximum batch size
+ */
+
+export async function postBatch(rpcs, maxBatchSize, post) {
+  if (!assert.isArray(rpcs) || rpcs.length === 0)
+    throw new BubbleError(JSON_RPC_ERROR_INVALID_REQUEST, 'malformed batch');
+  if (rpcs.length > maxBatchSize)
+    throw new BubbleError(JSON_RPC_ERROR_INVALID_REQUEST, `batch exceeds maximum size of ${maxBatchSize}`);
+  const responses = [];
+  for (const rpc of rpcs) {
+    if (!assert.isObject(rpc)) {
+      responses.push({id: null, error: {code: JSON_RPC_ERROR_INVALID_REQUEST, message: 'malformed request'}});
+      continue;
+    }
+    // a request without an id is a notification so is serviced but receives no response
+    const {id} = rpc;
+    await post(rpc.method, rpc.params)
+      .then(result => id !== undefined && responses.push({id, result}))
+      .catch(error => id !== undefined && responses.push({id, error: toErrorObject(error)}));
   }
+  return responses;
+}
+
 
+/**
+ * Converts an error to a plain JSON-RPC error object.  Errors without a code are treated as
+ * internal errors.
+ */
 
+function toErrorObject(error = {}) {
+  return {
+    code: error.code === undefined ? ErrorCodes.BUBBLE_ERROR_INTERNAL_ERROR : error.code, 
+    message: error.message || String(error), 
+    cause: error.cause
+  };
 }
 
 
@@ -369,13 +798,14 @@ function _validateDataServerError(err = new BubbleError(ErrorCodes.BUBBLE_ERROR_
 /** 
  * Get permissions from the ACC
  * 
+ * @param permissionSource the blockchain provider or permission cache to get permissions from
  * @returns promise to resolve the permission bits
  * @throws if the blockchain cannot be reached or the contract is not an ACC
  */
 
-async function getPermissions(blockchainProvider, contract, file, signatory) {
+async function getPermissions(permissionSource, contract, file, signatory) {
   try {
-    return await blockchainProvider.getPermissions(contract, signatory, file);
+    return await permissionSource.getPermissions(contract, signatory, file);
   }
   catch(error) {
     if (error instanceof BubbleError) throw error;
@@ -398,8 +828,10 @@ async function getPermissions(blockchainProvider, contract, file, signatory) {
  */
 class ProtectedSubscription {
 
-  constructor(blockchainProvider, contract, file, signatory, clientListener) {
-    this.blockchainProvider = blockchainProvider;
+  terminated = false;
+
+  constructor(permissionSource, contract, file, signatory, clientListener) {
+    this.permissionSource = permissionSource;
     this.contract = contract;
     this.file = file;
     this.signatory = signatory;
@@ -409,11 +841,10 @@ class ProtectedSubscription {
 
   async listener(subscriptionId, result, error) {
     assert.isNotNull(subscriptionId, 'subscriptionId');
-    const permissionBits = await getPermissions(this.blockchainProvider, this.contract, this.file.getPermissionedPart(), this.signatory);
-    const permissions = new BubblePermissions(permissionBits);
+    if (this.terminated) return error;
+    const permissions = await this.getPermissions();
     if (!permissions.canRead()) {
-      const terminatedError = new BubbleError(ErrorCodes.BUBBLE_ERROR_SUBSCRIPTION_TERMINATED, 'permission denied - subscription terminated');
-      this.clientListener(subscriptionId, undefined, terminatedError);
+      this.terminate(subscriptionId);
       return error;
     }
     else {
@@ -421,4 +852,124 @@ class ProtectedSubscription {
     }
   }
 
+  /**
+   * @param permissionSource optional source to get the permissions from instead of the source
+   * given on construction
+   * @returns Promise to resolve with the subscriber's current BubblePermissions for the file
+   */
+  async getPermissions(permissionSource = this.permissionSource) {
+    const permissionBits = await getPermissions(permissionSource, this.contract, this.file.getPermissionedPart(), this.signatory);
+    return new BubblePermissions(permissionBits);
+  }
+
+  /**
+   * Informs the client that the subscription has been terminated.  Once terminated, no further 
+   * notifications are forwarded to the client.
+   */
+  terminate(subscriptionId) {
+    this.terminated = true;
+    const terminatedError = new BubbleError(ErrorCodes.BUBBLE_ERROR_SUBSCRIPTION_TERMINATED, 'permission denied - subscription terminated');
+    this.clientListener(subscriptionId, undefined, terminatedError);
+  }
+
+}
+
+
+/**
+ * Tracks a Guardian's open subscriptions by contract and watches the blockchain for changes that
+ * may affect them (see the Guardian's `watchSubscriptions` option).  When a watched contract may
+ * have changed, each of its subscriptions is re-checked with fresh permissions.  Subscriptions that
+ * are no longer permitted are terminated and unsubscribed from the data server.  If the contract
+ * reports that the bubble has been terminated then the bubble is deleted.
+ * 
+ * Contracts are only watched while they have open subscriptions.  Checks of the same contract do
+ * not overlap; a change reported during a check causes the contract to be checked again once the
+ * current check completes.
+ */
+class SubscriptionWatcher {
+
+  contracts = new Map();
+  subscriptionContracts = new Map();
+
+  constructor(guardian, mode) {
+    this.guardian = guardian;
+    this.mode = mode;
+  }
+
+  add(subscriptionId, subscription) {
+    const contract = subscription.contract;
+    let entry = this.contracts.get(contract);
+    if (!entry) {
+      entry = {subscriptions: new Map()};
+      this.contracts.set(contract, entry);
+      if (this.mode === 'log') entry.unwatch = this.guardian.blockchainProvider.onContractLogs(contract, () => this.check(contract));
+      else if (!this.unwatchBlocks) this.unwatchBlocks = this.guardian.blockchainProvider.onNewBlock(() => this.checkAll());
+    }
+    entry.subscriptions.set(subscriptionId, subscription);
+    this.subscriptionContracts.set(subscriptionId, contract);
+  }
+
+  remove(subscriptionId) {
+    const contract = this.subscriptionContracts.get(subscriptionId);
+    if (contract === undefined) return;
+    this.subscriptionContracts.delete(subscriptionId);
+    const entry = this.contracts.get(contract);
+    entry.subscriptions.delete(subscriptionId);
+    if (entry.subscriptions.size > 0) return;
+    this.contracts.delete(contract);
+    if (entry.unwatch) entry.unwatch();
+    if (this.contracts.size === 0 && this.unwatchBlocks) {
+      this.unwatchBlocks();
+      this.unwatchBlocks = undefined;
+    }
+  }
+
+  close() {
+    Array.from(this.subscriptionContracts.keys()).forEach(id => this.remove(id));
+  }
+
+  checkAll() {
+    return Promise.all(Array.from(this.contracts.keys(), contract => this.check(contract)));
+  }
+
+  check(contract) {
+    const entry = this.contracts.get(contract);
+    if (!entry) return Promise.resolve();
+    if (entry.checking) {
+      entry.recheck = true;
+      return entry.checking;
+    }
+    entry.checking = this._checkContract(contract, entry)
+      .finally(() => {
+        entry.checking = undefined;
+        if (entry.recheck) {
+          entry.recheck = false;
+          return this.check(contract);
+        }
+      });
+    return entry.checking;
+  }
+
+  async _checkContract(contract, entry) {
+    const {blockchainProvider, permissionCache, dataServer} = this.guardian;
+    if (permissionCache) permissionCache.invalidate(contract);
+    let bubbleTerminated = false;
+    await Promise.all(Array.from(entry.subscriptions, async ([subscriptionId, subscription]) => {
+      if (subscription.terminated) return this.remove(subscriptionId);
+      let permissions;
+      try {
+        permissions = await subscription.getPermissions(blockchainProvider);
+      }
+      catch(_) {
+        return;  // blockchain unavailable - the subscription will be checked again on the next change
+      }
+      if (permissions.bubbleTerminated()) bubbleTerminated = true;
+      if (permissions.canRead()) return;
+      this.remove(subscriptionId);
+      subscription.terminate(subscriptionId);
+      await dataServer.unsubscribe(subscriptionId).catch(() => {});
+    }));
+    if (bubbleTerminated) await dataServer.terminate(contract, {silent: true}).catch(() => {});
+  }
+
 }
@@ -0,0 +1,208 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { BubbleProvider, assert, BubbleError, ErrorCodes } from '@bubble-protocol/core';
+import { Guardian, postBatch, DEFAULT_MAX_BATCH_SIZE, JSON_RPC_ERROR_INVALID_REQUEST, JSON_RPC_ERROR_INVALID_METHOD_PARAMS } from './Guardian.js';
+import { NamespacedDataServer } from './NamespacedDataServer.js';
+import { PermissionCache } from './PermissionCache.js';
+
+
+/**
+ * Default bubble namespace used by the MultiChainGuardian.  Prefixes the contract address with the
+ * chain id, e.g. `137_0x1234...`.
+ */
+export function DEFAULT_CHAIN_NAMESPACE(chainId, contract) {
+  return `${chainId}_${contract}`;
+}
+
+
+/**
+ * Inverse of `DEFAULT_CHAIN_NAMESPACE`.  Returns the contract address of the given bubble id, or
+ * undefined if the bubble id does not belong to the given chain.
+ */
+export function DEFAULT_CHAIN_CONTRACT_OF(chainId, bubbleId) {
+  const prefix = `${chainId}_`;
+  return bubbleId.startsWith(prefix) ? bubbleId.slice(prefix.length) : undefined;
+}
+
+
+/**
+ * Guardian for a Bubble server that hosts bubbles on more than one blockchain.
+ *
+ * Holds a registry of blockchain providers, keyed by chain id, and routes each request to a
+ * dedicated Guardian for the request's `chainId`.  All Guardians share the same DataServer, with
+ * each chain's bubbles namespaced so that the same contract address on two chains does not collide.
+ */
+export class MultiChainGuardian extends BubbleProvider {
+
+  dataServer;
+  guardians = new Map();
+
+  /**
+   * @param _dataServer the data server shared by all chains
+   * @param _blockchainProviders array of blockchain providers, one per supported chain
+   * @param _requestValidators request validators passed to each chain's Guardian (@see Guardian)
+   * @param _options optional configuration.  Any Guardian options are passed to each chain's
+   * Guardian, except `permissionCache` which is chain specific.  In addition:
+   *   namespace: {Function} of the form `(chainId, contract) => String` returning the bubble id
+   *     to use with the data server.  Defaults to `DEFAULT_CHAIN_NAMESPACE`.
+   *   contractOf: {Function} inverse of `namespace`, of the form `(chainId, bubbleId) => String`,
+   *     used to enumerate each chain's bubbles (@see NamespacedDataServer).  Defaults to
+   *     `DEFAULT_CHAIN_CONTRACT_OF` if the default namespace is used.
+   *   defaultChainId: {Number} chain whose bubbles are stored under their plain contract address,
+   *     allowing an existing single-chain server to add chains without migrating its data.
+   *   permissionCacheOptions: {Object} if given, a PermissionCache is constructed for each chain
+   *     with these options (@see PermissionCache).
+   */
+  constructor(_dataServer, _blockchainProviders = [], _requestValidators, _options = {}) {
+    super();
+    this.dataServer = _dataServer;
+    this.requestValidators = [...(_requestValidators || [])];
+    this.postCommitHooks = [...(_options.postCommitHooks || [])];
+    this.options = _options;
+    this.namespace = _options.namespace || DEFAULT_CHAIN_NAMESPACE;
+    this.contractOf = _options.contractOf || (_options.namespace ? undefined : DEFAULT_CHAIN_CONTRACT_OF);
+    assert.isArray(_blockchainProviders, 'blockchainProviders');
+    _blockchainProviders.forEach(provider => this.addBlockchainProvider(provider));
+  }
+
+
+  /**
+   * Adds support for a new chain.
+   *
+   * @param {IBlockchainProvider} blockchainProvider the provider for the chain
+   * @returns {Guardian} the Guardian constructed for the chain
+   * @throws if the chain is already supported
+   */
+  addBlockchainProvider(blockchainProvider) {
+    const chainId = blockchainProvider.getChainId();
+    if (this.guardians.has(chainId)) throw new Error(`chain ${chainId} is already supported`);
+    const dataServer = chainId === this.options.defaultChainId
+      ? this.dataServer
+      : new NamespacedDataServer(
+          this.dataServer,
+          (contract) => this.namespace(chainId, contract),
+          this.contractOf && ((bubbleId) => this.contractOf(chainId, bubbleId))
+        );
+    const {namespace, contractOf, defaultChainId, permissionCacheOptions, postCommitHooks, ...guardianOptions} = this.options;
+    guardianOptions.postCommitHooks = this.postCommitHooks;
+    guardianOptions.permissionCache = permissionCacheOptions ? new PermissionCache(blockchainProvider, permissionCacheOptions) : undefined;
+    const guardian = new Guardian(dataServer, blockchainProvider, this.requestValidators, guardianOptions);
+    this.guardians.set(chainId, guardian);
+    return guardian;
+  }
+
+
+  /**
+   * @returns the Guardian for the given chain, or undefined if the chain is not supported
+   */
+  getGuardian(chainId) {
+    return this.guardians.get(chainId);
+  }
+
+
+  /**
+   * @returns array of supported chain ids
+   */
+  getChainIds() {
+    return Array.from(this.guardians.keys());
+  }
+
+
+  /**
+   * Routes the remote procedure call to the Guardian for the request's chain.
+   *
+   * @see Guardian.post
+   */
+  async post(method, params, subscriptionListener) {
+    return this._route(params).post(method, params, subscriptionListener);
+  }
+
+
+  /**
+   * Routes the remote procedure call to the Guardian for the request's chain.
+   *
+   * @see Guardian.postWithMetadata
+   */
+  async postWithMetadata(method, params, subscriptionListener) {
+    return this._route(params).postWithMetadata(method, params, subscriptionListener);
+  }
+
+
+  /**
+   * Routes the server's own request to the Guardian for the request's chain.
+   *
+   * @see Guardian.postAs
+   */
+  async postAs(signatory, method, params) {
+    return this._route(params).postAs(signatory, method, params);
+  }
+
+
+  /**
+   * Routes each request in the batch to the Guardian for the request's chain.
+   *
+   * @see Guardian.postAll
+   */
+  async postAll(rpcs, subscriptionListener) {
+    const maxBatchSize = this.options.maxBatchSize || DEFAULT_MAX_BATCH_SIZE;
+    return postBatch(rpcs, maxBatchSize, (method, params) => this.post(method, params, subscriptionListener));
+  }
+
+
+  /**
+   * Adds a request validator to every chain's Guardian, including those of chains added later.
+   * 
+   * @see Guardian.addRequestValidator
+   */
+  addRequestValidator(validator) {
+    assert.isFunction(validator, 'validator');
+    this.requestValidators.push(validator);
+    this.guardians.forEach(guardian => guardian.addRequestValidator(validator));
+  }
+
+
+  /**
+   * Adds a post-commit hook to every chain's Guardian, including those of chains added later.
+   * 
+   * @see Guardian.addPostCommitHook
+   */
+  addPostCommitHook(hook) {
+    assert.isFunction(hook, 'hook');
+    this.postCommitHooks.push(hook);
+    this.guardians.forEach(guardian => guardian.addPostCommitHook(hook));
+  }
+
+
+  /**
+   * Passes the closed subscription ids to every chain's Guardian.
+   *
+   * @see Guardian.releaseSubscriptions
+   */
+  releaseSubscriptions(subscriptionIds) {
+    this.guardians.forEach(guardian => guardian.releaseSubscriptions(subscriptionIds));
+  }
+
+
+  /**
+   * Closes every chain's Guardian.
+   *
+   * @see Guardian.close
+   */
+  close() {
+    this.guardians.forEach(guardian => guardian.close());
+  }
+
+
+  _route(params) {
+    if (!assert.isObject(params))
+      throw new BubbleError(JSON_RPC_ERROR_INVALID_REQUEST, 'malformed params');
+    if (!assert.isNumber(params.chainId))
+      throw new BubbleError(JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed chainId');
+    const guardian = this.guardians.get(params.chainId);
+    if (!guardian) throw new BubbleError(ErrorCodes.BUBBLE_ERROR_BLOCKCHAIN_NOT_SUPPORTED, 'blockchain not supported');
+    return guardian;
+  }
+
+}
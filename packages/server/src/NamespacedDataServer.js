@@ -0,0 +1,100 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { DataServer } from './DataServer.js';
+
+
+/**
+ * DataServer decorator that maps each contract address to a namespaced bubble id before passing
+ * the call to the underlying DataServer.  Used to share a single DataServer between several
+ * Guardians without their bubbles colliding, e.g. the same contract address on two chains.
+ *
+ * Calls that do not identify a bubble (`unsubscribe`) are passed through unchanged.  `listBubbles`
+ * is only supported if constructed with a `contractOf` function, in which case it lists only the
+ * bubbles within this namespace.
+ */
+export class NamespacedDataServer extends DataServer {
+
+  dataServer;
+  namespace;
+  contractOf;
+
+  /**
+   * @param {DataServer} _dataServer the underlying data server
+   * @param {Function} _namespace function of the form `(contract) => String` that returns the
+   * bubble id to use with the underlying data server.
+   * @param {Function} _contractOf optional inverse of `_namespace`, of the form `(bubbleId) => String`
+   * that returns the contract address of a namespaced bubble id, or undefined if the id is not
+   * within this namespace.  Required for `listBubbles`.
+   */
+  constructor(_dataServer, _namespace, _contractOf) {
+    super();
+    this.dataServer = _dataServer;
+    this.namespace = _namespace;
+    this.contractOf = _contractOf;
+  }
+
+  create(contract, options) {
+    return this.dataServer.create(this.namespace(contract), options);
+  }
+
+  write(contract, file, data, options) {
+    return this.dataServer.write(this.namespace(contract), file, data, options);
+  }
+
+  append(contract, file, data, options) {
+    return this.dataServer.append(this.namespace(contract), file, data, options);
+  }
+
+  read(contract, file, options) {
+    return this.dataServer.read(this.namespace(contract), file, options);
+  }
+
+  delete(contract, file, options) {
+    return this.dataServer.delete(this.namespace(contract), file, options);
+  }
+
+  mkdir(contract, file, options) {
+    return this.dataServer.mkdir(this.namespace(contract), file, options);
+  }
+
+  list(contract, file, options) {
+    return this.dataServer.list(this.namespace(contract), file, options);
+  }
+
+  subscribe(contract, file, listener, options) {
+    return this.dataServer.subscribe(this.namespace(contract), file, listener, options);
+  }
+
+  unsubscribe(subscriptionId, options) {
+    return this.dataServer.unsubscribe(subscriptionId, options);
+  }
+
+  transaction(contract, ops, options) {
+    return this.dataServer.transaction(this.namespace(contract), ops, options);
+  }
+
+  move(contract, file, to, options) {
+    return this.dataServer.move(this.namespace(contract), file, to, options);
+  }
+
+  copy(contract, file, to, options) {
+    return this.dataServer.copy(this.namespace(contract), file, to, options);
+  }
+
+  restore(contract, file, options) {
+    return this.dataServer.restore(this.namespace(contract), file, options);
+  }
+
+  terminate(contract, options) {
+    return this.dataServer.terminate(this.namespace(contract), options);
+  }
+
+  async listBubbles(options) {
+    if (!this.contractOf) throw new Error("NamespacedDataServer.listBubbles requires a contractOf function");
+    const page = await this.dataServer.listBubbles(options);
+    return {...page, items: page.items.map(this.contractOf).filter(contract => contract !== undefined)};
+  }
+
+}
@@ -1,9 +1,28 @@
 import { assert, BubbleError, ErrorCodes, BubbleFilename, ROOT_PATH } from '@bubble-protocol/core';
+import { BUBBLE_TRANSPORT_MODES, isBubbleContentId } from './notifiers/BubbleNotifier.js';
 
 
 export const NOTIFICATION_CONFIG_FILE = new BubbleFilename('0xb9f67f2a5b929a7c1f97864c755308c84d01d3764ba7d8061f6de8de52e0eec8');
 export const NOTIFICATION_OPERATIONS = ['write', 'append', 'delete', 'mkdir'];
 export const NOTIFICATION_MATCH_TYPES = ['exact', 'children', 'descendents'];
+export const NOTIFICATION_CONFIG_VERSIONS = [1, 2];
+
+const MAX_NOTIFICATION_PATTERN_LENGTH = 256;
+const MAX_NOTIFICATION_GLOB_WILDCARDS = 8;
+const MAX_NOTIFICATION_BATCH_WINDOW = 3600000;
+const MAX_NOTIFICATION_BATCH_SIZE = 1000;
+const DEFAULT_MAX_CACHED_CONFIGS = 1000;
+const DEFAULT_BATCH_SIZE = 100;
+const ADDRESS_REGEX = /^0x[0-9a-fA-F]{40}$/;
+const REGEX_SPECIAL_CHARACTERS = '\\^$.|?*+()[]{}';
+const REGEX_CLASS_ESCAPES = {
+  d: c => c >= '0' && c <= '9',
+  w: c => /\w/.test(c),
+  s: c => /\s/.test(c),
+  D: c => !(c >= '0' && c <= '9'),
+  W: c => !/\w/.test(c),
+  S: c => !/\s/.test(c)
+};
 
 
 /**
@@ -21,23 +40,51 @@ export const NOTIFICATION_MATCH_TYPES = ['exact', 'children', 'descendents'];
  * which paths and operations to notify the target about.  When a mutating operation occurs on the 
  * bubble, the notification manager checks the notification configuration and sends notifications to
  * the notifier function for any targets with matching path rules.
+ * 
+ * Version 2 of the configuration adds glob and regex patterns on the file part of a path, lists
+ * of signers to include or exclude, batching of a target's notifications, and the option to
+ * include the written data or the directory listing in each notification (see `v2Config` below).
+ * Version 1 configurations are still supported.
+ * 
+ * Parsed configurations are cached per bubble, with their path rules compiled into lookup tables.
+ * A bubble's cached configuration is invalidated when `validateRequest` sees a write or delete of
+ * its configuration file, and again when `notify` is called for that write or delete.  Hosts that
+ * modify the configuration file by other means must call `invalidate`.
+ * 
+ * Plug the notification manager into a Guardian with `attach`, so that notifications are only sent
+ * for mutating requests that the Guardian has permitted and the data server has serviced:
+ * 
+ *   const notificationManager = new NotificationManager(dataServer, SERVER_URL, notifier.notify);
+ *   notificationManager.attach(guardian);
  */
 export class NotificationManager {
 
   dataServer;
   providerUrl;
   notifier;
+  maxCachedConfigs;
+  configs = new Map();
+  reads = new Map();
+  batches = new Map();
 
   /**
    * @param {*} _dataServer the data server to retrieve notification config from
    * @param {*} _providerUrl the URL of this provider to specifify the content ID in notifications
-   * @param {*} _notifier the notifier function to send notifications with signature `(target as {id: string, transport: Object}, notification as Object) => void`
+   * @param {*} _notifier the notifier function to send notifications with signature `(target as {id: string, transport: Object}, notification as Object) => void`.
+   *   For webhook targets use the `notify` method of a `notifiers.WebhookNotifier`, and for bubble
+   *   targets a `notifiers.BubbleNotifier`.
+   * @param {Object} _options optional configuration:
+   *   maxCachedConfigs: {Number} maximum number of bubbles whose configuration is cached.  The
+   *     least recently used are evicted first.  Defaults to 1000.  Set to 0 to disable caching.
    */
-  constructor(_dataServer, _providerUrl, _notifier) {
+  constructor(_dataServer, _providerUrl, _notifier, _options = {}) {
     this.dataServer = _dataServer;
     this.providerUrl = _providerUrl;
     this.notifier = _notifier;
+    this.maxCachedConfigs = _options.maxCachedConfigs !== undefined ? _options.maxCachedConfigs : DEFAULT_MAX_CACHED_CONFIGS;
+    assert.isNumber(this.maxCachedConfigs, 'maxCachedConfigs');
     this.validateRequest = this.validateRequest.bind(this);
+    this.postCommit = this.postCommit.bind(this);
   }
 
 
@@ -52,6 +99,18 @@ export class NotificationManager {
   }
 
 
+  /**
+   * Registers `validateRequest` as a request validator and `postCommit` as a post-commit hook of
+   * the given Guardian.
+   * 
+   * @param {Guardian|MultiChainGuardian} guardian the Guardian whose requests are to be notified
+   */
+  attach(guardian) {
+    guardian.addRequestValidator(this.validateRequest);
+    guardian.addPostCommitHook(this.postCommit);
+  }
+
+
   /**
    * Validates a request to modify the notification config file.
    * 
@@ -61,13 +120,63 @@ export class NotificationManager {
    * @returns {void}
    */
   async validateRequest({method, params, file}) {
+    // a new bubble may reuse the contract of one that was deleted from the data server
+    if (method === 'create') this.invalidate(params.contract);
     if (!this.isReservedFile(file)) return;
-    if (method === 'append' || method === 'mkdir') {
+    // restore is rejected because the restored content cannot be validated here
+    if (method === 'append' || method === 'mkdir' || method === 'move' || method === 'copy' || method === 'restore') {
       throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, `${method} not supported for notification config`);
     }
     if (method === 'write') {
-      this._validateNotificationConfig(params.data);
-    }    
+      const encoding = params.options && params.options.encoding;
+      this._validateNotificationConfig(encoding ? Buffer.from(params.data, encoding).toString() : params.data);
+    }
+    if (method === 'write' || method === 'delete') this.invalidate(params.contract);
+  }
+
+
+  /**
+   * Drops the cached notification config of the given bubble, so that it is read afresh on the
+   * next notification.
+   * 
+   * @param {String} contract the bubble's contract address
+   */
+  invalidate(contract) {
+    contract = contract.toLowerCase();
+    this.configs.delete(contract);
+    this.reads.delete(contract);
+  }
+
+
+  /**
+   * Post-commit hook for the Guardian (@see Guardian.addPostCommitHook).  Notifies each change 
+   * made by a serviced request.  Each operation of a transaction is notified in turn, a move is
+   * notified as a delete of the source and a write of the destination, and a copy or restore as a
+   * write.  Requests made by the server itself via `postAs`, such as notifications delivered by a
+   * `BubbleNotifier`, are not notified so that bubbles cannot notify each other in a loop.
+   * 
+   * @param {Object} commit the serviced request, as passed to post-commit hooks
+   * @returns Promise to resolve once the notifications have been sent.  Never rejects.
+   */
+  async postCommit({method, params, file, signatory, to, ops, internal}) {
+    if (method === 'terminate') return this.invalidate(params.contract);
+    if (internal) return;
+    switch (method) {
+      case 'transaction':
+        for (const op of ops) {
+          await this.notify(op.method, {...params, file: op.file, data: op.data, options: op.options}, new BubbleFilename(op.file), signatory);
+        }
+        return;
+      case 'move':
+        await this.notify('delete', params, file, signatory);
+        return this.notify('write', {...params, file: params.to}, to, signatory);
+      case 'copy':
+        return this.notify('write', {...params, file: params.to}, to, signatory);
+      case 'restore':
+        return this.notify('write', params, file, signatory);
+      default:
+        if (NOTIFICATION_OPERATIONS.includes(method)) return this.notify(method, params, file, signatory);
+    }
   }
 
 
@@ -81,23 +190,28 @@ export class NotificationManager {
    * @param {Address} signatory the address of the signer
    */
   async notify(method, params, file, signatory) {
+    // the config may have been cached between the validation and completion of its modification
+    if (this.isReservedFile(file)) this.invalidate(params.contract);
     try {
-      const configJSON = await this.dataServer.read(params.contract, NOTIFICATION_CONFIG_FILE.fullFilename, {silent: true});
-      if (configJSON) {
-        try {
-          const config = JSON.parse(configJSON);
-          if (config && config.enabled) {
-            const targets = config.version === 1 ? v1Config.getNotificationTargets(config, method, file) : [];
-            if (targets.length > 0) {
-              const notification = this._buildNotification(method, params, file, signatory);
-              targets.forEach((t) => this.notifier(t, notification));
+      const config = await this._getConfig(params.contract);
+      if (config) {
+        const matches = config.getNotificationTargets(method, file, signatory);
+        if (matches.length > 0) {
+          const notification = this._buildNotification(method, params, file, signatory);
+          let listing;
+          for (const match of matches) {
+            let payload = notification;
+            if (match.includeData && params.data !== undefined) {
+              payload = {...payload, data: params.data, encoding: (params.options && params.options.encoding) || 'utf8'};
+            }
+            if (match.includeListing) {
+              if (listing === undefined) listing = await this._listDirectoryOf(params.contract, file);
+              if (listing !== null) payload = {...payload, listing};
             }
+            if (match.batch) this._batch(match, payload);
+            else this.notifier(match.target, payload);
           }
         }
-        catch(error) {
-          console.warn('invalid notification config JSON in contract', params.contract, 'skipping notifications');
-          return;
-        }
       }
     }
     catch(error) {
@@ -107,8 +221,103 @@ export class NotificationManager {
   }
 
 
+  /**
+   * Sends any batched notifications immediately instead of waiting for their batch windows to
+   * close.  Call before shutting down, since pending batches are held in memory.
+   */
+  flush() {
+    [...this.batches.keys()].forEach(key => this._flushBatch(key));
+  }
+
+
   // --- Internal functions ---
 
+  // Resolves the compiled notification config of the bubble, or undefined if it has none or it is
+  // disabled, invalid or of an unsupported version.  Reads the config only if it is not cached.
+  async _getConfig(contract) {
+    const key = contract.toLowerCase();
+    if (this.configs.has(key)) {
+      const cached = this.configs.get(key);
+      // re-insert to mark as most recently used
+      this.configs.delete(key);
+      this.configs.set(key, cached);
+      return cached;
+    }
+    const read = {};
+    this.reads.set(key, read);
+    let configJSON;
+    try {
+      configJSON = await this.dataServer.read(contract, NOTIFICATION_CONFIG_FILE.fullFilename, {silent: true});
+    }
+    catch(error) {
+      if (this.reads.get(key) === read) this.reads.delete(key);
+      throw error;
+    }
+    let compiled;
+    if (configJSON) {
+      try {
+        const config = JSON.parse(configJSON);
+        if (config && config.enabled && CONFIG_SCHEMAS[config.version]) compiled = CONFIG_SCHEMAS[config.version].compile(config);
+      }
+      catch(error) {
+        console.warn('invalid notification config JSON in contract', contract, 'skipping notifications');
+      }
+    }
+    // not cached if the bubble was invalidated during the read
+    if (this.reads.get(key) !== read) return compiled;
+    this.reads.delete(key);
+    if (this.maxCachedConfigs > 0) {
+      this.configs.set(key, compiled);
+      if (this.configs.size > this.maxCachedConfigs) this.configs.delete(this.configs.keys().next().value);
+    }
+    return compiled;
+  }
+
+
+  // Resolves the listing of the file's directory, or null if it cannot be listed (e.g. because
+  // the directory has been deleted).
+  async _listDirectoryOf(contract, file) {
+    const directory = file.hasDirectory() ? file.getPermissionedPart() : ROOT_PATH;
+    try {
+      return await this.dataServer.list(contract, directory);
+    }
+    catch(error) {
+      return null;
+    }
+  }
+
+
+  // Adds the notification to the target's pending batch.  The batch is sent when its window
+  // closes or it reaches its maximum size.  The window opens with the first notification of the
+  // batch or, if debouncing, restarts with each notification.
+  _batch(match, notification) {
+    const {chain, contract, provider} = notification.contentId;
+    const key = JSON.stringify([chain, contract, match.target.id]);
+    if (!this.batches.has(key)) this.batches.set(key, {target: match.target, contentId: {chain, contract, provider}, notifications: []});
+    const batch = this.batches.get(key);
+    batch.notifications.push(notification);
+    if (batch.notifications.length >= match.batch.maxSize) return this._flushBatch(key);
+    if (batch.timer && !match.batch.debounce) return;
+    clearTimeout(batch.timer);
+    batch.timer = setTimeout(() => this._flushBatch(key), match.batch.window);
+    if (batch.timer.unref) batch.timer.unref();
+  }
+
+
+  _flushBatch(key) {
+    const batch = this.batches.get(key);
+    if (!batch) return;
+    this.batches.delete(key);
+    clearTimeout(batch.timer);
+    this.notifier(batch.target, {
+      contentId: batch.contentId,
+      operation: 'batch',
+      timestamp: Date.now(),
+      notifications: batch.notifications
+    });
+  }
+
+
   // Builds a generic notification object for sending to the notifier.
   _buildNotification(method, params, file, signatory) {
     return {
@@ -141,7 +350,7 @@ export class NotificationManager {
       throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: 'config must be an object'});
     }
 
-    if (config.version !== 1) {
+    if (!NOTIFICATION_CONFIG_VERSIONS.includes(config.version)) {
       throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: 'unsupported version'});
     }
 
@@ -174,6 +383,14 @@ export class NotificationManager {
           throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} transport ${field} is invalid`});
         }
       });
+      if (target.transport.type === 'bubble') {
+        if (!isBubbleContentId(target.transport.contentId)) {
+          throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} transport contentId is invalid`});
+        }
+        if (target.transport.mode !== undefined && !BUBBLE_TRANSPORT_MODES.includes(target.transport.mode)) {
+          throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} transport mode is invalid`});
+        }
+      }
       if (!Array.isArray(target.paths)) {
         throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} paths must be an array`});
       }
@@ -199,10 +416,73 @@ export class NotificationManager {
             throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} path rule ${pathIndex} operation is invalid`});
           }
         });
+        if (config.version >= 2) this._validatePathRulePattern(target, pathRule, pathIndex);
       });
+      if (config.version >= 2) this._validateTargetOptions(target);
     });
   }
 
+
+  // Validates the file pattern of a v2 path rule.
+  _validatePathRulePattern(target, pathRule, pathIndex) {
+    if (pathRule.glob === undefined && pathRule.regex === undefined) return;
+    if (pathRule.glob !== undefined && pathRule.regex !== undefined) {
+      throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} path rule ${pathIndex} cannot have both a glob and a regex`});
+    }
+    const field = pathRule.glob !== undefined ? 'glob' : 'regex';
+    const pattern = pathRule[field];
+    if (!assert.isString(pattern) || !assert.isNotEmpty(pattern) || pattern.length > MAX_NOTIFICATION_PATTERN_LENGTH) {
+      throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} path rule ${pathIndex} ${field} is invalid`});
+    }
+    if (field === 'glob' && pattern.split('*').length - 1 > MAX_NOTIFICATION_GLOB_WILDCARDS) {
+      throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} path rule ${pathIndex} glob has more than ${MAX_NOTIFICATION_GLOB_WILDCARDS} * wildcards`});
+    }
+    if (field === 'regex') {
+      try {
+        compileRegex(pattern);
+      }
+      catch(error) {
+        throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} path rule ${pathIndex} regex is invalid: ${error.message}`});
+      }
+    }
+    if (pathRule.match !== 'children' && pathRule.match !== 'descendents') {
+      throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} path rule ${pathIndex} ${field} requires a children or descendents match`});
+    }
+  }
+
+
+  // Validates the signer, payload and batch options of a v2 target.
+  _validateTargetOptions(target) {
+    if (target.signers !== undefined) {
+      if (!assert.isObject(target.signers)) {
+        throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} signers must be an object`});
+      }
+      ['include', 'exclude'].forEach((list) => {
+        const signers = target.signers[list];
+        if (signers !== undefined && (!Array.isArray(signers) || !signers.every(signer => assert.isString(signer) && ADDRESS_REGEX.test(signer)))) {
+          throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} signers ${list} must be an array of addresses`});
+        }
+      });
+    }
+    ['includeData', 'includeListing'].forEach((option) => {
+      if (target[option] !== undefined && !assert.isBoolean(target[option])) {
+        throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} ${option} must be boolean`});
+      }
+    });
+    if (target.batch !== undefined) {
+      const {window, debounce, maxSize} = assert.isObject(target.batch) ? target.batch : {};
+      if (!Number.isInteger(window) || window < 1 || window > MAX_NOTIFICATION_BATCH_WINDOW) {
+        throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} batch window is invalid`});
+      }
+      if (debounce !== undefined && !assert.isBoolean(debounce)) {
+        throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} batch debounce must be boolean`});
+      }
+      if (maxSize !== undefined && (!Number.isInteger(maxSize) || maxSize < 1 || maxSize > MAX_NOTIFICATION_BATCH_SIZE)) {
+        throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'invalid notification config', {cause: `target ${target.id} batch maxSize is invalid`});
+      }
+    }
+  }
+
 }
 
 
@@ -238,25 +518,351 @@ const v1Config = {
   // }
   //
 
-  getNotificationTargets: (config, method, file) => {
+  // Rules without a match type match nothing, as they always have in version 1.
+  compile: (config) => {
     const targets = [];
+    const rules = [];
     (config.targets || []).forEach((target) => {
-      if (target.enabled) {
-        const notify = (target.paths || []).some((pathRule) => {
-          let isMatch = false;
-          if (pathRule.match === 'exact') isMatch = file.equals(pathRule.path);
-          else if (pathRule.match === 'children') {
-            isMatch = pathRule.path === ROOT_PATH ? !file.hasDirectory() : file.isChildOf(pathRule.path);
-          }
-          else if (pathRule.match === 'descendents') {
-            isMatch = pathRule.path === ROOT_PATH ? true : file.isChildOf(pathRule.path);
-          }
-          return isMatch && pathRule.operations.includes(method);
-        });
-        if (notify) targets.push({ id: target.id,transport: target.transport });
-      }
+      if (!target.enabled) return;
+      const targetIndex = targets.push({ target: { id: target.id, transport: target.transport } }) - 1;
+      (target.paths || []).forEach(({path, match, operations}) => {
+        if (match !== undefined) rules.push({targetIndex, path, match, operations});
+      });
+    });
+    const matchPathRules = compilePathRules(rules);
+    return {
+      getNotificationTargets: (method, file) => matchPathRules(method, file).map(i => targets[i])
+    };
+  }
+
+}
+
+
+const v2Config = {
+
+  // Example v2 notification config file content.  Version 2 extends version 1 with the following
+  // optional fields:
+  //
+  //   path rule `glob` or `regex`: only matches files whose file part (the filename within the
+  //     directory, or the hash of a file in the root directory) matches the pattern.  A glob
+  //     supports the `*` (at most 8) and `?` wildcards.  A regex supports the subset of the
+  //     RegExp syntax described at `compileRegex`.  Either must match the whole file part.
+  //     Requires a `children` or `descendents` match.
+  //   target `signers`: only notifies the target of requests signed by an address in `include`
+  //     (if given) and not in `exclude`.
+  //   target `includeData`: includes the written or appended `data` and its `encoding` in the
+  //     notification.
+  //   target `includeListing`: includes the `listing` of the file's directory (after the
+  //     operation) in the notification.
+  //   path rule `match`: defaults to `exact` (a version 1 rule without a match type matches
+  //     nothing).
+  //   target `batch`: collects the target's notifications for `window` ms and sends them as a
+  //     single notification with operation `batch`.  If `debounce` is true, the window restarts
+  //     with each notification.  A batch is sent early once it holds `maxSize` (default 100)
+  //     notifications.
+  //
+  // {
+  //   "version": 2,
+  //   "enabled": true,
+  //   "targets": [
+  //     {
+  //       "id": "imageIndexer",
+  //       "enabled": true,
+  //       "transport": {
+  //         "type": "webhook",
+  //         "url": "https://indexer.example.com/bubble-events",
+  //         "authRef": "indexer"
+  //       },
+  //       "paths": [
+  //         {
+  //           "path": "0x0000000000000000000000000000000000000000000000000000000000000002",
+  //           "match": "children",
+  //           "glob": "*.png",
+  //           "operations": ["write", "delete"]
+  //         }
+  //       ],
+  //       "signers": { "exclude": ["0x1111111111111111111111111111111111111111"] },
+  //       "includeListing": true,
+  //       "batch": { "window": 5000, "debounce": true, "maxSize": 50 }
+  //     }
+  //   ]
+  // }
+  //
+
+  compile: (config) => {
+    const targets = [];
+    const rules = [];
+    (config.targets || []).forEach((target) => {
+      if (!target.enabled) return;
+      const signers = target.signers || {};
+      const targetIndex = targets.push({
+        target: { id: target.id, transport: target.transport },
+        include: signers.include && new Set(signers.include.map(signer => signer.toLowerCase())),
+        exclude: new Set((signers.exclude || []).map(signer => signer.toLowerCase())),
+        includeData: target.includeData === true,
+        includeListing: target.includeListing === true,
+        batch: target.batch && {
+          window: target.batch.window,
+          debounce: target.batch.debounce === true,
+          maxSize: target.batch.maxSize || DEFAULT_BATCH_SIZE
+        }
+      }) - 1;
+      (target.paths || []).forEach(({path, match, operations, glob, regex}) => {
+        const pattern = regex !== undefined ? compileRegex(regex) : glob !== undefined ? compileGlob(glob) : undefined;
+        rules.push({targetIndex, path, match: match || 'exact', operations, pattern});
+      });
     });
-    return targets;
+    const matchPathRules = compilePathRules(rules);
+    return {
+      getNotificationTargets: (method, file, signatory) => {
+        const signer = assert.isString(signatory) ? signatory.toLowerCase() : undefined;
+        return matchPathRules(method, file)
+          .map(i => targets[i])
+          .filter(target => (!target.include || target.include.has(signer)) && !target.exclude.has(signer));
+      }
+    };
   }
 
 }
+
+
+const CONFIG_SCHEMAS = {1: v1Config, 2: v2Config};
+
+
+/**
+ * Compiles path rules into tables keyed by match type, operation and normalised path, so that the
+ * rules matching an operation are found by lookup rather than by testing every rule.
+ * 
+ * @param {Array} rules the path rules, each of the form `{targetIndex, path, match, operations, pattern}`
+ *   where `pattern` is an optional function `(filePart) => Boolean` that the file part of the
+ *   file must satisfy.
+ * @returns {Function} `(method, file) => Array` returning the indices of the targets with a rule
+ *   matching the operation, in ascending order without duplicates.
+ */
+function compilePathRules(rules) {
+  const tables = {exact: new Map(), children: new Map(), descendents: new Map()};
+  rules.forEach(({targetIndex, path, match, operations, pattern}) => {
+    const table = tables[match];
+    const normalisedPath = new BubbleFilename(path).fullFilename;
+    operations.forEach((operation) => {
+      if (!table.has(operation)) table.set(operation, new Map());
+      const paths = table.get(operation);
+      if (!paths.has(normalisedPath)) paths.set(normalisedPath, []);
+      paths.get(normalisedPath).push({targetIndex, pattern});
+    });
+  });
+  return (method, file) => {
+    const matches = new Set();
+    const filePart = file.getFilePart();
+    const lookup = (table, path) => {
+      ((tables[table].get(method) || new Map()).get(path) || []).forEach(({targetIndex, pattern}) => {
+        if (!pattern || pattern(filePart)) matches.add(targetIndex);
+      });
+    };
+    lookup('exact', file.fullFilename);
+    if (file.hasDirectory()) {
+      const directory = file.getPermissionedPart();
+      if (directory !== ROOT_PATH) {
+        lookup('children', directory);
+        lookup('descendents', directory);
+      }
+    }
+    else lookup('children', ROOT_PATH);
+    lookup('descendents', ROOT_PATH);
+    return [...matches].sort((a, b) => a - b);
+  };
+}
+
+
+// Compiles a glob supporting the `*` and `?` wildcards into a function that returns true if a
+// string matches the whole glob.  The segments between the `*` wildcards are each matched at their
+// leftmost position, which never needs to backtrack, so matching takes at most
+// O(string length x glob length) steps whatever the glob.
+function compileGlob(glob) {
+  const segments = glob.split('*');
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+  const middle = segments.slice(1, -1);
+  const matchesAt = (string, segment, index) => {
+    for (let i = 0; i < segment.length; i++) {
+      if (segment[i] !== '?' && segment[i] !== string[index + i]) return false;
+    }
+    return true;
+  };
+  return (string) => {
+    if (segments.length === 1) return string.length === glob.length && matchesAt(string, glob, 0);
+    const end = string.length - last.length;
+    if (end < first.length || !matchesAt(string, first, 0) || !matchesAt(string, last, end)) return false;
+    let index = first.length;
+    for (const segment of middle) {
+      while (index + segment.length <= end && !matchesAt(string, segment, index)) index++;
+      if (index + segment.length > end) return false;
+      index += segment.length;
+    }
+    return true;
+  };
+}
+
+
+// Compiles a regular expression into a function that returns true if a string matches the whole
+// expression.  Only a subset of the RegExp syntax is supported: literal and escaped characters,
+// `.`, character classes (`[a-z]`, `[^0-9]`, `\d`, `\w`, `\s` and their negations), groups,
+// alternation and the greedy `*`, `+` and `?` quantifiers.  A leading `^` and trailing `$` are
+// accepted but have no effect.  Backreferences, lookarounds, lazy quantifiers and counted
+// repetition are not supported.  The expression is compiled to a Thompson NFA whose states are all
+// stepped together, which never backtracks, so matching takes at most
+// O(string length x expression length) steps whatever the expression.
+// Throws if the expression is invalid or uses unsupported syntax.
+function compileRegex(source) {
+  let pos = 0;
+  const fail = (reason) => { throw new Error(`${reason} at position ${pos}`) };
+
+  // Parses the expression into a tree of `char`, `seq`, `alt` and quantifier (`*`, `+`, `?`) nodes
+
+  const parseAlternation = () => {
+    const branches = [parseSequence()];
+    while (source[pos] === '|') {
+      pos++;
+      branches.push(parseSequence());
+    }
+    return branches.length === 1 ? branches[0] : {type: 'alt', branches};
+  };
+
+  const parseSequence = () => {
+    const items = [];
+    while (pos < source.length && source[pos] !== '|' && source[pos] !== ')') {
+      const atom = parseAtom();
+      if (['*', '+', '?'].includes(source[pos])) {
+        if (!atom) fail('nothing to repeat');
+        items.push({type: source[pos++], node: atom});
+        if (['*', '+', '?', '{'].includes(source[pos])) fail('unsupported quantifier');
+      }
+      else if (atom) items.push(atom);
+    }
+    return {type: 'seq', items};
+  };
+
+  const parseAtom = () => {
+    const c = source[pos++];
+    if (c === '(') {
+      if (source[pos] === '?') fail('unsupported group');
+      const node = parseAlternation();
+      if (source[pos++] !== ')') fail('unterminated group');
+      return node;
+    }
+    if (c === '[') return {type: 'char', test: parseClass()};
+    if (c === '.') return {type: 'char', test: () => true};
+    if (c === '\\') return {type: 'char', test: toTest(parseEscape())};
+    if (c === '^' && pos === 1) return undefined;
+    if (c === '$' && pos === source.length) return undefined;
+    if (REGEX_SPECIAL_CHARACTERS.includes(c)) fail(`unsupported '${c}'`);
+    return {type: 'char', test: toTest(c)};
+  };
+
+  // Returns the escaped character, or the test function of a class escape such as `\d`
+  const parseEscape = () => {
+    const c = source[pos++];
+    if (c === undefined) fail('trailing \\');
+    if (REGEX_CLASS_ESCAPES[c]) return REGEX_CLASS_ESCAPES[c];
+    if (/[0-9a-zA-Z]/.test(c)) fail(`unsupported escape '\\${c}'`);
+    return c;
+  };
+
+  const parseClass = () => {
+    const negated = source[pos] === '^';
+    if (negated) pos++;
+    const tests = [];
+    while (source[pos] !== ']') {
+      if (pos >= source.length) fail('unterminated character class');
+      const from = source[pos] === '\\' ? (pos++, parseEscape()) : source[pos++];
+      if (assert.isString(from) && source[pos] === '-' && source[pos + 1] !== ']' && pos + 1 < source.length) {
+        pos++;
+        const to = source[pos] === '\\' ? (pos++, parseEscape()) : source[pos++];
+        if (!assert.isString(to) || to < from) fail('invalid character class range');
+        tests.push(c => c >= from && c <= to);
+      }
+      else tests.push(toTest(from));
+    }
+    pos++;
+    if (tests.length === 0) fail('empty character class');
+    return c => tests.some(test => test(c)) !== negated;
+  };
+
+  const toTest = (charOrTest) => assert.isString(charOrTest) ? (c => c === charOrTest) : charOrTest;
+
+  const tree = parseAlternation();
+  if (pos < source.length) fail(`unmatched ')'`);
+
+  // Compiles the tree into a program of `{test}`, `{jump}`, `{split}` and `{match}` instructions
+
+  const program = [];
+  const emit = (node) => {
+    switch (node.type) {
+      case 'char':
+        program.push({test: node.test});
+        break;
+      case 'seq':
+        node.items.forEach(emit);
+        break;
+      case 'alt': {
+        const jumps = [];
+        node.branches.forEach((branch, i) => {
+          if (i === node.branches.length - 1) return emit(branch);
+          const split = {split: [program.length + 1]};
+          program.push(split);
+          emit(branch);
+          jumps.push(program.push({}) - 1);
+          split.split.push(program.length);
+        });
+        jumps.forEach(jump => program[jump].jump = program.length);
+        break;
+      }
+      case '*': {
+        const start = program.length;
+        const split = {split: [start + 1]};
+        program.push(split);
+        emit(node.node);
+        program.push({jump: start});
+        split.split.push(program.length);
+        break;
+      }
+      case '+': {
+        const start = program.length;
+        emit(node.node);
+        program.push({split: [start, program.length + 1]});
+        break;
+      }
+      case '?': {
+        const split = {split: [program.length + 1]};
+        program.push(split);
+        emit(node.node);
+        split.split.push(program.length);
+        break;
+      }
+    }
+  };
+  emit(tree);
+  program.push({match: true});
+
+  // Adds the instruction to the list of states, following any jumps and splits
+  const follow = (pc, states, seen) => {
+    if (seen.has(pc)) return;
+    seen.add(pc);
+    const {jump, split} = program[pc];
+    if (jump !== undefined) follow(jump, states, seen);
+    else if (split) split.forEach(next => follow(next, states, seen));
+    else states.push(pc);
+  };
+
+  return (string) => {
+    let states = [];
+    follow(0, states, new Set());
+    for (let i = 0; i < string.length && states.length > 0; i++) {
+      const next = [];
+      const seen = new Set();
+      states.forEach(pc => { if (program[pc].test && program[pc].test(string[i])) follow(pc + 1, next, seen) });
+      states = next;
+    }
+    return states.some(pc => program[pc].match);
+  };
+}
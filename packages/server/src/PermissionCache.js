@@ -0,0 +1,116 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { assert } from '@bubble-protocol/core';
+
+const DEFAULT_TTL = 10000;
+const DEFAULT_MAX_ENTRIES = 10000;
+
+
+/**
+ * Caches the results of `IBlockchainProvider.getPermissions` keyed by (contract, account, file).
+ *
+ * Has the same `getPermissions` signature as a blockchain provider so it can be used anywhere a
+ * provider is used to get permissions.  Concurrent requests for the same key share a single call
+ * to the blockchain.  Failed calls are not cached.
+ *
+ * Pass to a Guardian via its `permissionCache` option.  The Guardian decides which operations are
+ * served from the cache (see the Guardian's `cachedOperations` option).
+ */
+export class PermissionCache {
+
+  blockchainProvider;
+  ttl;
+  maxEntries;
+  entries = new Map();
+  hits = 0;
+  misses = 0;
+
+  /**
+   * @param {IBlockchainProvider} _blockchainProvider the provider to fetch permissions from
+   * @param {Object} options optional configuration:
+   *   ttl: {Number} time (ms) a cached permission remains valid.  Defaults to 10s.
+   *   maxEntries: {Number} maximum number of cached entries. The oldest are evicted first.
+   *   invalidateOnBlock: {boolean} clear the cache whenever the blockchain provider reports a new
+   *     block.  Requires the provider to implement `onNewBlock`.
+   */
+  constructor(_blockchainProvider, options={}) {
+    this.blockchainProvider = _blockchainProvider;
+    this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_TTL;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    assert.isNumber(this.ttl, 'ttl');
+    assert.isNumber(this.maxEntries, 'maxEntries');
+    if (options.invalidateOnBlock) {
+      this._unwatchBlocks = this.blockchainProvider.onNewBlock(() => this.clear());
+    }
+  }
+
+  /**
+   * Returns the cached permissions for the given key if present and unexpired, otherwise fetches
+   * them from the blockchain provider and caches the result.
+   *
+   * @returns Promise to return a BigInt containing the permission bits
+   */
+  async getPermissions(contract, account, file) {
+    const key = toKey(contract, account, file);
+    const entry = this.entries.get(key);
+    if (entry && entry.expiry > Date.now()) {
+      this.hits++;
+      return entry.permissions;
+    }
+    this.misses++;
+    const permissions = this.blockchainProvider.getPermissions(contract, account, file);
+    this._set(key, permissions);
+    try {
+      return await permissions;
+    }
+    catch(error) {
+      if (this.entries.get(key) && this.entries.get(key).permissions === permissions) this.entries.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Invalidates cached permissions.  If a contract is given then only entries for that contract
+   * are invalidated, otherwise the whole cache is cleared.
+   *
+   * @param {String} contract optional contract address
+   */
+  invalidate(contract) {
+    if (contract === undefined) return this.clear();
+    const prefix = contract.toLowerCase()+':';
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Clears the whole cache.
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Stops watching for new blocks, if configured to do so.
+   */
+  close() {
+    if (this._unwatchBlocks) this._unwatchBlocks();
+    this._unwatchBlocks = undefined;
+  }
+
+  _set(key, permissions) {
+    this.entries.delete(key);
+    while (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, {permissions, expiry: Date.now() + this.ttl});
+  }
+
+}
+
+
+function toKey(contract, account, file) {
+  return `${contract.toLowerCase()}:${account.toLowerCase()}:${file}`;
+}
@@ -0,0 +1,156 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { assert, BubblePermissions, ROOT_PATH } from '@bubble-protocol/core';
+
+const DEFAULT_INTERVAL = 3600000;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_PAGE_SIZE = 100;
+
+
+/**
+ * Background service that deletes the data of bubbles whose contracts have been terminated.
+ *
+ * The Guardian only deletes a terminated bubble when a client next sends a request to it.  The
+ * sweeper closes that gap by periodically enumerating the bubbles hosted by the data server
+ * (see `DataServer.listBubbles`), querying each contract's root permissions as the public
+ * signatory and calling `DataServer.terminate` for any bubble whose contract reports that it has
+ * been terminated.
+ *
+ * Bubble ids that are not valid contract addresses for the blockchain provider (e.g. bubbles
+ * belonging to another chain on a shared data server) are skipped.
+ *
+ * Each sweep produces a report of the form:
+ *
+ *   {
+ *     started: {Number} time (ms) the sweep started
+ *     finished: {Number} time (ms) the sweep finished
+ *     checked: {Number} number of bubbles whose permissions were queried
+ *     skipped: {Number} number of bubble ids that were not valid contract addresses
+ *     terminated: {Array} ids of the bubbles that were deleted
+ *     errors: {Array} of `{contract, error}` for each bubble that could not be checked or deleted
+ *   }
+ */
+export class TerminatedBubbleSweeper {
+
+  dataServer;
+  blockchainProvider;
+  interval;
+  concurrency;
+  pageSize;
+  lastReport;
+
+  /**
+   * @param {DataServer} _dataServer the data server to sweep.  Must implement `listBubbles`.
+   * @param {IBlockchainProvider} _blockchainProvider the provider for the chain hosting the bubbles
+   * @param {Object} options optional configuration:
+   *   interval: {Number} time (ms) between the end of one sweep and the start of the next.
+   *     Defaults to 1 hour.
+   *   concurrency: {Number} maximum number of bubbles checked or deleted at once.  Defaults to 4.
+   *   pageSize: {Number} number of bubble ids requested from the data server at a time.  Defaults
+   *     to 100.
+   *   signatory: {String} account used to query permissions.  Defaults to the blockchain
+   *     provider's public signatory (see `IBlockchainProvider.getPublicSignatory`).
+   *   onReport: {Function} called with the report at the end of each sweep.
+   *   onError: {Function} called if a scheduled sweep fails, e.g. if the data server cannot list
+   *     its bubbles.  Defaults to logging the error.
+   */
+  constructor(_dataServer, _blockchainProvider, options={}) {
+    this.dataServer = _dataServer;
+    this.blockchainProvider = _blockchainProvider;
+    this.interval = options.interval !== undefined ? options.interval : DEFAULT_INTERVAL;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+    this.signatory = options.signatory;
+    this.onReport = options.onReport;
+    this.onError = options.onError || (error => console.error('terminated bubble sweep failed', error));
+    assert.isNumber(this.interval, 'interval');
+    assert.isNumber(this.concurrency, 'concurrency');
+    assert.isNumber(this.pageSize, 'pageSize');
+  }
+
+  /**
+   * Starts sweeping.  The first sweep runs immediately, then every `interval` ms.  Does nothing
+   * if already started.
+   */
+  start() {
+    if (this._running) return;
+    this._running = true;
+    this._runScheduledSweep();
+  }
+
+  /**
+   * Stops sweeping.  A sweep that is in progress is allowed to complete.
+   */
+  stop() {
+    this._running = false;
+    clearTimeout(this._timer);
+    this._timer = undefined;
+  }
+
+  /**
+   * Sweeps all bubbles once.  If a sweep is already in progress then resolves with the result of
+   * that sweep.
+   *
+   * @returns Promise to resolve with the sweep report
+   * @throws Rejects if the data server cannot list its bubbles
+   */
+  sweep() {
+    if (!this._sweep) this._sweep = this._sweepAll().finally(() => { this._sweep = undefined });
+    return this._sweep;
+  }
+
+  async _sweepAll() {
+    const report = {started: Date.now(), checked: 0, skipped: 0, terminated: [], errors: []};
+    const signatory = this.signatory || this.blockchainProvider.getPublicSignatory();
+    let cursor;
+    do {
+      const page = await this.dataServer.listBubbles({limit: this.pageSize, cursor});
+      const contracts = page.items.filter(contract => this.blockchainProvider.validateContract(contract));
+      report.skipped += page.items.length - contracts.length;
+      await runConcurrently(contracts, this.concurrency, contract => this._sweepBubble(contract, signatory, report));
+      cursor = page.nextCursor;
+    } while (cursor !== undefined);
+    report.finished = Date.now();
+    this.lastReport = report;
+    if (this.onReport) this.onReport(report);
+    return report;
+  }
+
+  async _sweepBubble(contract, signatory, report) {
+    try {
+      const permissions = await this.blockchainProvider.getPermissions(contract, signatory, ROOT_PATH);
+      report.checked++;
+      if (!new BubblePermissions(permissions).bubbleTerminated()) return;
+      await this.dataServer.terminate(contract, {silent: true});
+      report.terminated.push(contract);
+    }
+    catch(error) {
+      report.errors.push({contract, error});
+    }
+  }
+
+  _runScheduledSweep() {
+    this.sweep()
+      .catch(this.onError)
+      .finally(() => {
+        if (!this._running) return;
+        this._timer = setTimeout(() => this._runScheduledSweep(), this.interval);
+        if (this._timer.unref) this._timer.unref();
+      });
+  }
+
+}
+
+
+/**
+ * Calls `fn` for each item, running at most `concurrency` calls at once.
+ */
+async function runConcurrently(items, concurrency, fn) {
+  let next = 0;
+  async function worker() {
+    while (next < items.length) await fn(items[next++]);
+  }
+  await Promise.all(Array.from({length: Math.min(concurrency, items.length)}, worker));
+}
@@ -157,6 +157,23 @@ export class EVMProvider extends IBlockchainProvider{
     return delegation.signatory;
   }
 
+  getPublicSignatory() {
+    return PUBLIC_SIGNATORY;
+  }
+
+  onNewBlock(listener) {
+    const blockListener = (blockNumber) => listener(blockNumber);
+    this.provider.on('block', blockListener);
+    return () => { this.provider.off('block', blockListener) };
+  }
+
+  onContractLogs(contract, listener) {
+    const filter = {address: contract};
+    const logListener = (log) => listener(log.blockNumber);
+    this.provider.on(filter, logListener);
+    return () => { this.provider.off(filter, logListener) };
+  }
+
   validateContract(contract) {
     return VALID_EVM_CONTRACT_ADDRESS_REGEX.test(contract);
   }
@@ -54,6 +54,41 @@ export class IBlockchainProvider {
     throw new Error('BlockchainProvider.recoverSignature is a virtual function and must be implemented');
   }
 
+  /**
+   * Optional. Returns the signatory that `recoverSignatory` returns for a request with a `public`
+   * signature.  Used by server-side services, such as the `TerminatedBubbleSweeper`, that query a
+   * contract's permissions without a client request.
+   * 
+   * @returns the public signatory in the format appropriate to this blockchain
+   */
+  getPublicSignatory() {
+    throw new Error('BlockchainProvider.getPublicSignatory is not supported by this provider');
+  }
+
+  /**
+   * Optional. Registers a listener to be called whenever a new block is produced.  Used by 
+   * components that cache on-chain state, such as the `PermissionCache`.
+   * 
+   * @param {Function} listener function of the form `(blockNumber) => void`
+   * @returns a function that, when called, removes the listener
+   */
+  onNewBlock(listener) {
+    throw new Error('BlockchainProvider.onNewBlock is not supported by this provider');
+  }
+
+  /**
+   * Optional. Registers a listener to be called whenever the given contract emits a log (event).
+   * Used by the Guardian to re-check subscriptions to a bubble as soon as its contract's state
+   * changes (see the Guardian's `watchSubscriptions` option).
+   * 
+   * @param {string} contract the contract id (address) to watch
+   * @param {Function} listener function of the form `(blockNumber) => void`
+   * @returns a function that, when called, removes the listener
+   */
+  onContractLogs(contract, listener) {
+    throw new Error('BlockchainProvider.onContractLogs is not supported by this provider');
+  }
+
   /**
    * Returns true if the given contract id (address) is valid for this blockchain.
    * 
@@ -0,0 +1,217 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { assert, ROOT_PATH } from '@bubble-protocol/core';
+import { DataServer } from '../DataServer.js';
+import { parentOf, checkReadOptions, readRangeOf, decode, encode } from './common.js';
+
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+const CACHEABLE_READ_OPTIONS = ['offset', 'length', 'tail', 'encoding', 'silent'];
+
+
+/**
+ * DataServer decorator that caches file contents and listings in memory, evicting the least
+ * recently used entries to stay within a byte budget.
+ *
+ * A file is cached when it is read in full and is then used to service any read of that file,
+ * including ranged reads and reads with a different encoding.  Ranged reads of a file that is not
+ * cached are passed to the underlying server without populating the cache, so that streaming a
+ * large file does not read it in full.  Reads of a retained version are not cached.
+ *
+ * A listing is cached for the file or directory and options it was requested with.
+ *
+ * Entries are invalidated when a request through the decorator changes the file, its directory or
+ * the bubble.  A mutation of a file invalidates the file, its parent directory and the root
+ * directory (whose recursive and directory entries may include it).  Any other change to the
+ * underlying server, e.g. by another process, is not seen until `clear` is called.
+ *
+ * The `hits` and `misses` counters count the reads and listings serviced from and not from the
+ * cache.
+ */
+export class CachingDataServer extends DataServer {
+
+  dataServer;
+  maxBytes;
+  hits = 0;
+  misses = 0;
+  bytes = 0;
+  entries = new Map();
+  bubbles = new Map();
+  generations = new Map();
+
+  /**
+   * @param {DataServer} _dataServer the underlying data server
+   * @param {Object} options optional options:
+   *   maxBytes: {Number} the maximum total size of the cached file contents and listings, in
+   *     bytes.  Defaults to 64 MiB.
+   */
+  constructor(_dataServer, options={}) {
+    super();
+    this.dataServer = _dataServer;
+    this.maxBytes = options.maxBytes !== undefined ? options.maxBytes : DEFAULT_MAX_BYTES;
+    assert.isNumber(this.maxBytes, 'maxBytes');
+  }
+
+  create(contract, options) {
+    return this._mutate(contract, undefined, this.dataServer.create(contract, options));
+  }
+
+  write(contract, file, data, options) {
+    return this._mutate(contract, [file], this.dataServer.write(contract, file, data, options));
+  }
+
+  append(contract, file, data, options) {
+    return this._mutate(contract, [file], this.dataServer.append(contract, file, data, options));
+  }
+
+  async read(contract, file, options={}) {
+    if (Object.keys(options).some(option => !CACHEABLE_READ_OPTIONS.includes(option))) return this.dataServer.read(contract, file, options);
+    checkReadOptions(options);
+    const key = readKey(contract, file);
+    const cached = this._get(key);
+    if (cached) {
+      this.hits++;
+      const {start, end} = readRangeOf(cached.length, options);
+      return encode(cached.subarray(start, end), options.encoding);
+    }
+    this.misses++;
+    if (options.offset !== undefined || options.length !== undefined || options.tail !== undefined || options.silent) {
+      return this.dataServer.read(contract, file, options);
+    }
+    const generation = this._generation(contract);
+    const contents = decode(await this.dataServer.read(contract, file, {encoding: 'base64'}), 'base64');
+    if (this._generation(contract) === generation) this._set(key, {contract, file, value: contents, size: contents.length});
+    return encode(contents, options.encoding);
+  }
+
+  delete(contract, file, options) {
+    return this._mutate(contract, [file], this.dataServer.delete(contract, file, options));
+  }
+
+  mkdir(contract, file, options) {
+    return this._mutate(contract, [file], this.dataServer.mkdir(contract, file, options));
+  }
+
+  async list(contract, file, options={}) {
+    const key = listKey(contract, file, options);
+    const cached = this._get(key);
+    if (cached) {
+      this.hits++;
+      return JSON.parse(cached.json);
+    }
+    this.misses++;
+    const generation = this._generation(contract);
+    const listing = await this.dataServer.list(contract, file, options);
+    if (this._generation(contract) === generation) {
+      // held as JSON so that each hit resolves a copy the caller is free to modify
+      const json = JSON.stringify(listing);
+      this._set(key, {contract, file, listing: true, value: {json}, size: key.length + json.length});
+    }
+    return listing;
+  }
+
+  subscribe(contract, file, listener, options) {
+    return this.dataServer.subscribe(contract, file, listener, options);
+  }
+
+  unsubscribe(subscriptionId, options) {
+    return this.dataServer.unsubscribe(subscriptionId, options);
+  }
+
+  transaction(contract, ops, options) {
+    const files = Array.isArray(ops) ? ops.map(op => op.file) : undefined;
+    return this._mutate(contract, files, this.dataServer.transaction(contract, ops, options));
+  }
+
+  move(contract, file, to, options) {
+    return this._mutate(contract, [file, to], this.dataServer.move(contract, file, to, options));
+  }
+
+  copy(contract, file, to, options) {
+    return this._mutate(contract, [file, to], this.dataServer.copy(contract, file, to, options));
+  }
+
+  restore(contract, file, options) {
+    return this._mutate(contract, [file], this.dataServer.restore(contract, file, options));
+  }
+
+  terminate(contract, options) {
+    return this._mutate(contract, undefined, this.dataServer.terminate(contract, options));
+  }
+
+  listBubbles(options) {
+    return this.dataServer.listBubbles(options);
+  }
+
+  /**
+   * Drops all cached entries.  The hit and miss counters are unchanged.
+   */
+  clear() {
+    this.generations.forEach((generation, contract) => this.generations.set(contract, generation + 1));
+    this.entries.clear();
+    this.bubbles.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Invalidates the entries affected by a mutation of the given files (or of the whole bubble if
+   * `files` is undefined) once the mutation has completed, whether or not it succeeded.  Reads
+   * that were in progress during the mutation do not populate the cache.
+   */
+  _mutate(contract, files, promise) {
+    return promise.finally(() => {
+      this.generations.set(contract, this._generation(contract) + 1);
+      const keys = this.bubbles.get(contract);
+      if (!keys) return;
+      const dirs = files && new Set([ROOT_PATH, ...files.map(parentOf)]);
+      for (const key of keys) {
+        const {file, listing} = this.entries.get(key);
+        if (!files || files.includes(file) || files.includes(parentOf(file)) || (listing && dirs.has(file))) this._delete(key);
+      }
+    });
+  }
+
+  _generation(contract) {
+    return this.generations.get(contract) || 0;
+  }
+
+  _get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    // re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  _set(key, entry) {
+    if (entry.size > this.maxBytes) return;
+    this._delete(key);
+    this.entries.set(key, entry);
+    this.bytes += entry.size;
+    if (!this.bubbles.has(entry.contract)) this.bubbles.set(entry.contract, new Set());
+    this.bubbles.get(entry.contract).add(key);
+    while (this.bytes > this.maxBytes) this._delete(this.entries.keys().next().value);
+  }
+
+  _delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    const keys = this.bubbles.get(entry.contract);
+    keys.delete(key);
+    if (keys.size === 0) this.bubbles.delete(entry.contract);
+  }
+
+}
+
+
+function readKey(contract, file) {
+  return 'read\0'+contract+'\0'+file;
+}
+
+function listKey(contract, file, options) {
+  return 'list\0'+contract+'\0'+file+'\0'+JSON.stringify(options);
+}
@@ -0,0 +1,500 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { BubbleError, ErrorCodes, ROOT_PATH } from '@bubble-protocol/core';
+import { DataServer } from '../DataServer.js';
+import { MemoryKeyValueStore } from '../key-value-stores/MemoryKeyValueStore.js';
+import { KeyedLock, parentOf, checkEncoding, checkReadOptions, readRangeOf, decode, encode } from './common.js';
+
+const STORED_ENCODING = 'base64';
+const DATA_KEY_LENGTH = 32;
+const FILE_ID_LENGTH = 16;
+const LENGTH_FIELD_LENGTH = 4;
+const INDEX_FIELD_LENGTH = 4;
+const HEADER_LENGTH = LENGTH_FIELD_LENGTH + INDEX_FIELD_LENGTH;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const RECORD_OVERHEAD = HEADER_LENGTH + IV_LENGTH + TAG_LENGTH;
+
+
+/**
+ * DataServer decorator that encrypts file contents at rest, independently of any client-side
+ * encryption.  Each bubble has its own random AES-256 data key, generated when the bubble is
+ * created.  Data keys are wrapped by the host's master key via an `IKeyProvider` and the wrapped
+ * keys are held in an `IKeyValueStore`.
+ *
+ * Each `write` or `append` is stored in the underlying data server as a record of the form:
+ *
+ *   <plaintext length (4 bytes)><record index (4 bytes)><iv (12 bytes)><ciphertext><auth tag (16 bytes)>
+ *
+ * encrypted with AES-256-GCM.  An append adds a record to the file so the underlying server still
+ * services (and notifies) an append.  Directory structure, filenames and timestamps are not
+ * encrypted.
+ *
+ * The stored file is untrusted, so each record is bound to its place in the bubble.  Each file
+ * has a random id, and the record's header, the bubble's contract and the file's id are
+ * authenticated as additional data.  The file's id and record count (its seal) are held in the
+ * key store, which the host trusts, and are updated once the underlying server has serviced each
+ * request.  A file whose records have been swapped with another file's, reordered or truncated
+ * therefore fails to decrypt.  A file keeps its id when it is written, appended or deleted, and a
+ * move carries the id to the destination.  A copy is re-encrypted under the destination's id, so
+ * no two files share an id.  Retained versions (see version history) are checked against the
+ * file's current id but not its record count, and cannot be decrypted once a move or copy has
+ * replaced the file's id.
+ *
+ * Lengths and hashes reported by the underlying server are of the stored records, so they are
+ * replaced by those of the plaintext.  These cannot be derived from the stored file without
+ * decrypting it, so the plaintext length and hash of each file version are cached, populated by
+ * the decorator's own writes and otherwise by reading and decrypting the file.  Requests are
+ * serviced under a per-bubble lock so that the cache is consistent with the underlying server.
+ *
+ * Bubbles must be created, and their files modified, only through the decorator.
+ */
+export class EncryptedDataServer extends DataServer {
+
+  dataServer;
+  keyProvider;
+  keyStore;
+  maxCachedFiles;
+  dataKeys = new Map();
+  fileInfo = new Map();
+  lock = new KeyedLock();
+
+  /**
+   * @param {DataServer} _dataServer the underlying data server
+   * @param {IKeyProvider} _keyProvider wraps and unwraps the bubble data keys
+   * @param {Object} _options optional options:
+   *   keyStore: {IKeyValueStore} store to hold the wrapped data keys and file seals.  Defaults to
+   *     an in-memory store, in which case the keys (and therefore the bubbles) are lost when the
+   *     process exits.
+   *   maxCachedFiles: {Number} the number of file versions whose plaintext length and hash are
+   *     cached.  Defaults to 10000.
+   */
+  constructor(_dataServer, _keyProvider, _options = {}) {
+    super();
+    this.dataServer = _dataServer;
+    this.keyProvider = _keyProvider;
+    this.keyStore = _options.keyStore || new MemoryKeyValueStore();
+    this.maxCachedFiles = _options.maxCachedFiles || 10000;
+  }
+
+  create(contract, options={}) {
+    return this.lock.run(contract, async () => {
+      const result = await this.dataServer.create(contract, options);
+      if (await this.keyStore.get(contract) === undefined) {
+        const key = randomBytes(DATA_KEY_LENGTH);
+        await this.keyStore.put(contract, await this.keyProvider.wrapKey(key, contract));
+        this.dataKeys.set(contract, key);
+      }
+      return result;
+    });
+  }
+
+  write(contract, file, data, options={}) {
+    return this.lock.run(contract, async () => {
+      checkEncoding(options);
+      const plaintext = decode(data, options.encoding);
+      const key = await this._dataKey(contract);
+      const seal = {id: (await this._seal(contract, file) || newSeal()).id, records: 1};
+      const record = encryptRecord(key, recordContext(contract, seal.id), 0, plaintext);
+      const result = await this.dataServer.write(contract, file, encode(record, STORED_ENCODING), {...options, encoding: STORED_ENCODING});
+      await this._putSeal(contract, file, seal);
+      const info = this._cacheInfo(contract, file, result.version, plaintext.length, createHash('sha256').update(plaintext));
+      return {...result, hash: info.hash};
+    });
+  }
+
+  append(contract, file, data, options={}) {
+    return this.lock.run(contract, async () => {
+      checkEncoding(options);
+      const plaintext = decode(data, options.encoding);
+      const key = await this._dataKey(contract);
+      const previous = await this._currentInfo(contract, file);
+      const seal = nextSeal(await this._currentSeal(contract, file));
+      const record = encryptRecord(key, recordContext(contract, seal.id), seal.records - 1, plaintext);
+      const result = await this.dataServer.append(contract, file, encode(record, STORED_ENCODING), {...options, encoding: STORED_ENCODING});
+      await this._putSeal(contract, file, seal);
+      const info = this._cacheInfo(contract, file, result.version, previous.length + plaintext.length, previous.hasher.copy().update(plaintext));
+      return {...result, hash: info.hash};
+    });
+  }
+
+  read(contract, file, options={}) {
+    // read under the lock so that the file is consistent with its seal
+    return this.lock.run(contract, async () => {
+      checkReadOptions(options);
+      const {offset, length, tail, encoding, ...readOptions} = options;
+      const key = await this._dataKey(contract);
+      const stored = await this.dataServer.read(contract, file, {...readOptions, encoding: STORED_ENCODING});
+      const plaintext = await this._decryptFile(contract, file, key, decode(stored, STORED_ENCODING), options.version === undefined);
+      const {start, end} = readRangeOf(plaintext.length, options);
+      return encode(plaintext.subarray(start, end), encoding);
+    });
+  }
+
+  delete(contract, file, options) {
+    return this.lock.run(contract, () => this.dataServer.delete(contract, file, options));
+  }
+
+  mkdir(contract, file, options) {
+    return this.lock.run(contract, () => this.dataServer.mkdir(contract, file, options));
+  }
+
+  list(contract, file, options={}) {
+    if (!options.long && !options.length && !options.hash && !options.versions) return this.dataServer.list(contract, file, options);
+    return this.lock.run(contract, async () => {
+      const listing = await this.dataServer.list(contract, file, {...options, version: true});
+      const entries = await this._translateEntries(contract, Array.isArray(listing) ? listing : listing.items);
+      if (!options.long && !options.version && !options.versions) entries.forEach(entry => delete entry.version);
+      return Array.isArray(listing) ? entries : {...listing, items: entries};
+    });
+  }
+
+  subscribe(contract, file, listener, options={}) {
+    return this.lock.run(contract, async () => {
+      checkEncoding(options);
+      const key = await this._dataKey(contract);
+      const decryptingListener = notification => {
+        // a notification that cannot be decrypted is dropped rather than passed on encrypted
+        this.lock.run(contract, () => this._translateNotification(contract, file, key, notification, options))
+          .then(listener, () => {});
+      };
+      const response = await this.dataServer.subscribe(contract, file, decryptingListener, {...options, encoding: STORED_ENCODING});
+      return this._translateNotification(contract, file, key, response, options);
+    });
+  }
+
+  unsubscribe(subscriptionId, options) {
+    return this.dataServer.unsubscribe(subscriptionId, options);
+  }
+
+  transaction(contract, ops, options) {
+    return this.lock.run(contract, async () => {
+      const key = await this._dataKey(contract);
+
+      // Track the plaintext length, hash and seal of each file as the transaction progresses.  A
+      // deleted file keeps its id but its records start again.
+      const files = new Map();
+      const seals = new Map();
+      const deletedDirs = new Set();
+      const infoOf = file => {
+        if (files.has(file)) return files.get(file);
+        if (deletedDirs.has(parentOf(file))) return emptyInfo();
+        return this._currentInfo(contract, file);
+      }
+      const sealOf = async file => {
+        if (seals.has(file)) return seals.get(file);
+        const seal = await this._currentSeal(contract, file);
+        return deletedDirs.has(file) || deletedDirs.has(parentOf(file)) ? {...seal, records: 0} : seal;
+      }
+
+      const infos = [];
+      const storedOps = [];
+      const sealed = [];
+      for (const [i, op] of ops.entries()) {
+        if (op.method === 'write' || op.method === 'append') {
+          const opOptions = op.options || {};
+          checkEncoding(opOptions);
+          const plaintext = decode(op.data, opOptions.encoding);
+          const previous = op.method === 'append' ? await infoOf(op.file) : emptyInfo();
+          const current = await sealOf(op.file);
+          const seal = nextSeal(op.method === 'append' ? current : {...current, records: 0});
+          infos[i] = {length: previous.length + plaintext.length, hasher: previous.hasher.copy().update(plaintext)};
+          files.set(op.file, infos[i]);
+          seals.set(op.file, seal);
+          sealed.push([op.file, seal]);
+          const record = encryptRecord(key, recordContext(contract, seal.id), seal.records - 1, plaintext);
+          storedOps[i] = {...op, data: encode(record, STORED_ENCODING), options: {...opOptions, encoding: STORED_ENCODING}};
+        }
+        else {
+          if (op.method === 'delete') {
+            files.set(op.file, emptyInfo());
+            deletedDirs.add(op.file);
+            files.forEach((_, file) => { if (parentOf(file) === op.file) files.set(file, emptyInfo()) });
+            seals.forEach((seal, file) => { if (file === op.file || parentOf(file) === op.file) seals.set(file, {...seal, records: 0}) });
+          }
+          storedOps[i] = op;
+        }
+      }
+
+      const results = await this.dataServer.transaction(contract, storedOps, options);
+      for (const [file, seal] of sealed) await this._putSeal(contract, file, seal);
+      return results.map((result, i) => {
+        if (!infos[i]) return result;
+        const info = this._cacheInfo(contract, ops[i].file, result.version, infos[i].length, infos[i].hasher);
+        return {...result, hash: info.hash};
+      });
+    });
+  }
+
+  move(contract, file, to, options) {
+    return this.lock.run(contract, async () => {
+      const seal = await this._seal(contract, file);
+      const result = await this.dataServer.move(contract, file, to, options);
+      if (file !== to) {
+        if (seal) await this._putSeal(contract, to, seal);
+        else await this.keyStore.del(sealKey(contract, to));
+        await this.keyStore.del(sealKey(contract, file));
+      }
+      return result;
+    });
+  }
+
+  copy(contract, file, to, options={}) {
+    // the copy is re-encrypted under the destination's id so that the two cannot be swapped
+    return this.lock.run(contract, async () => {
+      const key = await this._dataKey(contract);
+      const [source] = await this.dataServer.list(contract, file, {directoryOnly: true, silent: true});
+      if (!source || source.type !== 'file') {
+        throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist");
+      }
+      const stored = await this.dataServer.read(contract, file, {encoding: STORED_ENCODING});
+      const plaintext = await this._decryptFile(contract, file, key, decode(stored, STORED_ENCODING));
+      const seal = {id: (await this._seal(contract, to) || newSeal()).id, records: 1};
+      const record = encryptRecord(key, recordContext(contract, seal.id), 0, plaintext);
+      const result = await this.dataServer.write(contract, to, encode(record, STORED_ENCODING), {...options, encoding: STORED_ENCODING});
+      await this._putSeal(contract, to, seal);
+      this._cacheInfo(contract, to, result.version, plaintext.length, createHash('sha256').update(plaintext));
+      return {version: result.version};
+    });
+  }
+
+  restore(contract, file, options={}) {
+    return this.lock.run(contract, async () => {
+      const key = await this._dataKey(contract);
+      const result = await this.dataServer.restore(contract, file, options);
+      // the restored version is checked against the file's id but its record count is only known
+      // once it has been decrypted
+      const stored = decode(await this.dataServer.read(contract, file, {encoding: STORED_ENCODING}), STORED_ENCODING);
+      const plaintext = await this._decryptFile(contract, file, key, stored, false);
+      await this._putSeal(contract, file, {...await this._seal(contract, file), records: countRecords(stored)});
+      const info = this._cacheInfo(contract, file, result.version, plaintext.length, createHash('sha256').update(plaintext));
+      return {...result, hash: info.hash};
+    });
+  }
+
+  terminate(contract, options) {
+    return this.lock.run(contract, async () => {
+      const result = await this.dataServer.terminate(contract, options);
+      for (const [key] of await this.keyStore.scan(sealKey(contract, ''))) await this.keyStore.del(key);
+      await this.keyStore.del(contract);
+      this.dataKeys.delete(contract);
+      this.fileInfo.forEach((_, key) => { if (key.startsWith(contract+'\0')) this.fileInfo.delete(key) });
+      return result;
+    });
+  }
+
+  listBubbles(options) {
+    return this.dataServer.listBubbles(options);
+  }
+
+  async _dataKey(contract) {
+    if (this.dataKeys.has(contract)) return this.dataKeys.get(contract);
+    const wrappedKey = await this.keyStore.get(contract);
+    if (wrappedKey === undefined) {
+      // reject with BUBBLE_DOES_NOT_EXIST if the underlying server does not hold the bubble
+      await this.dataServer.list(contract, ROOT_PATH, {directoryOnly: true});
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, "bubble has no data key");
+    }
+    const key = await this.keyProvider.unwrapKey(wrappedKey, contract);
+    this.dataKeys.set(contract, key);
+    return key;
+  }
+
+  /**
+   * Resolves the plaintext length and hash of the given version of a file, decrypting it if it
+   * is not cached.  Must be called under the bubble's lock.
+   */
+  async _info(contract, file, version) {
+    const cached = this.fileInfo.get(infoKey(contract, file, version));
+    if (cached) return cached;
+    const [current] = await this.dataServer.list(contract, file, {version: true, directoryOnly: true, silent: true});
+    const readOptions = current && current.version === version ? {encoding: STORED_ENCODING} : {encoding: STORED_ENCODING, version};
+    const stored = await this.dataServer.read(contract, file, readOptions);
+    const plaintext = await this._decryptFile(contract, file, await this._dataKey(contract), decode(stored, STORED_ENCODING), readOptions.version === undefined);
+    return this._cacheInfo(contract, file, version, plaintext.length, createHash('sha256').update(plaintext));
+  }
+
+  /**
+   * Resolves the plaintext length and hash of the current version of a file, or of an empty file
+   * if it does not exist.  Must be called under the bubble's lock.
+   */
+  async _currentInfo(contract, file) {
+    const [current] = await this.dataServer.list(contract, file, {version: true, directoryOnly: true, silent: true});
+    return current && current.type === 'file' ? this._info(contract, file, current.version) : emptyInfo();
+  }
+
+  /**
+   * Resolves the seal of a file, with no records if the file does not exist, or a new seal if the
+   * file has never had one.  Must be called under the bubble's lock.
+   */
+  async _currentSeal(contract, file) {
+    const seal = await this._seal(contract, file) || newSeal();
+    const [current] = await this.dataServer.list(contract, file, {directoryOnly: true, silent: true});
+    return current && current.type === 'file' ? seal : {...seal, records: 0};
+  }
+
+  async _seal(contract, file) {
+    const seal = await this.keyStore.get(sealKey(contract, file));
+    return seal === undefined ? undefined : JSON.parse(seal.toString());
+  }
+
+  _putSeal(contract, file, seal) {
+    return this.keyStore.put(sealKey(contract, file), Buffer.from(JSON.stringify(seal)));
+  }
+
+  /**
+   * Decrypts the stored contents of a file, checking its records against the file's seal.  Only
+   * the current version of a file has a sealed record count.
+   */
+  async _decryptFile(contract, file, key, stored, current=true) {
+    if (stored.length === 0) return stored;
+    const seal = await this._seal(contract, file);
+    if (seal === undefined) throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, "unable to decrypt file - file has no seal");
+    return decryptRecords(key, recordContext(contract, seal.id), stored, 0, current ? seal.records : undefined);
+  }
+
+  _cacheInfo(contract, file, version, length, hasher) {
+    const info = {length, hash: hasher.copy().digest('hex'), hasher};
+    const key = infoKey(contract, file, version);
+    this.fileInfo.delete(key);
+    this.fileInfo.set(key, info);
+    if (this.fileInfo.size > this.maxCachedFiles) this.fileInfo.delete(this.fileInfo.keys().next().value);
+    return info;
+  }
+
+  /**
+   * Replaces the stored length and hash of each file entry in a listing with those of its
+   * plaintext.  Entries are listed with their version where known.
+   */
+  async _translateEntries(contract, entries) {
+    const translated = [];
+    for (const entry of entries) {
+      if (entry.type !== 'file' || (entry.length === undefined && entry.hash === undefined)) translated.push(entry);
+      else {
+        const info = entry.version !== undefined ? await this._info(contract, entry.name, entry.version) : await this._currentInfo(contract, entry.name);
+        const result = {...entry};
+        if (result.length !== undefined) result.length = info.length;
+        if (result.hash !== undefined) result.hash = info.hash;
+        translated.push(result);
+      }
+    }
+    return translated;
+  }
+
+  /**
+   * Decrypts the data of a subscription notification or subscribe response and replaces any
+   * stored lengths and hashes with those of the plaintext.
+   */
+  async _translateNotification(contract, file, key, notification, options) {
+    const result = {...notification};
+    if (notification.file) [result.file] = await this._translateEntries(contract, [notification.file]);
+    if (typeof notification.data === 'string') {
+      const stored = decode(notification.data, STORED_ENCODING);
+      if (notification.event === undefined) result.data = encode(await this._decryptFile(contract, file, key, stored), options.encoding);
+      else {
+        // a notification holds only the records written or appended, and others may have been
+        // appended since, so the record count cannot be checked
+        const seal = await this._seal(contract, file);
+        if (seal === undefined) throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, "unable to decrypt file - file has no seal");
+        const first = notification.event === 'append' ? undefined : 0;
+        result.data = encode(decryptRecords(key, recordContext(contract, seal.id), stored, first), options.encoding);
+      }
+    }
+    else if (Array.isArray(notification.data)) result.data = await this._translateEntries(contract, notification.data);
+    return result;
+  }
+
+}
+
+
+function encryptRecord(key, context, index, plaintext) {
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.writeUInt32BE(plaintext.length);
+  header.writeUInt32BE(index, LENGTH_FIELD_LENGTH);
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.concat([header, context]));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([header, iv, ciphertext, cipher.getAuthTag()]);
+}
+
+/**
+ * Decrypts a sequence of records encrypted with the given context.  The records must be numbered
+ * consecutively from `first`, or from the index of the first record if `first` is undefined,
+ * and there must be `count` of them if `count` is given.
+ */
+function decryptRecords(key, context, stored, first, count) {
+  const parts = [];
+  let offset = 0;
+  let index = first;
+  while (offset < stored.length) {
+    const length = stored.length - offset >= RECORD_OVERHEAD ? stored.readUInt32BE(offset) : undefined;
+    const end = offset + RECORD_OVERHEAD + length;
+    if (length === undefined || end > stored.length) {
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, "unable to decrypt file - invalid record");
+    }
+    const recordIndex = stored.readUInt32BE(offset + LENGTH_FIELD_LENGTH);
+    if (index === undefined) index = recordIndex;
+    if (recordIndex !== index) {
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, "unable to decrypt file - record out of order");
+    }
+    const ivStart = offset + HEADER_LENGTH;
+    const dataStart = ivStart + IV_LENGTH;
+    const tagStart = dataStart + length;
+    try {
+      const decipher = createDecipheriv('aes-256-gcm', key, stored.subarray(ivStart, dataStart));
+      decipher.setAAD(Buffer.concat([stored.subarray(offset, ivStart), context]));
+      decipher.setAuthTag(stored.subarray(tagStart, end));
+      parts.push(decipher.update(stored.subarray(dataStart, tagStart)), decipher.final());
+    }
+    catch(error) {
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, "unable to decrypt file", {cause: error});
+    }
+    index++;
+    offset = end;
+  }
+  if (count !== undefined && index !== count) {
+    throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, "unable to decrypt file - records missing");
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Counts the records of a stored file that has already been decrypted.
+ */
+function countRecords(stored) {
+  let records = 0;
+  for (let offset = 0; offset < stored.length; offset += RECORD_OVERHEAD + stored.readUInt32BE(offset)) records++;
+  return records;
+}
+
+/**
+ * Additional data that binds a record to its bubble and file.  The contract is terminated since
+ * its length varies (see `NamespacedDataServer`).
+ */
+function recordContext(contract, id) {
+  return Buffer.concat([Buffer.from(contract+'\0'), Buffer.from(id, 'hex')]);
+}
+
+function newSeal() {
+  return {id: randomBytes(FILE_ID_LENGTH).toString('hex'), records: 0};
+}
+
+function nextSeal(seal) {
+  return {...seal, records: seal.records + 1};
+}
+
+function emptyInfo() {
+  return {length: 0, hasher: createHash('sha256')};
+}
+
+function infoKey(contract, file, version) {
+  return contract+'\0'+file+'\0'+version;
+}
+
+function sealKey(contract, file) {
+  return contract+'\0'+file;
+}
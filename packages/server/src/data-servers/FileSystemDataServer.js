@@ -0,0 +1,603 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { createHash, randomBytes } from 'crypto';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { assert, BubbleError, ErrorCodes, ROOT_PATH } from '@bubble-protocol/core';
+import { DataServer } from '../DataServer.js';
+import { Subscriptions, KeyedLock, parentOf, checkEncoding, checkPreconditions, checkReadOptions, rejectVersionHistoryOption, readRangeOf, parseListOptions, buildListing, pageOfBubbles, newVersion, decode, encode, hashOf } from './common.js';
+
+const META_EXT = '.meta';
+const TEMP_PREFIX = '.tmp-';
+const TRASH_PREFIX = '.trash-';
+const MAX_DISK_NAME_LENGTH = 200;
+
+
+/**
+ * Reference `DataServer` that stores bubbles in a directory on the local file system.
+ *
+ * Each bubble is a directory under `rootDir`.  Each file or directory in the bubble is described
+ * by a JSON metadata file (`<name>.meta`) held alongside it.  File contents are held in a separate
+ * content file whose name is recorded in the metadata, so replacing the metadata file (via an
+ * atomic rename) is the commit point of every change.  Names are escaped before use on disk so
+ * that any valid bubble filename can be stored on any platform, including case-insensitive ones.
+ *
+ * Each mutating method (and each `transaction`) is applied under a per-bubble lock and journaled.
+ * If any step fails the changes already made are rolled back, so a request either takes effect
+ * in full or not at all.  Subscriptions are held in memory and notifications are only sent once
+ * a change has been committed.
+ *
+ * Files left over from a process crash (temporary and deleted files whose names start with '.')
+ * are ignored.
+ *
+ * Version history is not supported.  The version history options and `restore` are rejected with
+ * an `INVALID_OPTION` error.
+ */
+export class FileSystemDataServer extends DataServer {
+
+  rootDir;
+  subscriptions = new Subscriptions();
+  lock = new KeyedLock();
+
+  /**
+   * @param {String} _rootDir directory in which to store the bubbles.  Created if it does not exist.
+   */
+  constructor(_rootDir) {
+    super();
+    assert.isString(_rootDir, 'rootDir');
+    this.rootDir = path.resolve(_rootDir);
+  }
+
+  create(contract, options={}) {
+    return this.lock.run(contract, async () => {
+      rejectVersionHistoryOption(options, 'retainVersions');
+      const location = this._locate(contract, ROOT_PATH);
+      if (await readMeta(location.meta) !== undefined) {
+        if (options.silent) return;
+        throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_ALREADY_EXISTS, "bubble already exists");
+      }
+      await fs.mkdir(this.rootDir, {recursive: true});
+      const journal = new Journal();
+      const time = Date.now();
+      await this._apply(journal, async () => {
+        await journal.mkdir(location.dir);
+        await journal.writeJson(location.meta, {name: contract, type: 'dir', created: time, modified: time});
+      });
+    });
+  }
+
+  write(contract, file, data, options={}) {
+    return this._mutate(contract, journal => this._write(journal, contract, file, data, options));
+  }
+
+  append(contract, file, data, options={}) {
+    return this._mutate(contract, journal => this._append(journal, contract, file, data, options));
+  }
+
+  read(contract, file, options={}) {
+    return this._withBubble(contract, () => this._read(contract, file, options));
+  }
+
+  delete(contract, file, options={}) {
+    return this._mutate(contract, journal => this._delete(journal, contract, file, options));
+  }
+
+  mkdir(contract, file, options={}) {
+    return this._mutate(contract, journal => this._mkdir(journal, contract, file, options));
+  }
+
+  list(contract, file, options={}) {
+    return this._withBubble(contract, () => this._list(contract, file, options));
+  }
+
+  subscribe(contract, file, listener, options={}) {
+    return this._withBubble(contract, async () => {
+      checkEncoding(options);
+      const subscriptionId = this.subscriptions.add(contract, file, listener, options);
+      const info = await this._fileInfo(contract, file);
+      if (info.type) {
+        if (options.list === true) return {subscriptionId, file: info, data: await this._list(contract, file, {long: true})};
+        if (options.since) return {subscriptionId, file: info, data: await this._list(contract, file, {long: true, after: options.since})};
+        if (options.read) return {subscriptionId, file: info, data: await this._read(contract, file, {encoding: options.encoding})};
+      }
+      return {subscriptionId, file: info};
+    });
+  }
+
+  unsubscribe(subscriptionId) {
+    this.subscriptions.remove(subscriptionId);
+    return Promise.resolve();
+  }
+
+  transaction(contract, ops) {
+    return this._mutate(contract, async journal => {
+      const results = [];
+      for (const op of ops) {
+        switch (op.method) {
+          case 'write': results.push(await this._write(journal, contract, op.file, op.data, op.options || {})); break;
+          case 'append': results.push(await this._append(journal, contract, op.file, op.data, op.options || {})); break;
+          case 'delete': results.push(await this._delete(journal, contract, op.file, op.options || {})); break;
+          case 'mkdir': results.push(await this._mkdir(journal, contract, op.file, op.options || {})); break;
+          default: throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, "unsupported transaction operation: "+op.method);
+        }
+      }
+      return results;
+    });
+  }
+
+  move(contract, file, to, options={}) {
+    return this._mutate(contract, journal => this._copyFile(journal, contract, file, to, options, true));
+  }
+
+  copy(contract, file, to, options={}) {
+    return this._mutate(contract, journal => this._copyFile(journal, contract, file, to, options, false));
+  }
+
+  restore(contract, file, options={}) {
+    return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "version history is not supported"));
+  }
+
+  terminate(contract, options={}) {
+    return this.lock.run(contract, async () => {
+      const location = this._locate(contract, ROOT_PATH);
+      if (await readMeta(location.meta) === undefined) {
+        if (options.silent) return;
+        throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist");
+      }
+      const journal = new Journal();
+      await this._apply(journal, async () => {
+        await journal.remove(location.meta);
+        await journal.remove(location.dir);
+      });
+      this.subscriptions.removeBubble(contract);
+    });
+  }
+
+  async listBubbles(options={}) {
+    const ids = await Promise.all(
+      (await readMetaNames(this.rootDir)).map(name =>
+        name.startsWith('~')
+          ? readMeta(path.join(this.rootDir, name+META_EXT)).then(meta => meta && meta.name)
+          : decodeURIComponent(name)
+      )
+    );
+    return pageOfBubbles(ids.filter(id => id !== undefined), options);
+  }
+
+
+  //
+  // Operations.  Each mutating operation is passed the journal of the request it is part of.
+  //
+
+  async _write(journal, contract, file, data, options) {
+    checkEncoding(options);
+    const location = this._locate(contract, file);
+    const existing = await readMeta(location.meta);
+    checkPreconditions(existing, options);
+    const bytes = decode(data, options.encoding);
+    const time = Date.now();
+    await this._prepareParent(journal, contract, file, existing === undefined, time);
+    const meta = {
+      name: file,
+      type: 'file',
+      created: existing ? existing.created : time,
+      modified: time,
+      version: newVersion(),
+      length: bytes.length,
+      hash: hashOf(bytes),
+      content: newContentId()
+    };
+    await journal.writeFile(contentPath(location, meta), bytes);
+    await this._replace(journal, location, existing, meta);
+    await this._notify(journal, contract, file, 'write', bytes);
+    await this._notifyUpdate(journal, contract, 'write', meta);
+    return {version: meta.version, hash: meta.hash};
+  }
+
+  async _append(journal, contract, file, data, options) {
+    checkEncoding(options);
+    const location = this._locate(contract, file);
+    const existing = await readMeta(location.meta);
+    checkPreconditions(existing, options);
+    const bytes = decode(data, options.encoding);
+    const time = Date.now();
+    let meta;
+    if (existing === undefined) {
+      await this._prepareParent(journal, contract, file, true, time);
+      meta = {name: file, type: 'file', created: time, modified: time, version: newVersion(), length: bytes.length, hash: hashOf(bytes), content: newContentId()};
+      await journal.writeFile(contentPath(location, meta), bytes);
+    }
+    else {
+      const content = contentPath(location, existing);
+      await journal.appendFile(content, bytes, existing.length);
+      meta = {...existing, modified: time, version: newVersion(), length: existing.length + bytes.length, hash: await hashFile(content)};
+    }
+    await journal.writeJson(location.meta, meta);
+    await this._notify(journal, contract, file, 'append', bytes);
+    await this._notifyUpdate(journal, contract, 'append', meta);
+    return {version: meta.version, hash: meta.hash};
+  }
+
+  async _read(contract, file, options) {
+    rejectVersionHistoryOption(options, 'version');
+    checkReadOptions(options);
+    const location = this._locate(contract, file);
+    const meta = await readMeta(location.meta);
+    if (meta === undefined) {
+      if (options.silent) return '';
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist");
+    }
+    if (meta.type === 'dir') return undefined;
+    const {start, end} = readRangeOf(meta.length, options);
+    return encode(await readRange(contentPath(location, meta), start, end), options.encoding);
+  }
+
+  async _delete(journal, contract, file, options) {
+    const location = this._locate(contract, file);
+    const meta = await readMeta(location.meta);
+    checkPreconditions(meta, options);
+    if (meta === undefined) {
+      if (options.silent) return;
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist");
+    }
+    await journal.remove(location.meta);
+    await journal.remove(meta.type === 'dir' ? location.dir : contentPath(location, meta));
+    await this._notify(journal, contract, file, 'delete', undefined, meta.type);
+    const dir = parentOf(file);
+    const dirLocation = this._locate(contract, dir);
+    await journal.writeJson(dirLocation.meta, {...await readMeta(dirLocation.meta), modified: Date.now()});
+    await this._notify(journal, contract, dir, 'update', [{event: 'delete', name: file, type: meta.type}]);
+  }
+
+  async _mkdir(journal, contract, file, options) {
+    const location = this._locate(contract, file);
+    if (await readMeta(location.meta) !== undefined) {
+      if (options.silent) return;
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_DIR_ALREADY_EXISTS, "directory already exists");
+    }
+    const time = Date.now();
+    await journal.mkdir(location.dir);
+    await journal.writeJson(location.meta, {name: file, type: 'dir', created: time, modified: time});
+    await this._prepareParent(journal, contract, file, true, time);
+    await this._notify(journal, contract, file, 'mkdir');
+    await this._notify(journal, contract, ROOT_PATH, 'update', [{event: 'mkdir', name: file, type: 'dir', length: 0, created: time, modified: time}]);
+  }
+
+  async _list(contract, file, options) {
+    const isRoot = file === ROOT_PATH;
+    rejectVersionHistoryOption(options, 'versions');
+    const parsed = parseListOptions(options);
+    const location = this._locate(contract, file);
+    const meta = await readMeta(location.meta);
+    if (meta === undefined) {
+      if (options.silent) return parsed.paginate ? {items: []} : [];
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist");
+    }
+    let entries;
+    if (meta.type !== 'dir' || options.directoryOnly) entries = [{...meta, name: file}];
+    else {
+      entries = await readEntries(location.dir);
+      if (isRoot && options.recursive) {
+        const dirs = entries.filter(entry => entry.type === 'dir');
+        const contents = await Promise.all(dirs.map(dir => readEntries(this._locate(contract, dir.name).dir)));
+        entries = entries.concat(...contents);
+      }
+    }
+    return buildListing(entries, options, parsed, dir => this._countEntries(contract, dir));
+  }
+
+  async _copyFile(journal, contract, file, to, options, move) {
+    const sourceLocation = this._locate(contract, file);
+    const source = await readMeta(sourceLocation.meta);
+    if (source === undefined || source.type !== 'file') {
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist");
+    }
+    const location = this._locate(contract, to);
+    const existing = await readMeta(location.meta);
+    checkPreconditions(existing, options);
+    const time = Date.now();
+    await this._prepareParent(journal, contract, to, existing === undefined, time);
+    const meta = {
+      ...source,
+      name: to,
+      created: move ? source.created : time,
+      modified: move ? source.modified : time,
+      version: newVersion(),
+      content: newContentId()
+    };
+    if (move) await journal.rename(contentPath(sourceLocation, source), contentPath(location, meta));
+    else await journal.copyFile(contentPath(sourceLocation, source), contentPath(location, meta));
+    await this._replace(journal, location, existing, meta);
+    if (this.subscriptions.has(contract, to)) {
+      await this._notify(journal, contract, to, 'write', await readRange(contentPath(location, meta), 0, meta.length));
+    }
+    await this._notifyUpdate(journal, contract, 'write', meta);
+    if (move && file !== to) await this._delete(journal, contract, file, {});
+    return {version: meta.version};
+  }
+
+
+  //
+  // Helpers
+  //
+
+  _withBubble(contract, fn) {
+    return this.lock.run(contract, async () => {
+      if (await readMeta(this._locate(contract, ROOT_PATH).meta) === undefined) {
+        throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist");
+      }
+      return fn();
+    });
+  }
+
+  _mutate(contract, fn) {
+    return this._withBubble(contract, () => {
+      const journal = new Journal();
+      return this._apply(journal, () => fn(journal));
+    });
+  }
+
+  /**
+   * Runs `fn`, committing the journal and sending its notifications if it succeeds or rolling
+   * back the journal if it fails.
+   */
+  async _apply(journal, fn) {
+    let result;
+    try {
+      result = await fn();
+    }
+    catch(error) {
+      await journal.rollback();
+      throw error;
+    }
+    await journal.commit();
+    journal.notifications.forEach(n => this.subscriptions.dispatch(...n));
+    return result;
+  }
+
+  /**
+   * Returns the on-disk paths of the given file.
+   */
+  _locate(contract, file) {
+    const bubbleName = toDiskName(contract);
+    if (file === ROOT_PATH) return locationOf(this.rootDir, bubbleName);
+    const bubbleDir = path.join(this.rootDir, bubbleName);
+    if (file.length <= 66) return locationOf(bubbleDir, toDiskName(file));
+    return locationOf(path.join(bubbleDir, toDiskName(file.slice(0,66))), toDiskName(file.slice(67)));
+  }
+
+  /**
+   * Ensures the parent directory of the given file exists, creating it if necessary, and updates
+   * its modified time if the file is new.
+   */
+  async _prepareParent(journal, contract, file, isNew, time) {
+    const dir = parentOf(file);
+    const location = this._locate(contract, dir);
+    const meta = await readMeta(location.meta);
+    if (meta === undefined) {
+      await journal.mkdir(location.dir);
+      await journal.writeJson(location.meta, {name: dir, type: 'dir', created: time, modified: time});
+      await this._prepareParent(journal, contract, dir, true, time);
+    }
+    else if (isNew) await journal.writeJson(location.meta, {...meta, modified: time});
+  }
+
+  /**
+   * Replaces the metadata of a file, discarding the content of any previous file or directory
+   * at the same path.
+   */
+  async _replace(journal, location, existing, meta) {
+    await journal.writeJson(location.meta, meta);
+    if (existing) await journal.remove(existing.type === 'dir' ? location.dir : contentPath(location, existing));
+  }
+
+  async _countEntries(contract, dir) {
+    return (await readMetaNames(this._locate(contract, dir).dir)).length;
+  }
+
+  async _fileInfo(contract, file) {
+    const meta = await readMeta(this._locate(contract, file).meta);
+    if (meta === undefined) return {name: file};
+    const info = {name: file, type: meta.type, created: meta.created, modified: meta.modified};
+    if (meta.type === 'file') info.version = meta.version;
+    info.length = meta.type === 'dir' ? await this._countEntries(contract, file) : meta.length;
+    return info;
+  }
+
+  async _notify(journal, contract, file, event, data, type) {
+    if (!this.subscriptions.has(contract, file)) return;
+    const meta = event === 'delete' ? {name: file, type} : await this._fileInfo(contract, file);
+    journal.notifications.push([contract, file, event, data, meta]);
+  }
+
+  _notifyUpdate(journal, contract, event, meta) {
+    const update = [{event, name: meta.name, type: 'file', length: meta.length, created: meta.created, modified: meta.modified}];
+    return this._notify(journal, contract, parentOf(meta.name), 'update', update);
+  }
+
+}
+
+
+/**
+ * Records each change made to disk while servicing a request so that the changes can be undone
+ * if the request fails.  Deleted files are moved aside and only removed when the journal is
+ * committed.
+ */
+class Journal {
+
+  undo = [];
+  trash = [];
+  notifications = [];
+  backedUp = new Set();
+
+  async writeJson(file, obj) {
+    await this._backup(file);
+    await writeAtomic(file, JSON.stringify(obj));
+  }
+
+  async writeFile(file, data) {
+    await writeAtomic(file, data);
+    this.undo.push(() => fs.rm(file, {force: true}));
+  }
+
+  async appendFile(file, data, length) {
+    const handle = await fs.open(file, 'r+');
+    try {
+      // truncate first in case a previous append was interrupted after writing its data
+      await handle.truncate(length);
+      this.undo.push(() => fs.truncate(file, length));
+      await handle.write(data, 0, data.length, length);
+      await handle.sync();
+    }
+    finally {
+      await handle.close();
+    }
+  }
+
+  async copyFile(from, to) {
+    await fs.copyFile(from, to);
+    this.undo.push(() => fs.rm(to, {force: true}));
+  }
+
+  async rename(from, to) {
+    await fs.rename(from, to);
+    this.undo.push(() => fs.rename(to, from));
+  }
+
+  async mkdir(dir) {
+    // remove any remains of a directory whose deletion was interrupted
+    await fs.rm(dir, {recursive: true, force: true});
+    await fs.mkdir(dir);
+    this.undo.push(() => fs.rm(dir, {recursive: true, force: true}));
+  }
+
+  async remove(file) {
+    const trashed = path.join(path.dirname(file), TRASH_PREFIX + randomBytes(8).toString('hex'));
+    try {
+      await fs.rename(file, trashed);
+    }
+    catch(error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    this.undo.push(() => fs.rename(trashed, file));
+    this.trash.push(trashed);
+  }
+
+  async commit() {
+    await Promise.all(this.trash.map(file => fs.rm(file, {recursive: true, force: true}).catch(() => {})));
+  }
+
+  async rollback() {
+    for (const undo of this.undo.reverse()) {
+      await undo().catch(() => {});
+    }
+  }
+
+  async _backup(file) {
+    if (this.backedUp.has(file)) return;
+    this.backedUp.add(file);
+    const original = await fs.readFile(file).catch(error => {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    });
+    this.undo.push(() => original === undefined ? fs.rm(file, {force: true}) : writeAtomic(file, original));
+  }
+
+}
+
+
+function locationOf(parent, name) {
+  return {parent, name, meta: path.join(parent, name+META_EXT), dir: path.join(parent, name)};
+}
+
+function contentPath(location, meta) {
+  return path.join(location.parent, `${location.name}.${meta.content}`);
+}
+
+/**
+ * Escapes a name for use on disk.  All characters other than lowercase letters, digits, '_' and
+ * '-' are percent-encoded, so escaped names never contain '.' (leaving names starting with or
+ * containing '.' free for the server's own files) and never differ only by case.  Names that are
+ * too long once escaped are replaced with '~' followed by their hash.
+ */
+function toDiskName(name) {
+  const escaped = name.replace(/[^a-z0-9_-]/gu, c => Array.from(Buffer.from(c), b => '%'+b.toString(16).toUpperCase().padStart(2, '0')).join(''));
+  return escaped.length <= MAX_DISK_NAME_LENGTH ? escaped : '~'+hashOf(Buffer.from(name));
+}
+
+async function readMeta(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  }
+  catch(error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw error;
+  }
+}
+
+/**
+ * Resolves the disk names of the entries in the given directory, ignoring the server's own files.
+ */
+async function readMetaNames(dir) {
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  }
+  catch(error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return names.filter(name => !name.startsWith('.') && name.endsWith(META_EXT)).map(name => name.slice(0, -META_EXT.length));
+}
+
+async function readEntries(dir) {
+  const names = await readMetaNames(dir);
+  const entries = await Promise.all(names.map(name => readMeta(path.join(dir, name+META_EXT))));
+  return entries.filter(entry => entry !== undefined);
+}
+
+async function readRange(file, start, end) {
+  if (end <= start) return Buffer.alloc(0);
+  const handle = await fs.open(file, 'r');
+  try {
+    const buffer = Buffer.alloc(end - start);
+    const {bytesRead} = await handle.read(buffer, 0, buffer.length, start);
+    return buffer.subarray(0, bytesRead);
+  }
+  finally {
+    await handle.close();
+  }
+}
+
+async function writeAtomic(file, data) {
+  const temp = path.join(path.dirname(file), TEMP_PREFIX + randomBytes(8).toString('hex'));
+  try {
+    const handle = await fs.open(temp, 'wx');
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    }
+    finally {
+      await handle.close();
+    }
+    await fs.rename(temp, file);
+  }
+  catch(error) {
+    await fs.rm(temp, {force: true});
+    throw error;
+  }
+}
+
+async function hashFile(file) {
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(file)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+function newContentId() {
+  return randomBytes(8).toString('hex');
+}
@@ -0,0 +1,456 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { BubbleError, ErrorCodes, ROOT_PATH } from '@bubble-protocol/core';
+import { DataServer } from '../DataServer.js';
+import { Subscriptions, KeyedLock, parentOf, checkEncoding, checkPreconditions, checkReadOptions, rejectVersionHistoryOption, readRangeOf, parseListOptions, buildListing, pageOfBubbles, newVersion, decode, encode, hashOf } from './common.js';
+
+const BUBBLE_PREFIX = 'b\0';
+const ENTRY_PREFIX = 'm\0';
+const CONTENT_PREFIX = 'd\0';
+
+
+/**
+ * `DataServer` that stores bubbles in a key-value store (see `IKeyValueStore`).
+ *
+ * The store holds three kinds of key, separated by NUL characters (which cannot appear in a
+ * bubble filename):
+ *
+ *   b\0<contract>                    metadata of the bubble's root directory
+ *   m\0<contract>\0<parent>\0<file>  metadata of each file and directory, keyed by its parent
+ *                                    directory so that a directory is listed with a single scan
+ *   d\0<contract>\0<file>            contents of each file
+ *
+ * Metadata is stored as JSON.  Each request (and each `transaction`) is serviced under a
+ * per-bubble lock and its changes are collected and written to the store when the request
+ * succeeds, as a single batch if the store supports `batch`.  A failed request leaves the store
+ * unchanged.  Subscriptions are held in memory.
+ *
+ * The lock is held in memory, so a store must not be shared by more than one server instance.
+ *
+ * Version history is not supported.  The version history options and `restore` are rejected with
+ * an `INVALID_OPTION` error.
+ */
+export class KeyValueDataServer extends DataServer {
+
+  store;
+  subscriptions = new Subscriptions();
+  lock = new KeyedLock();
+
+  /**
+   * @param {IKeyValueStore} _store the key-value store to hold the bubbles
+   */
+  constructor(_store) {
+    super();
+    this.store = _store;
+  }
+
+  create(contract, options={}) {
+    return this.lock.run(contract, async () => {
+      rejectVersionHistoryOption(options, 'retainVersions');
+      const batch = new Batch(this.store);
+      if (await batch.getJson(bubbleKey(contract)) !== undefined) {
+        if (options.silent) return;
+        throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_ALREADY_EXISTS, "bubble already exists");
+      }
+      const time = Date.now();
+      batch.putJson(bubbleKey(contract), {type: 'dir', created: time, modified: time});
+      await batch.commit();
+    });
+  }
+
+  write(contract, file, data, options={}) {
+    return this._mutate(contract, batch => this._write(batch, contract, file, data, options));
+  }
+
+  append(contract, file, data, options={}) {
+    return this._mutate(contract, batch => this._append(batch, contract, file, data, options));
+  }
+
+  read(contract, file, options={}) {
+    return this._withBubble(contract, batch => this._read(batch, contract, file, options));
+  }
+
+  delete(contract, file, options={}) {
+    return this._mutate(contract, batch => this._delete(batch, contract, file, options));
+  }
+
+  mkdir(contract, file, options={}) {
+    return this._mutate(contract, batch => this._mkdir(batch, contract, file, options));
+  }
+
+  list(contract, file, options={}) {
+    return this._withBubble(contract, batch => this._list(batch, contract, file, options));
+  }
+
+  subscribe(contract, file, listener, options={}) {
+    return this._withBubble(contract, async batch => {
+      checkEncoding(options);
+      const subscriptionId = this.subscriptions.add(contract, file, listener, options);
+      const info = await this._fileInfo(batch, contract, file);
+      if (info.type) {
+        if (options.list === true) return {subscriptionId, file: info, data: await this._list(batch, contract, file, {long: true})};
+        if (options.since) return {subscriptionId, file: info, data: await this._list(batch, contract, file, {long: true, after: options.since})};
+        if (options.read) return {subscriptionId, file: info, data: await this._read(batch, contract, file, {encoding: options.encoding})};
+      }
+      return {subscriptionId, file: info};
+    });
+  }
+
+  unsubscribe(subscriptionId) {
+    this.subscriptions.remove(subscriptionId);
+    return Promise.resolve();
+  }
+
+  transaction(contract, ops) {
+    return this._mutate(contract, async batch => {
+      const results = [];
+      for (const op of ops) {
+        switch (op.method) {
+          case 'write': results.push(await this._write(batch, contract, op.file, op.data, op.options || {})); break;
+          case 'append': results.push(await this._append(batch, contract, op.file, op.data, op.options || {})); break;
+          case 'delete': results.push(await this._delete(batch, contract, op.file, op.options || {})); break;
+          case 'mkdir': results.push(await this._mkdir(batch, contract, op.file, op.options || {})); break;
+          default: throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, "unsupported transaction operation: "+op.method);
+        }
+      }
+      return results;
+    });
+  }
+
+  move(contract, file, to, options={}) {
+    return this._mutate(contract, batch => this._copyFile(batch, contract, file, to, options, true));
+  }
+
+  copy(contract, file, to, options={}) {
+    return this._mutate(contract, batch => this._copyFile(batch, contract, file, to, options, false));
+  }
+
+  restore(contract, file, options={}) {
+    return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "version history is not supported"));
+  }
+
+  terminate(contract, options={}) {
+    return this.lock.run(contract, async () => {
+      const batch = new Batch(this.store);
+      if (await batch.getJson(bubbleKey(contract)) === undefined) {
+        if (options.silent) return;
+        throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist");
+      }
+      for (const [key, value] of await batch.scan(ENTRY_PREFIX+contract+'\0')) {
+        batch.del(key);
+        if (parseJson(value).type === 'file') batch.del(contentKey(contract, nameOf(key)));
+      }
+      batch.del(bubbleKey(contract));
+      await batch.commit();
+      this.subscriptions.removeBubble(contract);
+    });
+  }
+
+  async listBubbles(options={}) {
+    const ids = (await this.store.scan(BUBBLE_PREFIX)).map(([key]) => key.slice(BUBBLE_PREFIX.length));
+    return pageOfBubbles(ids, options);
+  }
+
+
+  //
+  // Operations.  Each operation reads and writes through the batch of the request it is part of.
+  //
+
+  async _write(batch, contract, file, data, options) {
+    checkEncoding(options);
+    const existing = await this._getMeta(batch, contract, file);
+    checkPreconditions(existing, options);
+    const bytes = decode(data, options.encoding);
+    const time = Date.now();
+    await this._prepareParent(batch, contract, file, existing === undefined, time);
+    if (existing && existing.type === 'dir') await this._deleteContents(batch, contract, file);
+    const meta = {
+      type: 'file',
+      created: existing ? existing.created : time,
+      modified: time,
+      version: newVersion(),
+      length: bytes.length,
+      hash: hashOf(bytes)
+    };
+    batch.putJson(metaKey(contract, file), meta);
+    batch.put(contentKey(contract, file), bytes);
+    await this._notify(batch, contract, file, 'write', bytes);
+    await this._notifyUpdate(batch, contract, file, 'write', meta);
+    return {version: meta.version, hash: meta.hash};
+  }
+
+  async _append(batch, contract, file, data, options) {
+    checkEncoding(options);
+    const existing = await this._getMeta(batch, contract, file);
+    checkPreconditions(existing, options);
+    const bytes = decode(data, options.encoding);
+    const time = Date.now();
+    let content, meta;
+    if (existing === undefined) {
+      await this._prepareParent(batch, contract, file, true, time);
+      content = bytes;
+      meta = {type: 'file', created: time, modified: time};
+    }
+    else {
+      content = Buffer.concat([await batch.get(contentKey(contract, file)) || Buffer.alloc(0), bytes]);
+      meta = {type: 'file', created: existing.created, modified: time};
+    }
+    meta = {...meta, version: newVersion(), length: content.length, hash: hashOf(content)};
+    batch.putJson(metaKey(contract, file), meta);
+    batch.put(contentKey(contract, file), content);
+    await this._notify(batch, contract, file, 'append', bytes);
+    await this._notifyUpdate(batch, contract, file, 'append', meta);
+    return {version: meta.version, hash: meta.hash};
+  }
+
+  async _read(batch, contract, file, options) {
+    rejectVersionHistoryOption(options, 'version');
+    checkReadOptions(options);
+    const meta = await this._getMeta(batch, contract, file);
+    if (meta === undefined) {
+      if (options.silent) return '';
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist");
+    }
+    if (meta.type === 'dir') return undefined;
+    const content = await batch.get(contentKey(contract, file)) || Buffer.alloc(0);
+    const {start, end} = readRangeOf(content.length, options);
+    return encode(content.subarray(start, end), options.encoding);
+  }
+
+  async _delete(batch, contract, file, options) {
+    const meta = await this._getMeta(batch, contract, file);
+    checkPreconditions(meta, options);
+    if (meta === undefined) {
+      if (options.silent) return;
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist");
+    }
+    batch.del(metaKey(contract, file));
+    if (meta.type === 'dir') await this._deleteContents(batch, contract, file);
+    else batch.del(contentKey(contract, file));
+    await this._notify(batch, contract, file, 'delete', undefined, meta.type);
+    const dir = parentOf(file);
+    this._putMeta(batch, contract, {...await this._getMeta(batch, contract, dir), modified: Date.now()});
+    await this._notify(batch, contract, dir, 'update', [{event: 'delete', name: file, type: meta.type}]);
+  }
+
+  async _mkdir(batch, contract, file, options) {
+    if (await this._getMeta(batch, contract, file) !== undefined) {
+      if (options.silent) return;
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_DIR_ALREADY_EXISTS, "directory already exists");
+    }
+    const time = Date.now();
+    batch.putJson(metaKey(contract, file), {type: 'dir', created: time, modified: time});
+    await this._prepareParent(batch, contract, file, true, time);
+    await this._notify(batch, contract, file, 'mkdir');
+    await this._notify(batch, contract, ROOT_PATH, 'update', [{event: 'mkdir', name: file, type: 'dir', length: 0, created: time, modified: time}]);
+  }
+
+  async _list(batch, contract, file, options) {
+    rejectVersionHistoryOption(options, 'versions');
+    const parsed = parseListOptions(options);
+    const meta = await this._getMeta(batch, contract, file);
+    if (meta === undefined) {
+      if (options.silent) return parsed.paginate ? {items: []} : [];
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist");
+    }
+    let entries;
+    if (meta.type !== 'dir' || options.directoryOnly) entries = [meta];
+    else if (file === ROOT_PATH && options.recursive) entries = await this._entries(batch, ENTRY_PREFIX+contract+'\0');
+    else entries = await this._entries(batch, entryPrefix(contract, file));
+    return buildListing(entries, options, parsed, async dir => (await batch.scan(entryPrefix(contract, dir))).length);
+  }
+
+  async _copyFile(batch, contract, file, to, options, move) {
+    const source = await this._getMeta(batch, contract, file);
+    if (source === undefined || source.type !== 'file') {
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist");
+    }
+    const existing = await this._getMeta(batch, contract, to);
+    checkPreconditions(existing, options);
+    const content = await batch.get(contentKey(contract, file)) || Buffer.alloc(0);
+    const time = Date.now();
+    await this._prepareParent(batch, contract, to, existing === undefined, time);
+    if (existing && existing.type === 'dir') await this._deleteContents(batch, contract, to);
+    const meta = {
+      type: 'file',
+      created: move ? source.created : time,
+      modified: move ? source.modified : time,
+      version: newVersion(),
+      length: source.length,
+      hash: source.hash
+    };
+    batch.putJson(metaKey(contract, to), meta);
+    batch.put(contentKey(contract, to), content);
+    await this._notify(batch, contract, to, 'write', content);
+    await this._notifyUpdate(batch, contract, to, 'write', meta);
+    if (move && file !== to) await this._delete(batch, contract, file, {});
+    return {version: meta.version};
+  }
+
+
+  //
+  // Helpers
+  //
+
+  _withBubble(contract, fn) {
+    return this.lock.run(contract, async () => {
+      const batch = new Batch(this.store);
+      if (await batch.getJson(bubbleKey(contract)) === undefined) {
+        throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist");
+      }
+      return fn(batch);
+    });
+  }
+
+  /**
+   * Runs `fn`, writing its changes to the store and sending its notifications if it succeeds.
+   */
+  _mutate(contract, fn) {
+    return this._withBubble(contract, async batch => {
+      const result = await fn(batch);
+      await batch.commit();
+      batch.notifications.forEach(n => this.subscriptions.dispatch(...n));
+      return result;
+    });
+  }
+
+  async _getMeta(batch, contract, file) {
+    const meta = await batch.getJson(metaKey(contract, file));
+    return meta && {name: file, ...meta};
+  }
+
+  _putMeta(batch, contract, {name, ...meta}) {
+    batch.putJson(metaKey(contract, name), meta);
+  }
+
+  async _entries(batch, prefix) {
+    return (await batch.scan(prefix)).map(([key, value]) => ({name: nameOf(key), ...parseJson(value)}));
+  }
+
+  /**
+   * Ensures the parent directory of the given file exists, creating it if necessary, and updates
+   * its modified time if the file is new.
+   */
+  async _prepareParent(batch, contract, file, isNew, time) {
+    const dir = parentOf(file);
+    const meta = await this._getMeta(batch, contract, dir);
+    if (meta === undefined) {
+      batch.putJson(metaKey(contract, dir), {type: 'dir', created: time, modified: time});
+      await this._prepareParent(batch, contract, dir, true, time);
+    }
+    else if (isNew) this._putMeta(batch, contract, {...meta, modified: time});
+  }
+
+  async _deleteContents(batch, contract, dir) {
+    for (const [key, value] of await batch.scan(entryPrefix(contract, dir))) {
+      batch.del(key);
+      if (parseJson(value).type === 'file') batch.del(contentKey(contract, nameOf(key)));
+    }
+  }
+
+  async _fileInfo(batch, contract, file) {
+    const meta = await this._getMeta(batch, contract, file);
+    if (meta === undefined) return {name: file};
+    const info = {name: file, type: meta.type, created: meta.created, modified: meta.modified};
+    if (meta.type === 'file') info.version = meta.version;
+    info.length = meta.type === 'dir' ? (await batch.scan(entryPrefix(contract, file))).length : meta.length;
+    return info;
+  }
+
+  async _notify(batch, contract, file, event, data, type) {
+    if (!this.subscriptions.has(contract, file)) return;
+    const meta = event === 'delete' ? {name: file, type} : await this._fileInfo(batch, contract, file);
+    batch.notifications.push([contract, file, event, data, meta]);
+  }
+
+  _notifyUpdate(batch, contract, file, event, meta) {
+    const update = [{event, name: file, type: 'file', length: meta.length, created: meta.created, modified: meta.modified}];
+    return this._notify(batch, contract, parentOf(file), 'update', update);
+  }
+
+}
+
+
+/**
+ * Collects the changes made while servicing a request.  Reads see the request's own changes.
+ * The changes are only written to the store when committed.
+ */
+class Batch {
+
+  changes = new Map();
+  notifications = [];
+
+  constructor(store) {
+    this.store = store;
+  }
+
+  async get(key) {
+    return this.changes.has(key) ? this.changes.get(key) : this.store.get(key);
+  }
+
+  async getJson(key) {
+    const value = await this.get(key);
+    return value === undefined ? undefined : parseJson(value);
+  }
+
+  put(key, value) {
+    this.changes.set(key, value);
+  }
+
+  putJson(key, obj) {
+    this.put(key, Buffer.from(JSON.stringify(obj)));
+  }
+
+  del(key) {
+    this.changes.set(key, undefined);
+  }
+
+  async scan(prefix) {
+    const entries = new Map(await this.store.scan(prefix));
+    this.changes.forEach((value, key) => {
+      if (!key.startsWith(prefix)) return;
+      if (value === undefined) entries.delete(key);
+      else entries.set(key, value);
+    });
+    return Array.from(entries);
+  }
+
+  async commit() {
+    const ops = Array.from(this.changes, ([key, value]) => value === undefined ? {type: 'del', key} : {type: 'put', key, value});
+    if (this.store.batch) await this.store.batch(ops);
+    else {
+      for (const op of ops) {
+        if (op.type === 'put') await this.store.put(op.key, op.value);
+        else await this.store.del(op.key);
+      }
+    }
+  }
+
+}
+
+
+function bubbleKey(contract) {
+  return BUBBLE_PREFIX+contract;
+}
+
+function metaKey(contract, file) {
+  return file === ROOT_PATH ? bubbleKey(contract) : entryPrefix(contract, parentOf(file))+file;
+}
+
+function entryPrefix(contract, dir) {
+  return ENTRY_PREFIX+contract+'\0'+dir+'\0';
+}
+
+function contentKey(contract, file) {
+  return CONTENT_PREFIX+contract+'\0'+file;
+}
+
+function nameOf(key) {
+  return key.slice(key.lastIndexOf('\0')+1);
+}
+
+function parseJson(value) {
+  return JSON.parse(value.toString());
+}
@@ -0,0 +1,422 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { assert, BubbleError, ErrorCodes, ROOT_PATH } from '@bubble-protocol/core';
+import { DataServer } from '../DataServer.js';
+import { KeyedLock, parentOf } from './common.js';
+
+const DEFAULT_PAGE_SIZE = 100;
+
+// Errors that are the correct response to the request rather than a failure of the replica
+const REQUEST_ERRORS = [
+  ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_ALREADY_EXISTS,
+  ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST,
+  ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST,
+  ErrorCodes.BUBBLE_SERVER_ERROR_DIR_ALREADY_EXISTS,
+  ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION,
+  ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED
+];
+
+
+/**
+ * DataServer that stores each bubble redundantly on several underlying data servers (replicas).
+ *
+ * Replicas are held in priority order.  A replica is healthy until a request to it fails for a
+ * reason other than a request error (e.g. `FILE_DOES_NOT_EXIST`), after which it is considered
+ * divergent and is only made healthy again by `repair`.
+ *
+ * Reads (`read`, `list` and `listBubbles`) are served by the first healthy replica, falling
+ * back to the next if it fails.
+ *
+ * Each mutating request is first serviced by the first healthy replica (the primary), which
+ * evaluates any preconditions and determines the result, including the file version.  If the
+ * primary rejects with a request error the request is rejected without changing any replica.
+ * Otherwise the request is applied unconditionally to every other healthy replica, and resolves
+ * with the primary's result if at least `quorum` replicas succeed.  Unhealthy replicas are not
+ * sent mutations, since they may hold divergent content and so cannot count towards the quorum;
+ * they are brought up to date by `repair`.  Mutations are serialised per bubble so that every
+ * replica applies them in the same order.  Note, a request that does not reach the quorum is not
+ * rolled back from the replicas that applied it.
+ *
+ * Versions are generated independently by each replica, so a client holding a version from one
+ * replica will fail a precondition check if the primary fails over to another.
+ *
+ * Subscriptions are held on the primary only so that each notification is delivered exactly
+ * once.  They are moved to the new primary, under the bubble's lock, before it services its
+ * first mutation.
+ *
+ * `repair` reconciles the replicas with the first healthy replica by comparing recursive
+ * listings of each bubble, then marks the repaired replicas healthy.  Each repair produces a
+ * report of the form:
+ *
+ *   {
+ *     started: {Number} time (ms) the repair started
+ *     finished: {Number} time (ms) the repair finished
+ *     checked: {Number} number of bubbles compared
+ *     repaired: {Array} ids of the bubbles that were changed on at least one replica
+ *     errors: {Array} of `{contract, replica, error}` for each replica that could not be repaired,
+ *       where `replica` is the replica's index
+ *   }
+ */
+export class ReplicatedDataServer extends DataServer {
+
+  replicas;
+  quorum;
+  pageSize;
+  subscriptions = new Map();
+  lastSubscriptionId = 0;
+  lock = new KeyedLock();
+  lastReport;
+
+  /**
+   * @param {Array} _dataServers the replicas, in priority order
+   * @param {Object} options optional configuration:
+   *   quorum: {Number} number of replicas that must service a mutating request for it to succeed.
+   *     Defaults to a majority.
+   *   pageSize: {Number} number of bubble ids requested from each replica at a time when
+   *     repairing.  Defaults to 100.
+   *   onError: {Function} called with `(error, replica)` when a replica fails and is marked
+   *     unhealthy, where `replica` is the replica's index.  Defaults to logging the error.
+   */
+  constructor(_dataServers, options={}) {
+    super();
+    assert.isArray(_dataServers, 'dataServers');
+    this.replicas = _dataServers.map(dataServer => ({dataServer, healthy: true, failures: 0}));
+    this.quorum = options.quorum !== undefined ? options.quorum : Math.floor(_dataServers.length / 2) + 1;
+    this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+    this.onError = options.onError || ((error, replica) => console.error(`replica ${replica} failed`, error));
+    if (_dataServers.length === 0) throw new TypeError('dataServers is empty');
+    if (!Number.isInteger(this.quorum) || this.quorum < 1 || this.quorum > _dataServers.length)
+      throw new TypeError('quorum. Expected integer between 1 and the number of replicas');
+  }
+
+  create(contract, options={}) {
+    return this._mutate(contract, dataServer => dataServer.create(contract, options), dataServer => dataServer.create(contract, unconditional('create', options)));
+  }
+
+  write(contract, file, data, options={}) {
+    return this._mutate(contract, dataServer => dataServer.write(contract, file, data, options), dataServer => dataServer.write(contract, file, data, unconditional('write', options)));
+  }
+
+  append(contract, file, data, options={}) {
+    return this._mutate(contract, dataServer => dataServer.append(contract, file, data, options), dataServer => dataServer.append(contract, file, data, unconditional('append', options)));
+  }
+
+  read(contract, file, options) {
+    return this._read(dataServer => dataServer.read(contract, file, options));
+  }
+
+  delete(contract, file, options={}) {
+    return this._mutate(contract, dataServer => dataServer.delete(contract, file, options), dataServer => dataServer.delete(contract, file, unconditional('delete', options)));
+  }
+
+  mkdir(contract, file, options={}) {
+    return this._mutate(contract, dataServer => dataServer.mkdir(contract, file, options), dataServer => dataServer.mkdir(contract, file, unconditional('mkdir', options)));
+  }
+
+  list(contract, file, options) {
+    return this._read(dataServer => dataServer.list(contract, file, options));
+  }
+
+  subscribe(contract, file, listener, options={}) {
+    return this.lock.run(contract, async () => {
+      const subscription = {subscriptionId: ++this.lastSubscriptionId, contract, file, listener, options};
+      const {result} = await this._primary(contract, (_, replica) => this._subscribeOn(replica, subscription, options));
+      this.subscriptions.set(subscription.subscriptionId, subscription);
+      return {...result, subscriptionId: subscription.subscriptionId};
+    });
+  }
+
+  async unsubscribe(subscriptionId, options) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) return;
+    this.subscriptions.delete(subscriptionId);
+    const {replica, replicaSubscriptionId} = subscription;
+    subscription.token = undefined;
+    await replica.dataServer.unsubscribe(replicaSubscriptionId, options).catch(() => {});
+  }
+
+  transaction(contract, ops, options={}) {
+    const unconditionalOps = ops.map(op => ({...op, options: unconditional(op.method, op.options)}));
+    return this._mutate(contract, dataServer => dataServer.transaction(contract, ops, options), dataServer => dataServer.transaction(contract, unconditionalOps, options));
+  }
+
+  move(contract, file, to, options={}) {
+    return this._mutate(contract, dataServer => dataServer.move(contract, file, to, options), dataServer => dataServer.move(contract, file, to, unconditional('move', options)));
+  }
+
+  copy(contract, file, to, options={}) {
+    return this._mutate(contract, dataServer => dataServer.copy(contract, file, to, options), dataServer => dataServer.copy(contract, file, to, unconditional('copy', options)));
+  }
+
+  restore(contract, file, options={}) {
+    // each replica holds its own version history so the restored contents are written to the others
+    let data;
+    return this._mutate(contract,
+      async dataServer => {
+        const result = await dataServer.restore(contract, file, options);
+        data = await dataServer.read(contract, file, {encoding: 'base64'});
+        return result;
+      },
+      dataServer => dataServer.write(contract, file, data, {encoding: 'base64'})
+    );
+  }
+
+  terminate(contract, options={}) {
+    return this._mutate(contract, dataServer => dataServer.terminate(contract, options), dataServer => dataServer.terminate(contract, unconditional('terminate', options)))
+      .then(result => {
+        this.subscriptions.forEach((subscription, id) => {
+          if (subscription.contract !== contract) return;
+          subscription.token = undefined;
+          this.subscriptions.delete(id);
+        });
+        return result;
+      });
+  }
+
+  listBubbles(options) {
+    return this._read(dataServer => dataServer.listBubbles(options));
+  }
+
+  /**
+   * Reconciles every bubble on every replica with the first healthy replica (or the first replica
+   * if none are healthy), then marks healthy each replica that was fully repaired and has not
+   * failed since the repair started.  Every replica must implement `listBubbles`.  If a repair is
+   * already in progress then resolves with the report of that repair.
+   *
+   * @returns Promise to resolve with the repair report
+   */
+  repair() {
+    if (!this._repair) this._repair = this._repairAll().finally(() => { this._repair = undefined });
+    return this._repair;
+  }
+
+  async _repairAll() {
+    const report = {started: Date.now(), checked: 0, repaired: [], errors: []};
+    const failures = this.replicas.map(replica => replica.failures);
+    const source = this.replicas.find(replica => replica.healthy) || this.replicas[0];
+    const targets = this.replicas.filter(replica => replica !== source);
+    const unrepaired = new Set();
+
+    const contracts = new Set();
+    for (const replica of this.replicas) {
+      try {
+        let cursor;
+        do {
+          const page = await replica.dataServer.listBubbles({limit: this.pageSize, cursor});
+          page.items.forEach(contract => contracts.add(contract));
+          cursor = page.nextCursor;
+        } while (cursor !== undefined);
+      }
+      catch(error) {
+        report.errors.push({replica: this.replicas.indexOf(replica), error});
+        // bubbles missing from the source's enumeration cannot be reconciled
+        if (replica === source) targets.forEach(target => unrepaired.add(target));
+        else unrepaired.add(replica);
+      }
+    }
+
+    for (const contract of [...contracts].sort()) {
+      await this.lock.run(contract, () => this._repairBubble(contract, source, targets, report, unrepaired));
+    }
+
+    this.replicas.forEach((replica, i) => {
+      if (!unrepaired.has(replica) && replica.failures === failures[i]) replica.healthy = true;
+    });
+    report.finished = Date.now();
+    this.lastReport = report;
+    return report;
+  }
+
+  async _repairBubble(contract, source, targets, report, unrepaired) {
+    let expected;
+    try {
+      // a subscription held on a target would be notified of the repair
+      await this._moveSubscriptions(contract, source);
+      expected = await listingOf(source.dataServer, contract);
+    }
+    catch(error) {
+      report.errors.push({contract, replica: this.replicas.indexOf(source), error});
+      targets.forEach(target => unrepaired.add(target));
+      return;
+    }
+    report.checked++;
+    let changed = false;
+    for (const target of targets) {
+      try {
+        if (await reconcile(contract, source.dataServer, target.dataServer, expected)) changed = true;
+      }
+      catch(error) {
+        report.errors.push({contract, replica: this.replicas.indexOf(target), error});
+        unrepaired.add(target);
+      }
+    }
+    if (changed) report.repaired.push(contract);
+  }
+
+  /**
+   * Services a mutating request on the primary then applies it unconditionally to the other
+   * healthy replicas.  Resolves with the primary's result if the quorum is reached.
+   */
+  _mutate(contract, apply, applyUnconditionally) {
+    return this.lock.run(contract, async () => {
+      const failed = [];
+      const {replica: primary, result} = await this._primary(contract, apply, failed);
+      const others = this.replicas.filter(replica => replica.healthy && replica !== primary && !failed.includes(replica));
+      const outcomes = await Promise.allSettled(others.map(replica => applyUnconditionally(replica.dataServer)));
+      outcomes.forEach((outcome, i) => { if (outcome.status === 'rejected') this._failed(others[i], outcome.reason) });
+      const successes = 1 + outcomes.filter(outcome => outcome.status === 'fulfilled').length;
+      if (successes < this.quorum)
+        throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, `write quorum of ${this.quorum} not reached - serviced by ${successes} of ${this.replicas.length} replicas`);
+      return result;
+    });
+  }
+
+  /**
+   * Calls `fn` with the first healthy replica that does not fail, after moving the bubble's
+   * subscriptions to it.  Must be called under the bubble's lock.
+   */
+  async _primary(contract, fn, failed = []) {
+    for (const replica of this.replicas) {
+      if (!replica.healthy) continue;
+      try {
+        await this._moveSubscriptions(contract, replica);
+        return {replica, result: await fn(replica.dataServer, replica)};
+      }
+      catch(error) {
+        if (isRequestError(error)) throw error;
+        this._failed(replica, error);
+        failed.push(replica);
+      }
+    }
+    throw noHealthyReplica();
+  }
+
+  async _read(fn) {
+    for (const replica of this.replicas) {
+      if (!replica.healthy) continue;
+      try {
+        return await fn(replica.dataServer);
+      }
+      catch(error) {
+        if (isRequestError(error)) throw error;
+        this._failed(replica, error);
+      }
+    }
+    throw noHealthyReplica();
+  }
+
+  async _moveSubscriptions(contract, replica) {
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.contract !== contract || subscription.replica === replica) continue;
+      const {replica: previous, replicaSubscriptionId} = subscription;
+      // the subscribe response is not passed to the client so does not need the initial data
+      const {read, since, ...options} = subscription.options;
+      await this._subscribeOn(replica, subscription, options);
+      previous.dataServer.unsubscribe(replicaSubscriptionId).catch(() => {});
+    }
+  }
+
+  /**
+   * Subscribes to the given replica on behalf of the subscription.  Notifications are only
+   * passed on while the subscription is held on that replica.
+   */
+  async _subscribeOn(replica, subscription, options) {
+    const token = {};
+    const listener = notification => {
+      if (subscription.token === token) subscription.listener({...notification, subscriptionId: subscription.subscriptionId});
+    }
+    const response = await replica.dataServer.subscribe(subscription.contract, subscription.file, listener, options);
+    subscription.replica = replica;
+    subscription.replicaSubscriptionId = response.subscriptionId;
+    subscription.token = token;
+    return response;
+  }
+
+  _failed(replica, error) {
+    replica.healthy = false;
+    replica.failures++;
+    this.onError(error, this.replicas.indexOf(replica));
+  }
+
+}
+
+
+/**
+ * Makes a secondary replica's request options unconditional: the primary has already evaluated
+ * the preconditions and the replica may hold different versions.
+ */
+function unconditional(method, options = {}) {
+  const {ifMatch, ifNoneMatch, ...rest} = options;
+  return ['create', 'delete', 'mkdir', 'terminate'].includes(method) ? {...rest, silent: true} : rest;
+}
+
+function isRequestError(error) {
+  return error !== undefined && REQUEST_ERRORS.includes(error.code);
+}
+
+function noHealthyReplica() {
+  return new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, "no healthy replica");
+}
+
+/**
+ * Resolves the recursive long listing of a bubble, or undefined if the bubble does not exist.
+ */
+async function listingOf(dataServer, contract) {
+  try {
+    return await dataServer.list(contract, ROOT_PATH, {recursive: true, long: true});
+  }
+  catch(error) {
+    if (error.code === ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST) return undefined;
+    throw error;
+  }
+}
+
+/**
+ * Makes the target's copy of a bubble match the given listing of the source's copy, comparing
+ * files by length and hash.
+ *
+ * @returns Promise to resolve with true if the target was changed
+ */
+async function reconcile(contract, source, target, expected) {
+  const actual = await listingOf(target, contract);
+  if (!expected) {
+    if (!actual) return false;
+    await target.terminate(contract, {silent: true});
+    return true;
+  }
+  let changed = false;
+  if (!actual) {
+    await target.create(contract, {silent: true});
+    changed = true;
+  }
+  const wanted = new Map(expected.map(entry => [entry.name, entry]));
+  const existing = new Map((actual || []).map(entry => [entry.name, entry]));
+
+  // Delete anything the source does not have, or has as a different type
+  for (const entry of actual || []) {
+    const match = wanted.get(entry.name);
+    if (!existing.has(entry.name) || (match && match.type === entry.type)) continue;
+    await target.delete(contract, entry.name, {silent: true});
+    existing.delete(entry.name);
+    existing.forEach((_, name) => { if (parentOf(name) === entry.name) existing.delete(name) });
+    changed = true;
+  }
+
+  // Create missing directories and copy missing or differing files
+  for (const entry of expected) {
+    const current = existing.get(entry.name);
+    if (entry.type === 'dir') {
+      if (current) continue;
+      await target.mkdir(contract, entry.name, {silent: true});
+    }
+    else {
+      if (current && current.length === entry.length && current.hash === entry.hash) continue;
+      const data = await source.read(contract, entry.name, {encoding: 'base64'});
+      await target.write(contract, entry.name, data, {encoding: 'base64'});
+    }
+    changed = true;
+  }
+  return changed;
+}
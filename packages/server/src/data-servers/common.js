@@ -0,0 +1,280 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+//
+// Helpers shared by the Data Server implementations in this directory.
+//
+
+import { createHash, randomBytes } from 'crypto';
+import { BubbleError, ErrorCodes, ROOT_PATH, DATA_ENCODINGS } from '@bubble-protocol/core';
+
+
+/**
+ * Holds the subscriptions of a Data Server and sends notifications to them.
+ */
+export class Subscriptions {
+
+  subscriptions = new Map();
+  lastSubscriptionId = 0;
+
+  add(contract, file, listener, options) {
+    const subscriptionId = ++this.lastSubscriptionId;
+    this.subscriptions.set(subscriptionId, {contract, file, listener, options});
+    return subscriptionId;
+  }
+
+  remove(subscriptionId) {
+    this.subscriptions.delete(subscriptionId);
+  }
+
+  removeBubble(contract) {
+    this.subscriptions.forEach((sub, id) => { if (sub.contract === contract) this.subscriptions.delete(id) });
+  }
+
+  has(contract, file) {
+    for (const sub of this.subscriptions.values()) {
+      if (sub.contract === contract && sub.file === file) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Notifies the subscribers of the given file.  Buffer data is encoded with the encoding of
+   * each subscription.
+   */
+  dispatch(contract, file, event, data, meta) {
+    this.subscriptions.forEach((sub, subscriptionId) => {
+      if (sub.contract === contract && sub.file === file) {
+        sub.listener({
+          subscriptionId,
+          event,
+          file: meta,
+          data: event === 'delete' || sub.options.list ? undefined : Buffer.isBuffer(data) ? encode(data, sub.options.encoding) : data
+        });
+      }
+    });
+  }
+
+}
+
+
+/**
+ * Serialises async functions by key, e.g. so that requests for the same bubble are serviced one
+ * at a time in the order they are received.
+ */
+export class KeyedLock {
+
+  locks = new Map();
+
+  run(key, fn) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const result = previous.then(fn);
+    const done = result.catch(() => {});
+    this.locks.set(key, done);
+    done.then(() => { if (this.locks.get(key) === done) this.locks.delete(key) });
+    return result;
+  }
+
+}
+
+
+/**
+ * Returns the parent directory of a file, or ROOT_PATH for a file in the root directory.
+ */
+export function parentOf(file) {
+  return file.length > 66 ? file.slice(0,66) : ROOT_PATH;
+}
+
+export function checkEncoding(options) {
+  if (options.encoding !== undefined && !DATA_ENCODINGS.includes(options.encoding))
+    throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid encoding option");
+}
+
+/**
+ * Throws if the `ifMatch` or `ifNoneMatch` option is invalid or not met by the file with the
+ * given metadata (undefined if the file does not exist).
+ */
+export function checkPreconditions(meta, options) {
+  const {ifMatch, ifNoneMatch} = options;
+  if (ifMatch !== undefined && typeof ifMatch !== 'string')
+    throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid ifMatch option");
+  if (ifNoneMatch !== undefined && typeof ifNoneMatch !== 'string')
+    throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid ifNoneMatch option");
+  const exists = meta !== undefined;
+  const version = exists ? meta.version : undefined;
+  if (ifMatch !== undefined && (!exists || (ifMatch !== '*' && ifMatch !== version)))
+    throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED, "precondition failed - version does not match");
+  if (ifNoneMatch !== undefined && exists && (ifNoneMatch === '*' || ifNoneMatch === version))
+    throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED, "precondition failed - version matches");
+}
+
+const NO_VERSION_HISTORY = {retainVersions: 0, versions: false};
+
+/**
+ * Throws if the given version history option (`retainVersions` of `create`, `version` of `read` or
+ * `versions` of `list`) is given to a Data Server that does not support version history (see
+ * [req-ds-vh-7]).  `retainVersions: 0` and `versions: false` ask for no history so are accepted.
+ */
+export function rejectVersionHistoryOption(options, option) {
+  if (options[option] !== undefined && options[option] !== NO_VERSION_HISTORY[option])
+    throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, `${option} option is not supported`);
+}
+
+/**
+ * Validates the `offset`, `length`, `tail` and `encoding` options of a read.
+ */
+export function checkReadOptions(options) {
+  for (const option of ['offset', 'length', 'tail']) {
+    if (options[option] !== undefined && !(Number.isInteger(options[option]) && options[option] >= 0))
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, `invalid ${option} option`);
+  }
+  if (options.offset !== undefined && options.tail !== undefined)
+    throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "offset and tail options cannot be combined");
+  checkEncoding(options);
+}
+
+/**
+ * Returns the `{start, end}` byte range of a file of the given length selected by the read
+ * options.
+ */
+export function readRangeOf(length, options) {
+  const start = options.tail !== undefined ? Math.max(length - options.tail, 0) : options.offset || 0;
+  const end = options.length !== undefined ? Math.min(start + options.length, length) : length;
+  return {start, end: Math.max(start, end)};
+}
+
+/**
+ * Validates the filter, sort and pagination options of a listing.
+ *
+ * @returns the parsed options used by `buildListing`
+ */
+export function parseListOptions(options) {
+  let matchesRegex;
+  if (options.matches) {
+    try {
+      matchesRegex = new RegExp(options.matches);
+    }
+    catch(error) {
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid matches option");
+    }
+  }
+  for (const option of ['before', 'after', 'createdBefore', 'createdAfter']) {
+    if (options[option] !== undefined && typeof options[option] !== 'number')
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, `invalid ${option} option`);
+  }
+  const sort = options.sort || 'name';
+  const order = options.order || 'asc';
+  const paginate = options.limit !== undefined || options.cursor !== undefined;
+  if (!['name', 'created', 'modified'].includes(sort))
+    throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid sort option");
+  if (!['asc', 'desc'].includes(order))
+    throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid order option");
+  if (options.limit !== undefined && !(Number.isInteger(options.limit) && options.limit > 0))
+    throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid limit option");
+  let cursor;
+  if (options.cursor !== undefined) {
+    cursor = decodeCursor(options.cursor);
+    if (!cursor || cursor.sort !== sort || cursor.order !== order)
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid cursor option");
+  }
+  return {matchesRegex, sort, order, paginate, cursor};
+}
+
+/**
+ * Filters, sorts and paginates directory entries into a listing.
+ *
+ * @param {Array} entries metadata of each entry, of the form `{name, type, created, modified,
+ * version, length, hash}`.  The `length` of a directory is given by `lengthOf`.
+ * @param {Object} options the listing options
+ * @param {Object} parsed the result of `parseListOptions(options)`
+ * @param {Function} lengthOf async function `(dirName) => Number` returning the number of entries
+ * in a directory
+ * @returns Promise to resolve the listing, or a page of the listing if paginated
+ */
+export async function buildListing(entries, options, parsed, lengthOf) {
+  const {matchesRegex, sort, order, paginate, cursor} = parsed;
+
+  // Filter
+
+  const results = [];
+  const sortKeys = new Map();
+  for (const entry of entries) {
+    if (options.before !== undefined && entry.modified >= options.before) continue;
+    if (options.after !== undefined && entry.modified <= options.after) continue;
+    if (options.createdBefore !== undefined && entry.created >= options.createdBefore) continue;
+    if (options.createdAfter !== undefined && entry.created <= options.createdAfter) continue;
+    if (options.matches && !matchesRegex.test(entry.name)) continue;
+    const result = {name: entry.name, type: entry.type};
+    if (options.long || options.length) result.length = entry.type === 'dir' ? await lengthOf(entry.name) : entry.length;
+    if (options.long || options.created) result.created = entry.created;
+    if (options.long || options.modified) result.modified = entry.modified;
+    if ((options.long || options.version) && entry.type === 'file') result.version = entry.version;
+    if ((options.long || options.hash) && entry.type === 'file') result.hash = entry.hash;
+    results.push(result);
+    sortKeys.set(result, {value: sort === 'name' ? entry.name : entry[sort], name: entry.name});
+  }
+
+  // Sort and paginate
+
+  const direction = order === 'desc' ? -1 : 1;
+  const compare = (a, b) => direction * (a.value < b.value ? -1 : a.value > b.value ? 1 : a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+  results.sort((a, b) => compare(sortKeys.get(a), sortKeys.get(b)));
+  if (!paginate) return results;
+  const remaining = cursor ? results.filter(r => compare(sortKeys.get(r), cursor) > 0) : results;
+  const items = options.limit !== undefined ? remaining.slice(0, options.limit) : remaining;
+  const page = {items};
+  if (items.length < remaining.length) page.nextCursor = encodeCursor({sort, order, ...sortKeys.get(items[items.length-1])});
+  return page;
+}
+
+/**
+ * Validates the options of `listBubbles` and returns the requested page of the given bubble ids.
+ */
+export function pageOfBubbles(ids, options) {
+  if (options.limit !== undefined && !(Number.isInteger(options.limit) && options.limit > 0))
+    throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid limit option");
+  let cursor;
+  if (options.cursor !== undefined) {
+    cursor = decodeCursor(options.cursor);
+    if (!cursor || typeof cursor.after !== 'string')
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid cursor option");
+  }
+  const remaining = ids.filter(id => !cursor || id > cursor.after).sort();
+  const items = options.limit !== undefined ? remaining.slice(0, options.limit) : remaining;
+  const page = {items};
+  if (items.length < remaining.length) page.nextCursor = encodeCursor({after: items[items.length-1]});
+  return page;
+}
+
+/**
+ * Versions are unique across files and server restarts so are never reused for the same file.
+ */
+export function newVersion() {
+  return Date.now().toString(36)+'-'+randomBytes(6).toString('hex');
+}
+
+export function decode(data, encoding = 'utf8') {
+  return Buffer.from(data, encoding);
+}
+
+export function encode(bytes, encoding = 'utf8') {
+  return bytes.toString(encoding);
+}
+
+export function hashOf(bytes) {
+  return createHash('sha256').update(bytes).digest('hex');
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64');
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64').toString());
+  }
+  catch(_) {
+    return undefined;
+  }
+}
@@ -0,0 +1,17 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { CachingDataServer } from './CachingDataServer.js';
+import { EncryptedDataServer } from './EncryptedDataServer.js';
+import { FileSystemDataServer } from './FileSystemDataServer.js';
+import { KeyValueDataServer } from './KeyValueDataServer.js';
+import { ReplicatedDataServer } from './ReplicatedDataServer.js';
+
+export const dataServers = {
+  CachingDataServer: CachingDataServer,
+  EncryptedDataServer: EncryptedDataServer,
+  FileSystemDataServer: FileSystemDataServer,
+  KeyValueDataServer: KeyValueDataServer,
+  ReplicatedDataServer: ReplicatedDataServer
+}
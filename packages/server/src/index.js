@@ -2,10 +2,21 @@
 // Distributed under the MIT software license, see the accompanying
 // file LICENSE or http://www.opensource.org/licenses/mit-license.php.
 
-export {Guardian} from './Guardian.js';
+export {Guardian, DEFAULT_CACHED_OPERATIONS, SUBSCRIPTION_WATCH_MODES} from './Guardian.js';
+export {MultiChainGuardian, DEFAULT_CHAIN_NAMESPACE, DEFAULT_CHAIN_CONTRACT_OF} from './MultiChainGuardian.js';
+export {PermissionCache} from './PermissionCache.js';
+export {TerminatedBubbleSweeper} from './TerminatedBubbleSweeper.js';
+export {NamespacedDataServer} from './NamespacedDataServer.js';
 export {DataServer} from './DataServer.js';
-export {NotificationManager, NOTIFICATION_CONFIG_FILE, NOTIFICATION_OPERATIONS, NOTIFICATION_MATCH_TYPES} from './NotificationManager.js';
+export {NotificationManager, NOTIFICATION_CONFIG_FILE, NOTIFICATION_OPERATIONS, NOTIFICATION_MATCH_TYPES, NOTIFICATION_CONFIG_VERSIONS} from './NotificationManager.js';
 export {blockchainProviders} from './blockchain-providers/index.js';
+export {nonceStores} from './nonce-stores/index.js';
+export {keyValueStores} from './key-value-stores/index.js';
+export {keyProviders} from './key-providers/index.js';
+export {dataServers} from './data-servers/index.js';
+export {notifiers} from './notifiers/index.js';
+export {WEBHOOK_SIGNATURE_HEADER, WEBHOOK_TARGET_HEADER} from './notifiers/WebhookNotifier.js';
+export {BUBBLE_TRANSPORT_MODES} from './notifiers/BubbleNotifier.js';
 
 // re-export bubble-core exports for convenience
-export {BubbleProvider, ContentId, BubbleFilename, BubblePermissions, ROOT_PATH, BubbleError, ErrorCodes, assert} from '@bubble-protocol/core';
+export {BubbleProvider, ContentId, BubbleFilename, BubblePermissions, ROOT_PATH, DATA_ENCODINGS, BubbleError, ErrorCodes, PreconditionFailedError, assert} from '@bubble-protocol/core';
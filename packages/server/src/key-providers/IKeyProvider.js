@@ -0,0 +1,38 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+//
+
+/**
+ * KeyProvider Interface
+ *
+ * Wraps and unwraps the per-bubble data keys of an `EncryptedDataServer` with a master key held
+ * by the host.  The master key itself never leaves the provider, so a provider can be backed by
+ * a key management service or hardware security module as well as a key held in memory.
+ */
+export class IKeyProvider {
+
+  /**
+   * Encrypts a data key with the master key.
+   *
+   * @param {Buffer} key the data key to wrap
+   * @param {String} contract the bubble the key belongs to.  Implementations should bind the
+   * wrapped key to it so that a wrapped key cannot be used for another bubble.
+   * @returns Promise to resolve the wrapped key as a Buffer.
+   */
+  async wrapKey(key, contract) {
+    throw new Error('KeyProvider.wrapKey is a virtual function and must be implemented');
+  }
+
+  /**
+   * Decrypts a data key previously wrapped by `wrapKey`.
+   *
+   * @param {Buffer} wrappedKey the wrapped data key
+   * @param {String} contract the bubble the key belongs to
+   * @returns Promise to resolve the data key as a Buffer.  Rejects if the key cannot be unwrapped.
+   */
+  async unwrapKey(wrappedKey, contract) {
+    throw new Error('KeyProvider.unwrapKey is a virtual function and must be implemented');
+  }
+
+}
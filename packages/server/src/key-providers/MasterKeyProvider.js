@@ -0,0 +1,50 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+//
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import { assert } from '@bubble-protocol/core';
+import { IKeyProvider } from './IKeyProvider.js';
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+
+/**
+ * Key provider that wraps data keys with a 256-bit master key held in memory, using AES-256-GCM.
+ * The bubble's contract address is authenticated with each wrapped key.
+ */
+export class MasterKeyProvider extends IKeyProvider {
+
+  masterKey;
+
+  /**
+   * @param {Buffer|String} _masterKey 32 byte master key, as a Buffer or hex string
+   */
+  constructor(_masterKey) {
+    super();
+    if (!Buffer.isBuffer(_masterKey)) {
+      assert.isHex32(_masterKey, 'master key');
+      _masterKey = Buffer.from(_masterKey.replace(/^0x/, ''), 'hex');
+    }
+    if (_masterKey.length !== 32) throw new TypeError("master key type. Expected 32 bytes");
+    this.masterKey = _masterKey;
+  }
+
+  async wrapKey(key, contract) {
+    const iv = randomBytes(IV_LENGTH);
+    const cipher = createCipheriv('aes-256-gcm', this.masterKey, iv);
+    cipher.setAAD(Buffer.from(contract));
+    const ciphertext = Buffer.concat([cipher.update(key), cipher.final()]);
+    return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+  }
+
+  async unwrapKey(wrappedKey, contract) {
+    const decipher = createDecipheriv('aes-256-gcm', this.masterKey, wrappedKey.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(contract));
+    decipher.setAuthTag(wrappedKey.subarray(wrappedKey.length - TAG_LENGTH));
+    return Buffer.concat([decipher.update(wrappedKey.subarray(IV_LENGTH, wrappedKey.length - TAG_LENGTH)), decipher.final()]);
+  }
+
+}
@@ -0,0 +1,11 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { IKeyProvider } from './IKeyProvider.js';
+import { MasterKeyProvider } from './MasterKeyProvider.js';
+
+export const keyProviders = {
+  IKeyProvider: IKeyProvider,
+  MasterKeyProvider: MasterKeyProvider
+}
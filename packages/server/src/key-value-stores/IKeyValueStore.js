@@ -0,0 +1,63 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+//
+
+/**
+ * KeyValueStore Interface
+ *
+ * Minimal async key-value store used by the `KeyValueDataServer`.  Keys are strings and values
+ * are Buffers.  Embedded stores such as LevelDB, or a table in an SQL database, can be adapted to
+ * this interface with a thin wrapper.
+ */
+export class IKeyValueStore {
+
+  /**
+   * @param {String} key the key to get
+   * @returns Promise to resolve the value held for the key, or undefined if there is none.
+   */
+  async get(key) {
+    throw new Error('KeyValueStore.get is a virtual function and must be implemented');
+  }
+
+  /**
+   * Sets the value of a key, replacing any existing value.
+   *
+   * @param {String} key the key to set
+   * @param {Buffer} value the value to hold
+   * @returns Promise to resolve when the value has been stored.
+   */
+  async put(key, value) {
+    throw new Error('KeyValueStore.put is a virtual function and must be implemented');
+  }
+
+  /**
+   * Deletes a key.  Resolves if the key does not exist.
+   *
+   * @param {String} key the key to delete
+   * @returns Promise to resolve when the key has been deleted.
+   */
+  async del(key) {
+    throw new Error('KeyValueStore.del is a virtual function and must be implemented');
+  }
+
+  /**
+   * @param {String} prefix the key prefix to match
+   * @returns Promise to resolve an array of `[key, value]` pairs, in any order, for every key
+   * that starts with the given prefix.
+   */
+  async scan(prefix) {
+    throw new Error('KeyValueStore.scan is a virtual function and must be implemented');
+  }
+
+  /**
+   * Optional.  Atomically applies a list of operations, so that either all or none of them take
+   * effect.  If implemented, the `KeyValueDataServer` applies each request as a single batch.
+   * Otherwise it applies each operation in turn.
+   *
+   * @param {Array} ops array of `{type: 'put', key, value}` or `{type: 'del', key}` operations
+   * @returns Promise to resolve when all the operations have been applied.
+   */
+  // async batch(ops) {}
+
+}
@@ -0,0 +1,47 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+//
+
+import { IKeyValueStore } from './IKeyValueStore.js';
+
+
+/**
+ * In-memory key-value store.  Contents are lost when the process exits, so is suitable for
+ * testing or for servers whose bubbles are transient.
+ */
+export class MemoryKeyValueStore extends IKeyValueStore {
+
+  entries = new Map();
+
+  async get(key) {
+    return this.entries.get(key);
+  }
+
+  async put(key, value) {
+    this.entries.set(key, value);
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+
+  async scan(prefix) {
+    return Array.from(this.entries).filter(([key]) => key.startsWith(prefix));
+  }
+
+  async batch(ops) {
+    ops.forEach(op => {
+      if (op.type === 'put') this.entries.set(op.key, op.value);
+      else this.entries.delete(op.key);
+    });
+  }
+
+  /**
+   * @returns the number of keys currently held
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+}
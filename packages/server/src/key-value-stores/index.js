@@ -0,0 +1,11 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { IKeyValueStore } from './IKeyValueStore.js';
+import { MemoryKeyValueStore } from './MemoryKeyValueStore.js';
+
+export const keyValueStores = {
+  IKeyValueStore: IKeyValueStore,
+  MemoryKeyValueStore: MemoryKeyValueStore
+}
@@ -0,0 +1,33 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+//
+
+/**
+ * NonceStore Interface
+ *
+ * Records the nonces of requests already serviced by a Guardian so that replayed requests can be
+ * detected.  A nonce only needs to be held until its request falls outside the Guardian's request
+ * window, after which the request would be rejected as expired anyway.
+ *
+ * Hosts running multiple Guardian instances behind a load balancer should implement this
+ * interface over a shared store (e.g. a database or cache with key expiry) so that a request
+ * serviced by one instance cannot be replayed against another.
+ */
+export class INonceStore {
+
+  /**
+   * Atomically records the given nonce if it is not already held.  Implementations must ensure
+   * that, of any number of concurrent calls with the same nonce, only one resolves `true`.
+   *
+   * @param {String} nonce the request nonce, prefixed by the request's signatory in the form
+   *   `<signatory>:<nonce>`
+   * @param {Number} expiry UNIX timestamp (ms) after which the nonce no longer needs to be held
+   * @returns Promise to resolve `true` if the nonce was recorded, or `false` if it is already
+   * held and has not yet expired.
+   */
+  async add(nonce, expiry) {
+    throw new Error('NonceStore.add is a virtual function and must be implemented');
+  }
+
+}
@@ -0,0 +1,59 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+//
+
+import { INonceStore } from './INonceStore.js';
+
+const DEFAULT_PURGE_PERIOD = 60000;
+
+
+/**
+ * In-memory nonce store suitable for a single Guardian instance.
+ *
+ * Expired nonces are purged lazily, at most once per purge period, when a new nonce is added.
+ */
+export class MemoryNonceStore extends INonceStore {
+
+  nonces = new Map();
+  purgePeriod;
+  nextPurge = 0;
+
+  /**
+   * @param {Object} options optional configuration:
+   *   purgePeriod: {Number} minimum time (ms) between purges of expired nonces. Defaults to 60s.
+   */
+  constructor(options={}) {
+    super();
+    this.purgePeriod = options.purgePeriod !== undefined ? options.purgePeriod : DEFAULT_PURGE_PERIOD;
+  }
+
+  async add(nonce, expiry) {
+    const now = Date.now();
+    if (now >= this.nextPurge) this.purge(now);
+    const existingExpiry = this.nonces.get(nonce);
+    if (existingExpiry !== undefined && existingExpiry >= now) return false;
+    this.nonces.set(nonce, expiry);
+    return true;
+  }
+
+  /**
+   * Deletes all nonces that have expired.
+   *
+   * @param {Number} now optional current time (ms)
+   */
+  purge(now = Date.now()) {
+    for (const [nonce, expiry] of this.nonces) {
+      if (expiry < now) this.nonces.delete(nonce);
+    }
+    this.nextPurge = now + this.purgePeriod;
+  }
+
+  /**
+   * @returns the number of nonces currently held
+   */
+  get size() {
+    return this.nonces.size;
+  }
+
+}
@@ -0,0 +1,11 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { INonceStore } from './INonceStore.js';
+import { MemoryNonceStore } from './MemoryNonceStore.js';
+
+export const nonceStores = {
+  INonceStore: INonceStore,
+  MemoryNonceStore: MemoryNonceStore
+}
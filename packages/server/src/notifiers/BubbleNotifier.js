@@ -0,0 +1,126 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { randomUUID } from 'crypto';
+import { assert, BubbleFilename } from '@bubble-protocol/core';
+
+export const BUBBLE_TRANSPORT_MODES = ['append', 'write'];
+
+const ADDRESS_REGEX = /^0x[0-9a-fA-F]{40}$/;
+
+
+/**
+ * Notifier for the `NotificationManager` that delivers notifications to targets with a `bubble`
+ * transport, i.e. to a file in another bubble hosted by this server, such as a recipient's inbox.
+ * The transport is of the form:
+ *
+ *   {
+ *     type: 'bubble',
+ *     contentId: {chain, contract, file, provider}  // the recipient file (provider is optional)
+ *     mode: 'append' | 'write'  // optional, defaults to 'append'
+ *   }
+ *
+ * In `append` mode the notification is appended to the file as a line of JSON, so the file
+ * accumulates one event record per line.  In `write` mode the file is overwritten with the latest
+ * notification.
+ *
+ * The write is posted through the Guardian with the notifying bubble's contract address as the
+ * requester, so it is only made if the recipient bubble's contract grants that address write (or
+ * append) permission to the file.  It is subject to the Guardian's other checks, including its
+ * request validators.  A contract address only identifies the notifying bubble on its own chain, so
+ * targets on a different chain are rejected.
+ *
+ * Writes made by the notifier are not notified by a `NotificationManager` attached to the Guardian.
+ * Hosts that notify them by other means must take care that bubbles cannot notify each other in a
+ * loop.
+ *
+ * Pass the `notify` method to the `NotificationManager`, or use `deliver` with a
+ * `NotificationQueue`:
+ *
+ *   const notifier = new BubbleNotifier(guardian, {providerUrl: SERVER_URL});
+ *   const notificationManager = new NotificationManager(dataServer, SERVER_URL, notifier.notify);
+ */
+export class BubbleNotifier {
+
+  guardian;
+  providerUrl;
+  onError;
+
+  /**
+   * @param {Guardian|MultiChainGuardian} _guardian the Guardian protecting the recipient bubbles
+   * @param {Object} options optional configuration:
+   *   providerUrl: {String} the URL of this provider.  If given, targets whose content id names a
+   *     different provider are rejected.
+   *   onError: {Function} called with `(error, target)` if `notify` fails to deliver a
+   *     notification.  Defaults to logging the error.
+   */
+  constructor(_guardian, options={}) {
+    assert.isObject(_guardian, 'guardian');
+    this.guardian = _guardian;
+    this.providerUrl = options.providerUrl;
+    this.onError = options.onError || ((error, target) => console.warn('notification delivery failed:', target.id, error.message));
+    this.notify = this.notify.bind(this);
+    this.deliver = this.deliver.bind(this);
+  }
+
+  /**
+   * Notifier function for the `NotificationManager`.  Delivers the notification, passing any
+   * failure to the `onError` option.
+   *
+   * @param {Object} target the target, of the form `{id, transport}`
+   * @param {Object} notification the notification
+   * @returns Promise that resolves once delivery has completed or failed.  Never rejects.
+   */
+  notify(target, notification) {
+    return this.deliver(target, notification).catch(error => this.onError(error, target));
+  }
+
+  /**
+   * Writes or appends the notification to the target's bubble.
+   *
+   * @param {Object} target the target, of the form `{id, transport}`
+   * @param {Object} notification the notification
+   * @returns Promise to resolve with the Guardian's response once written
+   * @throws Rejects if the transport is not a valid bubble transport for this provider, the bubble
+   *   is on a different chain to the notifying bubble, or the Guardian rejects the write (e.g. the
+   *   notifying bubble does not have permission).
+   */
+  async deliver(target, notification) {
+    const {type, contentId, mode = 'append'} = target.transport || {};
+    if (type !== 'bubble') throw new Error(`unsupported transport type '${type}'`);
+    if (!isBubbleContentId(contentId)) throw new Error('invalid bubble content id');
+    if (!BUBBLE_TRANSPORT_MODES.includes(mode)) throw new Error(`unsupported mode '${mode}'`);
+    if (this.providerUrl !== undefined && contentId.provider !== undefined && contentId.provider !== this.providerUrl) {
+      throw new Error('bubble is not hosted by this provider');
+    }
+    const sender = notification && notification.contentId && notification.contentId.contract;
+    if (!assert.isString(sender) || !ADDRESS_REGEX.test(sender)) throw new Error('notification has no sender');
+    if (notification.contentId.chain !== contentId.chain) throw new Error('bubble is on a different chain to the notifying bubble');
+    const json = JSON.stringify(notification);
+    const params = {
+      chainId: contentId.chain,
+      contract: contentId.contract,
+      file: contentId.file,
+      data: mode === 'append' ? json + '\n' : json,
+      timestamp: Date.now(),
+      nonce: randomUUID()
+    };
+    return this.guardian.postAs(sender, mode, params);
+  }
+
+}
+
+
+/**
+ * Returns true if the content id identifies a file in a bubble: an integer chain id, a contract
+ * address, a file (not a directory) and an optional provider.
+ */
+export function isBubbleContentId(contentId) {
+  if (!assert.isObject(contentId)) return false;
+  const {chain, contract, file, provider} = contentId;
+  if (!Number.isInteger(chain) || !assert.isString(contract) || !ADDRESS_REGEX.test(contract)) return false;
+  if (provider !== undefined && !assert.isString(provider)) return false;
+  const filename = new BubbleFilename(file);
+  return filename.isValid() && !filename.isRoot();
+}
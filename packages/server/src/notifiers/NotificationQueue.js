@@ -0,0 +1,312 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { createHash } from 'crypto';
+import { assert } from '@bubble-protocol/core';
+import { MemoryKeyValueStore } from '../key-value-stores/MemoryKeyValueStore.js';
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_INITIAL_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 300000;
+const DEFAULT_BACKOFF_FACTOR = 2;
+const QUEUE_PREFIX = 'queue/';
+const DEAD_LETTER_PREFIX = 'dead/';
+
+
+/**
+ * Durable delivery queue that sits between the `NotificationManager` and a delivery function,
+ * such as `WebhookNotifier.deliver`.
+ *
+ * Notifications are persisted in an `IKeyValueStore` before delivery is attempted.  A failed
+ * delivery is retried with exponential backoff.  After `maxAttempts` failures the notification is
+ * moved to the dead-letter store, from where it can be inspected and replayed.
+ *
+ * Notifications for the same target (the same target id in the same bubble) are delivered one
+ * at a time, in the order they were queued.  A notification that is retrying holds back the
+ * target's later notifications until it is delivered or dead-lettered.  A replayed notification
+ * is queued behind the target's current notifications.
+ *
+ * Each queued or dead-lettered entry is of the form:
+ *
+ *   {
+ *     id: {String} unique id of the entry
+ *     target: {Object} the notification target, of the form `{id, transport}`
+ *     notification: {Object} the notification
+ *     attempts: {Number} number of failed delivery attempts
+ *     queued: {Number} time (ms) the entry was queued
+ *     nextAttempt: {Number} time (ms) of the next delivery attempt (queued entries only)
+ *     error: {String} message of the last delivery error, if any
+ *     failed: {Number} time (ms) the entry was dead-lettered (dead-lettered entries only)
+ *   }
+ *
+ * Pass the `notify` method to the `NotificationManager` and start the queue:
+ *
+ *   const queue = new NotificationQueue(webhookNotifier.deliver, {store});
+ *   const notificationManager = new NotificationManager(dataServer, SERVER_URL, queue.notify);
+ *   await queue.start();
+ *
+ * The store must not be shared between queues.
+ */
+export class NotificationQueue {
+
+  deliver;
+  store;
+  maxAttempts;
+  initialDelay;
+  maxDelay;
+  backoffFactor;
+  queues = new Map();
+  active = new Set();
+  timers = new Map();
+  running = false;
+  lastId = 0;
+
+  /**
+   * @param {Function} _deliver async function `(target, notification) => any` that delivers a
+   *   notification and rejects if delivery fails.
+   * @param {Object} options optional configuration:
+   *   store: {IKeyValueStore} store to persist queued and dead-lettered entries.  Defaults to an
+   *     in-memory store, in which case undelivered notifications are lost when the process exits.
+   *   maxAttempts: {Number} number of delivery attempts before an entry is dead-lettered.
+   *     Defaults to 8.
+   *   initialDelay: {Number} delay (ms) before the first retry.  Defaults to 1 second.
+   *   backoffFactor: {Number} factor by which the delay increases after each retry.  Defaults to 2.
+   *   maxDelay: {Number} maximum delay (ms) between retries.  Defaults to 5 minutes.
+   *   onDeadLetter: {Function} called with the entry when it is dead-lettered.
+   *   onError: {Function} called with `(error, target)` if a notification cannot be queued, an
+   *     entry cannot be updated in the store or `onDeadLetter` throws.  Defaults to logging the error.
+   */
+  constructor(_deliver, options={}) {
+    assert.isFunction(_deliver, 'deliver');
+    this.deliver = _deliver;
+    this.store = options.store || new MemoryKeyValueStore();
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.initialDelay = options.initialDelay !== undefined ? options.initialDelay : DEFAULT_INITIAL_DELAY;
+    this.backoffFactor = options.backoffFactor || DEFAULT_BACKOFF_FACTOR;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : DEFAULT_MAX_DELAY;
+    this.onDeadLetter = options.onDeadLetter;
+    this.onError = options.onError || ((error, target) => console.error('notification queue error for target', target && target.id, error));
+    assert.isNumber(this.maxAttempts, 'maxAttempts');
+    assert.isNumber(this.initialDelay, 'initialDelay');
+    assert.isNumber(this.backoffFactor, 'backoffFactor');
+    assert.isNumber(this.maxDelay, 'maxDelay');
+    this.notify = this.notify.bind(this);
+  }
+
+  /**
+   * Loads any entries left in the store by a previous run and starts delivering.  Does nothing if
+   * already started.
+   *
+   * @returns Promise to resolve once the stored entries have been loaded
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+    for (const [key, value] of await this.store.scan(QUEUE_PREFIX)) {
+      const queueKey = key.slice(QUEUE_PREFIX.length).split('/')[0];
+      const queue = this._queue(queueKey);
+      if (!queue.some(item => item.key === key)) queue.push({key, entry: parse(value)});
+    }
+    this.queues.forEach((queue, queueKey) => {
+      queue.sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+      this._drain(queueKey);
+    });
+  }
+
+  /**
+   * Stops delivering.  Deliveries in progress are allowed to complete.  Queued entries remain in
+   * the store.
+   */
+  stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Notifier function for the `NotificationManager`.  Queues the notification, passing any
+   * failure to the `onError` option.
+   *
+   * @returns Promise that resolves once the notification has been queued or failed to queue.
+   *   Never rejects.
+   */
+  notify(target, notification) {
+    return this.enqueue(target, notification).catch(error => this.onError(error, target));
+  }
+
+  /**
+   * Persists the notification and queues it for delivery to the target.
+   *
+   * @param {Object} target the target, of the form `{id, transport}`
+   * @param {Object} notification the notification
+   * @returns Promise to resolve with the queued entry
+   */
+  async enqueue(target, notification) {
+    const queueKey = queueKeyOf(target, notification);
+    const entry = {id: this._newId(), target, notification, attempts: 0, queued: Date.now(), nextAttempt: Date.now()};
+    return this._queueEntry(queueKey, entry);
+  }
+
+  /**
+   * @returns Promise to resolve with the queued entries, in the order they were queued for each
+   * target.
+   */
+  async pending() {
+    return [...this.queues.values()].flatMap(queue => queue.map(item => item.entry));
+  }
+
+  /**
+   * @returns Promise to resolve with the dead-lettered entries, oldest first.
+   */
+  async deadLetters() {
+    const entries = (await this.store.scan(DEAD_LETTER_PREFIX)).map(([_, value]) => parse(value));
+    return entries.sort((a, b) => a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  }
+
+  /**
+   * Moves a dead-lettered entry back to the end of its target's queue, with its attempts reset.
+   *
+   * @param {String} id the id of the dead-lettered entry
+   * @returns Promise to resolve with the queued entry
+   * @throws Rejects if there is no dead-lettered entry with the given id
+   */
+  async replay(id) {
+    const key = DEAD_LETTER_PREFIX + id;
+    const value = await this.store.get(key);
+    if (value === undefined) throw new Error(`dead letter ${id} does not exist`);
+    const {target, notification, queued} = parse(value);
+    const entry = {id: this._newId(), target, notification, attempts: 0, queued, nextAttempt: Date.now()};
+    const result = await this._queueEntry(queueKeyOf(target, notification), entry);
+    await this.store.del(key);
+    return result;
+  }
+
+  /**
+   * Replays every dead-lettered entry, oldest first.
+   *
+   * @returns Promise to resolve with the queued entries
+   */
+  async replayAll() {
+    const results = [];
+    for (const {id} of await this.deadLetters()) results.push(await this.replay(id));
+    return results;
+  }
+
+  /**
+   * Permanently deletes a dead-lettered entry.  Resolves if the entry does not exist.
+   *
+   * @param {String} id the id of the dead-lettered entry
+   */
+  discard(id) {
+    return this.store.del(DEAD_LETTER_PREFIX + id);
+  }
+
+  async _queueEntry(queueKey, entry) {
+    const key = `${QUEUE_PREFIX}${queueKey}/${entry.id}`;
+    await this.store.put(key, serialise(entry));
+    this._queue(queueKey).push({key, entry});
+    this._drain(queueKey);
+    return entry;
+  }
+
+  /**
+   * Delivers the entries of a queue in order until it is empty, it must wait for a retry or the
+   * queue is stopped.  Only one drain runs per queue at a time.
+   */
+  async _drain(queueKey) {
+    if (!this.running || this.active.has(queueKey)) return;
+    this.active.add(queueKey);
+    clearTimeout(this.timers.get(queueKey));
+    this.timers.delete(queueKey);
+    try {
+      const queue = this._queue(queueKey);
+      while (this.running && queue.length > 0) {
+        const item = queue[0];
+        const wait = item.entry.nextAttempt - Date.now();
+        if (wait > 0) {
+          this._retryAfter(queueKey, wait);
+          return;
+        }
+        await this._attempt(item);
+        if (item.done) queue.shift();
+      }
+      if (queue.length === 0) this.queues.delete(queueKey);
+    }
+    catch(error) {
+      // the store failed so wait before trying again
+      this.onError(error, this._queue(queueKey)[0].entry.target);
+      this._retryAfter(queueKey, this.initialDelay);
+    }
+    finally {
+      this.active.delete(queueKey);
+    }
+  }
+
+  async _attempt(item) {
+    const {entry} = item;
+    let delivered = false;
+    try {
+      await this.deliver(entry.target, entry.notification);
+      delivered = true;
+    }
+    catch(error) {
+      entry.attempts++;
+      entry.error = error && error.message !== undefined ? error.message : String(error);
+    }
+    if (delivered) {
+      await this.store.del(item.key);
+      item.done = true;
+    }
+    else if (entry.attempts >= this.maxAttempts) {
+      const deadLetter = {...entry, failed: Date.now()};
+      delete deadLetter.nextAttempt;
+      await this.store.put(DEAD_LETTER_PREFIX + entry.id, serialise(deadLetter));
+      await this.store.del(item.key);
+      item.done = true;
+      // the entry has already left the queue so a throwing callback must not reach _drain
+      if (this.onDeadLetter) {
+        try { this.onDeadLetter(deadLetter) }
+        catch(error) { this.onError(error, entry.target) }
+      }
+    }
+    else {
+      entry.nextAttempt = Date.now() + Math.min(this.maxDelay, this.initialDelay * Math.pow(this.backoffFactor, entry.attempts - 1));
+      await this.store.put(item.key, serialise(entry));
+    }
+  }
+
+  _retryAfter(queueKey, delay) {
+    const timer = setTimeout(() => this._drain(queueKey), delay);
+    if (timer.unref) timer.unref();
+    this.timers.set(queueKey, timer);
+  }
+
+  _queue(queueKey) {
+    if (!this.queues.has(queueKey)) this.queues.set(queueKey, []);
+    return this.queues.get(queueKey);
+  }
+
+  // Ids sort in the order they were created, including across restarts
+  _newId() {
+    return Date.now().toString().padStart(15, '0') + '-' + (++this.lastId).toString().padStart(9, '0');
+  }
+
+}
+
+
+/**
+ * Identifies a target's queue: the target id within the notifying bubble.
+ */
+function queueKeyOf(target, notification) {
+  const {chain, contract} = (notification && notification.contentId) || {};
+  return createHash('sha256').update(JSON.stringify([chain, contract, target.id])).digest('hex').slice(0, 32);
+}
+
+function serialise(entry) {
+  return Buffer.from(JSON.stringify(entry));
+}
+
+function parse(value) {
+  return JSON.parse(value.toString());
+}
@@ -0,0 +1,218 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import { assert } from '@bubble-protocol/core';
+
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Bubble-Signature';
+export const WEBHOOK_TARGET_HEADER = 'X-Bubble-Target';
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_SIGNATURE_TOLERANCE = 300000;
+const PRIVATE_ADDRESS_ERROR = 'ERR_WEBHOOK_PRIVATE_ADDRESS';
+
+// Addresses that are not publicly routable, including loopback, private network, link-local (e.g.
+// cloud metadata services), carrier-grade NAT, multicast and reserved ranges.  IPv4-mapped IPv6
+// addresses are checked against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'], ['10.0.0.0', 8, 'ipv4'], ['100.64.0.0', 10, 'ipv4'], ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.0.0.0', 24, 'ipv4'], ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'], ['224.0.0.0', 4, 'ipv4'], ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'], ['::1', 128, 'ipv6'], ['64:ff9b::', 96, 'ipv6'], ['fc00::', 7, 'ipv6'], ['fe80::', 10, 'ipv6'], ['ff00::', 8, 'ipv6']
+].forEach(([address, prefix, type]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, type));
+
+
+/**
+ * Notifier for the `NotificationManager` that delivers notifications to targets with a `webhook`
+ * transport.  Each notification is POSTed as JSON to the transport's `url`.
+ *
+ * If the transport has an `authRef`, the secret it refers to is resolved by the host's
+ * `resolveSecret` option (secrets are never held in the bubble's config) and the request is
+ * signed with an HMAC-SHA256 signature header of the form:
+ *
+ *   X-Bubble-Signature: t=<timestamp ms>,v1=<hex hmac of `${timestamp}.${body}`>
+ *
+ * Receivers can check the header with `WebhookNotifier.verify`.  A notification is not sent if
+ * its `authRef` cannot be resolved.  The id of the target is sent in the `X-Bubble-Target` header.
+ *
+ * Webhook urls are chosen by anyone who can write a bubble's notification config, so by default
+ * notifications are only sent to public addresses.  The webhook's host is checked each time it is
+ * resolved, as the connection is made, so a hostname cannot be rebound to an internal address.
+ *
+ * Pass the `notify` method to the `NotificationManager`:
+ *
+ *   const notifier = new WebhookNotifier({resolveSecret: authRef => secrets[authRef]});
+ *   const notificationManager = new NotificationManager(dataServer, SERVER_URL, notifier.notify);
+ *
+ * or, to retry failed deliveries, pass the `deliver` method to a `NotificationQueue`.
+ */
+export class WebhookNotifier {
+
+  timeout;
+  resolveSecret;
+  allowPrivateAddresses;
+  onError;
+
+  /**
+   * @param {Object} options optional configuration:
+   *   resolveSecret: {Function} async function `(authRef, target) => String|Buffer` resolving the
+   *     signing secret for a transport's `authRef`, or undefined if unknown.
+   *   timeout: {Number} time (ms) to wait for a webhook to respond.  Defaults to 10 seconds.
+   *   allowPrivateAddresses: {boolean} allows webhooks on loopback, private network and
+   *     link-local addresses.  Defaults to false.  Only enable in development or if every writer
+   *     of notification configs is trusted.
+   *   onError: {Function} called with `(error, target)` if `notify` fails to deliver a
+   *     notification.  Defaults to logging the error.
+   */
+  constructor(options={}) {
+    this.timeout = options.timeout !== undefined ? options.timeout : DEFAULT_TIMEOUT;
+    this.resolveSecret = options.resolveSecret || (() => undefined);
+    this.allowPrivateAddresses = options.allowPrivateAddresses === true;
+    this.onError = options.onError || ((error, target) => console.warn('notification delivery failed:', target.id, error.message));
+    assert.isNumber(this.timeout, 'timeout');
+    this.notify = this.notify.bind(this);
+    this.deliver = this.deliver.bind(this);
+  }
+
+  /**
+   * Notifier function for the `NotificationManager`.  Delivers the notification, passing any
+   * failure to the `onError` option.
+   *
+   * @param {Object} target the target, of the form `{id, transport}`
+   * @param {Object} notification the notification
+   * @returns Promise that resolves once delivery has completed or failed.  Never rejects.
+   */
+  notify(target, notification) {
+    return this.deliver(target, notification).catch(error => this.onError(error, target));
+  }
+
+  /**
+   * Delivers the notification to the target's webhook.
+   *
+   * @param {Object} target the target, of the form `{id, transport}`
+   * @param {Object} notification the notification
+   * @returns Promise to resolve with `{status}` if the webhook responds with a 2xx status
+   * @throws Rejects if the transport is not a webhook, its host is not a public address (unless
+   *   allowed), its secret cannot be resolved, the request fails or times out, or the webhook
+   *   responds with any other status.
+   */
+  async deliver(target, notification) {
+    const {type, url, authRef} = target.transport || {};
+    if (type !== 'webhook') throw new Error(`unsupported transport type '${type}'`);
+    if (!isWebUrl(url)) throw new Error('invalid webhook url');
+    const body = JSON.stringify(notification);
+    const headers = {'Content-Type': 'application/json', [WEBHOOK_TARGET_HEADER]: target.id};
+    if (authRef !== undefined) {
+      const secret = await this.resolveSecret(authRef, target);
+      if (!secret) throw new Error(`unknown authRef '${authRef}'`);
+      headers[WEBHOOK_SIGNATURE_HEADER] = WebhookNotifier.sign(body, secret);
+    }
+    const {status} = await this._post(url, headers, body);
+    if (status < 200 || status > 299) throw new Error(`webhook responded with status ${status}`);
+    return {status};
+  }
+
+  /**
+   * POSTs the body to the url, resolving with the response status.  Redirects are not followed so
+   * that a webhook cannot redirect a signed request elsewhere.
+   */
+  _post(url, headers, body) {
+    const {protocol, hostname} = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '');
+    // hosts given as an ip address are connected to without a lookup
+    if (!this.allowPrivateAddresses && isIP(host) && isPrivateAddress(host)) {
+      return Promise.reject(new Error(`webhook address ${host} is not public`));
+    }
+    return new Promise((resolve, reject) => {
+      const options = {
+        method: 'POST',
+        headers: {...headers, 'Content-Length': Buffer.byteLength(body)},
+        lookup: this.allowPrivateAddresses ? undefined : publicLookup
+      };
+      const timeoutError = new Error(`webhook timed out after ${this.timeout}ms`);
+      const request = (protocol === 'https:' ? https : http).request(url, options, response => {
+        clearTimeout(timer);
+        response.resume();
+        resolve({status: response.statusCode});
+      });
+      const timer = setTimeout(() => request.destroy(timeoutError), this.timeout);
+      request.on('error', error => {
+        clearTimeout(timer);
+        if (error === timeoutError || error.code === PRIVATE_ADDRESS_ERROR) reject(error);
+        else reject(new Error('webhook request failed', {cause: error}));
+      });
+      request.end(body);
+    });
+  }
+
+  /**
+   * Returns the signature header value for the given request body.
+   *
+   * @param {String} body the request body
+   * @param {String|Buffer} secret the signing secret
+   * @param {Number} timestamp the signing time (ms).  Defaults to now.
+   */
+  static sign(body, secret, timestamp = Date.now()) {
+    return `t=${timestamp},v1=${hmacOf(secret, timestamp, body)}`;
+  }
+
+  /**
+   * Returns true if the signature header is a valid signature of the body for the given secret
+   * and was signed within `tolerance` ms of now.
+   *
+   * @param {String} body the raw request body
+   * @param {String} header the value of the `X-Bubble-Signature` header
+   * @param {String|Buffer} secret the signing secret
+   * @param {Object} options optional:
+   *   tolerance: {Number} maximum age (ms) of the signature.  Defaults to 5 minutes.
+   */
+  static verify(body, header, secret, options={}) {
+    const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_SIGNATURE_TOLERANCE;
+    const fields = Object.fromEntries(String(header || '').split(',').map(field => field.split('=')));
+    const timestamp = Number(fields.t);
+    if (!Number.isInteger(timestamp) || Math.abs(Date.now() - timestamp) > tolerance) return false;
+    const expected = Buffer.from(hmacOf(secret, timestamp, body));
+    const actual = Buffer.from(fields.v1 || '');
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  }
+
+}
+
+
+function hmacOf(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns lookup for http requests that fails if the host resolves to any non-public address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{address, family}];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      const error = new Error(`webhook address ${blocked.address} is not public`);
+      error.code = PRIVATE_ADDRESS_ERROR;
+      return callback(error);
+    }
+    callback(null, address, family);
+  });
+}
+
+function isWebUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  }
+  catch(_) {
+    return false;
+  }
+}
@@ -0,0 +1,119 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import http from 'http';
+import { WebhookNotifier, WEBHOOK_SIGNATURE_HEADER, WEBHOOK_TARGET_HEADER } from './WebhookNotifier.js';
+
+
+/**
+ * Local HTTP server that receives webhook notifications, for verifying notification delivery end
+ * to end in development and tests.  Not intended for production use.
+ *
+ * Each received notification is recorded in `notifications` as an object of the form:
+ *
+ *   {
+ *     target: {String} the value of the `X-Bubble-Target` header
+ *     notification: {Object} the parsed notification
+ *     verified: {boolean} true if the request was signed with the receiver's secret
+ *   }
+ *
+ * If a `secret` is given, requests without a valid signature are recorded but answered with a
+ * 401 status.  Otherwise requests are answered with the receiver's `status` (200 by default),
+ * which can be changed at any time to simulate a failing webhook.
+ */
+export class WebhookReceiver {
+
+  secret;
+  status;
+  notifications = [];
+  server;
+  url;
+  waiters = [];
+
+  /**
+   * @param {Object} options optional configuration:
+   *   port: {Number} port to listen on.  Defaults to any free port.
+   *   secret: {String|Buffer} the signing secret to verify requests with.
+   *   status: {Number} the status to respond with.  Defaults to 200.
+   */
+  constructor(options={}) {
+    this.port = options.port || 0;
+    this.secret = options.secret;
+    this.status = options.status || 200;
+  }
+
+  /**
+   * Starts listening on the loopback interface.
+   *
+   * @returns Promise to resolve with the receiver's url, e.g. `http://127.0.0.1:41234/`
+   */
+  start() {
+    this.server = http.createServer((req, res) => this._receive(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}/`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stops listening and closes any open connections.
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = undefined;
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  /**
+   * Resolves once at least `count` notifications have been received.
+   *
+   * @param {Number} count the number of notifications to wait for
+   * @param {Number} timeout time (ms) to wait before rejecting.  Defaults to 5 seconds.
+   * @returns Promise to resolve with the received notifications
+   */
+  waitFor(count, timeout = 5000) {
+    if (this.notifications.length >= count) return Promise.resolve(this.notifications);
+    return new Promise((resolve, reject) => {
+      const waiter = {count, resolve};
+      this.waiters.push(waiter);
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        reject(new Error(`timed out waiting for ${count} notifications`));
+      }, timeout);
+      waiter.resolve = notifications => { clearTimeout(timer); resolve(notifications) };
+    });
+  }
+
+  _receive(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString();
+      const verified = this.secret !== undefined && WebhookNotifier.verify(body, req.headers[WEBHOOK_SIGNATURE_HEADER.toLowerCase()], this.secret);
+      let notification;
+      try {
+        notification = JSON.parse(body);
+      }
+      catch(_) {
+        res.writeHead(400).end();
+        return;
+      }
+      this.notifications.push({target: req.headers[WEBHOOK_TARGET_HEADER.toLowerCase()], notification, verified});
+      res.writeHead(this.secret !== undefined && !verified ? 401 : this.status).end();
+      this.waiters = this.waiters.filter(waiter => {
+        if (this.notifications.length < waiter.count) return true;
+        waiter.resolve(this.notifications);
+        return false;
+      });
+    });
+  }
+
+}
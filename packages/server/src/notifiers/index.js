@@ -0,0 +1,15 @@
+// Copyright (c) 2025 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { BubbleNotifier } from './BubbleNotifier.js';
+import { NotificationQueue } from './NotificationQueue.js';
+import { WebhookNotifier } from './WebhookNotifier.js';
+import { WebhookReceiver } from './WebhookReceiver.js';
+
+export const notifiers = {
+  BubbleNotifier: BubbleNotifier,
+  NotificationQueue: NotificationQueue,
+  WebhookNotifier: WebhookNotifier,
+  WebhookReceiver: WebhookReceiver
+}
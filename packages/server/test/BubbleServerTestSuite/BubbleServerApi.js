@@ -17,17 +17,17 @@ export class BubbleServerApi extends DataServer {
   
   write(contract, file, data, options) {
     this._validateContract(contract);
-    return this.bubble.write(file, data, options);
+    return this.bubble.rpcFactory.write(file, data, options).then(this.bubble.post);
   }
 
   append(contract, file, data, options) {
     this._validateContract(contract);
-    return this.bubble.append(file, data, options);
+    return this.bubble.rpcFactory.append(file, data, options).then(this.bubble.post);
   }
 
   read(contract, file, options) {
     this._validateContract(contract);
-    return this.bubble.read(file, options);
+    return this.bubble.rpcFactory.read(file, options).then(this.bubble.post);
   }
 
   delete(contract, file, options) {
@@ -54,6 +54,26 @@ export class BubbleServerApi extends DataServer {
     return this.bubble.unsubscribe(subscriptionId, options);
   }
 
+  transaction(contract, ops, options) {
+    this._validateContract(contract);
+    return this.bubble.transaction(ops.map(op => ({method: op.method, path: op.file, data: op.data, options: op.options})), options);
+  }
+
+  move(contract, file, to, options) {
+    this._validateContract(contract);
+    return this.bubble.rpcFactory.move(file, to, options).then(this.bubble.post);
+  }
+
+  copy(contract, file, to, options) {
+    this._validateContract(contract);
+    return this.bubble.rpcFactory.copy(file, to, options).then(this.bubble.post);
+  }
+
+  restore(contract, file, options) {
+    this._validateContract(contract);
+    return this.bubble.rpcFactory.restore(file, options).then(this.bubble.post);
+  }
+
   terminate(contract, options) {
     this._validateContract(contract);
     return this.bubble.terminate(options);
@@ -33,7 +33,8 @@ export function testBubbleServerRequirements(web3, chainId, bubbleServerURL, bub
 
     testPoint = testPoint || new BubbleTestPoint(web3, chainId, bubbleServerURL, bubbleProvider);
     const serverApi = new BubbleServerApi();
-    const serverOptions = {...options};
+    // listBubbles is not part of the remote api, and the version history tests need a second bubble
+    const serverOptions = {...options, noBubbleEnumeration: true, skipVersionHistory: true};
 
 
     beforeAll( async () => {
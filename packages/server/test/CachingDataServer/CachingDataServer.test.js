@@ -0,0 +1,212 @@
+import { describe, expect, jest } from '@jest/globals';
+import { dataServers, keyValueStores, ErrorCodes, ROOT_PATH } from '../../src/index.js';
+import { DataServerTestPoint } from '../DataServerTestSuite/DataServerTestPoint.js';
+import { testDataServerRequirements } from '../DataServerTestSuite/requirementsTests.js';
+import '@bubble-protocol/core/test/BubbleErrorMatcher.js';
+
+
+describe('CachingDataServer', () => {
+
+  describe('over a KeyValueDataServer', () => {
+    const dataServer = new dataServers.CachingDataServer(new dataServers.KeyValueDataServer(new keyValueStores.MemoryKeyValueStore()));
+    testDataServerRequirements(dataServer, new DataServerTestPoint(dataServer), {noVersionHistory: true});
+  });
+
+
+  describe('caching', () => {
+
+    const CONTRACT = '0x00000000000000000000000000000000000000000000000000000000000f5d01';
+    const OTHER_CONTRACT = '0x00000000000000000000000000000000000000000000000000000000000f5d02';
+    const DIR = '0x0000000000000000000000000000000000000000000000000000000000000003';
+    const FILE = '0x0000000000000000000000000000000000000000000000000000000000000001';
+    const FILE2 = '0x0000000000000000000000000000000000000000000000000000000000000002';
+
+    let underlying, dataServer;
+
+    beforeEach(async () => {
+      underlying = new dataServers.KeyValueDataServer(new keyValueStores.MemoryKeyValueStore());
+      dataServer = new dataServers.CachingDataServer(underlying, {maxBytes: 1000});
+      await dataServer.create(CONTRACT);
+      await dataServer.create(OTHER_CONTRACT);
+      await dataServer.write(CONTRACT, FILE, 'hello world');
+      await dataServer.write(CONTRACT, DIR+'/a', 'a');
+      await dataServer.write(CONTRACT, DIR+'/b', 'b');
+    });
+
+    test('serves repeated reads from the cache', async () => {
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('hello world');
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('hello world');
+      await expect(dataServer.read(CONTRACT, FILE, {encoding: 'hex'})).resolves.toBe(Buffer.from('hello world').toString('hex'));
+      expect(dataServer.hits).toBe(2);
+      expect(dataServer.misses).toBe(1);
+      expect(dataServer.bytes).toBe(11);
+    });
+
+    test('serves ranged reads from a cached file', async () => {
+      await dataServer.read(CONTRACT, FILE);
+      await expect(dataServer.read(CONTRACT, FILE, {offset: 6})).resolves.toBe('world');
+      await expect(dataServer.read(CONTRACT, FILE, {tail: 5, length: 3})).resolves.toBe('wor');
+      expect(dataServer.hits).toBe(2);
+      expect(dataServer.misses).toBe(1);
+    });
+
+    test('does not cache a ranged read of an uncached file', async () => {
+      await expect(dataServer.read(CONTRACT, FILE, {offset: 6})).resolves.toBe('world');
+      await expect(dataServer.read(CONTRACT, FILE, {offset: 6})).resolves.toBe('world');
+      expect(dataServer.misses).toBe(2);
+      expect(dataServer.bytes).toBe(0);
+    });
+
+    test('rejects invalid read options on a cache hit', async () => {
+      await dataServer.read(CONTRACT, FILE);
+      await expect(dataServer.read(CONTRACT, FILE, {offset: -1}))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+      await expect(dataServer.read(CONTRACT, FILE, {encoding: 'latin1'}))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+    });
+
+    test('does not cache a file that does not exist', async () => {
+      await expect(dataServer.read(CONTRACT, FILE2))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+      await expect(dataServer.read(CONTRACT, FILE2, {silent: true})).resolves.toBe('');
+      await dataServer.write(CONTRACT, FILE2, 'new');
+      await expect(dataServer.read(CONTRACT, FILE2, {silent: true})).resolves.toBe('new');
+    });
+
+    test('passes reads with other options to the underlying server', async () => {
+      const read = jest.spyOn(underlying, 'read');
+      await dataServer.read(CONTRACT, FILE);
+      // the underlying server does not support version history so rejects the version option
+      await expect(dataServer.read(CONTRACT, FILE, {version: 'v1'}))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+      expect(read).toHaveBeenLastCalledWith(CONTRACT, FILE, {version: 'v1'});
+      expect(dataServer.hits).toBe(0);
+    });
+
+    test('invalidates a file when it is written, appended or deleted', async () => {
+      await dataServer.read(CONTRACT, FILE);
+      await dataServer.write(CONTRACT, FILE, 'hello');
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('hello');
+      await dataServer.append(CONTRACT, FILE, '!');
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('hello!');
+      await dataServer.delete(CONTRACT, FILE);
+      await expect(dataServer.read(CONTRACT, FILE))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+      expect(dataServer.hits).toBe(0);
+    });
+
+    test('invalidates the files of a deleted directory', async () => {
+      await dataServer.read(CONTRACT, DIR+'/a');
+      await dataServer.list(CONTRACT, DIR+'/b');
+      await dataServer.delete(CONTRACT, DIR);
+      await expect(dataServer.read(CONTRACT, DIR+'/a'))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+      await expect(dataServer.list(CONTRACT, DIR+'/b'))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+    });
+
+    test('invalidates the files changed by a move, copy or transaction', async () => {
+      await dataServer.read(CONTRACT, FILE);
+      await dataServer.read(CONTRACT, FILE2, {silent: true});
+      await dataServer.copy(CONTRACT, DIR+'/a', FILE);
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('a');
+      await dataServer.move(CONTRACT, DIR+'/b', FILE);
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('b');
+      await dataServer.transaction(CONTRACT, [{method: 'write', file: FILE, data: 'tx'}]);
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('tx');
+    });
+
+    test('invalidates a bubble when it is terminated', async () => {
+      await dataServer.read(CONTRACT, FILE);
+      await dataServer.list(CONTRACT, ROOT_PATH);
+      await dataServer.terminate(CONTRACT);
+      expect(dataServer.bytes).toBe(0);
+      await expect(dataServer.read(CONTRACT, FILE))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
+    });
+
+    test('caches listings until the directory changes', async () => {
+      const listing = await dataServer.list(CONTRACT, DIR, {length: true});
+      await expect(dataServer.list(CONTRACT, DIR, {length: true})).resolves.toStrictEqual(listing);
+      await dataServer.list(CONTRACT, ROOT_PATH);
+      await dataServer.list(CONTRACT, ROOT_PATH);
+      expect(dataServer.misses).toBe(2);
+      await dataServer.write(CONTRACT, FILE, 'changed');
+      await dataServer.list(CONTRACT, DIR, {length: true});
+      expect(dataServer.misses).toBe(2);
+      await dataServer.append(CONTRACT, DIR+'/a', 'a');
+      await expect(dataServer.list(CONTRACT, DIR, {length: true}))
+        .resolves.toStrictEqual([{name: DIR+'/a', type: 'file', length: 2}, {name: DIR+'/b', type: 'file', length: 1}]);
+      await dataServer.list(CONTRACT, ROOT_PATH);
+      expect(dataServer.misses).toBe(4);
+    });
+
+    test('caches listings separately for each set of options', async () => {
+      await dataServer.list(CONTRACT, DIR);
+      await expect(dataServer.list(CONTRACT, DIR, {length: true}))
+        .resolves.toStrictEqual([{name: DIR+'/a', type: 'file', length: 1}, {name: DIR+'/b', type: 'file', length: 1}]);
+      expect(dataServer.misses).toBe(2);
+    });
+
+    test('resolves a copy of a cached listing', async () => {
+      const listing = await dataServer.list(CONTRACT, DIR);
+      listing[0].name = 'changed';
+      (await dataServer.list(CONTRACT, DIR)).pop();
+      await expect(dataServer.list(CONTRACT, DIR)).resolves.toStrictEqual([{name: DIR+'/a', type: 'file'}, {name: DIR+'/b', type: 'file'}]);
+    });
+
+    test('keeps the bubbles separate', async () => {
+      await dataServer.read(CONTRACT, FILE);
+      await dataServer.write(OTHER_CONTRACT, FILE, 'other');
+      await expect(dataServer.read(OTHER_CONTRACT, FILE)).resolves.toBe('other');
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('hello world');
+      expect(dataServer.hits).toBe(1);
+    });
+
+    test('evicts the least recently used entries to stay within the byte budget', async () => {
+      await dataServer.write(CONTRACT, DIR+'/c', 'c'.repeat(400));
+      await dataServer.write(CONTRACT, DIR+'/d', 'd'.repeat(400));
+      await dataServer.write(CONTRACT, DIR+'/e', 'e'.repeat(400));
+      await dataServer.read(CONTRACT, DIR+'/c');
+      await dataServer.read(CONTRACT, DIR+'/d');
+      await dataServer.read(CONTRACT, DIR+'/c');
+      await dataServer.read(CONTRACT, DIR+'/e');
+      expect(dataServer.bytes).toBe(800);
+      expect(dataServer.misses).toBe(3);
+      await dataServer.read(CONTRACT, DIR+'/c');
+      await dataServer.read(CONTRACT, DIR+'/e');
+      expect(dataServer.misses).toBe(3);
+      await dataServer.read(CONTRACT, DIR+'/d');
+      expect(dataServer.misses).toBe(4);
+    });
+
+    test('does not cache a file larger than the byte budget', async () => {
+      await dataServer.write(CONTRACT, FILE, 'x'.repeat(1001));
+      await dataServer.read(CONTRACT, FILE);
+      await dataServer.read(CONTRACT, FILE);
+      expect(dataServer.misses).toBe(2);
+      expect(dataServer.bytes).toBe(0);
+    });
+
+    test('does not cache a read that overlaps a write', async () => {
+      let resolveRead;
+      jest.spyOn(underlying, 'read').mockImplementationOnce(() => new Promise(resolve => { resolveRead = resolve }));
+      const stale = dataServer.read(CONTRACT, FILE);
+      await dataServer.write(CONTRACT, FILE, 'changed');
+      resolveRead(Buffer.from('hello world').toString('base64'));
+      await expect(stale).resolves.toBe('hello world');
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('changed');
+    });
+
+    test('drops all entries when cleared', async () => {
+      await dataServer.read(CONTRACT, FILE);
+      await underlying.write(CONTRACT, FILE, 'changed elsewhere');
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('hello world');
+      dataServer.clear();
+      expect(dataServer.bytes).toBe(0);
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('changed elsewhere');
+    });
+
+  });
+
+});
@@ -18,6 +18,12 @@ import '@bubble-protocol/core/test/BubbleErrorMatcher.js';
  * @param {Object} options with the following:
  *   {string} contractAddress: smart contract address to override the default.
  *   {boolean} noSubscriptions: do not run the subscribe and unsubscribe tests
+ *   {boolean} noTransactions: do not run the transaction tests
+ *   {boolean} noMoveCopy: do not run the move and copy tests
+ *   {boolean} noBubbleEnumeration: do not run the listBubbles tests
+ *   {boolean} noVersionHistory: the server does not support version history, so test that its
+ *     options are rejected instead of running the version history and restore tests
+ *   {boolean} skipVersionHistory: do not run any version history tests
  */
 export function testDataServerRequirements(dataServer, testPoint, options={}) {
 
@@ -117,6 +123,32 @@ export function testDataServerRequirements(dataServer, testPoint, options={}) {
           .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
       });
 
+      if (options.noTransactions !== true) {
+        test( "[req-ds-tx-5] transaction fails with BUBBLE_DOES_NOT_EXIST error", async () => {
+          await expect(dataServer.transaction(contractAddress, [{method: 'write', file: file1, data: "hello world"}]))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
+        });
+      }
+
+      if (options.noMoveCopy !== true) {
+        test( "[req-ds-mv-6] move fails with BUBBLE_DOES_NOT_EXIST error", async () => {
+          await expect(dataServer.move(contractAddress, file1, file2))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
+        });
+
+        test( "[req-ds-cp-6] copy fails with BUBBLE_DOES_NOT_EXIST error", async () => {
+          await expect(dataServer.copy(contractAddress, file1, file2))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
+        });
+      }
+
+      if (options.noVersionHistory !== true && options.skipVersionHistory !== true) {
+        test( "[req-ds-rs-6] restore fails with BUBBLE_DOES_NOT_EXIST error", async () => {
+          await expect(dataServer.restore(contractAddress, file1, {version: '1'}))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
+        });
+      }
+
       if (options.noSubscriptions !== true) {
         test( "[req-ds-sub-3] subscribe fails with BUBBLE_DOES_NOT_EXIST error even if silent option is given", async () => {
           await expect(dataServer.subscribe(contractAddress, root, ()=>{}, {silent: true}))
@@ -295,6 +327,63 @@ export function testDataServerRequirements(dataServer, testPoint, options={}) {
           await testPoint.deleteFile(contractAddress, dir3);
         });
 
+        describe("ranged reads", () => {
+
+          beforeAll(async () => {
+            await testPoint.writeFile(contractAddress, file1, "0123456789");
+          })
+
+          afterAll(async () => {
+            await testPoint.deleteFile(contractAddress, file1);
+          })
+
+          test( "[req-ds-rd-5] the offset option reads from the given position to the end of the file", async () => {
+            await expect(dataServer.read(contractAddress, file1, {offset: 0})).resolves.toBe("0123456789");
+            await expect(dataServer.read(contractAddress, file1, {offset: 4})).resolves.toBe("456789");
+          });
+
+          test( "[req-ds-rd-5] the length option limits the amount read", async () => {
+            await expect(dataServer.read(contractAddress, file1, {length: 3})).resolves.toBe("012");
+            await expect(dataServer.read(contractAddress, file1, {offset: 4, length: 3})).resolves.toBe("456");
+            await expect(dataServer.read(contractAddress, file1, {offset: 8, length: 5})).resolves.toBe("89");
+            await expect(dataServer.read(contractAddress, file1, {offset: 2, length: 0})).resolves.toBe("");
+          });
+
+          test( "[req-ds-rd-5] an offset at or beyond the end of the file resolves with the empty string", async () => {
+            await expect(dataServer.read(contractAddress, file1, {offset: 10})).resolves.toBe("");
+            await expect(dataServer.read(contractAddress, file1, {offset: 100, length: 2})).resolves.toBe("");
+          });
+
+          test( "[req-ds-rd-6] the tail option reads the end of the file", async () => {
+            await expect(dataServer.read(contractAddress, file1, {tail: 3})).resolves.toBe("789");
+            await expect(dataServer.read(contractAddress, file1, {tail: 0})).resolves.toBe("");
+            await expect(dataServer.read(contractAddress, file1, {tail: 100})).resolves.toBe("0123456789");
+          });
+
+          test( "[req-ds-rd-6] the length option limits a tail read", async () => {
+            await expect(dataServer.read(contractAddress, file1, {tail: 5, length: 2})).resolves.toBe("56");
+          });
+
+          test( "[req-ds-rd-3] a ranged read of a non-existent file with the silent option resolves with the empty string", async () => {
+            await expect(dataServer.read(contractAddress, file2, {offset: 2, length: 2, silent: true})).resolves.toBe("");
+          });
+
+          test( "[req-ds-rd-7] rejects with INVALID_OPTION if a range option is not a non-negative integer", async () => {
+            for (const option of ['offset', 'length', 'tail']) {
+              for (const value of [-1, 1.5, '2', null]) {
+                await expect(dataServer.read(contractAddress, file1, {[option]: value}))
+                  .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+              }
+            }
+          });
+
+          test( "[req-ds-rd-7] rejects with INVALID_OPTION if both offset and tail are given", async () => {
+            await expect(dataServer.read(contractAddress, file1, {offset: 1, tail: 2}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+          });
+
+        })
+
       })
 
 
@@ -841,6 +930,924 @@ export function testDataServerRequirements(dataServer, testPoint, options={}) {
       });
 
 
+      describe("list sorting, pagination and recursion", () => {
+
+        const fileA = dir3+'/a.txt';
+        const fileB = dir3+'/b.txt';
+        const fileC = dir3+'/c.txt';
+
+        beforeAll(async () => {
+          await clearBubble();
+          await testPoint.writeFile(contractAddress, fileC, "c");
+          await sleep(2);
+          await testPoint.writeFile(contractAddress, fileA, "a");
+          await sleep(2);
+          await testPoint.writeFile(contractAddress, fileB, "b");
+          await sleep(2);
+          await testPoint.writeFile(contractAddress, file2, "2");
+          await sleep(2);
+          await testPoint.writeFile(contractAddress, file1, "1");
+        })
+
+        afterAll(async () => {
+          await clearBubble();
+        })
+
+        async function listAllPages(file, options) {
+          const names = [];
+          let cursor;
+          do {
+            const page = await dataServer.list(contractAddress, file, {...options, cursor});
+            expect(Array.isArray(page.items)).toBe(true);
+            page.items.forEach(item => names.push(item.name));
+            cursor = page.nextCursor;
+            if (cursor !== undefined) expect(typeof cursor).toBe('string');
+          } while (cursor !== undefined);
+          return names;
+        }
+
+        test( "[req-ds-ls-23] sorts by name", async () => {
+          const result = await dataServer.list(contractAddress, dir3, {sort: 'name'});
+          expect(result.map(r => r.name)).toStrictEqual([fileA, fileB, fileC]);
+          const reversed = await dataServer.list(contractAddress, dir3, {sort: 'name', order: 'desc'});
+          expect(reversed.map(r => r.name)).toStrictEqual([fileC, fileB, fileA]);
+        });
+
+        test( "[req-ds-ls-23] sorts by created and modified time", async () => {
+          const byCreated = await dataServer.list(contractAddress, dir3, {sort: 'created'});
+          expect(byCreated.map(r => r.name)).toStrictEqual([fileC, fileA, fileB]);
+          expect(byCreated[0].created).toBeUndefined();
+          await sleep(2);
+          await dataServer.append(contractAddress, fileC, "c");
+          const byModified = await dataServer.list(contractAddress, dir3, {sort: 'modified', order: 'desc'});
+          expect(byModified.map(r => r.name)).toStrictEqual([fileC, fileB, fileA]);
+        });
+
+        test( "[req-ds-ls-24] rejects with INVALID_OPTION if the sort or order option is invalid", async () => {
+          await expect(dataServer.list(contractAddress, dir3, {sort: 'length'}))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+          await expect(dataServer.list(contractAddress, dir3, {sort: 'name', order: 'up'}))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+        });
+
+        test( "[req-ds-ls-25] [req-ds-ls-26] the limit option resolves with the first page and a cursor", async () => {
+          const page = await dataServer.list(contractAddress, dir3, {limit: 2});
+          expect(page.items.map(r => r.name)).toStrictEqual([fileA, fileB]);
+          expect(typeof page.nextCursor).toBe('string');
+        });
+
+        test( "[req-ds-ls-25] the last page has no cursor", async () => {
+          const page = await dataServer.list(contractAddress, dir3, {limit: 3});
+          expect(page.items).toHaveLength(3);
+          expect(page.nextCursor).toBeUndefined();
+        });
+
+        test( "[req-ds-ls-27] following cursors returns every entry exactly once, in order", async () => {
+          await expect(listAllPages(dir3, {limit: 1})).resolves.toStrictEqual([fileA, fileB, fileC]);
+          await expect(listAllPages(dir3, {limit: 2, sort: 'created', order: 'desc'})).resolves.toStrictEqual([fileB, fileA, fileC]);
+        });
+
+        test( "[req-ds-ls-26] filters are applied before pagination", async () => {
+          await expect(listAllPages(dir3, {limit: 1, matches: '[ab]\\.txt$'})).resolves.toStrictEqual([fileA, fileB]);
+        });
+
+        test( "[req-ds-ls-28] rejects with INVALID_OPTION if the limit or cursor option is invalid", async () => {
+          await expect(dataServer.list(contractAddress, dir3, {limit: 0}))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+          await expect(dataServer.list(contractAddress, dir3, {limit: 1.5}))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+          await expect(dataServer.list(contractAddress, dir3, {limit: 1, cursor: 'not-a-cursor'}))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+        });
+
+        test( "[req-ds-ls-28] rejects with INVALID_OPTION if the cursor was returned for a different sort order", async () => {
+          const page = await dataServer.list(contractAddress, dir3, {limit: 1});
+          await expect(dataServer.list(contractAddress, dir3, {limit: 1, cursor: page.nextCursor, sort: 'created'}))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+        });
+
+        test( "[req-ds-ls-22] the recursive option lists the root directory including the contents of sub-directories", async () => {
+          const result = await dataServer.list(contractAddress, root, {recursive: true, sort: 'name'});
+          expect(result.map(r => r.name)).toStrictEqual([file1, file2, dir3, fileA, fileB, fileC]);
+          expect(result[2].type).toBe('dir');
+          expect(result[3].type).toBe('file');
+        });
+
+        test( "[req-ds-ls-22] the recursive option can be paginated", async () => {
+          await expect(listAllPages(root, {recursive: true, limit: 4})).resolves.toStrictEqual([file1, file2, dir3, fileA, fileB, fileC]);
+        });
+
+        test( "[req-ds-ls-22] the recursive option has no effect on a sub-directory", async () => {
+          const result = await dataServer.list(contractAddress, dir3, {recursive: true, sort: 'name'});
+          expect(result.map(r => r.name)).toStrictEqual([fileA, fileB, fileC]);
+        });
+
+      })
+
+
+      describe("data encoding", () => {
+
+        const BINARY_HEX = "00ff800a";
+        const BINARY_BASE64 = "AP+ACg==";
+
+        beforeEach(async () => {
+          await clearBubble();
+        })
+
+        test( "[req-ds-enc-1] [req-ds-enc-2] data written in one encoding can be read in another", async () => {
+          await dataServer.write(contractAddress, file1, BINARY_BASE64, {encoding: 'base64'});
+          await expect(dataServer.read(contractAddress, file1, {encoding: 'hex'})).resolves.toBe(BINARY_HEX);
+          await expect(dataServer.read(contractAddress, file1, {encoding: 'base64'})).resolves.toBe(BINARY_BASE64);
+          await dataServer.write(contractAddress, file2, "hello", {encoding: 'utf8'});
+          await expect(dataServer.read(contractAddress, file2, {encoding: 'base64'})).resolves.toBe("aGVsbG8=");
+          await expect(dataServer.read(contractAddress, file2, {encoding: 'hex'})).resolves.toBe("68656c6c6f");
+        });
+
+        test( "[req-ds-enc-1] [req-ds-enc-2] data is read and written as utf8 by default", async () => {
+          await dataServer.write(contractAddress, file1, "68656c6c6f", {encoding: 'hex'});
+          await expect(dataServer.read(contractAddress, file1)).resolves.toBe("hello");
+          await dataServer.write(contractAddress, file2, "héllo wörld");
+          await expect(dataServer.read(contractAddress, file2)).resolves.toBe("héllo wörld");
+        });
+
+        test( "[req-ds-enc-1] appended data is decoded before being appended", async () => {
+          await dataServer.write(contractAddress, file1, "0001", {encoding: 'hex'});
+          await dataServer.append(contractAddress, file1, "Ag==", {encoding: 'base64'});
+          await dataServer.append(contractAddress, file1, "a");
+          await expect(dataServer.read(contractAddress, file1, {encoding: 'hex'})).resolves.toBe("00010261");
+        });
+
+        test( "[req-ds-enc-4] file lengths are measured in bytes", async () => {
+          await dataServer.write(contractAddress, file1, BINARY_HEX, {encoding: 'hex'});
+          await dataServer.write(contractAddress, file2, "héllo");
+          const listing = await dataServer.list(contractAddress, ROOT_PATH, {length: true});
+          expect(listing.find(f => f.name === file1).length).toBe(4);
+          expect(listing.find(f => f.name === file2).length).toBe(6);
+        });
+
+        test( "[req-ds-enc-4] ranged reads are measured in bytes", async () => {
+          await dataServer.write(contractAddress, file1, BINARY_HEX, {encoding: 'hex'});
+          await expect(dataServer.read(contractAddress, file1, {offset: 1, length: 2, encoding: 'hex'})).resolves.toBe("ff80");
+          await expect(dataServer.read(contractAddress, file1, {tail: 1, encoding: 'base64'})).resolves.toBe("Cg==");
+        });
+
+        test( "[req-ds-rd-3] reading a non-existent file with the silent option resolves with the empty string in any encoding", async () => {
+          await expect(dataServer.read(contractAddress, file1, {silent: true, encoding: 'base64'})).resolves.toBe("");
+        });
+
+        test( "[req-ds-enc-5] rejects with INVALID_OPTION if the encoding option is not supported", async () => {
+          await expect(dataServer.write(contractAddress, file1, "hello", {encoding: 'latin1'}))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+          await expect(dataServer.append(contractAddress, file1, "hello", {encoding: 1}))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+          await testPoint.assertNotExists(contractAddress, file1);
+          await testPoint.writeFile(contractAddress, file1, "hello");
+          await expect(dataServer.read(contractAddress, file1, {encoding: 'binary'}))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+        });
+
+      })
+
+
+      describe("content hashes", () => {
+
+        const HELLO_HASH = "2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824";
+        const HELLO_WORLD_HASH = "b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9";
+
+        beforeEach(async () => {
+          await clearBubble();
+        })
+
+        test( "[req-ds-wr-6] write resolves with the hash of the file's contents", async () => {
+          const result = await dataServer.write(contractAddress, file1, "hello");
+          expect(result.hash).toBe(HELLO_HASH);
+        });
+
+        test( "[req-ds-ap-6] append resolves with the hash of the whole file", async () => {
+          await dataServer.write(contractAddress, file1, "hello");
+          const result = await dataServer.append(contractAddress, file1, " world");
+          expect(result.hash).toBe(HELLO_WORLD_HASH);
+        });
+
+        test( "[req-ds-ls-29] the hash option includes the hash of each file but not of directories", async () => {
+          await testPoint.writeFile(contractAddress, file1, "hello");
+          await testPoint.writeFile(contractAddress, fileInDir3, "hello world");
+          const listing = await dataServer.list(contractAddress, ROOT_PATH, {hash: true});
+          expect(listing.find(f => f.name === file1).hash).toBe(HELLO_HASH);
+          expect(listing.find(f => f.name === dir3).hash).toBeUndefined();
+          const dirListing = await dataServer.list(contractAddress, dir3, {hash: true});
+          expect(dirListing[0].hash).toBe(HELLO_WORLD_HASH);
+        });
+
+        test( "[req-ds-ls-29] the long option includes the hash", async () => {
+          await testPoint.writeFile(contractAddress, file1, "hello");
+          const listing = await dataServer.list(contractAddress, file1, {long: true});
+          expect(listing[0].hash).toBe(HELLO_HASH);
+        });
+
+        test( "[req-ds-ls-29] the hash is not included by default", async () => {
+          await testPoint.writeFile(contractAddress, file1, "hello");
+          const listing = await dataServer.list(contractAddress, file1);
+          expect(listing[0].hash).toBeUndefined();
+        });
+
+        test( "[req-ds-ls-29] [req-ds-enc-1] the hash is of the stored bytes, regardless of the encoding used to write them", async () => {
+          const result = await dataServer.write(contractAddress, file1, "68656c6c6f", {encoding: 'hex'});
+          expect(result.hash).toBe(HELLO_HASH);
+          const listing = await dataServer.list(contractAddress, file1, {hash: true});
+          expect(listing[0].hash).toBe(HELLO_HASH);
+        });
+
+        test( "[req-ds-ls-29] the hash changes when the file's contents change", async () => {
+          await dataServer.write(contractAddress, file1, "hello");
+          await dataServer.write(contractAddress, file1, "hello world");
+          const listing = await dataServer.list(contractAddress, file1, {hash: true});
+          expect(listing[0].hash).toBe(HELLO_WORLD_HASH);
+        });
+
+      })
+
+
+      describe("versions", () => {
+
+        beforeEach(async () => {
+          await clearBubble();
+        })
+
+        async function getVersion(file) {
+          const listing = await dataServer.list(contractAddress, file, {version: true});
+          return listing[0].version;
+        }
+
+        test( "[req-ds-wr-5] [req-ds-ver-1] write resolves with the file's new version", async () => {
+          const result = await dataServer.write(contractAddress, file1, "hello");
+          expect(typeof result).toBe('object');
+          expect(typeof result.version).toBe('string');
+          expect(result.version.length).toBeGreaterThan(0);
+          await expect(getVersion(file1)).resolves.toBe(result.version);
+        });
+
+        test( "[req-ds-ap-5] [req-ds-ver-1] append resolves with the file's new version", async () => {
+          const result = await dataServer.append(contractAddress, file1, "hello");
+          expect(typeof result.version).toBe('string');
+          await expect(getVersion(file1)).resolves.toBe(result.version);
+        });
+
+        test( "[req-ds-ver-1] the version changes whenever the file's contents change", async () => {
+          const v1 = (await dataServer.write(contractAddress, file1, "hello")).version;
+          const v2 = (await dataServer.append(contractAddress, file1, " world")).version;
+          const v3 = (await dataServer.write(contractAddress, file1, "hello")).version;
+          expect(v2).not.toBe(v1);
+          expect(v3).not.toBe(v2);
+          expect(v3).not.toBe(v1);
+        });
+
+        test( "[req-ds-ver-2] a version is not reused when a file is deleted and re-created", async () => {
+          const v1 = (await dataServer.write(contractAddress, file1, "hello")).version;
+          await dataServer.delete(contractAddress, file1);
+          const v2 = (await dataServer.write(contractAddress, file1, "hello")).version;
+          expect(v2).not.toBe(v1);
+        });
+
+        test( "[req-ds-ls-21] [req-ds-ver-3] the long and version list options include the version of files but not directories", async () => {
+          const {version} = await dataServer.write(contractAddress, fileInDir3, "hello");
+          await expect(dataServer.list(contractAddress, fileInDir3, {long: true})).resolves.toMatchObject([{name: fileInDir3, version}]);
+          await expect(dataServer.list(contractAddress, dir3, {version: true}))
+            .resolves.toStrictEqual([{name: fileInDir3, type: 'file', version}]);
+          const dirListing = await dataServer.list(contractAddress, dir3, {directoryOnly: true, long: true});
+          expect(dirListing[0].version).toBeUndefined();
+          const plainListing = await dataServer.list(contractAddress, fileInDir3);
+          expect(plainListing[0].version).toBeUndefined();
+        });
+
+        describe("conditional requests", () => {
+
+          test( "[req-ds-pre-1] write with a matching ifMatch option succeeds", async () => {
+            const {version} = await dataServer.write(contractAddress, file1, "hello");
+            await expect(dataServer.write(contractAddress, file1, "world", {ifMatch: version})).resolves.not.toThrow();
+            await expect(testPoint.readFile(contractAddress, file1)).resolves.toBe("world");
+          });
+
+          test( "[req-ds-pre-1] write with a stale ifMatch option fails with PRECONDITION_FAILED and leaves the file unchanged", async () => {
+            const {version} = await dataServer.write(contractAddress, file1, "hello");
+            await dataServer.append(contractAddress, file1, " world");
+            await expect(dataServer.write(contractAddress, file1, "overwritten", {ifMatch: version}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED});
+            await expect(testPoint.readFile(contractAddress, file1)).resolves.toBe("hello world");
+          });
+
+          test( "[req-ds-pre-1] ifMatch fails with PRECONDITION_FAILED if the file does not exist", async () => {
+            await expect(dataServer.write(contractAddress, file1, "hello", {ifMatch: '*'}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED});
+            await expect(dataServer.append(contractAddress, file1, "hello", {ifMatch: '1'}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED});
+            await testPoint.assertNotExists(contractAddress, file1);
+          });
+
+          test( "[req-ds-pre-1] ifMatch '*' succeeds if the file exists", async () => {
+            await testPoint.writeFile(contractAddress, file1, "hello");
+            await expect(dataServer.append(contractAddress, file1, " world", {ifMatch: '*'})).resolves.not.toThrow();
+            await expect(testPoint.readFile(contractAddress, file1)).resolves.toBe("hello world");
+          });
+
+          test( "[req-ds-pre-2] ifNoneMatch '*' creates a new file but fails with PRECONDITION_FAILED if the file exists", async () => {
+            await expect(dataServer.write(contractAddress, file1, "hello", {ifNoneMatch: '*'})).resolves.not.toThrow();
+            await expect(dataServer.write(contractAddress, file1, "overwritten", {ifNoneMatch: '*'}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED});
+            await expect(testPoint.readFile(contractAddress, file1)).resolves.toBe("hello");
+          });
+
+          test( "[req-ds-pre-2] ifNoneMatch fails with PRECONDITION_FAILED only if the version matches", async () => {
+            const {version} = await dataServer.write(contractAddress, file1, "hello");
+            await expect(dataServer.append(contractAddress, file1, " world", {ifNoneMatch: version}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED});
+            await dataServer.write(contractAddress, file1, "hi");
+            await expect(dataServer.append(contractAddress, file1, " world", {ifNoneMatch: version})).resolves.not.toThrow();
+            await expect(testPoint.readFile(contractAddress, file1)).resolves.toBe("hi world");
+          });
+
+          test( "[req-ds-pre-1] delete with a stale ifMatch option fails with PRECONDITION_FAILED and does not delete the file", async () => {
+            const {version} = await dataServer.write(contractAddress, file1, "hello");
+            await dataServer.write(contractAddress, file1, "world");
+            await expect(dataServer.delete(contractAddress, file1, {ifMatch: version}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED});
+            await testPoint.assertExists(contractAddress, file1);
+            const current = await getVersion(file1);
+            await expect(dataServer.delete(contractAddress, file1, {ifMatch: current})).resolves.not.toThrow();
+            await testPoint.assertNotExists(contractAddress, file1);
+          });
+
+          test( "[req-ds-pre-3] delete evaluates ifMatch before the silent option", async () => {
+            await expect(dataServer.delete(contractAddress, file1, {ifMatch: '*', silent: true}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED});
+          });
+
+          test( "[req-ds-pre-4] only one of several concurrent writes with the same ifMatch version succeeds", async () => {
+            const {version} = await dataServer.write(contractAddress, file1, "hello");
+            const results = await Promise.allSettled([
+              dataServer.write(contractAddress, file1, "a", {ifMatch: version}),
+              dataServer.write(contractAddress, file1, "b", {ifMatch: version}),
+              dataServer.write(contractAddress, file1, "c", {ifMatch: version})
+            ]);
+            expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+            results.filter(r => r.status === 'rejected').forEach(r => {
+              expect(r.reason.code).toBe(ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED);
+            });
+          });
+
+          test( "[req-ds-pre-5] rejects with INVALID_OPTION if ifMatch or ifNoneMatch is not a string", async () => {
+            await expect(dataServer.write(contractAddress, file1, "hello", {ifMatch: 1}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+            await expect(dataServer.append(contractAddress, file1, "hello", {ifNoneMatch: true}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+            await expect(dataServer.delete(contractAddress, file1, {ifMatch: {}}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+          });
+
+        })
+
+      })
+
+
+      if (options.noTransactions !== true) {
+
+        describe("transaction", () => {
+
+          beforeEach(async () => {
+            await clearBubble();
+          })
+
+          test( "[req-ds-tx-1] [req-ds-tx-2] applies all operations in order and resolves with a result for each", async () => {
+            const ops = [
+              {method: 'write', file: file1, data: "hello"},
+              {method: 'append', file: file1, data: " world"},
+              {method: 'mkdir', file: dir3},
+              {method: 'write', file: fileInDir3, data: "hello dir"},
+              {method: 'write', file: file2, data: "temporary"},
+              {method: 'delete', file: file2}
+            ];
+            const results = await dataServer.transaction(contractAddress, ops);
+            expect(Array.isArray(results)).toBe(true);
+            expect(results).toHaveLength(ops.length);
+            await expect(testPoint.readFile(contractAddress, file1)).resolves.toBe("hello world");
+            await expect(testPoint.readFile(contractAddress, fileInDir3)).resolves.toBe("hello dir");
+            await testPoint.assertNotExists(contractAddress, file2);
+          });
+
+          test( "[req-ds-tx-1] applies each operation's options", async () => {
+            await testPoint.mkdir(contractAddress, dir3);
+            await expect(dataServer.transaction(contractAddress, [
+              {method: 'mkdir', file: dir3, options: {silent: true}},
+              {method: 'delete', file: file2, options: {silent: true}},
+              {method: 'write', file: file1, data: "hello"}
+            ])).resolves.not.toThrow();
+            await expect(testPoint.readFile(contractAddress, file1)).resolves.toBe("hello");
+          });
+
+          test( "[req-ds-tx-1] [req-ds-enc-1] applies each operation's encoding", async () => {
+            await dataServer.transaction(contractAddress, [
+              {method: 'write', file: file1, data: "AAE=", options: {encoding: 'base64'}},
+              {method: 'append', file: file1, data: "0203", options: {encoding: 'hex'}}
+            ]);
+            await expect(dataServer.read(contractAddress, file1, {encoding: 'hex'})).resolves.toBe("00010203");
+          });
+
+          test( "[req-ds-tx-3] rejects with the error of the failed operation and applies none of the operations", async () => {
+            await testPoint.writeFile(contractAddress, file1, "original");
+            await expect(dataServer.transaction(contractAddress, [
+              {method: 'write', file: file1, data: "changed"},
+              {method: 'write', file: file2, data: "new"},
+              {method: 'mkdir', file: dir3},
+              {method: 'delete', file: dir3+'/non-existent'}
+            ])).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+            await expect(testPoint.readFile(contractAddress, file1)).resolves.toBe("original");
+            await testPoint.assertNotExists(contractAddress, file2);
+            await testPoint.assertNotExists(contractAddress, dir3);
+          });
+
+          test( "[req-ds-tx-3] restores deleted files and directories if the transaction fails", async () => {
+            await testPoint.writeFile(contractAddress, file1, "hello");
+            await testPoint.writeFile(contractAddress, fileInDir3, "hello dir");
+            await expect(dataServer.transaction(contractAddress, [
+              {method: 'delete', file: file1},
+              {method: 'delete', file: dir3},
+              {method: 'delete', file: file2}
+            ])).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+            await expect(testPoint.readFile(contractAddress, file1)).resolves.toBe("hello");
+            await expect(testPoint.readFile(contractAddress, fileInDir3)).resolves.toBe("hello dir");
+          });
+
+          test( "[req-ds-tx-3] leaves file and directory metadata unchanged if the transaction fails", async () => {
+            await testPoint.writeFile(contractAddress, file1, "hello");
+            const before = await dataServer.list(contractAddress, root, {long: true});
+            await sleep(5);
+            await expect(dataServer.transaction(contractAddress, [
+              {method: 'append', file: file1, data: " world"},
+              {method: 'write', file: file2, data: "new"},
+              {method: 'delete', file: dir3}
+            ])).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+            await expect(dataServer.list(contractAddress, root, {long: true})).resolves.toStrictEqual(before);
+          });
+
+          test( "[req-ds-tx-3] [req-ds-pre-1] a failed precondition fails the whole transaction", async () => {
+            const {version} = await dataServer.write(contractAddress, file1, "hello");
+            await dataServer.append(contractAddress, file1, " world");
+            await expect(dataServer.transaction(contractAddress, [
+              {method: 'write', file: file2, data: "new"},
+              {method: 'write', file: file1, data: "changed", options: {ifMatch: version}}
+            ])).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED});
+            await expect(testPoint.readFile(contractAddress, file1)).resolves.toBe("hello world");
+            await testPoint.assertNotExists(contractAddress, file2);
+          });
+
+          if (options.noSubscriptions !== true) {
+
+            test( "[req-ds-tx-4] notifies subscribers of each operation, in order, once the transaction succeeds", async () => {
+              const listener = jest.fn();
+              await testPoint.writeFile(contractAddress, file1, "hello");
+              await dataServer.subscribe(contractAddress, file1, listener);
+              await dataServer.transaction(contractAddress, [
+                {method: 'write', file: file1, data: "hi"},
+                {method: 'append', file: file1, data: " world"}
+              ]);
+              await sleep(NOTIFICATION_DELAY_MS);
+              expect(listener.mock.calls).toHaveLength(2);
+              expect(listener.mock.calls[0][0].event).toBe('write');
+              expect(listener.mock.calls[0][0].data).toBe('hi');
+              expect(listener.mock.calls[1][0].event).toBe('append');
+              expect(listener.mock.calls[1][0].data).toBe(' world');
+            });
+
+            test( "[req-ds-tx-4] does not notify subscribers if the transaction fails", async () => {
+              const listener = jest.fn();
+              await testPoint.writeFile(contractAddress, file1, "hello");
+              await dataServer.subscribe(contractAddress, file1, listener);
+              await expect(dataServer.transaction(contractAddress, [
+                {method: 'write', file: file1, data: "hi"},
+                {method: 'delete', file: file2}
+              ])).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+              await sleep(NOTIFICATION_DELAY_MS);
+              expect(listener.mock.calls).toHaveLength(0);
+            });
+
+          }
+
+        })
+
+      }
+
+
+      if (options.noMoveCopy !== true) {
+
+        describe("move", () => {
+
+          beforeEach(async () => {
+            await clearBubble();
+          })
+
+          test( "[req-ds-mv-1] [req-ds-mv-7] moves the file and resolves with the destination's version", async () => {
+            await testPoint.writeFile(contractAddress, file1, "hello");
+            const result = await dataServer.move(contractAddress, file1, file2);
+            expect(typeof result.version).toBe('string');
+            await expect(testPoint.readFile(contractAddress, file2)).resolves.toBe("hello");
+            await testPoint.assertNotExists(contractAddress, file1);
+            const listing = await dataServer.list(contractAddress, file2, {version: true});
+            expect(listing[0].version).toBe(result.version);
+          });
+
+          test( "[req-ds-mv-1] overwrites an existing destination file", async () => {
+            await testPoint.writeFile(contractAddress, file1, "hello");
+            await testPoint.writeFile(contractAddress, file2, "overwrite me");
+            await expect(dataServer.move(contractAddress, file1, file2)).resolves.not.toThrow();
+            await expect(testPoint.readFile(contractAddress, file2)).resolves.toBe("hello");
+            await testPoint.assertNotExists(contractAddress, file1);
+          });
+
+          test( "[req-ds-mv-2] creates the destination directory if it does not exist", async () => {
+            await testPoint.writeFile(contractAddress, file1, "hello");
+            await expect(dataServer.move(contractAddress, file1, fileInDir3)).resolves.not.toThrow();
+            await testPoint.assertExists(contractAddress, dir3);
+            await expect(testPoint.readFile(contractAddress, fileInDir3)).resolves.toBe("hello");
+          });
+
+          test( "[req-ds-mv-3] keeps the source file's created and modified times but changes its version", async () => {
+            const {version} = await dataServer.write(contractAddress, file1, "hello");
+            const [before] = await dataServer.list(contractAddress, file1, {long: true});
+            await sleep(5);
+            await dataServer.move(contractAddress, file1, file2);
+            const [after] = await dataServer.list(contractAddress, file2, {long: true});
+            expect(after.created).toBe(before.created);
+            expect(after.modified).toBe(before.modified);
+            expect(after.version).not.toBe(version);
+          });
+
+          test( "[req-ds-mv-5] rejects with FILE_DOES_NOT_EXIST if the source does not exist and leaves the destination unchanged", async () => {
+            await testPoint.writeFile(contractAddress, file2, "hello");
+            await expect(dataServer.move(contractAddress, file1, file2))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+            await expect(testPoint.readFile(contractAddress, file2)).resolves.toBe("hello");
+          });
+
+          test( "[req-ds-pre-2] the ifNoneMatch option applies to the destination", async () => {
+            await testPoint.writeFile(contractAddress, file1, "hello");
+            await testPoint.writeFile(contractAddress, file2, "existing");
+            await expect(dataServer.move(contractAddress, file1, file2, {ifNoneMatch: '*'}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED});
+            await expect(testPoint.readFile(contractAddress, file1)).resolves.toBe("hello");
+            await expect(testPoint.readFile(contractAddress, file2)).resolves.toBe("existing");
+          });
+
+          if (options.noSubscriptions !== true) {
+
+            test( "[req-ds-mv-4] notifies subscribers of the destination with a write event and the source with a delete event", async () => {
+              const sourceListener = jest.fn();
+              const destListener = jest.fn();
+              const dirListener = jest.fn();
+              await testPoint.writeFile(contractAddress, file1, "hello");
+              await testPoint.mkdir(contractAddress, dir3);
+              await dataServer.subscribe(contractAddress, file1, sourceListener);
+              await dataServer.subscribe(contractAddress, fileInDir3, destListener);
+              await dataServer.subscribe(contractAddress, dir3, dirListener);
+              await dataServer.move(contractAddress, file1, fileInDir3);
+              await sleep(NOTIFICATION_DELAY_MS);
+              expect(sourceListener.mock.calls).toHaveLength(1);
+              expect(sourceListener.mock.calls[0][0].event).toBe('delete');
+              expect(destListener.mock.calls).toHaveLength(1);
+              expect(destListener.mock.calls[0][0].event).toBe('write');
+              expect(destListener.mock.calls[0][0].data).toBe('hello');
+              expect(dirListener.mock.calls).toHaveLength(1);
+              expect(dirListener.mock.calls[0][0].event).toBe('update');
+              expect(dirListener.mock.calls[0][0].data).toMatchObject([{event: 'write', name: fileInDir3, type: 'file'}]);
+            });
+
+          }
+
+        })
+
+
+        describe("copy", () => {
+
+          beforeEach(async () => {
+            await clearBubble();
+          })
+
+          test( "[req-ds-cp-1] [req-ds-cp-7] copies the file, leaves the source unchanged and resolves with the destination's version", async () => {
+            await testPoint.writeFile(contractAddress, file1, "hello");
+            const result = await dataServer.copy(contractAddress, file1, file2);
+            expect(typeof result.version).toBe('string');
+            await expect(testPoint.readFile(contractAddress, file1)).resolves.toBe("hello");
+            await expect(testPoint.readFile(contractAddress, file2)).resolves.toBe("hello");
+            const listing = await dataServer.list(contractAddress, file2, {version: true});
+            expect(listing[0].version).toBe(result.version);
+          });
+
+          test( "[req-ds-cp-1] overwrites an existing destination file", async () => {
+            await testPoint.writeFile(contractAddress, file1, "hello");
+            await testPoint.writeFile(contractAddress, file2, "overwrite me");
+            await expect(dataServer.copy(contractAddress, file1, file2)).resolves.not.toThrow();
+            await expect(testPoint.readFile(contractAddress, file2)).resolves.toBe("hello");
+          });
+
+          test( "[req-ds-cp-2] creates the destination directory if it does not exist", async () => {
+            await testPoint.writeFile(contractAddress, file1, "hello");
+            await expect(dataServer.copy(contractAddress, file1, fileInDir3)).resolves.not.toThrow();
+            await testPoint.assertExists(contractAddress, dir3);
+            await expect(testPoint.readFile(contractAddress, fileInDir3)).resolves.toBe("hello");
+          });
+
+          test( "[req-ds-cp-3] the destination's created and modified times are the time of the copy", async () => {
+            await testPoint.writeFile(contractAddress, file1, "hello");
+            const [source] = await dataServer.list(contractAddress, file1, {long: true});
+            await sleep(5);
+            await dataServer.copy(contractAddress, file1, file2);
+            const [dest] = await dataServer.list(contractAddress, file2, {long: true});
+            expect(dest.created).toBeGreaterThan(source.created);
+            expect(dest.modified).toBeGreaterThan(source.modified);
+            await expect(dataServer.list(contractAddress, file1, {long: true})).resolves.toStrictEqual([source]);
+          });
+
+          test( "[req-ds-cp-5] rejects with FILE_DOES_NOT_EXIST if the source does not exist", async () => {
+            await expect(dataServer.copy(contractAddress, file1, file2))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+            await testPoint.assertNotExists(contractAddress, file2);
+          });
+
+          if (options.noSubscriptions !== true) {
+
+            test( "[req-ds-cp-4] notifies subscribers of the destination with a write event", async () => {
+              const sourceListener = jest.fn();
+              const destListener = jest.fn();
+              await testPoint.writeFile(contractAddress, file1, "hello");
+              await dataServer.subscribe(contractAddress, file1, sourceListener);
+              await dataServer.subscribe(contractAddress, file2, destListener);
+              await dataServer.copy(contractAddress, file1, file2);
+              await sleep(NOTIFICATION_DELAY_MS);
+              expect(sourceListener.mock.calls).toHaveLength(0);
+              expect(destListener.mock.calls).toHaveLength(1);
+              expect(destListener.mock.calls[0][0].event).toBe('write');
+              expect(destListener.mock.calls[0][0].data).toBe('hello');
+            });
+
+          }
+
+        })
+
+      }
+
+
+      if (options.noVersionHistory !== true && options.skipVersionHistory !== true) {
+
+        describe("version history", () => {
+
+          const historyContract = "0x1234000000000000000000000000000000000000000000000000000000000004";
+
+          async function versionsOf(file) {
+            const listing = await dataServer.list(historyContract, file, {versions: true});
+            return listing.map(entry => entry.version);
+          }
+
+          beforeEach(async () => {
+            await dataServer.terminate(historyContract, {silent: true});
+            await dataServer.create(historyContract, {retainVersions: 2});
+          })
+
+          afterAll(async () => {
+            await dataServer.terminate(historyContract, {silent: true});
+          })
+
+          test( "[req-ds-vh-1] does not retain versions if the bubble was created without the retainVersions option", async () => {
+            await clearBubble();
+            await dataServer.write(contractAddress, file1, "one");
+            const {version} = await dataServer.write(contractAddress, file1, "two");
+            const listing = await dataServer.list(contractAddress, file1, {versions: true});
+            expect(listing.map(entry => entry.version)).toStrictEqual([version]);
+          });
+
+          test( "[req-ds-vh-3] create fails with INVALID_OPTION if the retainVersions option is invalid", async () => {
+            await dataServer.terminate(historyContract);
+            for (const retainVersions of [-1, 1.5, 'two']) {
+              await expect(dataServer.create(historyContract, {retainVersions}))
+                .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+            }
+          });
+
+          test( "[req-ds-vh-1] [req-ds-vh-4] lists the current version followed by prior versions, most recent first", async () => {
+            const v1 = await dataServer.write(historyContract, file1, "one");
+            const v2 = await dataServer.write(historyContract, file1, "two");
+            const listing = await dataServer.list(historyContract, file1, {versions: true});
+            expect(listing).toStrictEqual([
+              {name: file1, type: 'file', version: v2.version, length: 3, modified: expect.any(Number), hash: v2.hash},
+              {name: file1, type: 'file', version: v1.version, length: 3, modified: expect.any(Number), hash: v1.hash}
+            ]);
+            expect(listing[0].modified).toBeGreaterThanOrEqual(listing[1].modified);
+          });
+
+          test( "[req-ds-vh-1] retains the version replaced by an append", async () => {
+            const v1 = await dataServer.write(historyContract, file1, "one");
+            const v2 = await dataServer.append(historyContract, file1, "two");
+            await expect(versionsOf(file1)).resolves.toStrictEqual([v2.version, v1.version]);
+            await expect(dataServer.read(historyContract, file1, {version: v1.version})).resolves.toBe("one");
+          });
+
+          test( "[req-ds-vh-2] retains at most retainVersions prior versions, discarding the oldest", async () => {
+            const versions = [];
+            for (const data of ["one", "two", "three", "four"]) versions.push((await dataServer.write(historyContract, file1, data)).version);
+            await expect(versionsOf(file1)).resolves.toStrictEqual([versions[3], versions[2], versions[1]]);
+            await expect(dataServer.read(historyContract, file1, {version: versions[0]}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+          });
+
+          test( "[req-ds-vh-1] [req-ds-vh-5] retains the version of a deleted file", async () => {
+            const {version} = await dataServer.write(historyContract, file1, "one");
+            await dataServer.delete(historyContract, file1);
+            await expect(versionsOf(file1)).resolves.toStrictEqual([version]);
+            await expect(dataServer.read(historyContract, file1, {version})).resolves.toBe("one");
+          });
+
+          test( "[req-ds-vh-1] retains the versions of the files in a deleted directory", async () => {
+            const {version} = await dataServer.write(historyContract, fileInDir3, "one");
+            await dataServer.delete(historyContract, dir3);
+            await expect(versionsOf(fileInDir3)).resolves.toStrictEqual([version]);
+          });
+
+          test( "[req-ds-vh-1] retains the versions of the source and the overwritten destination of a move", async () => {
+            const source = await dataServer.write(historyContract, file1, "source");
+            const dest = await dataServer.write(historyContract, file2, "dest");
+            const moved = await dataServer.move(historyContract, file1, file2);
+            await expect(versionsOf(file1)).resolves.toStrictEqual([source.version]);
+            await expect(versionsOf(file2)).resolves.toStrictEqual([moved.version, dest.version]);
+          });
+
+          test( "[req-ds-vh-1] retains the version of the overwritten destination of a copy", async () => {
+            const source = await dataServer.write(historyContract, file1, "source");
+            const dest = await dataServer.write(historyContract, file2, "dest");
+            const copied = await dataServer.copy(historyContract, file1, file2);
+            await expect(versionsOf(file1)).resolves.toStrictEqual([source.version]);
+            await expect(versionsOf(file2)).resolves.toStrictEqual([copied.version, dest.version]);
+          });
+
+          test( "[req-ds-vh-5] list fails with FILE_DOES_NOT_EXIST if the file has no versions", async () => {
+            await expect(dataServer.list(historyContract, file1, {versions: true}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+          });
+
+          test( "[req-ds-vh-5] list resolves with an empty array if the file has no versions but the silent option is given", async () => {
+            await expect(dataServer.list(historyContract, file1, {versions: true, silent: true})).resolves.toStrictEqual([]);
+          });
+
+          test( "[req-ds-vh-5] list fails with INVALID_OPTION when listing the versions of a directory", async () => {
+            await dataServer.mkdir(historyContract, dir3);
+            await expect(dataServer.list(historyContract, dir3, {versions: true}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+            await expect(dataServer.list(historyContract, root, {versions: true}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+          });
+
+          test( "[req-ds-vh-6] reads the current or a prior version, applying the other read options", async () => {
+            const v1 = await dataServer.write(historyContract, file1, "hello world");
+            const v2 = await dataServer.write(historyContract, file1, "goodbye");
+            await expect(dataServer.read(historyContract, file1, {version: v1.version})).resolves.toBe("hello world");
+            await expect(dataServer.read(historyContract, file1, {version: v2.version})).resolves.toBe("goodbye");
+            await expect(dataServer.read(historyContract, file1, {version: v1.version, offset: 6})).resolves.toBe("world");
+            await expect(dataServer.read(historyContract, file1, {version: v1.version, encoding: 'hex', length: 5}))
+              .resolves.toBe(Buffer.from("hello").toString('hex'));
+          });
+
+          test( "[req-ds-vh-6] read fails with FILE_DOES_NOT_EXIST if the version does not exist, even if the silent option is given", async () => {
+            await dataServer.write(historyContract, file1, "one");
+            await expect(dataServer.read(historyContract, file1, {version: 'no-such-version', silent: true}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+          });
+
+          test( "[req-ds-vh-6] read fails with INVALID_OPTION if the version option is invalid", async () => {
+            await dataServer.write(historyContract, file1, "one");
+            await expect(dataServer.read(historyContract, file1, {version: ''}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+            await expect(dataServer.read(historyContract, file1, {version: 1}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+          });
+
+          test( "[req-ds-rs-1] [req-ds-rs-7] restores a prior version as a new version and retains the replaced version", async () => {
+            const v1 = await dataServer.write(historyContract, file1, "one");
+            const v2 = await dataServer.write(historyContract, file1, "two");
+            const result = await dataServer.restore(historyContract, file1, {version: v1.version});
+            expect(typeof result.version).toBe('string');
+            expect(result.version).not.toBe(v1.version);
+            expect(result.version).not.toBe(v2.version);
+            expect(result.hash).toBe(v1.hash);
+            await expect(dataServer.read(historyContract, file1)).resolves.toBe("one");
+            await expect(versionsOf(file1)).resolves.toStrictEqual([result.version, v2.version, v1.version]);
+          });
+
+          test( "[req-ds-rs-1] [req-ds-rs-2] restores a deleted file, creating its directory", async () => {
+            const {version} = await dataServer.write(historyContract, fileInDir3, "one");
+            await dataServer.delete(historyContract, dir3);
+            await dataServer.restore(historyContract, fileInDir3, {version});
+            const [dir] = await dataServer.list(historyContract, dir3, {directoryOnly: true});
+            expect(dir.type).toBe('dir');
+            await expect(dataServer.read(historyContract, fileInDir3)).resolves.toBe("one");
+          });
+
+          test( "[req-ds-rs-4] restore fails with FILE_DOES_NOT_EXIST if the version is not retained", async () => {
+            const {version} = await dataServer.write(historyContract, file1, "one");
+            await expect(dataServer.restore(historyContract, file1, {version: 'no-such-version'}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+            await expect(dataServer.restore(historyContract, file2, {version}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+          });
+
+          test( "[req-ds-rs-5] restore fails with INVALID_OPTION if the version option is missing or invalid", async () => {
+            await expect(dataServer.restore(historyContract, file1, {}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+            await expect(dataServer.restore(historyContract, file1, {version: ''}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+          });
+
+          test( "[req-ds-pre-1] restore fails with PRECONDITION_FAILED if the ifMatch option does not match the current version", async () => {
+            const v1 = await dataServer.write(historyContract, file1, "one");
+            const v2 = await dataServer.write(historyContract, file1, "two");
+            await expect(dataServer.restore(historyContract, file1, {version: v1.version, ifMatch: v1.version}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED});
+            await expect(dataServer.read(historyContract, file1)).resolves.toBe("two");
+            await expect(dataServer.restore(historyContract, file1, {version: v1.version, ifMatch: v2.version})).resolves.not.toThrow();
+          });
+
+          test( "[req-ds-vh-2] deletes retained versions when the bubble is terminated", async () => {
+            await dataServer.write(historyContract, file1, "one");
+            await dataServer.write(historyContract, file1, "two");
+            await dataServer.terminate(historyContract);
+            await dataServer.create(historyContract, {retainVersions: 2});
+            await expect(dataServer.list(historyContract, file1, {versions: true}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+          });
+
+          if (options.noSubscriptions !== true) {
+
+            test( "[req-ds-rs-3] restore notifies subscribers of the file with a write event", async () => {
+              const listener = jest.fn();
+              const {version} = await dataServer.write(historyContract, file1, "one");
+              await dataServer.write(historyContract, file1, "two");
+              await dataServer.subscribe(historyContract, file1, listener);
+              await dataServer.restore(historyContract, file1, {version});
+              await sleep(NOTIFICATION_DELAY_MS);
+              expect(listener.mock.calls).toHaveLength(1);
+              expect(listener.mock.calls[0][0].event).toBe('write');
+              expect(listener.mock.calls[0][0].data).toBe('one');
+            });
+
+          }
+
+        })
+
+      }
+
+      if (options.noVersionHistory === true && options.skipVersionHistory !== true) {
+
+        describe("without version history", () => {
+
+          const historyContract = "0x1234000000000000000000000000000000000000000000000000000000000004";
+
+          afterAll(async () => {
+            await dataServer.terminate(historyContract, {silent: true});
+          })
+
+          test( "[req-ds-vh-7] create fails with INVALID_OPTION if the retainVersions option is given", async () => {
+            await dataServer.terminate(historyContract, {silent: true});
+            await expect(dataServer.create(historyContract, {retainVersions: 2}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+            await dataServer.create(historyContract, {retainVersions: 0});
+          });
+
+          test( "[req-ds-vh-7] read fails with INVALID_OPTION if the version option is given", async () => {
+            await clearBubble();
+            const {version} = await dataServer.write(contractAddress, file1, "one");
+            await dataServer.write(contractAddress, file1, "two");
+            await expect(dataServer.read(contractAddress, file1, {version}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+          });
+
+          test( "[req-ds-vh-7] list fails with INVALID_OPTION if the versions option is given", async () => {
+            await clearBubble();
+            await dataServer.write(contractAddress, file1, "one");
+            await expect(dataServer.list(contractAddress, file1, {versions: true}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+            await expect(dataServer.list(contractAddress, file1, {versions: false})).resolves.toHaveLength(1);
+          });
+
+          test( "[req-ds-vh-7] restore fails with INVALID_OPTION", async () => {
+            await clearBubble();
+            const {version} = await dataServer.write(contractAddress, file1, "one");
+            await dataServer.write(contractAddress, file1, "two");
+            await expect(dataServer.restore(contractAddress, file1, {version}))
+              .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+            await expect(dataServer.read(contractAddress, file1)).resolves.toBe("two");
+          });
+
+        })
+
+      }
+
+
       if (options.noSubscriptions !== true) {
 
         describe("subscribe", () => {
@@ -980,6 +1987,12 @@ export function testDataServerRequirements(dataServer, testPoint, options={}) {
             expect(subscription.data).toBe('hello world');
           });
 
+          test( "[req-ds-sub-7] [req-ds-enc-3] encodes the file contents using the `encoding` option", async () => {
+            await testPoint.writeFile(contractAddress, file1, "hello");
+            const subscription = await dataServer.subscribe(contractAddress, file1, () => {}, {read: true, encoding: 'hex'});
+            expect(subscription.data).toBe('68656c6c6f');
+          });
+
           describe('[req-ds-sub-8] notifications', () => {
 
             function checkNotification(received, expected) {
@@ -1044,6 +2057,30 @@ export function testDataServerRequirements(dataServer, testPoint, options={}) {
                 })
             });
 
+            test( "[req-ds-enc-3] the notification data is encoded using the subscription's `encoding` option", async () => {
+              await testPoint.writeFile(contractAddress, file1, "hello");
+              const listener = jest.fn();
+              const subscription = await dataServer.subscribe(contractAddress, file1, listener, {encoding: 'base64'});
+              await dataServer.write(contractAddress, file1, "0001", {encoding: 'hex'});
+              await dataServer.append(contractAddress, file1, "hi");
+              await sleep(NOTIFICATION_DELAY_MS);
+              expect(listener.mock.calls).toHaveLength(2);
+              checkNotification(listener.mock.calls[0][0], 
+                {
+                  subscriptionId: subscription.subscriptionId, 
+                  event: 'write', 
+                  file: {name: file1, type: 'file', length: 2}, 
+                  data: 'AAE='
+                })
+              checkNotification(listener.mock.calls[1][0], 
+                {
+                  subscriptionId: subscription.subscriptionId, 
+                  event: 'append', 
+                  file: {name: file1, type: 'file', length: 4}, 
+                  data: 'aGk='
+                })
+            });
+
             test( "[req-ds-sub-5] the data field is omitted from an append event if the list option is given", async () => {
               await testPoint.writeFile(contractAddress, file1, "hello");
               const listener = jest.fn();
@@ -1279,6 +2316,78 @@ export function testDataServerRequirements(dataServer, testPoint, options={}) {
       }
 
 
+      if (options.noBubbleEnumeration !== true) {
+
+      describe("listBubbles", () => {
+
+        const otherContracts = [
+          "0x1234000000000000000000000000000000000000000000000000000000000001",
+          "0x1234000000000000000000000000000000000000000000000000000000000002",
+          "0x1234000000000000000000000000000000000000000000000000000000000003"
+        ];
+
+        async function listAllBubbles(limit) {
+          const ids = [];
+          let cursor;
+          do {
+            const page = await dataServer.listBubbles({limit, cursor});
+            expect(Array.isArray(page.items)).toBe(true);
+            if (limit !== undefined) expect(page.items.length).toBeLessThanOrEqual(limit);
+            ids.push(...page.items);
+            cursor = page.nextCursor;
+          } while (cursor !== undefined);
+          return ids;
+        }
+
+        beforeAll(async () => {
+          for (const contract of otherContracts) await dataServer.create(contract, {silent: true});
+        })
+
+        afterAll(async () => {
+          for (const contract of otherContracts) await dataServer.terminate(contract, {silent: true});
+        })
+
+        test( "[req-ds-lb-1] resolves with a page containing the id of each bubble", async () => {
+          const page = await dataServer.listBubbles();
+          expect(page.items).toEqual(expect.arrayContaining([contractAddress, ...otherContracts]));
+        });
+
+        test( "[req-ds-lb-2] [req-ds-lb-3] following cursors returns every bubble exactly once", async () => {
+          const ids = await listAllBubbles(1);
+          expect(ids).toEqual(expect.arrayContaining([contractAddress, ...otherContracts]));
+          expect(new Set(ids).size).toBe(ids.length);
+        });
+
+        test( "[req-ds-lb-3] nextCursor is not present on the last page", async () => {
+          const ids = await listAllBubbles();
+          const page = await dataServer.listBubbles({limit: ids.length});
+          expect(page.nextCursor).toBeUndefined();
+        });
+
+        test( "[req-ds-lb-1] does not include terminated bubbles", async () => {
+          await dataServer.terminate(otherContracts[2]);
+          const ids = await listAllBubbles(2);
+          expect(ids).toEqual(expect.arrayContaining([contractAddress, otherContracts[0], otherContracts[1]]));
+          expect(ids).not.toContain(otherContracts[2]);
+        });
+
+        test( "[req-ds-lb-4] fails with INVALID_OPTION if the limit option is invalid", async () => {
+          await expect(dataServer.listBubbles({limit: 0}))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+          await expect(dataServer.listBubbles({limit: 'ten'}))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+        });
+
+        test( "[req-ds-lb-4] fails with INVALID_OPTION if the cursor option is invalid", async () => {
+          await expect(dataServer.listBubbles({cursor: 'not a cursor'}))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+        });
+
+      })
+
+      }
+
+
       describe("terminate", () => {
 
         beforeAll( async () => {
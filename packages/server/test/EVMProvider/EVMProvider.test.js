@@ -151,6 +151,48 @@ describe("EVMProvider", () => {
   });
 
 
+  describe("onNewBlock and onContractLogs", () => {
+
+    function constructWithMockProvider() {
+      const provider = {on: jest.fn(), off: jest.fn()};
+      return {provider, uut: new blockchainProviders.EVMProvider(PROTOCOL_VERSION, CHAIN_ID, provider, HOST_DOMAIN)};
+    }
+
+    test("onNewBlock forwards each block number to the listener until unwatched", () => {
+      const {provider, uut} = constructWithMockProvider();
+      const listener = jest.fn();
+      const unwatch = uut.onNewBlock(listener);
+      expect(provider.on.mock.calls[0][0]).toBe('block');
+      provider.on.mock.calls[0][1](123);
+      expect(listener).toHaveBeenCalledWith(123);
+      unwatch();
+      expect(provider.off).toHaveBeenCalledWith('block', provider.on.mock.calls[0][1]);
+    });
+
+    test("onContractLogs filters logs by contract address and passes the log's block number to the listener", () => {
+      const {provider, uut} = constructWithMockProvider();
+      const listener = jest.fn();
+      const unwatch = uut.onContractLogs(VALID_CONTRACT, listener);
+      expect(provider.on.mock.calls[0][0]).toStrictEqual({address: VALID_CONTRACT});
+      provider.on.mock.calls[0][1]({address: VALID_CONTRACT, blockNumber: 456});
+      expect(listener).toHaveBeenCalledWith(456);
+      unwatch();
+      expect(provider.off).toHaveBeenCalledWith(provider.on.mock.calls[0][0], provider.on.mock.calls[0][1]);
+    });
+  
+  });
+
+
+  describe("getPublicSignatory", () => {
+
+    test("returns the signatory recovered from a 'public' signature", async () => {
+      const expected = await uut.recoverSignatory(MIN_VALID_RPC_PACKET, {type: 'public'}, "rpc");
+      expect(uut.getPublicSignatory()).toBe(expected);
+    });
+  
+  });
+
+
   describe("recoverSignatory", () => {
 
     describe("params", () => {
@@ -0,0 +1,234 @@
+import { describe, expect, jest } from '@jest/globals';
+import { createHash } from 'crypto';
+import { dataServers, keyValueStores, keyProviders, ErrorCodes, ROOT_PATH } from '../../src/index.js';
+import { DataServerTestPoint } from '../DataServerTestSuite/DataServerTestPoint.js';
+import { testDataServerRequirements } from '../DataServerTestSuite/requirementsTests.js';
+import '@bubble-protocol/core/test/BubbleErrorMatcher.js';
+
+const MASTER_KEY = '0x000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+
+
+describe('EncryptedDataServer', () => {
+
+  describe('over a KeyValueDataServer', () => {
+    const dataServer = new dataServers.EncryptedDataServer(
+      new dataServers.KeyValueDataServer(new keyValueStores.MemoryKeyValueStore()),
+      new keyProviders.MasterKeyProvider(MASTER_KEY)
+    );
+    testDataServerRequirements(dataServer, new DataServerTestPoint(dataServer), {noVersionHistory: true});
+  });
+
+
+  describe('at rest', () => {
+
+    const CONTRACT = '0x00000000000000000000000000000000000000000000000000000000000f5d01';
+    const OTHER_CONTRACT = '0x00000000000000000000000000000000000000000000000000000000000f5d02';
+    const DIR = '0x0000000000000000000000000000000000000000000000000000000000000003';
+    const FILE = '0x0000000000000000000000000000000000000000000000000000000000000001';
+
+    let underlying, keyStore, keyProvider, dataServer;
+
+    function sha256(data) {
+      return createHash('sha256').update(data).digest('hex');
+    }
+
+    beforeEach(async () => {
+      underlying = new dataServers.KeyValueDataServer(new keyValueStores.MemoryKeyValueStore());
+      keyStore = new keyValueStores.MemoryKeyValueStore();
+      keyProvider = new keyProviders.MasterKeyProvider(MASTER_KEY);
+      dataServer = new dataServers.EncryptedDataServer(underlying, keyProvider, {keyStore});
+      await dataServer.create(CONTRACT);
+    });
+
+    test('stores file contents encrypted', async () => {
+      await dataServer.write(CONTRACT, FILE, 'hello world');
+      await dataServer.append(CONTRACT, FILE, ' and goodbye');
+      const stored = Buffer.from(await underlying.read(CONTRACT, FILE, {encoding: 'base64'}), 'base64');
+      expect(stored.includes('hello')).toBe(false);
+      expect(stored.includes('goodbye')).toBe(false);
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('hello world and goodbye');
+    });
+
+    test('lists plaintext lengths and hashes', async () => {
+      await dataServer.write(CONTRACT, DIR+'/a', 'hello');
+      await dataServer.append(CONTRACT, DIR+'/a', ' world');
+      const [underlyingEntry] = await underlying.list(CONTRACT, DIR, {length: true});
+      expect(underlyingEntry.length).toBeGreaterThan(11);
+      await expect(dataServer.list(CONTRACT, DIR, {length: true, hash: true}))
+        .resolves.toStrictEqual([{name: DIR+'/a', type: 'file', length: 11, hash: sha256('hello world')}]);
+    });
+
+    test('holds a different wrapped data key for each bubble', async () => {
+      await dataServer.create(OTHER_CONTRACT);
+      const wrappedKey = await keyStore.get(CONTRACT);
+      const otherWrappedKey = await keyStore.get(OTHER_CONTRACT);
+      const key = await keyProvider.unwrapKey(wrappedKey, CONTRACT);
+      expect(key).toHaveLength(32);
+      expect(wrappedKey.includes(key)).toBe(false);
+      expect(await keyProvider.unwrapKey(otherWrappedKey, OTHER_CONTRACT)).not.toStrictEqual(key);
+    });
+
+    test('keeps the data key of a bubble created again with the silent option', async () => {
+      await dataServer.write(CONTRACT, FILE, 'hello');
+      await dataServer.create(CONTRACT, {silent: true});
+      const restarted = new dataServers.EncryptedDataServer(underlying, keyProvider, {keyStore});
+      await expect(restarted.read(CONTRACT, FILE)).resolves.toBe('hello');
+    });
+
+    test('decrypts files and their lengths and hashes after a restart', async () => {
+      await dataServer.write(CONTRACT, FILE, 'hello');
+      await dataServer.append(CONTRACT, FILE, ' world');
+      const restarted = new dataServers.EncryptedDataServer(underlying, keyProvider, {keyStore});
+      await expect(restarted.read(CONTRACT, FILE, {offset: 6})).resolves.toBe('world');
+      await expect(restarted.list(CONTRACT, ROOT_PATH, {long: true}))
+        .resolves.toStrictEqual(await dataServer.list(CONTRACT, ROOT_PATH, {long: true}));
+      const {hash} = await restarted.append(CONTRACT, FILE, '!');
+      expect(hash).toBe(sha256('hello world!'));
+    });
+
+    test('cannot decrypt files without the master key', async () => {
+      await dataServer.write(CONTRACT, FILE, 'hello');
+      const otherMasterKey = new keyProviders.MasterKeyProvider(Buffer.alloc(32, 1));
+      const restarted = new dataServers.EncryptedDataServer(underlying, otherMasterKey, {keyStore});
+      await expect(restarted.read(CONTRACT, FILE)).rejects.toThrow();
+    });
+
+    test('rejects with INTERNAL_ERROR if a stored file has been tampered with', async () => {
+      await dataServer.write(CONTRACT, FILE, 'hello');
+      const stored = Buffer.from(await underlying.read(CONTRACT, FILE, {encoding: 'base64'}), 'base64');
+      stored[stored.length-1] ^= 1;
+      await underlying.write(CONTRACT, FILE, stored.toString('base64'), {encoding: 'base64'});
+      await expect(dataServer.read(CONTRACT, FILE))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR});
+      await underlying.append(CONTRACT, FILE, 'truncated record');
+      await expect(dataServer.read(CONTRACT, FILE))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR});
+    });
+
+    async function readStored(file) {
+      return Buffer.from(await underlying.read(CONTRACT, file, {encoding: 'base64'}), 'base64');
+    }
+
+    function writeStored(file, stored) {
+      return underlying.write(CONTRACT, file, stored.toString('base64'), {encoding: 'base64'});
+    }
+
+    test('rejects with INTERNAL_ERROR if stored files are swapped', async () => {
+      await dataServer.write(CONTRACT, FILE, 'hello');
+      await dataServer.write(CONTRACT, DIR+'/a', 'world');
+      const [stored, otherStored] = [await readStored(FILE), await readStored(DIR+'/a')];
+      await writeStored(FILE, otherStored);
+      await writeStored(DIR+'/a', stored);
+      await expect(dataServer.read(CONTRACT, FILE))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR});
+      await expect(dataServer.read(CONTRACT, DIR+'/a'))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR});
+    });
+
+    test('rejects with INTERNAL_ERROR if a file is swapped with its copy', async () => {
+      await dataServer.write(CONTRACT, FILE, 'hello');
+      await dataServer.copy(CONTRACT, FILE, DIR+'/a');
+      await dataServer.append(CONTRACT, FILE, '!');
+      await dataServer.append(CONTRACT, DIR+'/a', '?');
+      await writeStored(FILE, await readStored(DIR+'/a'));
+      await expect(dataServer.read(CONTRACT, FILE))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR});
+      await expect(dataServer.read(CONTRACT, DIR+'/a')).resolves.toBe('hello?');
+    });
+
+    test('rejects with INTERNAL_ERROR if a record is swapped with one from another file', async () => {
+      await dataServer.write(CONTRACT, FILE, 'a');
+      await dataServer.append(CONTRACT, FILE, 'b');
+      await dataServer.write(CONTRACT, DIR+'/a', 'c');
+      await dataServer.append(CONTRACT, DIR+'/a', 'd');
+      const [stored, otherStored] = [await readStored(FILE), await readStored(DIR+'/a')];
+      const recordLength = stored.length / 2;
+      await writeStored(FILE, Buffer.concat([stored.subarray(0, recordLength), otherStored.subarray(recordLength)]));
+      await expect(dataServer.read(CONTRACT, FILE))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR});
+    });
+
+    test('rejects with INTERNAL_ERROR if records are reordered', async () => {
+      await dataServer.write(CONTRACT, FILE, 'a');
+      await dataServer.append(CONTRACT, FILE, 'b');
+      const stored = await readStored(FILE);
+      const recordLength = stored.length / 2;
+      await writeStored(FILE, Buffer.concat([stored.subarray(recordLength), stored.subarray(0, recordLength)]));
+      await expect(dataServer.read(CONTRACT, FILE))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR});
+    });
+
+    test('rejects with INTERNAL_ERROR if trailing records are dropped', async () => {
+      await dataServer.write(CONTRACT, FILE, 'a');
+      await dataServer.append(CONTRACT, FILE, 'b');
+      await dataServer.append(CONTRACT, FILE, 'c');
+      const stored = await readStored(FILE);
+      await writeStored(FILE, stored.subarray(0, stored.length / 3));
+      const restarted = new dataServers.EncryptedDataServer(underlying, keyProvider, {keyStore});
+      await expect(restarted.read(CONTRACT, FILE))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR});
+      await expect(restarted.append(CONTRACT, FILE, 'd'))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR});
+    });
+
+    test('keeps files readable after they are moved, deleted and written again', async () => {
+      await dataServer.write(CONTRACT, FILE, 'a');
+      await dataServer.append(CONTRACT, FILE, 'b');
+      await dataServer.move(CONTRACT, FILE, DIR+'/a');
+      await dataServer.append(CONTRACT, DIR+'/a', 'c');
+      await dataServer.delete(CONTRACT, DIR);
+      await dataServer.append(CONTRACT, DIR+'/a', 'd');
+      await dataServer.transaction(CONTRACT, [
+        {method: 'append', file: FILE, data: 'e'},
+        {method: 'delete', file: FILE},
+        {method: 'append', file: FILE, data: 'f'}
+      ]);
+      const restarted = new dataServers.EncryptedDataServer(underlying, keyProvider, {keyStore});
+      await expect(restarted.read(CONTRACT, DIR+'/a')).resolves.toBe('d');
+      await expect(restarted.read(CONTRACT, FILE)).resolves.toBe('f');
+    });
+
+    test('rejects with INTERNAL_ERROR if the bubble was not created through the decorator', async () => {
+      await underlying.create(OTHER_CONTRACT);
+      await expect(dataServer.write(OTHER_CONTRACT, FILE, 'hello'))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR});
+    });
+
+    test('resolves transaction results with plaintext hashes', async () => {
+      await dataServer.write(CONTRACT, DIR+'/a', 'a');
+      const results = await dataServer.transaction(CONTRACT, [
+        {method: 'append', file: DIR+'/a', data: 'b'},
+        {method: 'delete', file: DIR},
+        {method: 'append', file: DIR+'/a', data: 'c'},
+        {method: 'write', file: FILE, data: '01', options: {encoding: 'hex'}}
+      ]);
+      expect(results[0].hash).toBe(sha256('ab'));
+      expect(results[2].hash).toBe(sha256('c'));
+      expect(results[3].hash).toBe(sha256(Buffer.from([1])));
+      await expect(dataServer.read(CONTRACT, DIR+'/a')).resolves.toBe('c');
+    });
+
+    test('decrypts subscription notifications', async () => {
+      const listener = jest.fn();
+      await dataServer.subscribe(CONTRACT, FILE, listener, {encoding: 'hex'});
+      await dataServer.write(CONTRACT, FILE, 'hi');
+      await dataServer.append(CONTRACT, FILE, '!');
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(listener.mock.calls.map(([n]) => [n.event, n.file.length, n.data])).toStrictEqual([
+        ['write', 2, Buffer.from('hi').toString('hex')],
+        ['append', 3, Buffer.from('!').toString('hex')]
+      ]);
+    });
+
+    test('deletes the data key and file seals when the bubble is terminated', async () => {
+      await dataServer.write(CONTRACT, FILE, 'hello');
+      await dataServer.terminate(CONTRACT);
+      await expect(keyStore.get(CONTRACT)).resolves.toBeUndefined();
+      await expect(keyStore.scan(CONTRACT)).resolves.toStrictEqual([]);
+      await expect(dataServer.read(CONTRACT, FILE))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
+    });
+
+  });
+
+});
@@ -0,0 +1,81 @@
+import { describe, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { dataServers, ErrorCodes, ROOT_PATH } from '../../src/index.js';
+import { DataServerTestPoint } from '../DataServerTestSuite/DataServerTestPoint.js';
+import { testDataServerRequirements } from '../DataServerTestSuite/requirementsTests.js';
+import '@bubble-protocol/core/test/BubbleErrorMatcher.js';
+
+
+describe('FileSystemDataServer', () => {
+
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bubble-fs-data-server-'));
+  const dataServer = new dataServers.FileSystemDataServer(rootDir);
+
+  afterAll(() => {
+    fs.rmSync(rootDir, {recursive: true, force: true});
+  });
+
+  testDataServerRequirements(dataServer, new DataServerTestPoint(dataServer), {noVersionHistory: true});
+
+
+  describe('on disk', () => {
+
+    const CONTRACT = '0x00000000000000000000000000000000000000000000000000000000000f5d01';
+    const DIR = '0x0000000000000000000000000000000000000000000000000000000000000003';
+    const FILE = '0x0000000000000000000000000000000000000000000000000000000000000001';
+
+    beforeEach(async () => {
+      await dataServer.terminate(CONTRACT, {silent: true});
+      await dataServer.create(CONTRACT);
+    });
+
+    test('persists bubbles across server instances', async () => {
+      await dataServer.write(CONTRACT, DIR+'/hello.txt', 'hello');
+      const restarted = new dataServers.FileSystemDataServer(rootDir);
+      await expect(restarted.read(CONTRACT, DIR+'/hello.txt')).resolves.toBe('hello');
+      await expect(restarted.list(CONTRACT, DIR, {version: true}))
+        .resolves.toStrictEqual(await dataServer.list(CONTRACT, DIR, {version: true}));
+    });
+
+    test('stores filenames that are not valid on disk', async () => {
+      const names = ['..', 'a.meta', 'A.txt', 'a.txt', '.tmp-x', 'ünï©ødé', '\\:*?"<>|', 'x'.repeat(255)];
+      for (const name of names) await dataServer.write(CONTRACT, `${DIR}/${name}`, name);
+      const listing = await dataServer.list(CONTRACT, DIR);
+      expect(listing.map(entry => entry.name)).toStrictEqual(names.map(name => `${DIR}/${name}`).sort());
+      for (const name of names) await expect(dataServer.read(CONTRACT, `${DIR}/${name}`)).resolves.toBe(name);
+    });
+
+    test('ignores files left over from an interrupted request', async () => {
+      await dataServer.write(CONTRACT, FILE, 'data');
+      const bubbleDir = path.join(rootDir, CONTRACT);
+      fs.writeFileSync(path.join(bubbleDir, '.tmp-0123456789abcdef'), 'partial');
+      fs.mkdirSync(path.join(bubbleDir, '.trash-0123456789abcdef'));
+      await expect(dataServer.list(CONTRACT, ROOT_PATH)).resolves.toStrictEqual([{name: FILE, type: 'file'}]);
+    });
+
+    test('leaves the bubble unchanged if a transaction fails', async () => {
+      await dataServer.write(CONTRACT, FILE, 'original');
+      const before = await dataServer.list(CONTRACT, ROOT_PATH, {long: true, recursive: true});
+      await expect(dataServer.transaction(CONTRACT, [
+        {method: 'write', file: FILE, data: 'changed'},
+        {method: 'append', file: DIR+'/log', data: 'entry'},
+        {method: 'delete', file: FILE},
+        {method: 'mkdir', file: DIR}
+      ])).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_DIR_ALREADY_EXISTS});
+      await expect(dataServer.list(CONTRACT, ROOT_PATH, {long: true, recursive: true})).resolves.toStrictEqual(before);
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('original');
+      const bubbleDir = path.join(rootDir, CONTRACT);
+      expect(fs.readdirSync(bubbleDir).sort()).toStrictEqual([expect.stringMatching(new RegExp(`^${FILE}\\.[0-9a-f]{16}$`)), FILE+'.meta']);
+    });
+
+    test('removes the bubble directory when terminated', async () => {
+      await dataServer.write(CONTRACT, DIR+'/hello.txt', 'hello');
+      await dataServer.terminate(CONTRACT);
+      expect(fs.readdirSync(rootDir).filter(name => name.startsWith(CONTRACT))).toStrictEqual([]);
+    });
+
+  });
+
+});
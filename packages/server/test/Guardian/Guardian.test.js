@@ -1,6 +1,6 @@
 import { beforeAll, describe, jest } from '@jest/globals';
-import { BubbleError, BubbleFilename, BubblePermissions, Guardian } from '../../src/index.js';
-import { ErrorCodes, Permissions, TestBlockchainProvider, TestDataServer, COMMON_RPC_PARAMS, VALID_FILE, ROOT_PATH, VALID_DIR } from './common.js';
+import { BubbleError, BubbleFilename, BubblePermissions, Guardian, PermissionCache, nonceStores } from '../../src/index.js';
+import { ErrorCodes, Permissions, TestBlockchainProvider, TestDataServer, COMMON_RPC_PARAMS, VALID_FILE, ROOT_PATH, VALID_DIR, VALID_CONTRACT } from './common.js';
 import { testPostParams } from './post.params.js';
 import '@bubble-protocol/core/test/BubbleErrorMatcher.js';
 
@@ -254,6 +254,15 @@ describe("Guardian", () => {
           .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS});
       })
 
+      test('passes encoded binary data through to the data server', async () => {
+        const newParams = {...params, data: 'AAH/gA==', options: {encoding: 'base64'}};
+        const mockPermissions = Permissions.DIRECTORY_BIT | Permissions.ALL_PERMISSIONS;
+        dataServer.write.mockResolvedValueOnce();
+        await post(method, newParams, mockPermissions);
+        expect(dataServer.write.mock.calls[0][2]).toBe('AAH/gA==');
+        expect(dataServer.write.mock.calls[0][3]).toEqual({encoding: 'base64'});
+      })
+
     })
 
     
@@ -481,6 +490,51 @@ describe("Guardian", () => {
             expect(dataServer[method].mock.calls[0][1]).toBe(ROOT_PATH);
           })
       })
+
+      describe('recursive listing of the root directory', () => {
+
+        const READABLE_DIR = '0x0000000000000000000000000000000000000000000000000000000000000003';
+        const READ_PERMISSIONS = Permissions.DIRECTORY_BIT | Permissions.READ_BIT;
+        const rootParams = {...COMMON_RPC_PARAMS, file: ROOT_PATH, options: {recursive: true}};
+        const listing = [
+          {name: VALID_DIR, type: 'dir'},
+          {name: VALID_FILE, type: 'file'},
+          {name: READABLE_DIR, type: 'dir'},
+          {name: READABLE_DIR+'/a.txt', type: 'file'},
+          {name: READABLE_DIR+'/b.txt', type: 'file'}
+        ];
+
+        function mockDirectoryPermissions() {
+          blockchainProvider.getPermissions.mockImplementation((contract, account, file) => 
+            Promise.resolve(file === READABLE_DIR ? READ_PERMISSIONS : Permissions.DIRECTORY_BIT));
+        }
+
+        test('removes the contents of sub-directories the signatory cannot read', async () => {
+          dataServer.list.mockResolvedValueOnce(listing);
+          await expect(post(method, rootParams, READ_PERMISSIONS, {stubs: mockDirectoryPermissions}))
+            .resolves.toStrictEqual([listing[0], listing[2], listing[3], listing[4]]);
+          expect(blockchainProvider.getPermissions.mock.calls).toHaveLength(3);
+        })
+
+        test('filters the items of a paginated listing', async () => {
+          dataServer.list.mockResolvedValueOnce({items: listing, nextCursor: 'next'});
+          await expect(post(method, rootParams, READ_PERMISSIONS, {stubs: mockDirectoryPermissions}))
+            .resolves.toStrictEqual({items: [listing[0], listing[2], listing[3], listing[4]], nextCursor: 'next'});
+        })
+
+        test('also applies to a read of the root directory', async () => {
+          dataServer.list.mockResolvedValueOnce(listing);
+          await expect(post('read', rootParams, READ_PERMISSIONS, {stubs: mockDirectoryPermissions}))
+            .resolves.toStrictEqual([listing[0], listing[2], listing[3], listing[4]]);
+        })
+
+        test('does not check sub-directory permissions for a non-recursive listing', async () => {
+          dataServer.list.mockResolvedValueOnce(listing);
+          await expect(post(method, {...rootParams, options: undefined}, READ_PERMISSIONS)).resolves.toStrictEqual(listing);
+          expect(blockchainProvider.getPermissions.mock.calls).toHaveLength(1);
+        })
+
+      })
   
     })
 
@@ -856,6 +910,57 @@ describe("Guardian", () => {
 
     });
 
+    describe('postAs', () => {
+
+      const sender = '0x00000000000000000000000000000000000000AB';
+      const params = {
+        timestamp: 1,
+        nonce: 'a1',
+        chainId: 1,
+        contract: VALID_CONTRACT,
+        file: VALID_FILE,
+        data: 'hello world'
+      };
+
+      test('services an unsigned request with permissions checked for the given signatory', async () => {
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.DIRECTORY_BIT | Permissions.APPEND_BIT);
+        dataServer.append.mockResolvedValueOnce('server-result');
+        await expect(guardian.postAs(sender, 'append', {...params})).resolves.toBe('server-result');
+        expect(blockchainProvider.recoverSignatory).not.toHaveBeenCalled();
+        expect(blockchainProvider.getPermissions).toHaveBeenCalledWith(VALID_CONTRACT, sender.toLowerCase(), VALID_DIR);
+        expect(dataServer.append).toHaveBeenCalledWith(VALID_CONTRACT, VALID_FILE, 'hello world', undefined);
+      });
+
+      test('rejects if the signatory does not have permission', async () => {
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.DIRECTORY_BIT | Permissions.READ_BIT);
+        await expect(guardian.postAs(sender, 'write', {...params})).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        expect(dataServer.write).not.toHaveBeenCalled();
+      });
+
+      test('runs the request validators with the given signatory', async () => {
+        const validator = jest.fn().mockRejectedValueOnce(new BubbleError(1234, 'validator rejection'));
+        const guardianWithValidators = new Guardian(dataServer, blockchainProvider, [validator]);
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.DIRECTORY_BIT | Permissions.WRITE_BIT);
+        await expect(guardianWithValidators.postAs(sender, 'write', {...params})).rejects.toBeBubbleError({code: 1234});
+        expect(validator.mock.calls[0][0].signatory).toBe(sender.toLowerCase());
+        expect(dataServer.write).not.toHaveBeenCalled();
+      });
+
+      test('applies the other request validation', async () => {
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        await expect(guardian.postAs(sender, 'write', {...params, chainId: 2})).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_BLOCKCHAIN_NOT_SUPPORTED});
+        await expect(guardian.postAs(sender, 'write', {...params, nonce: undefined})).rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS});
+      });
+
+      test('requires a signatory', async () => {
+        await expect(guardian.postAs(undefined, 'write', {...params})).rejects.toThrow(TypeError);
+      });
+
+    });
+
     describe('request validators', () => {
 
       test('when constructed with validators they are called and all must pass', async () => {
@@ -913,6 +1018,869 @@ describe("Guardian", () => {
 
     })
 
+    describe('post-commit hooks', () => {
+
+      const params = {...COMMON_RPC_PARAMS, file: VALID_FILE, data: 'hello world'};
+      const WRITE_PERMISSIONS = Permissions.DIRECTORY_BIT | Permissions.WRITE_BIT;
+      let hook, guardianWithHooks;
+
+      beforeEach(() => {
+        hook = jest.fn();
+        guardianWithHooks = new Guardian(dataServer, blockchainProvider, [], {postCommitHooks: [hook]});
+      });
+
+      function postWithHooks(method, params, ...permissions) {
+        blockchainProvider.recoverSignatory.mockResolvedValueOnce(signatory);
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        permissions.forEach(p => blockchainProvider.getPermissions.mockResolvedValueOnce(p));
+        return guardianWithHooks.post(method, {...params});
+      }
+
+      test('are called with the serviced request once the data server has responded', async () => {
+        dataServer.write.mockImplementationOnce(async () => {
+          expect(hook).not.toHaveBeenCalled();
+          return 'server-result';
+        });
+        await expect(postWithHooks('write', params, WRITE_PERMISSIONS)).resolves.toBe('server-result');
+        expect(hook).toHaveBeenCalledTimes(1);
+        const commit = hook.mock.calls[0][0];
+        expect(commit).toMatchObject({method: 'write', params, signatory, response: 'server-result', internal: false});
+        expect(commit.file).toBeInstanceOf(BubbleFilename);
+        expect(commit.file.fullFilename).toBe(VALID_FILE);
+        expect(commit.permissions).toBeInstanceOf(BubblePermissions);
+      })
+
+      test('are not called for read-only requests', async () => {
+        dataServer.read.mockResolvedValueOnce('data');
+        await postWithHooks('read', params, Permissions.DIRECTORY_BIT | Permissions.READ_BIT);
+        expect(hook).not.toHaveBeenCalled();
+      })
+
+      test('are not called if the request is denied or fails', async () => {
+        await expect(postWithHooks('write', params, Permissions.DIRECTORY_BIT | Permissions.READ_BIT))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        guardianWithHooks.addRequestValidator(jest.fn().mockRejectedValueOnce(new BubbleError(1234, 'validator rejection')));
+        await expect(postWithHooks('write', params, WRITE_PERMISSIONS)).rejects.toBeBubbleError({code: 1234});
+        dataServer.write.mockRejectedValueOnce(new BubbleError(5678, 'data server rejection'));
+        await expect(postWithHooks('write', params, WRITE_PERMISSIONS)).rejects.toBeBubbleError({code: 5678});
+        dataServer.terminate.mockResolvedValueOnce();
+        await expect(postWithHooks('write', params, Permissions.BUBBLE_TERMINATED_BIT))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_BUBBLE_TERMINATED});
+        expect(hook).not.toHaveBeenCalled();
+      })
+
+      test('are called when a terminated bubble is deleted', async () => {
+        dataServer.terminate.mockResolvedValueOnce();
+        await postWithHooks('terminate', {...COMMON_RPC_PARAMS}, Permissions.BUBBLE_TERMINATED_BIT);
+        expect(hook.mock.calls[0][0]).toMatchObject({method: 'terminate', response: undefined});
+      })
+
+      test('include the destination of a move or copy', async () => {
+        const to = '0x0000000000000000000000000000000000000000000000000000000000000003';
+        dataServer.move.mockResolvedValueOnce();
+        await postWithHooks('move', {...COMMON_RPC_PARAMS, file: VALID_FILE, to}, Permissions.DIRECTORY_BIT | Permissions.READ_BIT | Permissions.WRITE_BIT, Permissions.WRITE_BIT);
+        expect(hook.mock.calls[0][0].file.fullFilename).toBe(VALID_FILE);
+        expect(hook.mock.calls[0][0].to).toBeInstanceOf(BubbleFilename);
+        expect(hook.mock.calls[0][0].to.fullFilename).toBe(to);
+      })
+
+      test('include the operations of a transaction', async () => {
+        const ops = [{method: 'write', file: VALID_FILE, data: 'a'}, {method: 'delete', file: VALID_DIR}];
+        dataServer.transaction.mockResolvedValueOnce();
+        await postWithHooks('transaction', {...COMMON_RPC_PARAMS, ops}, Permissions.DIRECTORY_BIT | Permissions.READ_BIT, WRITE_PERMISSIONS, WRITE_PERMISSIONS);
+        expect(hook).toHaveBeenCalledTimes(1);
+        expect(hook.mock.calls[0][0].method).toBe('transaction');
+        expect(hook.mock.calls[0][0].ops).toStrictEqual(dataServer.transaction.mock.calls[0][1]);
+      })
+
+      test('mark requests made by the server as internal', async () => {
+        const sender = '0x00000000000000000000000000000000000000ab';
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(WRITE_PERMISSIONS);
+        dataServer.append.mockResolvedValueOnce();
+        const {signature, ...unsignedParams} = params;
+        await guardianWithHooks.postAs(sender, 'append', unsignedParams);
+        expect(hook.mock.calls[0][0]).toMatchObject({method: 'append', signatory: sender, internal: true});
+      })
+
+      test('are called in order and cannot affect the response', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+          const calls = [];
+          guardianWithHooks.addPostCommitHook(() => { calls.push('throws'); throw new Error('hook failure') });
+          guardianWithHooks.addPostCommitHook(async () => { calls.push('rejects'); throw new Error('hook failure') });
+          guardianWithHooks.addPostCommitHook(() => calls.push('last'));
+          dataServer.write.mockResolvedValueOnce('server-result');
+          await expect(postWithHooks('write', params, WRITE_PERMISSIONS)).resolves.toBe('server-result');
+          expect(hook).toHaveBeenCalledTimes(1);
+          expect(calls).toStrictEqual(['throws', 'rejects', 'last']);
+          await new Promise(resolve => setTimeout(resolve, 0));
+          expect(warn).toHaveBeenCalledTimes(2);
+        }
+        finally {
+          warn.mockRestore();
+        }
+      })
+
+      test('must be functions', () => {
+        expect(() => guardianWithHooks.addPostCommitHook('hook')).toThrow(TypeError);
+        expect(() => guardianWithHooks.addRequestValidator()).toThrow(TypeError);
+      })
+
+    })
+
+    describe('replay protection', () => {
+
+      const REQUEST_WINDOW = 60000;
+      const method = 'read';
+      let protectedGuardian, nonceStore;
+
+      function buildParams(overrides = {}) {
+        return {
+          ...COMMON_RPC_PARAMS,
+          file: VALID_FILE,
+          timestamp: Date.now(),
+          nonce: 'nonce-'+Math.random(),
+          ...overrides
+        };
+      }
+
+      function postProtected(params) {
+        blockchainProvider.recoverSignatory.mockResolvedValueOnce(signatory);
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.DIRECTORY_BIT | Permissions.READ_BIT);
+        return protectedGuardian.post(method, {...params});
+      }
+
+      beforeEach(() => {
+        nonceStore = new nonceStores.MemoryNonceStore();
+        protectedGuardian = new Guardian(dataServer, blockchainProvider, [], {requestWindow: REQUEST_WINDOW, nonceStore});
+      })
+
+      test('is disabled by default', async () => {
+        dataServer.read.mockResolvedValue('hello');
+        const params = buildParams({timestamp: 1});
+        await expect(post(method, params, Permissions.DIRECTORY_BIT | Permissions.READ_BIT)).resolves.toBe('hello');
+        await expect(post(method, params, Permissions.DIRECTORY_BIT | Permissions.READ_BIT)).resolves.toBe('hello');
+      })
+
+      test('uses a MemoryNonceStore if no store is given', async () => {
+        const guardianWithDefaultStore = new Guardian(dataServer, blockchainProvider, [], {requestWindow: REQUEST_WINDOW});
+        expect(guardianWithDefaultStore.nonceStore).toBeInstanceOf(nonceStores.MemoryNonceStore);
+      })
+
+      test('accepts a fresh request', async () => {
+        dataServer.read.mockResolvedValueOnce('hello');
+        await expect(postProtected(buildParams())).resolves.toBe('hello');
+      })
+
+      test('rejects a request whose timestamp is older than the request window', async () => {
+        await expect(postProtected(buildParams({timestamp: Date.now() - REQUEST_WINDOW - 1000})))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_REQUEST_EXPIRED});
+        expect(blockchainProvider.recoverSignatory.mock.calls).toHaveLength(0);
+        expect(dataServer.read.mock.calls).toHaveLength(0);
+      })
+
+      test('rejects a request whose timestamp is further in the future than the request window', async () => {
+        await expect(postProtected(buildParams({timestamp: Date.now() + REQUEST_WINDOW + 1000})))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_REQUEST_EXPIRED});
+        expect(dataServer.read.mock.calls).toHaveLength(0);
+      })
+
+      test('rejects a replayed request', async () => {
+        const params = buildParams();
+        dataServer.read.mockResolvedValueOnce('hello');
+        await expect(postProtected(params)).resolves.toBe('hello');
+        await expect(postProtected(params))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_REQUEST_REPLAYED});
+        expect(dataServer.read.mock.calls).toHaveLength(1);
+      })
+
+      test('records the nonce until the request falls outside the window', async () => {
+        const params = buildParams();
+        const add = jest.spyOn(nonceStore, 'add');
+        dataServer.read.mockResolvedValueOnce('hello');
+        await postProtected(params);
+        expect(add).toHaveBeenCalledWith(`${signatory}:${params.nonce}`, params.timestamp + REQUEST_WINDOW);
+      })
+
+      test('does not let a forged request use up the nonce of a genuine request', async () => {
+        const params = buildParams();
+        blockchainProvider.recoverSignatory.mockResolvedValueOnce('0x00000000000000000000000000000000000000ff');
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.DIRECTORY_BIT);
+        await expect(protectedGuardian.post(method, {...params, signature: 'forged'}))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        dataServer.read.mockResolvedValueOnce('hello');
+        await expect(postProtected(params)).resolves.toBe('hello');
+      })
+
+      test('does not record the nonce of a request without a valid signature', async () => {
+        const params = buildParams();
+        const add = jest.spyOn(nonceStore, 'add');
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.recoverSignatory.mockRejectedValueOnce(new Error('invalid signature'));
+        await expect(protectedGuardian.post(method, {...params})).rejects.toThrow();
+        expect(add).not.toHaveBeenCalled();
+      })
+
+      test('rejects with an internal error if the nonce store fails', async () => {
+        jest.spyOn(nonceStore, 'add').mockRejectedValueOnce(new Error('store down'));
+        await expect(postProtected(buildParams()))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_INTERNAL_ERROR, message: 'nonce store unavailable'});
+        expect(dataServer.read.mock.calls).toHaveLength(0);
+      })
+
+    })
+
+    describe('permission cache', () => {
+
+      const params = {
+        ...COMMON_RPC_PARAMS,
+        file: VALID_FILE,
+        data: 'hello world'
+      };
+      const mockPermissions = Permissions.DIRECTORY_BIT | Permissions.ALL_PERMISSIONS;
+      let cachingGuardian;
+
+      function postCached(method, guardian=cachingGuardian, listener) {
+        blockchainProvider.recoverSignatory.mockResolvedValueOnce(signatory);
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        return guardian.post(method, {...params}, listener);
+      }
+
+      beforeEach(() => {
+        blockchainProvider.getPermissions.mockResolvedValue(mockPermissions);
+        cachingGuardian = new Guardian(dataServer, blockchainProvider, [], {permissionCache: new PermissionCache(blockchainProvider)});
+      })
+
+      test('serves reads from the cache', async () => {
+        dataServer.read.mockResolvedValue('hello');
+        await postCached('read');
+        await postCached('read');
+        expect(dataServer.read.mock.calls).toHaveLength(2);
+        expect(blockchainProvider.getPermissions.mock.calls).toHaveLength(1);
+      })
+
+      test('always gets fresh permissions for writes by default', async () => {
+        dataServer.write.mockResolvedValue();
+        await postCached('write');
+        await postCached('write');
+        expect(blockchainProvider.getPermissions.mock.calls).toHaveLength(2);
+      })
+
+      test('uses the cache for the configured operations only', async () => {
+        const guardian = new Guardian(dataServer, blockchainProvider, [], {permissionCache: new PermissionCache(blockchainProvider), cachedOperations: ['write']});
+        dataServer.write.mockResolvedValue();
+        dataServer.read.mockResolvedValue('hello');
+        await postCached('write', guardian);
+        await postCached('write', guardian);
+        expect(blockchainProvider.getPermissions.mock.calls).toHaveLength(1);
+        await postCached('read', guardian);
+        expect(blockchainProvider.getPermissions.mock.calls).toHaveLength(2);
+      })
+
+      test('serves subscription notification permission checks from the cache', async () => {
+        const clientListener = jest.fn();
+        dataServer.subscribe.mockResolvedValueOnce({subscriptionId: 1});
+        await postCached('subscribe', cachingGuardian, clientListener);
+        const protectedListener = dataServer.subscribe.mock.calls[0][2];
+        await protectedListener(1, {event: 'write'});
+        await protectedListener(1, {event: 'write'});
+        expect(clientListener.mock.calls).toHaveLength(2);
+        expect(blockchainProvider.getPermissions.mock.calls).toHaveLength(1);
+      })
+
+      test('does not cache permissions when no cache is configured', async () => {
+        dataServer.read.mockResolvedValue('hello');
+        await postCached('read', guardian);
+        await postCached('read', guardian);
+        expect(blockchainProvider.getPermissions.mock.calls).toHaveLength(2);
+      })
+
+    })
+
+    describe('transaction', () => {
+
+      const ROOT_FILE = '0x0000000000000000000000000000000000000000000000000000000000000003';
+      const WRITE_PERMISSIONS = Permissions.DIRECTORY_BIT | Permissions.WRITE_BIT;
+
+      function postTransaction(ops, opPermissions, rootPermissions = Permissions.DIRECTORY_BIT | Permissions.READ_BIT) {
+        blockchainProvider.recoverSignatory.mockResolvedValueOnce(signatory);
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(rootPermissions);
+        opPermissions.forEach(permissions => blockchainProvider.getPermissions.mockResolvedValueOnce(permissions));
+        return guardian.post('transaction', {...COMMON_RPC_PARAMS, ops});
+      }
+
+      test('rejects if ops is missing', async () => {
+        await expect(guardian.post('transaction', {...COMMON_RPC_PARAMS}))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'malformed ops'});
+      })
+
+      test('rejects if ops is empty', async () => {
+        await expect(guardian.post('transaction', {...COMMON_RPC_PARAMS, ops: []}))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'malformed ops'});
+      })
+
+      test('rejects if an operation is not supported within a transaction', async () => {
+        await expect(postTransaction([{method: 'write', file: VALID_FILE, data: 'a'}, {method: 'read', file: VALID_FILE}], []))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS});
+        expect(dataServer.transaction.mock.calls).toHaveLength(0);
+      })
+
+      test('rejects if an operation is malformed', async () => {
+        await expect(postTransaction(['write'], []))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'malformed operation'});
+      })
+
+      test('rejects if an operation has a malformed file', async () => {
+        await expect(postTransaction([{method: 'write', file: 'not-a-file', data: 'a'}], []))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'malformed file'});
+      })
+
+      test('rejects if an operation has data that does not match its encoding', async () => {
+        await expect(postTransaction([{method: 'write', file: VALID_FILE, data: 'zz', options: {encoding: 'hex'}}], []))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'malformed data', cause: 'ops[0]'});
+        await expect(postTransaction([{method: 'write', file: VALID_FILE, data: 'a', options: {encoding: 'binary'}}], []))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'malformed encoding', cause: 'ops[0]'});
+      })
+
+      test('rejects if a write operation has no data', async () => {
+        await expect(postTransaction([{method: 'write', file: VALID_FILE}], []))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'no data'});
+      })
+
+      test('rejects if the transaction exceeds the maximum size', async () => {
+        const smallGuardian = new Guardian(dataServer, blockchainProvider, [], {maxBatchSize: 1});
+        blockchainProvider.recoverSignatory.mockResolvedValueOnce(signatory);
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.DIRECTORY_BIT);
+        await expect(smallGuardian.post('transaction', {...COMMON_RPC_PARAMS, ops: [{method: 'delete', file: VALID_FILE}, {method: 'delete', file: ROOT_FILE}]}))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'transaction exceeds maximum size of 1'});
+      })
+
+      test('checks the permissions of every operation', async () => {
+        dataServer.transaction.mockResolvedValueOnce([null, null]);
+        await postTransaction([{method: 'write', file: VALID_FILE, data: 'a'}, {method: 'append', file: ROOT_FILE, data: 'b'}], [WRITE_PERMISSIONS, Permissions.APPEND_BIT]);
+        expect(blockchainProvider.getPermissions.mock.calls).toHaveLength(3);
+        expect(blockchainProvider.getPermissions.mock.calls[1][2]).toBe(VALID_DIR);
+        expect(blockchainProvider.getPermissions.mock.calls[2][2]).toBe(ROOT_FILE);
+      })
+
+      test('rejects the whole transaction if any operation is not permitted', async () => {
+        await expect(postTransaction([{method: 'write', file: VALID_FILE, data: 'a'}, {method: 'write', file: ROOT_FILE, data: 'b'}], [WRITE_PERMISSIONS, Permissions.APPEND_BIT]))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        expect(dataServer.transaction.mock.calls).toHaveLength(0);
+      })
+
+      test('applies the same permission rules as the equivalent methods', async () => {
+        await expect(postTransaction([{method: 'mkdir', file: ROOT_FILE}], [Permissions.WRITE_BIT]))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        await expect(postTransaction([{method: 'delete', file: ROOT_PATH}], [Permissions.DIRECTORY_BIT | Permissions.WRITE_BIT]))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        await expect(postTransaction([{method: 'write', file: VALID_DIR, data: 'a'}], [WRITE_PERMISSIONS]))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        expect(dataServer.transaction.mock.calls).toHaveLength(0);
+      })
+
+      test('passes all operations to the data server and resolves with its result', async () => {
+        const ops = [
+          {method: 'mkdir', file: VALID_DIR},
+          {method: 'write', file: VALID_FILE, data: 'a', options: {silent: true}},
+          {method: 'append', file: ROOT_FILE, data: 'b'},
+          {method: 'delete', file: ROOT_FILE}
+        ];
+        dataServer.transaction.mockResolvedValueOnce(['r1', 'r2', 'r3', 'r4']);
+        await expect(postTransaction(ops, [WRITE_PERMISSIONS, WRITE_PERMISSIONS, Permissions.WRITE_BIT, Permissions.WRITE_BIT]))
+          .resolves.toStrictEqual(['r1', 'r2', 'r3', 'r4']);
+        expect(dataServer.transaction.mock.calls).toHaveLength(1);
+        expect(dataServer.transaction.mock.calls[0][0]).toBe(VALID_CONTRACT);
+        expect(dataServer.transaction.mock.calls[0][1]).toStrictEqual([
+          {method: 'mkdir', file: VALID_DIR, data: undefined, options: undefined},
+          {method: 'write', file: VALID_FILE, data: 'a', options: {silent: true}},
+          {method: 'append', file: ROOT_FILE, data: 'b', options: undefined},
+          {method: 'delete', file: ROOT_FILE, data: undefined, options: undefined}
+        ]);
+      })
+
+      test('rejects with the data server error if the transaction fails', async () => {
+        dataServer.transaction.mockRejectedValueOnce(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, 'file does not exist'));
+        await expect(postTransaction([{method: 'delete', file: ROOT_FILE}], [Permissions.WRITE_BIT]))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+      })
+
+      test('runs the request validators against each operation', async () => {
+        const validator = jest.fn();
+        const validatingGuardian = new Guardian(dataServer, blockchainProvider, [validator]);
+        blockchainProvider.recoverSignatory.mockResolvedValueOnce(signatory);
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.DIRECTORY_BIT);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(WRITE_PERMISSIONS);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.WRITE_BIT);
+        dataServer.transaction.mockResolvedValueOnce([null, null]);
+        await validatingGuardian.post('transaction', {...COMMON_RPC_PARAMS, ops: [{method: 'write', file: VALID_FILE, data: 'a'}, {method: 'delete', file: ROOT_FILE}]});
+        const opCalls = validator.mock.calls.filter(call => call[0].method !== 'transaction');
+        expect(opCalls).toHaveLength(2);
+        expect(opCalls[0][0].method).toBe('write');
+        expect(opCalls[0][0].params.data).toBe('a');
+        expect(opCalls[0][0].file.fullFilename).toBe(VALID_FILE);
+        expect(opCalls[1][0].method).toBe('delete');
+        expect(opCalls[1][0].file.fullFilename).toBe(ROOT_FILE);
+      })
+
+      test('rejects the whole transaction if a request validator rejects an operation', async () => {
+        const validator = jest.fn(async ({method}) => { if (method === 'delete') throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'reserved') });
+        const validatingGuardian = new Guardian(dataServer, blockchainProvider, [validator]);
+        blockchainProvider.recoverSignatory.mockResolvedValueOnce(signatory);
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.DIRECTORY_BIT);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(WRITE_PERMISSIONS);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.WRITE_BIT);
+        await expect(validatingGuardian.post('transaction', {...COMMON_RPC_PARAMS, ops: [{method: 'write', file: VALID_FILE, data: 'a'}, {method: 'delete', file: ROOT_FILE}]}))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, message: 'reserved'});
+        expect(dataServer.transaction.mock.calls).toHaveLength(0);
+      })
+
+      test('rejects with bubble terminated error if the bubble has been terminated', async () => {
+        dataServer.terminate.mockResolvedValueOnce();
+        await expect(postTransaction([{method: 'delete', file: ROOT_FILE}], [], Permissions.BUBBLE_TERMINATED_BIT))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_BUBBLE_TERMINATED});
+        expect(dataServer.transaction.mock.calls).toHaveLength(0);
+      })
+
+    })
+
+
+    describe('move and copy', () => {
+
+      const DEST_FILE = '0x0000000000000000000000000000000000000000000000000000000000000003';
+      const READ_PERMISSIONS = Permissions.DIRECTORY_BIT | Permissions.READ_BIT;
+      const READ_WRITE_PERMISSIONS = Permissions.DIRECTORY_BIT | Permissions.READ_BIT | Permissions.WRITE_BIT;
+
+      function post(method, sourcePermissions, destPermissions, params = {}) {
+        blockchainProvider.recoverSignatory.mockResolvedValueOnce(signatory);
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(sourcePermissions);
+        if (destPermissions !== undefined) blockchainProvider.getPermissions.mockResolvedValueOnce(destPermissions);
+        return guardian.post(method, {...COMMON_RPC_PARAMS, file: VALID_FILE, to: DEST_FILE, ...params});
+      }
+
+      test('rejects if the destination is missing', async () => {
+        await expect(guardian.post('move', {...COMMON_RPC_PARAMS, file: VALID_FILE}))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'missing to param'});
+      })
+
+      test('rejects if the destination is malformed', async () => {
+        await expect(guardian.post('copy', {...COMMON_RPC_PARAMS, file: VALID_FILE, to: 1}))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'malformed to'});
+        await expect(post('copy', READ_PERMISSIONS, undefined, {to: 'not-a-file'}))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'malformed to'});
+      })
+
+      test('rejects if the source and destination are the same', async () => {
+        await expect(post('move', READ_WRITE_PERMISSIONS, undefined, {to: VALID_FILE}))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'source and destination are the same'});
+        expect(dataServer.move.mock.calls).toHaveLength(0);
+      })
+
+      test('copy requires read permission on the source', async () => {
+        await expect(post('copy', Permissions.DIRECTORY_BIT | Permissions.WRITE_BIT))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        expect(dataServer.copy.mock.calls).toHaveLength(0);
+      })
+
+      test('move requires read and write permission on the source', async () => {
+        await expect(post('move', READ_PERMISSIONS))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        expect(dataServer.move.mock.calls).toHaveLength(0);
+      })
+
+      test('requires write permission on the destination', async () => {
+        await expect(post('copy', READ_PERMISSIONS, Permissions.READ_BIT | Permissions.APPEND_BIT))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, cause: 'to'});
+        await expect(post('move', READ_WRITE_PERMISSIONS, Permissions.READ_BIT))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, cause: 'to'});
+        expect(dataServer.copy.mock.calls).toHaveLength(0);
+        expect(dataServer.move.mock.calls).toHaveLength(0);
+      })
+
+      test('rejects if the source or destination is a directory', async () => {
+        await expect(post('copy', READ_PERMISSIONS, undefined, {file: VALID_DIR}))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        await expect(post('copy', READ_PERMISSIONS, Permissions.DIRECTORY_BIT | Permissions.WRITE_BIT))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        expect(dataServer.copy.mock.calls).toHaveLength(0);
+      })
+
+      test('checks the permissions of the destination', async () => {
+        dataServer.copy.mockResolvedValueOnce({version: '1'});
+        await post('copy', READ_PERMISSIONS, Permissions.WRITE_BIT);
+        expect(blockchainProvider.getPermissions.mock.calls).toHaveLength(2);
+        expect(blockchainProvider.getPermissions.mock.calls[0][2]).toBe(VALID_DIR);
+        expect(blockchainProvider.getPermissions.mock.calls[1][2]).toBe(DEST_FILE);
+      })
+
+      test.each(['move', 'copy'])('%s passes the source, destination and options to the data server', async (method) => {
+        dataServer[method].mockResolvedValueOnce({version: '1'});
+        await expect(post(method, READ_WRITE_PERMISSIONS, Permissions.WRITE_BIT, {options: {ifNoneMatch: '*'}}))
+          .resolves.toStrictEqual({version: '1'});
+        expect(dataServer[method].mock.calls).toHaveLength(1);
+        expect(dataServer[method].mock.calls[0]).toStrictEqual([VALID_CONTRACT, VALID_FILE, DEST_FILE, {ifNoneMatch: '*'}]);
+      })
+
+      test('rejects with the data server error if the request fails', async () => {
+        dataServer.move.mockRejectedValueOnce(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, 'file does not exist'));
+        await expect(post('move', READ_WRITE_PERMISSIONS, Permissions.WRITE_BIT))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+      })
+
+      test('runs the request validators against the source and the destination', async () => {
+        const validator = jest.fn(async ({file}) => { if (file.fullFilename === DEST_FILE) throw new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, 'reserved') });
+        const validatingGuardian = new Guardian(dataServer, blockchainProvider, [validator]);
+        blockchainProvider.recoverSignatory.mockResolvedValueOnce(signatory);
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(READ_PERMISSIONS);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.WRITE_BIT);
+        await expect(validatingGuardian.post('copy', {...COMMON_RPC_PARAMS, file: VALID_FILE, to: DEST_FILE}))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, message: 'reserved'});
+        expect(validator.mock.calls).toHaveLength(2);
+        expect(validator.mock.calls[0][0].method).toBe('copy');
+        expect(validator.mock.calls[0][0].file.fullFilename).toBe(VALID_FILE);
+        expect(validator.mock.calls[1][0].method).toBe('copy');
+        expect(validator.mock.calls[1][0].params.file).toBe(DEST_FILE);
+        expect(dataServer.copy.mock.calls).toHaveLength(0);
+      })
+
+    })
+
+
+    describe('version history', () => {
+
+      const READ_PERMISSIONS = Permissions.DIRECTORY_BIT | Permissions.READ_BIT;
+      const WRITE_PERMISSIONS = Permissions.DIRECTORY_BIT | Permissions.WRITE_BIT;
+
+      function post(method, permissions, params = {}) {
+        blockchainProvider.recoverSignatory.mockResolvedValueOnce(signatory);
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(permissions);
+        return guardian.post(method, {...COMMON_RPC_PARAMS, file: VALID_FILE, ...params});
+      }
+
+      test('listing the versions of a file requires read permission', async () => {
+        await expect(post('list', WRITE_PERMISSIONS, {options: {versions: true}}))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        expect(dataServer.list.mock.calls).toHaveLength(0);
+        dataServer.list.mockResolvedValueOnce([{name: VALID_FILE, type: 'file', version: '1'}]);
+        await expect(post('list', READ_PERMISSIONS, {options: {versions: true}}))
+          .resolves.toStrictEqual([{name: VALID_FILE, type: 'file', version: '1'}]);
+        expect(dataServer.list.mock.calls[0]).toStrictEqual([VALID_CONTRACT, VALID_FILE, {versions: true}]);
+      })
+
+      test('reading a version of a file requires read permission', async () => {
+        await expect(post('read', WRITE_PERMISSIONS, {options: {version: '1'}}))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        expect(dataServer.read.mock.calls).toHaveLength(0);
+        dataServer.read.mockResolvedValueOnce('old data');
+        await expect(post('read', READ_PERMISSIONS, {options: {version: '1'}})).resolves.toBe('old data');
+        expect(dataServer.read.mock.calls[0]).toStrictEqual([VALID_CONTRACT, VALID_FILE, {version: '1'}]);
+      })
+
+      test('restore rejects a malformed version option', async () => {
+        await expect(guardian.post('restore', {...COMMON_RPC_PARAMS, file: VALID_FILE, options: {version: 1}}))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'malformed version'});
+        await expect(guardian.post('restore', {...COMMON_RPC_PARAMS, file: VALID_FILE, options: {version: ''}}))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'malformed version'});
+      })
+
+      test('restore rejects if the file or version is missing', async () => {
+        await expect(guardian.post('restore', {...COMMON_RPC_PARAMS, options: {version: '1'}}))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'missing file param'});
+        await expect(guardian.post('restore', {...COMMON_RPC_PARAMS, file: VALID_FILE}))
+          .rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'missing version option'});
+      })
+
+      test('restore requires write permission', async () => {
+        await expect(post('restore', READ_PERMISSIONS | Permissions.APPEND_BIT, {options: {version: '1'}}))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        expect(dataServer.restore.mock.calls).toHaveLength(0);
+      })
+
+      test('restore rejects if the file is a directory', async () => {
+        await expect(post('restore', WRITE_PERMISSIONS, {file: VALID_DIR, options: {version: '1'}}))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        expect(dataServer.restore.mock.calls).toHaveLength(0);
+      })
+
+      test('restore passes the file and options to the data server', async () => {
+        dataServer.restore.mockResolvedValueOnce({version: '2', hash: 'abcd'});
+        await expect(post('restore', WRITE_PERMISSIONS, {options: {version: '1', ifMatch: '1'}}))
+          .resolves.toStrictEqual({version: '2', hash: 'abcd'});
+        expect(dataServer.restore.mock.calls).toHaveLength(1);
+        expect(dataServer.restore.mock.calls[0]).toStrictEqual([VALID_CONTRACT, VALID_FILE, {version: '1', ifMatch: '1'}]);
+      })
+
+      test('restore rejects with the data server error if the request fails', async () => {
+        dataServer.restore.mockRejectedValueOnce(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, 'version does not exist'));
+        await expect(post('restore', WRITE_PERMISSIONS, {options: {version: '1'}}))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+      })
+
+    })
+
+
+    describe('batch requests', () => {
+
+      const READ_PERMISSIONS = Permissions.DIRECTORY_BIT | Permissions.READ_BIT;
+
+      function mockRequest(permissions) {
+        blockchainProvider.recoverSignatory.mockResolvedValueOnce(signatory);
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(permissions);
+      }
+
+      function readRpc(id) {
+        return {id, method: 'read', params: {...COMMON_RPC_PARAMS, file: VALID_FILE}};
+      }
+
+      test('rejects if the batch is not an array', async () => {
+        await expect(guardian.postAll({})).rejects.toBeBubbleError({code: -32600});
+      })
+
+      test('rejects if the batch is empty', async () => {
+        await expect(guardian.postAll([])).rejects.toBeBubbleError({code: -32600});
+      })
+
+      test('rejects if the batch exceeds the maximum batch size', async () => {
+        const smallBatchGuardian = new Guardian(dataServer, blockchainProvider, [], {maxBatchSize: 2});
+        await expect(smallBatchGuardian.postAll([readRpc(1), readRpc(2), readRpc(3)]))
+          .rejects.toBeBubbleError({code: -32600, message: 'batch exceeds maximum size of 2'});
+        expect(dataServer.read.mock.calls).toHaveLength(0);
+      })
+
+      test('resolves with a response for each request, in request order', async () => {
+        mockRequest(READ_PERMISSIONS);
+        mockRequest(READ_PERMISSIONS);
+        dataServer.read.mockResolvedValueOnce('first');
+        dataServer.read.mockResolvedValueOnce('second');
+        await expect(guardian.postAll([readRpc('a'), readRpc('b')])).resolves.toStrictEqual([
+          {id: 'a', result: 'first'},
+          {id: 'b', result: 'second'}
+        ]);
+      })
+
+      test('processes each request independently', async () => {
+        mockRequest(Permissions.DIRECTORY_BIT);
+        mockRequest(READ_PERMISSIONS);
+        dataServer.read.mockResolvedValueOnce('hello');
+        const responses = await guardian.postAll([readRpc(1), readRpc(2)]);
+        expect(responses[0].id).toBe(1);
+        expect(responses[0].error.code).toBe(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED);
+        expect(typeof responses[0].error.message).toBe('string');
+        expect(responses[1]).toStrictEqual({id: 2, result: 'hello'});
+        expect(dataServer.read.mock.calls).toHaveLength(1);
+      })
+
+      test('returns an invalid request error for a malformed entry', async () => {
+        mockRequest(READ_PERMISSIONS);
+        dataServer.read.mockResolvedValueOnce('hello');
+        const responses = await guardian.postAll(['not-a-request', readRpc(2)]);
+        expect(responses[0]).toStrictEqual({id: null, error: {code: -32600, message: 'malformed request'}});
+        expect(responses[1]).toStrictEqual({id: 2, result: 'hello'});
+      })
+
+      test('services notifications without responding to them', async () => {
+        mockRequest(READ_PERMISSIONS);
+        mockRequest(Permissions.DIRECTORY_BIT);
+        mockRequest(READ_PERMISSIONS);
+        dataServer.read.mockResolvedValueOnce('hello');
+        dataServer.read.mockResolvedValueOnce('hello');
+        const {id, ...notification} = readRpc(1);
+        const responses = await guardian.postAll([notification, notification, readRpc(3)]);
+        expect(responses).toStrictEqual([{id: 3, result: 'hello'}]);
+        expect(dataServer.read.mock.calls).toHaveLength(2);
+      })
+
+      test('resolves with no responses if every request is a notification', async () => {
+        mockRequest(READ_PERMISSIONS);
+        dataServer.read.mockResolvedValueOnce('hello');
+        const {id, ...notification} = readRpc(1);
+        await expect(guardian.postAll([notification])).resolves.toStrictEqual([]);
+        expect(dataServer.read.mock.calls).toHaveLength(1);
+      })
+
+      test('passes the subscription listener to subscribe requests', async () => {
+        const listener = jest.fn();
+        mockRequest(READ_PERMISSIONS);
+        dataServer.subscribe.mockResolvedValueOnce({subscriptionId: 1});
+        const responses = await guardian.postAll([{id: 1, method: 'subscribe', params: {...COMMON_RPC_PARAMS, file: VALID_FILE}}], listener);
+        expect(responses).toStrictEqual([{id: 1, result: {subscriptionId: 1}}]);
+        const protectedListener = dataServer.subscribe.mock.calls[0][2];
+        mockRequest(READ_PERMISSIONS);
+        await protectedListener(1, {event: 'write'});
+        expect(listener.mock.calls).toHaveLength(1);
+      })
+
+    })
+
+
+    describe('subscription watching', () => {
+
+      const OTHER_CONTRACT = '0x0000000000000000000000000000000000000002';
+      const READ_PERMISSIONS = Permissions.DIRECTORY_BIT | Permissions.READ_BIT;
+      let watchingGuardian, unwatch;
+
+      function subscribe(subscriptionId, listener, contract=VALID_CONTRACT) {
+        blockchainProvider.recoverSignatory.mockResolvedValueOnce(signatory);
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(READ_PERMISSIONS);
+        dataServer.subscribe.mockResolvedValueOnce({subscriptionId});
+        return watchingGuardian.post('subscribe', {...COMMON_RPC_PARAMS, contract, file: VALID_FILE}, listener);
+      }
+
+      function unsubscribe(subscriptionId) {
+        blockchainProvider.getChainId.mockReturnValueOnce(1);
+        dataServer.unsubscribe.mockResolvedValueOnce();
+        return watchingGuardian.post('unsubscribe', {...COMMON_RPC_PARAMS, subscriptionId});
+      }
+
+      beforeEach(() => {
+        unwatch = jest.fn();
+        blockchainProvider.onNewBlock.mockImplementation(() => unwatch);
+        blockchainProvider.onContractLogs.mockImplementation(() => unwatch);
+        dataServer.unsubscribe.mockResolvedValue();
+        watchingGuardian = new Guardian(dataServer, blockchainProvider, [], {watchSubscriptions: 'block'});
+      })
+
+      test('rejects an invalid watchSubscriptions option', () => {
+        expect(() => new Guardian(dataServer, blockchainProvider, [], {watchSubscriptions: 'events'}))
+          .toThrow("watchSubscriptions option. Expected one of 'block', 'log'");
+      })
+
+      test('does not watch the blockchain until there is an open subscription', async () => {
+        expect(blockchainProvider.onNewBlock).not.toHaveBeenCalled();
+        await subscribe(1, jest.fn());
+        await subscribe(2, jest.fn());
+        expect(blockchainProvider.onNewBlock).toHaveBeenCalledTimes(1);
+      })
+
+      test('stops watching once all subscriptions are unsubscribed', async () => {
+        await subscribe(1, jest.fn());
+        await subscribe(2, jest.fn(), OTHER_CONTRACT);
+        await unsubscribe(1);
+        expect(unwatch).not.toHaveBeenCalled();
+        await unsubscribe(2);
+        expect(unwatch).toHaveBeenCalledTimes(1);
+      })
+
+      test('terminates a subscription on a new block if read permission has been revoked', async () => {
+        const listener = jest.fn();
+        await subscribe(1, listener);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.DIRECTORY_BIT | Permissions.WRITE_BIT);
+        await blockchainProvider.onNewBlock.mock.calls[0][0](100);
+        expect(blockchainProvider.getPermissions.mock.calls[1]).toStrictEqual([VALID_CONTRACT, signatory, VALID_DIR]);
+        expect(listener.mock.calls).toHaveLength(1);
+        expect(listener.mock.calls[0][0]).toBe(1);
+        expect(listener.mock.calls[0][1]).toBeUndefined();
+        expect(listener.mock.calls[0][2]).toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_SUBSCRIPTION_TERMINATED});
+        expect(dataServer.unsubscribe).toHaveBeenCalledWith(1);
+        expect(unwatch).toHaveBeenCalledTimes(1);
+      })
+
+      test('leaves a subscription open if still permitted', async () => {
+        const listener = jest.fn();
+        await subscribe(1, listener);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(READ_PERMISSIONS);
+        await blockchainProvider.onNewBlock.mock.calls[0][0](100);
+        expect(listener).not.toHaveBeenCalled();
+        expect(dataServer.unsubscribe).not.toHaveBeenCalled();
+      })
+
+      test('leaves a subscription open if the blockchain is unavailable', async () => {
+        const listener = jest.fn();
+        await subscribe(1, listener);
+        blockchainProvider.getPermissions.mockRejectedValueOnce(new Error('blockchain down'));
+        await blockchainProvider.onNewBlock.mock.calls[0][0](100);
+        expect(listener).not.toHaveBeenCalled();
+        expect(dataServer.unsubscribe).not.toHaveBeenCalled();
+      })
+
+      test('terminates all subscriptions and deletes the bubble if the contract has been terminated', async () => {
+        const listener1 = jest.fn(), listener2 = jest.fn();
+        await subscribe(1, listener1);
+        await subscribe(2, listener2);
+        blockchainProvider.getPermissions.mockResolvedValue(Permissions.BUBBLE_TERMINATED_BIT);
+        dataServer.terminate.mockResolvedValueOnce();
+        await blockchainProvider.onNewBlock.mock.calls[0][0](100);
+        expect(listener1.mock.calls[0][2]).toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_SUBSCRIPTION_TERMINATED});
+        expect(listener2.mock.calls[0][2]).toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_SUBSCRIPTION_TERMINATED});
+        expect(dataServer.terminate.mock.calls).toStrictEqual([[VALID_CONTRACT, {silent: true}]]);
+      })
+
+      test('does not forward notifications once a subscription has been terminated', async () => {
+        const listener = jest.fn();
+        await subscribe(1, listener);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.DIRECTORY_BIT);
+        await blockchainProvider.onNewBlock.mock.calls[0][0](100);
+        await dataServer.subscribe.mock.calls[0][2](1, {event: 'write'});
+        expect(listener.mock.calls).toHaveLength(1);
+      })
+
+      test('gets fresh permissions and clears cached permissions for the contract', async () => {
+        const permissionCache = new PermissionCache(blockchainProvider);
+        permissionCache.invalidate = jest.fn();
+        watchingGuardian = new Guardian(dataServer, blockchainProvider, [], {watchSubscriptions: 'block', permissionCache});
+        await subscribe(1, jest.fn());
+        blockchainProvider.getPermissions.mockResolvedValueOnce(READ_PERMISSIONS);
+        await blockchainProvider.onNewBlock.mock.calls[0][0](100);
+        expect(permissionCache.invalidate).toHaveBeenCalledWith(VALID_CONTRACT);
+        expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(2);
+      })
+
+      test("watches each subscribed contract's logs in 'log' mode", async () => {
+        watchingGuardian = new Guardian(dataServer, blockchainProvider, [], {watchSubscriptions: 'log'});
+        const listener1 = jest.fn(), listener2 = jest.fn();
+        await subscribe(1, listener1);
+        await subscribe(2, listener2, OTHER_CONTRACT);
+        expect(blockchainProvider.onNewBlock).not.toHaveBeenCalled();
+        expect(blockchainProvider.onContractLogs.mock.calls.map(call => call[0])).toStrictEqual([VALID_CONTRACT, OTHER_CONTRACT]);
+        blockchainProvider.getPermissions.mockResolvedValueOnce(Permissions.DIRECTORY_BIT);
+        await blockchainProvider.onContractLogs.mock.calls[1][1](100);
+        expect(blockchainProvider.getPermissions.mock.calls[2][0]).toBe(OTHER_CONTRACT);
+        expect(listener1).not.toHaveBeenCalled();
+        expect(listener2.mock.calls[0][2]).toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_SUBSCRIPTION_TERMINATED});
+        expect(unwatch).toHaveBeenCalledTimes(1);
+      })
+
+      test('checks a contract again if it changes during a check', async () => {
+        await subscribe(1, jest.fn());
+        let resolvePermissions;
+        blockchainProvider.getPermissions.mockImplementationOnce(() => new Promise(resolve => { resolvePermissions = resolve }));
+        blockchainProvider.getPermissions.mockResolvedValueOnce(READ_PERMISSIONS);
+        const onBlock = blockchainProvider.onNewBlock.mock.calls[0][0];
+        const check1 = onBlock(100);
+        const check2 = onBlock(101);
+        const check3 = onBlock(102);
+        resolvePermissions(READ_PERMISSIONS);
+        await Promise.all([check1, check2, check3]);
+        expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(3);
+      })
+
+      test('stops watching subscriptions released by the server', async () => {
+        await subscribe(1, jest.fn());
+        watchingGuardian.releaseSubscriptions([1]);
+        expect(unwatch).toHaveBeenCalledTimes(1);
+      })
+
+      test('stops watching when closed', async () => {
+        await subscribe(1, jest.fn());
+        await subscribe(2, jest.fn());
+        watchingGuardian.close();
+        expect(unwatch).toHaveBeenCalledTimes(1);
+      })
+
+    })
+
   }) // Scenarios
 
 });
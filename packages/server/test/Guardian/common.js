@@ -16,6 +16,8 @@ export const ErrorCodes = {
   BUBBLE_ERROR_AUTHENTICATION_FAILURE: -32003,
   BUBBLE_ERROR_METHOD_FAILED: -32004,
   BUBBLE_ERROR_INTERNAL_ERROR: -32005,
+  BUBBLE_ERROR_REQUEST_EXPIRED: -32009,
+  BUBBLE_ERROR_REQUEST_REPLAYED: -32010,
   BUBBLE_SERVER_ERROR_BUBBLE_ALREADY_EXISTS: -32020,
   BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST: -32021,
   BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST: -32022,
@@ -87,6 +89,11 @@ export class TestDataServer extends DataServer {
     this.subscribe = jest.fn(() => Promise.reject(new Error('unexpected stub call: subscribe')));
     this.unsubscribe = jest.fn(() => Promise.reject(new Error('unexpected stub call: unsubscribe')));
     this.terminate = jest.fn(() => Promise.reject(new Error('unexpected stub call: terminate')));
+    this.transaction = jest.fn(() => Promise.reject(new Error('unexpected stub call: transaction')));
+    this.move = jest.fn(() => Promise.reject(new Error('unexpected stub call: move')));
+    this.copy = jest.fn(() => Promise.reject(new Error('unexpected stub call: copy')));
+    this.restore = jest.fn(() => Promise.reject(new Error('unexpected stub call: restore')));
+    this.listBubbles = jest.fn(() => Promise.reject(new Error('unexpected stub call: listBubbles')));
   }
 
 }
@@ -99,6 +106,8 @@ export class TestBlockchainProvider extends IBlockchainProvider {
     this.getChainId = jest.fn(() => { throw new Error('unexpected stub call: getChainId') });
     this.recoverSignatory = jest.fn(() => Promise.reject(new Error('unexpected stub call: recoverSignature')));
     this.hasBeenRevoked = jest.fn(() => Promise.reject(new Error('unexpected stub call: hasBeenRevoked')));
+    this.onNewBlock = jest.fn(() => { throw new Error('unexpected stub call: onNewBlock') });
+    this.onContractLogs = jest.fn(() => { throw new Error('unexpected stub call: onContractLogs') });
   }
 
   validateContract(contract) {
@@ -213,6 +213,34 @@ export function testPostParams() {
         .rejects.toBeBubbleError(new BubbleError(ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed data'));
     });
 
+    test("is not valid base64 when the encoding option is base64", async () => {
+      const params = {...VALID_RPC_PARAMS};
+      params.data = 'not base64!';
+      params.options = {encoding: 'base64'};
+      return expect(guardian.post('write', params))
+        .rejects.toBeBubbleError(new BubbleError(ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed data'));
+    });
+
+    test("is not valid hex when the encoding option is hex", async () => {
+      const params = {...VALID_RPC_PARAMS};
+      params.data = '0x1234';
+      params.options = {encoding: 'hex'};
+      return expect(guardian.post('write', params))
+        .rejects.toBeBubbleError(new BubbleError(ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed data'));
+    });
+
+  });
+
+
+  describe("encoding option", () => {
+
+    test("is not a supported encoding", async () => {
+      const params = {...VALID_RPC_PARAMS};
+      params.options = {encoding: 'latin1'};
+      return expect(guardian.post('write', params))
+        .rejects.toBeBubbleError(new BubbleError(ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed encoding'));
+    });
+
   });
 
 
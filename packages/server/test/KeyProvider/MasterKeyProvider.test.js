@@ -0,0 +1,45 @@
+import { describe, expect } from '@jest/globals';
+import { randomBytes } from 'crypto';
+import { keyProviders } from '../../src/index.js';
+
+
+describe('MasterKeyProvider', () => {
+
+  const CONTRACT = '0x0000000000000000000000000000000000000001';
+  const MASTER_KEY = randomBytes(32);
+
+  test('is an IKeyProvider', () => {
+    expect(new keyProviders.MasterKeyProvider(MASTER_KEY)).toBeInstanceOf(keyProviders.IKeyProvider);
+  });
+
+  test('unwraps a wrapped key', async () => {
+    const provider = new keyProviders.MasterKeyProvider(MASTER_KEY);
+    const key = randomBytes(32);
+    const wrappedKey = await provider.wrapKey(key, CONTRACT);
+    expect(wrappedKey.includes(key)).toBe(false);
+    await expect(provider.unwrapKey(wrappedKey, CONTRACT)).resolves.toStrictEqual(key);
+  });
+
+  test('accepts the master key as a hex string', async () => {
+    const wrappedKey = await new keyProviders.MasterKeyProvider(MASTER_KEY).wrapKey(Buffer.from('key'), CONTRACT);
+    const provider = new keyProviders.MasterKeyProvider('0x'+MASTER_KEY.toString('hex'));
+    await expect(provider.unwrapKey(wrappedKey, CONTRACT)).resolves.toStrictEqual(Buffer.from('key'));
+  });
+
+  test('rejects a master key that is not 32 bytes', () => {
+    expect(() => new keyProviders.MasterKeyProvider(randomBytes(16))).toThrow(TypeError);
+    expect(() => new keyProviders.MasterKeyProvider('0x1234')).toThrow(TypeError);
+  });
+
+  test('fails to unwrap a key with a different master key', async () => {
+    const wrappedKey = await new keyProviders.MasterKeyProvider(MASTER_KEY).wrapKey(randomBytes(32), CONTRACT);
+    await expect(new keyProviders.MasterKeyProvider(randomBytes(32)).unwrapKey(wrappedKey, CONTRACT)).rejects.toThrow();
+  });
+
+  test('fails to unwrap a key for a different bubble', async () => {
+    const provider = new keyProviders.MasterKeyProvider(MASTER_KEY);
+    const wrappedKey = await provider.wrapKey(randomBytes(32), CONTRACT);
+    await expect(provider.unwrapKey(wrappedKey, '0x0000000000000000000000000000000000000002')).rejects.toThrow();
+  });
+
+});
@@ -0,0 +1,98 @@
+import { describe, expect, jest } from '@jest/globals';
+import { dataServers, keyValueStores, ErrorCodes, ROOT_PATH } from '../../src/index.js';
+import { DataServerTestPoint } from '../DataServerTestSuite/DataServerTestPoint.js';
+import { testDataServerRequirements } from '../DataServerTestSuite/requirementsTests.js';
+import '@bubble-protocol/core/test/BubbleErrorMatcher.js';
+
+
+/**
+ * Store without the optional `batch` method.
+ */
+class UnbatchedStore extends keyValueStores.IKeyValueStore {
+  entries = new Map();
+  async get(key) { return this.entries.get(key) }
+  async put(key, value) { this.entries.set(key, value) }
+  async del(key) { this.entries.delete(key) }
+  async scan(prefix) { return Array.from(this.entries).filter(([key]) => key.startsWith(prefix)) }
+}
+
+
+describe('KeyValueDataServer', () => {
+
+  describe('with a MemoryKeyValueStore', () => {
+    const dataServer = new dataServers.KeyValueDataServer(new keyValueStores.MemoryKeyValueStore());
+    testDataServerRequirements(dataServer, new DataServerTestPoint(dataServer), {noVersionHistory: true});
+  });
+
+  describe('with a store that does not support batches', () => {
+    const dataServer = new dataServers.KeyValueDataServer(new UnbatchedStore());
+    testDataServerRequirements(dataServer, new DataServerTestPoint(dataServer), {noSubscriptions: true, noVersionHistory: true});
+  });
+
+
+  describe('store usage', () => {
+
+    const CONTRACT = '0x00000000000000000000000000000000000000000000000000000000000f5d01';
+    const DIR = '0x0000000000000000000000000000000000000000000000000000000000000003';
+    const FILE = '0x0000000000000000000000000000000000000000000000000000000000000001';
+
+    let store, dataServer;
+
+    beforeEach(async () => {
+      store = new keyValueStores.MemoryKeyValueStore();
+      dataServer = new dataServers.KeyValueDataServer(store);
+      await dataServer.create(CONTRACT);
+    });
+
+    test('applies each request as a single batch', async () => {
+      const batch = jest.spyOn(store, 'batch');
+      const put = jest.spyOn(store, 'put');
+      await dataServer.write(CONTRACT, DIR+'/hello.txt', 'hello');
+      expect(batch).toHaveBeenCalledTimes(1);
+      expect(put).not.toHaveBeenCalled();
+    });
+
+    test('leaves the store unchanged if a transaction fails', async () => {
+      await dataServer.write(CONTRACT, FILE, 'original');
+      const before = new Map(store.entries);
+      await expect(dataServer.transaction(CONTRACT, [
+        {method: 'write', file: FILE, data: 'changed'},
+        {method: 'append', file: DIR+'/log', data: 'entry'},
+        {method: 'delete', file: FILE},
+        {method: 'mkdir', file: DIR}
+      ])).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_DIR_ALREADY_EXISTS});
+      expect(store.entries).toStrictEqual(before);
+    });
+
+    test('lets a transaction read its own changes', async () => {
+      await dataServer.transaction(CONTRACT, [
+        {method: 'write', file: DIR+'/a', data: 'a'},
+        {method: 'append', file: DIR+'/a', data: 'b'},
+        {method: 'delete', file: FILE, options: {silent: true}}
+      ]);
+      await expect(dataServer.read(CONTRACT, DIR+'/a')).resolves.toBe('ab');
+      await expect(dataServer.list(CONTRACT, DIR, {length: true})).resolves.toStrictEqual([{name: DIR+'/a', type: 'file', length: 2}]);
+    });
+
+    test('deletes the contents of a deleted directory', async () => {
+      await dataServer.write(CONTRACT, DIR+'/a', 'a');
+      await dataServer.write(CONTRACT, DIR+'/b', 'b');
+      const size = store.size;
+      await dataServer.delete(CONTRACT, DIR);
+      expect(store.size).toBe(size - 5);
+      await expect(dataServer.list(CONTRACT, ROOT_PATH)).resolves.toStrictEqual([]);
+    });
+
+    test('removes every key of a terminated bubble', async () => {
+      await dataServer.create('0x2');
+      const size = store.size;
+      await dataServer.write(CONTRACT, FILE, 'file');
+      await dataServer.write(CONTRACT, DIR+'/a', 'a');
+      await dataServer.terminate(CONTRACT);
+      expect(store.size).toBe(size - 1);
+      await expect(dataServer.listBubbles()).resolves.toStrictEqual({items: ['0x2']});
+    });
+
+  });
+
+});
@@ -0,0 +1,59 @@
+import { describe, expect } from '@jest/globals';
+import { keyValueStores } from '../../src/index.js';
+
+
+describe('MemoryKeyValueStore', () => {
+
+  let store;
+
+  beforeEach(() => {
+    store = new keyValueStores.MemoryKeyValueStore();
+  });
+
+  test('is an IKeyValueStore', () => {
+    expect(store).toBeInstanceOf(keyValueStores.IKeyValueStore);
+  });
+
+  test('gets the value put for a key', async () => {
+    await store.put('a', Buffer.from('1'));
+    await expect(store.get('a')).resolves.toStrictEqual(Buffer.from('1'));
+    await store.put('a', Buffer.from('2'));
+    await expect(store.get('a')).resolves.toStrictEqual(Buffer.from('2'));
+  });
+
+  test('resolves undefined for a key that does not exist', async () => {
+    await expect(store.get('a')).resolves.toBeUndefined();
+  });
+
+  test('deletes a key', async () => {
+    await store.put('a', Buffer.from('1'));
+    await store.del('a');
+    await expect(store.get('a')).resolves.toBeUndefined();
+    await expect(store.del('a')).resolves.toBeUndefined();
+  });
+
+  test('scans the keys with a prefix', async () => {
+    await store.put('a/1', Buffer.from('1'));
+    await store.put('a/2', Buffer.from('2'));
+    await store.put('ab', Buffer.from('3'));
+    const entries = await store.scan('a/');
+    expect(entries.sort()).toStrictEqual([['a/1', Buffer.from('1')], ['a/2', Buffer.from('2')]]);
+    await expect(store.scan('b')).resolves.toStrictEqual([]);
+  });
+
+  test('applies a batch of operations', async () => {
+    await store.put('a', Buffer.from('1'));
+    await store.batch([{type: 'put', key: 'b', value: Buffer.from('2')}, {type: 'del', key: 'a'}]);
+    await expect(store.get('a')).resolves.toBeUndefined();
+    await expect(store.get('b')).resolves.toStrictEqual(Buffer.from('2'));
+    expect(store.size).toBe(1);
+  });
+
+  test('the interface methods must be implemented', async () => {
+    const base = new keyValueStores.IKeyValueStore();
+    for (const method of ['get', 'put', 'del', 'scan']) {
+      await expect(base[method]('a')).rejects.toThrow(`KeyValueStore.${method} is a virtual function and must be implemented`);
+    }
+  });
+
+});
@@ -0,0 +1,171 @@
+import { describe, expect, jest } from '@jest/globals';
+import { BubbleError, MultiChainGuardian, Guardian, PermissionCache, NamespacedDataServer } from '../../src/index.js';
+import { ErrorCodes, Permissions, TestBlockchainProvider, TestDataServer, COMMON_RPC_PARAMS, VALID_FILE, VALID_CONTRACT } from '../Guardian/common.js';
+import '@bubble-protocol/core/test/BubbleErrorMatcher.js';
+
+
+describe('MultiChainGuardian', () => {
+
+  const signatory = '0x1234567890123456789012345678901234567890';
+  let dataServer, chain1Provider, chain2Provider, guardian;
+
+  function constructProvider(chainId) {
+    const provider = new TestBlockchainProvider();
+    provider.resetStubs();
+    provider.getChainId.mockReturnValue(chainId);
+    provider.recoverSignatory.mockResolvedValue(signatory);
+    provider.getPermissions.mockResolvedValue(Permissions.DIRECTORY_BIT | Permissions.ALL_PERMISSIONS);
+    return provider;
+  }
+
+  function buildParams(chainId) {
+    return {...COMMON_RPC_PARAMS, chainId, file: VALID_FILE, data: 'hello world'};
+  }
+
+  beforeEach(() => {
+    dataServer = new TestDataServer();
+    dataServer.resetStubs();
+    chain1Provider = constructProvider(1);
+    chain2Provider = constructProvider(137);
+    guardian = new MultiChainGuardian(dataServer, [chain1Provider, chain2Provider]);
+  });
+
+  test('constructs a Guardian for each chain', () => {
+    expect(guardian.getChainIds()).toStrictEqual([1, 137]);
+    expect(guardian.getGuardian(1)).toBeInstanceOf(Guardian);
+    expect(guardian.getGuardian(1).blockchainProvider).toBe(chain1Provider);
+    expect(guardian.getGuardian(137).blockchainProvider).toBe(chain2Provider);
+    expect(guardian.getGuardian(137).dataServer).toBeInstanceOf(NamespacedDataServer);
+  });
+
+  test('routes each request to the provider for its chain', async () => {
+    dataServer.write.mockResolvedValue();
+    await guardian.post('write', buildParams(137));
+    expect(chain2Provider.getPermissions.mock.calls).toHaveLength(1);
+    expect(chain1Provider.getPermissions.mock.calls).toHaveLength(0);
+    await guardian.post('write', buildParams(1));
+    expect(chain1Provider.getPermissions.mock.calls).toHaveLength(1);
+  });
+
+  test('namespaces bubbles by chain in the shared data server', async () => {
+    dataServer.write.mockResolvedValue();
+    await guardian.post('write', buildParams(1));
+    await guardian.post('write', buildParams(137));
+    expect(dataServer.write.mock.calls[0][0]).toBe('1_'+VALID_CONTRACT);
+    expect(dataServer.write.mock.calls[1][0]).toBe('137_'+VALID_CONTRACT);
+    expect(dataServer.write.mock.calls[1][1]).toBe(VALID_FILE);
+  });
+
+  test('stores the default chain under the plain contract address', async () => {
+    guardian = new MultiChainGuardian(dataServer, [chain1Provider, chain2Provider], [], {defaultChainId: 1});
+    dataServer.write.mockResolvedValue();
+    await guardian.post('write', buildParams(1));
+    expect(dataServer.write.mock.calls[0][0]).toBe(VALID_CONTRACT);
+  });
+
+  test('supports a custom namespace', async () => {
+    guardian = new MultiChainGuardian(dataServer, [chain1Provider], [], {namespace: (chainId, contract) => `eip155-${chainId}-${contract}`});
+    dataServer.read.mockResolvedValue('hello');
+    await guardian.post('read', buildParams(1));
+    expect(dataServer.read.mock.calls[0][0]).toBe('eip155-1-'+VALID_CONTRACT);
+  });
+
+  test('lists only the bubbles of each chain', async () => {
+    dataServer.listBubbles.mockResolvedValue({items: ['1_'+VALID_CONTRACT, '137_0x01', VALID_CONTRACT], nextCursor: 'next'});
+    await expect(guardian.getGuardian(1).dataServer.listBubbles({limit: 3})).resolves.toStrictEqual({items: [VALID_CONTRACT], nextCursor: 'next'});
+    await expect(guardian.getGuardian(137).dataServer.listBubbles({limit: 3})).resolves.toStrictEqual({items: ['0x01'], nextCursor: 'next'});
+    expect(dataServer.listBubbles.mock.calls[0][0]).toStrictEqual({limit: 3});
+  });
+
+  test('does not support listing bubbles under a custom namespace without a contractOf function', async () => {
+    guardian = new MultiChainGuardian(dataServer, [chain1Provider], [], {namespace: (chainId, contract) => `eip155-${chainId}-${contract}`});
+    await expect(guardian.getGuardian(1).dataServer.listBubbles()).rejects.toThrow(new Error('NamespacedDataServer.listBubbles requires a contractOf function'));
+    guardian = new MultiChainGuardian(dataServer, [chain2Provider], [], {
+      namespace: (chainId, contract) => `eip155-${chainId}-${contract}`,
+      contractOf: (chainId, bubbleId) => bubbleId.replace(`eip155-${chainId}-`, '')
+    });
+    dataServer.listBubbles.mockResolvedValue({items: ['eip155-137-'+VALID_CONTRACT]});
+    await expect(guardian.getGuardian(137).dataServer.listBubbles()).resolves.toStrictEqual({items: [VALID_CONTRACT]});
+  });
+
+  test('passes unsubscribe requests straight through to the data server', async () => {
+    dataServer.unsubscribe.mockResolvedValue();
+    await guardian.post('unsubscribe', {...COMMON_RPC_PARAMS, chainId: 137, subscriptionId: 5});
+    expect(dataServer.unsubscribe.mock.calls[0][0]).toBe(5);
+  });
+
+  test('returns metadata from postWithMetadata', async () => {
+    dataServer.write.mockResolvedValue('ok');
+    const result = await guardian.postWithMetadata('write', buildParams(137));
+    expect(result.response).toBe('ok');
+    expect(result.signatory).toBe(signatory);
+  });
+
+  test('routes requests made by the server to the Guardian for their chain', async () => {
+    const sender = '0x00000000000000000000000000000000000000ab';
+    dataServer.append.mockResolvedValue();
+    const {signature, ...params} = buildParams(137);
+    await guardian.postAs(sender, 'append', params);
+    expect(chain2Provider.recoverSignatory).not.toHaveBeenCalled();
+    expect(chain2Provider.getPermissions).toHaveBeenCalledWith(VALID_CONTRACT, sender, expect.any(String));
+    expect(chain1Provider.getPermissions).not.toHaveBeenCalled();
+    expect(dataServer.append.mock.calls[0][0]).toBe('137_'+VALID_CONTRACT);
+  });
+
+  test('routes each request in a batch to the Guardian for its chain', async () => {
+    dataServer.write.mockResolvedValue();
+    const responses = await guardian.postAll([
+      {id: 1, method: 'write', params: buildParams(1)},
+      {id: 2, method: 'write', params: buildParams(137)},
+      {id: 3, method: 'write', params: buildParams(5)}
+    ]);
+    expect(dataServer.write.mock.calls[0][0]).toBe('1_'+VALID_CONTRACT);
+    expect(dataServer.write.mock.calls[1][0]).toBe('137_'+VALID_CONTRACT);
+    expect(responses.map(response => response.id)).toStrictEqual([1, 2, 3]);
+    expect(responses[2].error.code).toBe(ErrorCodes.BUBBLE_ERROR_BLOCKCHAIN_NOT_SUPPORTED);
+  });
+
+  test('constructs a permission cache for each chain if configured', () => {
+    guardian = new MultiChainGuardian(dataServer, [chain1Provider, chain2Provider], [], {permissionCacheOptions: {ttl: 1000}});
+    const cache1 = guardian.getGuardian(1).permissionCache;
+    const cache2 = guardian.getGuardian(137).permissionCache;
+    expect(cache1).toBeInstanceOf(PermissionCache);
+    expect(cache1.blockchainProvider).toBe(chain1Provider);
+    expect(cache2.blockchainProvider).toBe(chain2Provider);
+  });
+
+  test('adds request validators and post-commit hooks to the Guardian of every chain', async () => {
+    const validator = jest.fn();
+    const hook = jest.fn();
+    guardian = new MultiChainGuardian(dataServer, [chain1Provider]);
+    guardian.addRequestValidator(validator);
+    guardian.addPostCommitHook(hook);
+    guardian.addBlockchainProvider(chain2Provider);
+    dataServer.write.mockResolvedValue();
+    await guardian.post('write', buildParams(1));
+    await guardian.post('write', buildParams(137));
+    expect(validator).toHaveBeenCalledTimes(2);
+    expect(hook).toHaveBeenCalledTimes(2);
+    expect(hook.mock.calls[1][0].params.chainId).toBe(137);
+  });
+
+  test('throws if a chain is added twice', () => {
+    expect(() => guardian.addBlockchainProvider(constructProvider(1))).toThrow('chain 1 is already supported');
+  });
+
+  test('rejects requests for an unsupported chain', async () => {
+    await expect(guardian.post('write', buildParams(5)))
+      .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_BLOCKCHAIN_NOT_SUPPORTED});
+  });
+
+  test('rejects requests with a malformed chainId', async () => {
+    await expect(guardian.post('write', buildParams('1')))
+      .rejects.toBeBubbleError(new BubbleError(ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, 'malformed chainId'));
+  });
+
+  test('rejects requests with malformed params', async () => {
+    await expect(guardian.post('write', 'params'))
+      .rejects.toBeBubbleError(new BubbleError(ErrorCodes.JSON_RPC_ERROR_INVALID_REQUEST, 'malformed params'));
+  });
+
+});
@@ -0,0 +1,56 @@
+import { describe, expect, jest } from '@jest/globals';
+import { nonceStores } from '../../src/index.js';
+
+
+describe('MemoryNonceStore', () => {
+
+  let store;
+
+  beforeEach(() => {
+    store = new nonceStores.MemoryNonceStore();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('is an INonceStore', () => {
+    expect(store).toBeInstanceOf(nonceStores.INonceStore);
+  });
+
+  test('resolves true when a new nonce is added', async () => {
+    await expect(store.add('nonce-1', Date.now() + 1000)).resolves.toBe(true);
+    expect(store.size).toBe(1);
+  });
+
+  test('resolves false when an unexpired nonce is added again', async () => {
+    await store.add('nonce-1', Date.now() + 1000);
+    await expect(store.add('nonce-1', Date.now() + 1000)).resolves.toBe(false);
+  });
+
+  test('distinguishes between different nonces', async () => {
+    await store.add('nonce-1', Date.now() + 1000);
+    await expect(store.add('nonce-2', Date.now() + 1000)).resolves.toBe(true);
+    expect(store.size).toBe(2);
+  });
+
+  test('accepts a nonce again once it has expired', async () => {
+    jest.useFakeTimers({now: 10000});
+    await store.add('nonce-1', 11000);
+    jest.setSystemTime(11001);
+    await expect(store.add('nonce-1', 12000)).resolves.toBe(true);
+  });
+
+  test('purges expired nonces no more than once per purge period', async () => {
+    jest.useFakeTimers({now: 10000});
+    store = new nonceStores.MemoryNonceStore({purgePeriod: 5000});
+    await store.add('nonce-1', 11000);
+    jest.setSystemTime(12000);
+    await store.add('nonce-2', 20000);
+    expect(store.size).toBe(2);  // not yet purged
+    jest.setSystemTime(15000);
+    await store.add('nonce-3', 20000);
+    expect(store.size).toBe(2);  // nonce-1 purged
+  });
+
+});
@@ -1,11 +1,13 @@
 import { describe, expect, jest } from '@jest/globals';
-import { NotificationManager, BubbleError, ErrorCodes, BubbleFilename } from '../../src/index.js';
+import { NotificationManager, BubbleError, ErrorCodes, BubbleFilename, ROOT_PATH, Guardian, dataServers, keyValueStores } from '../../src/index.js';
+import { Permissions } from '../Guardian/common.js';
 import '@bubble-protocol/core/test/BubbleErrorMatcher.js';
 
 
 describe('NotificationManager', () => {
 
   const CONTRACT = '0x0000000000000000000000000000000000000001';
+  const OTHER_CONTRACT = '0x00000000000000000000000000000000000000aa';
   const DIRECTORY = '0x0000000000000000000000000000000000000000000000000000000000000002';
   const EXACT_FILE = new BubbleFilename(`${DIRECTORY}/hello.txt`);
   const CHILD_FILE = new BubbleFilename(`${DIRECTORY}/child.txt`);
@@ -92,6 +94,16 @@ describe('NotificationManager', () => {
       ).resolves.toBeUndefined();
     });
 
+    test('decodes a notification config written with a binary encoding', async () => {
+      await expect(
+        manager.validateRequest({
+          method: 'write',
+          params: {...buildParams(Buffer.from(JSON.stringify(validConfig())).toString('base64')), options: {encoding: 'base64'}},
+          file: RESERVED_FILE
+        })
+      ).resolves.toBeUndefined();
+    });
+
     test('rejects append requests to the reserved file', async () => {
       await expect(
         manager.validateRequest({
@@ -104,6 +116,20 @@ describe('NotificationManager', () => {
       );
     });
 
+    test('rejects move, copy and restore requests involving the reserved file', async () => {
+      for (const method of ['move', 'copy', 'restore']) {
+        await expect(
+          manager.validateRequest({
+            method,
+            params: buildParams(),
+            file: RESERVED_FILE
+          })
+        ).rejects.toBeBubbleError(
+          new BubbleError(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, `${method} not supported for notification config`)
+        );
+      }
+    });
+
     test('rejects invalid JSON written to the reserved file', async () => {
       await expect(
         manager.validateRequest({
@@ -224,4 +250,605 @@ describe('NotificationManager', () => {
 
   });
 
+  describe('path rule matching', () => {
+
+    const ROOT_FILE = new BubbleFilename('0x0000000000000000000000000000000000000000000000000000000000000003');
+    const OTHER_DIRECTORY_FILE = new BubbleFilename('0x0000000000000000000000000000000000000000000000000000000000000004/other.txt');
+
+    function target(id, paths, enabled = true) {
+      return {id, enabled, transport: {type: 'webhook', url: `https://notify.example/${id}`}, paths};
+    }
+
+    async function notifiedTargets(config, method, file) {
+      notifier.mockClear();
+      manager.invalidate(CONTRACT);
+      dataServer.read.mockReturnValue(JSON.stringify({version: 1, enabled: true, targets: config}));
+      await manager.notify(method, buildParams(), file, SIGNATORY);
+      return notifier.mock.calls.map(call => call[0].id);
+    }
+
+    test('matches children of the root directory', async () => {
+      const config = [target('root-children', [{path: ROOT_PATH, match: 'children', operations: ['write']}])];
+      expect(await notifiedTargets(config, 'write', ROOT_FILE)).toStrictEqual(['root-children']);
+      expect(await notifiedTargets(config, 'write', EXACT_FILE)).toStrictEqual([]);
+    });
+
+    test('matches descendents of a directory and of the root directory', async () => {
+      const config = [
+        target('root-descendents', [{path: ROOT_PATH, match: 'descendents', operations: ['write']}]),
+        target('dir-descendents', [{path: DIRECTORY, match: 'descendents', operations: ['write']}])
+      ];
+      expect(await notifiedTargets(config, 'write', ROOT_FILE)).toStrictEqual(['root-descendents']);
+      expect(await notifiedTargets(config, 'write', EXACT_FILE)).toStrictEqual(['root-descendents', 'dir-descendents']);
+      expect(await notifiedTargets(config, 'write', OTHER_DIRECTORY_FILE)).toStrictEqual(['root-descendents']);
+    });
+
+    test('does not match the directory itself as one of its children', async () => {
+      const config = [target('children', [{path: DIRECTORY, match: 'children', operations: ['mkdir']}])];
+      expect(await notifiedTargets(config, 'mkdir', new BubbleFilename(DIRECTORY))).toStrictEqual([]);
+    });
+
+    test('does not match a rule without a match type', async () => {
+      const config = [target('default', [{path: EXACT_FILE.fullFilename, operations: ['write']}])];
+      expect(await notifiedTargets(config, 'write', EXACT_FILE)).toStrictEqual([]);
+      expect(await notifiedTargets(config, 'write', CHILD_FILE)).toStrictEqual([]);
+    });
+
+    test('matches paths regardless of hex case', async () => {
+      const config = [target('upper', [{path: EXACT_FILE.fullFilename.replace(/^0x(\w+)/, (_, hex) => '0x'+hex.toUpperCase()), match: 'exact', operations: ['write']}])];
+      expect(await notifiedTargets(config, 'write', EXACT_FILE)).toStrictEqual(['upper']);
+    });
+
+    test('only matches the configured operations', async () => {
+      const config = [target('deletes', [{path: DIRECTORY, match: 'descendents', operations: ['delete']}])];
+      expect(await notifiedTargets(config, 'write', EXACT_FILE)).toStrictEqual([]);
+      expect(await notifiedTargets(config, 'delete', EXACT_FILE)).toStrictEqual(['deletes']);
+    });
+
+    test('notifies each matching target once, in config order, skipping disabled targets', async () => {
+      const config = [
+        target('second', [{path: DIRECTORY, match: 'children', operations: ['write']}, {path: EXACT_FILE.fullFilename, match: 'exact', operations: ['write']}]),
+        target('disabled', [{path: EXACT_FILE.fullFilename, match: 'exact', operations: ['write']}], false),
+        target('first', [{path: EXACT_FILE.fullFilename, match: 'exact', operations: ['write']}])
+      ];
+      expect(await notifiedTargets(config, 'write', EXACT_FILE)).toStrictEqual(['second', 'first']);
+    });
+
+  });
+
+
+  describe('config cache', () => {
+
+    beforeEach(() => {
+      dataServer.read.mockReturnValue(JSON.stringify(validConfig()));
+    });
+
+    test('reads the config once for repeated notifications', async () => {
+      await manager.notify('write', buildParams('1'), EXACT_FILE, SIGNATORY);
+      await manager.notify('write', buildParams('2'), CHILD_FILE, SIGNATORY);
+      expect(dataServer.read).toHaveBeenCalledTimes(1);
+      expect(notifier).toHaveBeenCalledTimes(4);
+    });
+
+    test('caches a missing config', async () => {
+      dataServer.read.mockReturnValue(undefined);
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      expect(dataServer.read).toHaveBeenCalledTimes(1);
+      expect(notifier).not.toHaveBeenCalled();
+    });
+
+    test('re-reads the config after a write or delete of the config file is validated', async () => {
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      const disabled = JSON.stringify({version: 1, enabled: false});
+      await manager.validateRequest({method: 'write', params: buildParams(disabled), file: RESERVED_FILE});
+      dataServer.read.mockReturnValue(disabled);
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      expect(dataServer.read).toHaveBeenCalledTimes(2);
+      expect(notifier).toHaveBeenCalledTimes(2);
+
+      await manager.validateRequest({method: 'delete', params: buildParams(), file: RESERVED_FILE});
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      expect(dataServer.read).toHaveBeenCalledTimes(3);
+    });
+
+    test('keeps the cached config when other requests are validated', async () => {
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      await manager.validateRequest({method: 'write', params: buildParams('{invalid'), file: EXACT_FILE});
+      await manager.validateRequest({method: 'read', params: buildParams(), file: RESERVED_FILE});
+      await expect(manager.validateRequest({method: 'write', params: buildParams('{invalid'), file: RESERVED_FILE})).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      expect(dataServer.read).toHaveBeenCalledTimes(1);
+    });
+
+    test('re-reads the config after the bubble is created', async () => {
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      await manager.validateRequest({method: 'create', params: buildParams(), file: new BubbleFilename(ROOT_PATH)});
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      expect(dataServer.read).toHaveBeenCalledTimes(2);
+    });
+
+    test('re-reads the config when notified of a change to the config file', async () => {
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      await manager.notify('write', buildParams(), RESERVED_FILE, SIGNATORY);
+      expect(dataServer.read).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not cache a config read during its invalidation', async () => {
+      let resolveRead;
+      dataServer.read.mockReturnValueOnce(new Promise(resolve => { resolveRead = resolve }));
+      const notifying = manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      await manager.validateRequest({method: 'delete', params: buildParams(), file: RESERVED_FILE});
+      resolveRead(JSON.stringify(validConfig()));
+      await notifying;
+      dataServer.read.mockReturnValue(undefined);
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      expect(dataServer.read).toHaveBeenCalledTimes(2);
+      expect(notifier).toHaveBeenCalledTimes(2);
+    });
+
+    test('caches configs per bubble regardless of contract case', async () => {
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      await manager.notify('write', {...buildParams(), contract: OTHER_CONTRACT}, EXACT_FILE, SIGNATORY);
+      await manager.notify('write', {...buildParams(), contract: OTHER_CONTRACT.toUpperCase().replace('0X', '0x')}, EXACT_FILE, SIGNATORY);
+      expect(dataServer.read).toHaveBeenCalledTimes(2);
+      manager.invalidate(OTHER_CONTRACT.toUpperCase().replace('0X', '0x'));
+      await manager.notify('write', {...buildParams(), contract: OTHER_CONTRACT}, EXACT_FILE, SIGNATORY);
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      expect(dataServer.read).toHaveBeenCalledTimes(3);
+    });
+
+    test('evicts the least recently used config', async () => {
+      manager = new NotificationManager(dataServer, PROVIDER_URL, notifier, {maxCachedConfigs: 1});
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      await manager.notify('write', {...buildParams(), contract: OTHER_CONTRACT}, EXACT_FILE, SIGNATORY);
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      expect(dataServer.read).toHaveBeenCalledTimes(3);
+    });
+
+    test('can be disabled', async () => {
+      manager = new NotificationManager(dataServer, PROVIDER_URL, notifier, {maxCachedConfigs: 0});
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+      expect(dataServer.read).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not cache a config that failed to be read', async () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        dataServer.read.mockRejectedValueOnce(new Error('unavailable'));
+        await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+        await manager.notify('write', buildParams(), EXACT_FILE, SIGNATORY);
+        expect(dataServer.read).toHaveBeenCalledTimes(2);
+        expect(notifier).toHaveBeenCalledTimes(2);
+      }
+      finally {
+        error.mockRestore();
+      }
+    });
+
+  });
+
+  describe('postCommit', () => {
+
+    const OTHER_FILE = new BubbleFilename(`${DIRECTORY}/other.txt`);
+
+    beforeEach(() => {
+      const config = validConfig();
+      config.targets[1].paths[0].operations = ['write', 'append', 'delete', 'mkdir'];
+      dataServer.read.mockReturnValue(JSON.stringify(config));
+    });
+
+    function commit(method, file, extra = {}) {
+      return {method, params: {...buildParams('data'), file: file.fullFilename}, file, signatory: SIGNATORY, internal: false, ...extra};
+    }
+
+    function notified() {
+      return notifier.mock.calls
+        .filter(call => call[0].id === 'children-target')
+        .map(call => [call[1].operation, call[1].contentId.file]);
+    }
+
+    test('notifies a serviced mutating request', async () => {
+      await manager.postCommit(commit('append', CHILD_FILE));
+      await manager.postCommit(commit('write', CHILD_FILE));
+      expect(notified()).toStrictEqual([['append', CHILD_FILE.fullFilename], ['write', CHILD_FILE.fullFilename]]);
+      expect(notifier.mock.calls[0][1]).toMatchObject({signer: SIGNATORY, requestNonce: 'nonce-1'});
+    });
+
+    test('does not notify requests made by the server itself', async () => {
+      await manager.postCommit(commit('write', CHILD_FILE, {internal: true}));
+      expect(notifier).not.toHaveBeenCalled();
+    });
+
+    test('does not notify create requests', async () => {
+      await manager.postCommit(commit('create', new BubbleFilename(ROOT_PATH)));
+      expect(notifier).not.toHaveBeenCalled();
+    });
+
+    test('notifies each operation of a transaction in turn', async () => {
+      const ops = [
+        {method: 'write', file: CHILD_FILE.fullFilename, data: 'a'},
+        {method: 'delete', file: OTHER_FILE.fullFilename}
+      ];
+      await manager.postCommit(commit('transaction', new BubbleFilename(ROOT_PATH), {ops}));
+      expect(notified()).toStrictEqual([['write', CHILD_FILE.fullFilename], ['delete', OTHER_FILE.fullFilename]]);
+    });
+
+    test('notifies a move as a delete of the source and a write of the destination', async () => {
+      await manager.postCommit(commit('move', CHILD_FILE, {to: OTHER_FILE}));
+      expect(notified()).toStrictEqual([['delete', CHILD_FILE.fullFilename], ['write', OTHER_FILE.fullFilename]]);
+    });
+
+    test('notifies a copy or restore as a write', async () => {
+      await manager.postCommit(commit('copy', CHILD_FILE, {to: OTHER_FILE}));
+      await manager.postCommit(commit('restore', CHILD_FILE));
+      expect(notified()).toStrictEqual([['write', OTHER_FILE.fullFilename], ['write', CHILD_FILE.fullFilename]]);
+    });
+
+    test('drops the cached config when the bubble is terminated', async () => {
+      await manager.postCommit(commit('write', CHILD_FILE));
+      await manager.postCommit(commit('terminate', new BubbleFilename(ROOT_PATH)));
+      await manager.postCommit(commit('write', CHILD_FILE));
+      expect(dataServer.read).toHaveBeenCalledTimes(2);
+    });
+
+  });
+
+  describe('attach', () => {
+
+    const FILE = `${DIRECTORY}/hello.txt`;
+
+    let guardian, kvDataServer, permissions;
+
+    beforeEach(async () => {
+      kvDataServer = new dataServers.KeyValueDataServer(new keyValueStores.MemoryKeyValueStore());
+      await kvDataServer.create(CONTRACT);
+      await kvDataServer.mkdir(CONTRACT, DIRECTORY);
+      permissions = Permissions.READ_BIT | Permissions.WRITE_BIT;
+      const blockchainProvider = {
+        getChainId: () => 1,
+        validateContract: contract => /^0x[0-9a-fA-F]{40}$/.test(contract),
+        recoverSignatory: async () => SIGNATORY,
+        getPermissions: async (contract, signatory, file) => file === DIRECTORY ? Permissions.DIRECTORY_BIT | permissions : permissions
+      };
+      guardian = new Guardian(kvDataServer, blockchainProvider);
+      manager = new NotificationManager(kvDataServer, PROVIDER_URL, notifier);
+      manager.attach(guardian);
+    });
+
+    let nonce = 0;
+
+    function post(method, file, data) {
+      return guardian.post(method, {...buildParams(data), nonce: `attach-${nonce++}`, file, signature: 'signature'});
+    }
+
+    test('validates notification config written through the Guardian', async () => {
+      await expect(post('write', RESERVED_FILE.fullFilename, 'not json')).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+      await expect(post('write', RESERVED_FILE.fullFilename, JSON.stringify(validConfig()))).resolves.toBeDefined();
+    });
+
+    test('notifies requests serviced by the Guardian', async () => {
+      await post('write', RESERVED_FILE.fullFilename, JSON.stringify(validConfig()));
+      await post('write', FILE, 'hello');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(notifier).toHaveBeenCalledTimes(2);
+      expect(notifier.mock.calls[0][1]).toMatchObject({operation: 'write', signer: SIGNATORY, contentId: {contract: CONTRACT, file: FILE}});
+    });
+
+    test('never notifies a denied request', async () => {
+      await post('write', RESERVED_FILE.fullFilename, JSON.stringify(validConfig()));
+      permissions = Permissions.READ_BIT;
+      await expect(post('write', FILE, 'hello')).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(notifier).not.toHaveBeenCalled();
+    });
+
+  });
+
+  describe('v2 config', () => {
+
+    const IMAGE_FILE = new BubbleFilename(`${DIRECTORY}/photo.png`);
+    const SIGNER_A = '0x000000000000000000000000000000000000000A';
+    const SIGNER_B = '0x000000000000000000000000000000000000000b';
+
+    function v2Target(overrides = {}, pathOverrides = {}) {
+      return {
+        id: 'v2-target',
+        enabled: true,
+        transport: {type: 'webhook', url: 'https://notify.example/v2'},
+        paths: [{path: DIRECTORY, match: 'children', operations: ['write', 'append', 'delete'], ...pathOverrides}],
+        ...overrides
+      };
+    }
+
+    function v2Config(targets) {
+      return {version: 2, enabled: true, targets};
+    }
+
+    function validate(config) {
+      return manager.validateRequest({method: 'write', params: buildParams(JSON.stringify(config)), file: RESERVED_FILE});
+    }
+
+    async function notifyWith(config, method, file, params = buildParams('data'), signatory = SIGNATORY) {
+      manager.invalidate(CONTRACT);
+      dataServer.read.mockReturnValue(JSON.stringify(config));
+      await manager.notify(method, params, file, signatory);
+    }
+
+    describe('validation', () => {
+
+      test('accepts a config using every v2 option', async () => {
+        const config = v2Config([
+          v2Target({signers: {include: [SIGNER_A], exclude: [SIGNER_B]}, includeData: true, includeListing: true, batch: {window: 1000, debounce: true, maxSize: 10}}, {glob: '*.png'}),
+          v2Target({id: 'glob-target'}, {match: 'descendents', glob: 'img-*'}),
+          v2Target({id: 'regex-target'}, {match: 'descendents', regex: '^img-\\d+\\.(png|jpe?g)$'})
+        ]);
+        await expect(validate(config)).resolves.toBeUndefined();
+      });
+
+      test('accepts a v1 style config', async () => {
+        await expect(validate({...validConfig(), version: 2})).resolves.toBeUndefined();
+      });
+
+      test('rejects an unsupported version', async () => {
+        await expect(validate({...validConfig(), version: 3})).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, message: 'invalid notification config'});
+      });
+
+      test.each([
+        ['a glob and a regex', {}, {glob: '*', regex: '.*'}],
+        ['an empty regex', {}, {regex: ''}],
+        ['a non-string regex', {}, {regex: /.*/}],
+        ['a regex longer than the maximum', {}, {regex: 'a'.repeat(257)}],
+        ['a regex on an exact match', {}, {match: 'exact', path: EXACT_FILE.fullFilename, regex: '.*'}],
+        ['an invalid regex', {}, {regex: '(img'}],
+        ['a regex with a backreference', {}, {regex: '(a)\\1'}],
+        ['a regex with a lookahead', {}, {regex: '(?!tmp).*'}],
+        ['a regex with counted repetition', {}, {regex: 'a{1,100}'}],
+        ['a regex with a lazy quantifier', {}, {regex: 'a*?'}],
+        ['a regex with a nested anchor', {}, {regex: 'a|^b'}],
+        ['an empty glob', {}, {glob: ''}],
+        ['a non-string glob', {}, {glob: 5}],
+        ['a glob longer than the maximum', {}, {glob: 'a'.repeat(257)}],
+        ['a glob with more than 8 * wildcards', {}, {glob: '*a'.repeat(9)}],
+        ['a glob on an exact match', {}, {match: 'exact', path: EXACT_FILE.fullFilename, glob: '*'}],
+        ['signers that are not an object', {signers: [SIGNER_A]}],
+        ['included signers that are not addresses', {signers: {include: ['0x1234']}}],
+        ['excluded signers that are not an array', {signers: {exclude: SIGNER_A}}],
+        ['a non-boolean includeData', {includeData: 'yes'}],
+        ['a non-boolean includeListing', {includeListing: 1}],
+        ['a batch that is not an object', {batch: 1000}],
+        ['a batch without a window', {batch: {maxSize: 10}}],
+        ['a zero batch window', {batch: {window: 0}}],
+        ['a batch window over an hour', {batch: {window: 3600001}}],
+        ['a non-boolean debounce', {batch: {window: 1000, debounce: 'true'}}],
+        ['a zero batch maxSize', {batch: {window: 1000, maxSize: 0}}],
+        ['a batch maxSize over the maximum', {batch: {window: 1000, maxSize: 1001}}]
+      ])('rejects %s', async (_, targetOverrides, pathOverrides = {}) => {
+        await expect(validate(v2Config([v2Target(targetOverrides, pathOverrides)]))).rejects.toBeBubbleError({
+          code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED,
+          message: 'invalid notification config'
+        });
+      });
+
+      test('does not apply v2 validation to a v1 config', async () => {
+        await expect(validate({...v2Config([v2Target({batch: 'ignored'}, {glob: 5})]), version: 1})).resolves.toBeUndefined();
+      });
+
+    });
+
+    describe('notify', () => {
+
+      test('only notifies of files matching a glob', async () => {
+        const config = v2Config([v2Target({}, {glob: '*.png'})]);
+        await notifyWith(config, 'write', EXACT_FILE);
+        expect(notifier).not.toHaveBeenCalled();
+        await notifyWith(config, 'write', IMAGE_FILE);
+        expect(notifier).toHaveBeenCalledWith({id: 'v2-target', transport: {type: 'webhook', url: 'https://notify.example/v2'}}, expect.objectContaining({operation: 'write'}));
+      });
+
+      test('treats a rule without a match type as an exact match', async () => {
+        const config = v2Config([v2Target({}, {path: EXACT_FILE.fullFilename, match: undefined})]);
+        await notifyWith(config, 'write', IMAGE_FILE);
+        expect(notifier).not.toHaveBeenCalled();
+        await notifyWith(config, 'write', EXACT_FILE);
+        expect(notifier).toHaveBeenCalledTimes(1);
+      });
+
+      test('treats glob characters other than the wildcards literally', async () => {
+        const config = v2Config([v2Target({}, {glob: 'photo.pn?'})]);
+        await notifyWith(config, 'write', new BubbleFilename(`${DIRECTORY}/photoXpng`));
+        expect(notifier).not.toHaveBeenCalled();
+        await notifyWith(config, 'write', IMAGE_FILE);
+        expect(notifier).toHaveBeenCalledTimes(1);
+      });
+
+      test.each([
+        ['*', 'photo.png', true],
+        ['photo.*', 'photo.png', true],
+        ['*.png', 'photo.png', true],
+        ['*.png', 'photo.png.bak', false],
+        ['p*o*png', 'photo.png', true],
+        ['p*o*n', 'photo.png', false],
+        ['*o.p*', 'photo.png', true],
+        ['ph?to*', 'photo.png', true],
+        ['a*a', 'a', false],
+        ['a*', 'a', true],
+        ['photo.png*', 'photo.png', true],
+        ['**.png', 'photo.png', true]
+      ])("glob '%s' against '%s' matches: %s", async (glob, filename, expected) => {
+        await notifyWith(v2Config([v2Target({}, {path: ROOT_PATH, match: 'descendents', glob})]), 'write', new BubbleFilename(`${DIRECTORY}/${filename}`));
+        expect(notifier).toHaveBeenCalledTimes(expected ? 1 : 0);
+      });
+
+      test('matches a pathological glob without backtracking', async () => {
+        const config = v2Config([v2Target({}, {glob: '*a*a*a*a*a*a*a*b'})]);
+        const start = Date.now();
+        await notifyWith(config, 'write', new BubbleFilename(`${DIRECTORY}/${'a'.repeat(255)}`));
+        expect(Date.now() - start).toBeLessThan(1000);
+        expect(notifier).not.toHaveBeenCalled();
+      });
+
+      test.each([
+        ['.*\\.png', 'photo.png', true],
+        ['.*\\.png', 'photo.png.bak', false],
+        ['photo', 'photo.png', false],
+        ['^photo\\.(png|jpe?g)$', 'photo.jpeg', true],
+        ['photo\\.(png|jpe?g)', 'photo.gif', false],
+        ['img-\\d+\\.png', 'img-042.png', true],
+        ['img-\\d+\\.png', 'img-.png', false],
+        ['[a-z]+\\.[^.]+', 'photo.png', true],
+        ['[a-z]+\\.[^.]+', 'Photo.png', false],
+        ['\\w+(-\\w+)*\\.txt', 'my-notes-1.txt', true],
+        ['(ab|cd)*', 'abcdab', true],
+        ['(ab|cd)*', 'abc', false],
+        ['a?b+c?', 'bb', true]
+      ])("regex '%s' against '%s' matches: %s", async (regex, filename, expected) => {
+        await notifyWith(v2Config([v2Target({}, {path: ROOT_PATH, match: 'descendents', regex})]), 'write', new BubbleFilename(`${DIRECTORY}/${filename}`));
+        expect(notifier).toHaveBeenCalledTimes(expected ? 1 : 0);
+      });
+
+      test('matches a pathological regex without backtracking', async () => {
+        const config = v2Config([v2Target({}, {regex: '(a|a)*(a*)*(.*a)*b'})]);
+        const start = Date.now();
+        await notifyWith(config, 'write', new BubbleFilename(`${DIRECTORY}/${'a'.repeat(255)}`));
+        expect(Date.now() - start).toBeLessThan(1000);
+        expect(notifier).not.toHaveBeenCalled();
+      });
+
+      test('only notifies of requests from included signers', async () => {
+        const config = v2Config([v2Target({signers: {include: [SIGNER_A]}})]);
+        await notifyWith(config, 'write', EXACT_FILE, buildParams(), SIGNER_B);
+        await notifyWith(config, 'write', EXACT_FILE, buildParams(), undefined);
+        expect(notifier).not.toHaveBeenCalled();
+        await notifyWith(config, 'write', EXACT_FILE, buildParams(), SIGNER_A.toLowerCase());
+        expect(notifier).toHaveBeenCalledTimes(1);
+      });
+
+      test('does not notify of requests from excluded signers', async () => {
+        const config = v2Config([v2Target({signers: {exclude: [SIGNER_B]}})]);
+        await notifyWith(config, 'write', EXACT_FILE, buildParams(), SIGNER_B.toUpperCase().replace('0X', '0x'));
+        expect(notifier).not.toHaveBeenCalled();
+        await notifyWith(config, 'write', EXACT_FILE, buildParams(), SIGNER_A);
+        expect(notifier).toHaveBeenCalledTimes(1);
+      });
+
+      test('includes the written data if requested', async () => {
+        const config = v2Config([v2Target({includeData: true}), v2Target({id: 'no-data'})]);
+        await notifyWith(config, 'append', EXACT_FILE, {...buildParams('aGVsbG8='), options: {encoding: 'base64'}});
+        expect(notifier.mock.calls[0][1]).toMatchObject({operation: 'append', data: 'aGVsbG8=', encoding: 'base64'});
+        expect(notifier.mock.calls[1][1].data).toBeUndefined();
+        notifier.mockClear();
+        await notifyWith(config, 'write', EXACT_FILE, buildParams('hello'));
+        expect(notifier.mock.calls[0][1]).toMatchObject({data: 'hello', encoding: 'utf8'});
+        notifier.mockClear();
+        await notifyWith(config, 'delete', EXACT_FILE, buildParams());
+        expect(notifier.mock.calls[0][1].data).toBeUndefined();
+      });
+
+      test('includes the listing of the file\'s directory if requested', async () => {
+        const listing = [{name: EXACT_FILE.fullFilename, type: 'file'}];
+        dataServer.list = jest.fn().mockResolvedValue(listing);
+        const config = v2Config([v2Target({includeListing: true}), v2Target({id: 'also-listing', includeListing: true})]);
+        await notifyWith(config, 'write', EXACT_FILE);
+        expect(dataServer.list).toHaveBeenCalledTimes(1);
+        expect(dataServer.list).toHaveBeenCalledWith(CONTRACT, DIRECTORY);
+        expect(notifier.mock.calls[0][1].listing).toStrictEqual(listing);
+        expect(notifier.mock.calls[1][1].listing).toStrictEqual(listing);
+      });
+
+      test('lists the root directory for a file in the root directory', async () => {
+        dataServer.list = jest.fn().mockResolvedValue([]);
+        const config = v2Config([v2Target({includeListing: true}, {path: ROOT_PATH, match: 'descendents'})]);
+        await notifyWith(config, 'delete', new BubbleFilename(DIRECTORY));
+        expect(dataServer.list).toHaveBeenCalledWith(CONTRACT, ROOT_PATH);
+        expect(notifier.mock.calls[0][1].listing).toStrictEqual([]);
+      });
+
+      test('omits the listing if the directory cannot be listed', async () => {
+        dataServer.list = jest.fn().mockRejectedValue(new Error('directory does not exist'));
+        await notifyWith(v2Config([v2Target({includeListing: true})]), 'delete', EXACT_FILE);
+        expect(notifier).toHaveBeenCalledTimes(1);
+        expect(notifier.mock.calls[0][1].listing).toBeUndefined();
+      });
+
+      describe('batching', () => {
+
+        beforeEach(() => {
+          jest.useFakeTimers();
+        });
+
+        afterEach(() => {
+          jest.useRealTimers();
+        });
+
+        test('sends the notifications received within the window as one batch', async () => {
+          const config = v2Config([v2Target({batch: {window: 1000}}), v2Target({id: 'unbatched'})]);
+          await notifyWith(config, 'write', EXACT_FILE);
+          jest.advanceTimersByTime(600);
+          await notifyWith(config, 'delete', IMAGE_FILE);
+          expect(notifier.mock.calls.map(call => call[0].id)).toStrictEqual(['unbatched', 'unbatched']);
+          jest.advanceTimersByTime(400);
+          expect(notifier).toHaveBeenCalledTimes(3);
+          const [target, batch] = notifier.mock.calls[2];
+          expect(target).toStrictEqual({id: 'v2-target', transport: {type: 'webhook', url: 'https://notify.example/v2'}});
+          expect(batch).toStrictEqual({
+            contentId: {chain: 1, contract: CONTRACT, provider: PROVIDER_URL},
+            operation: 'batch',
+            timestamp: expect.any(Number),
+            notifications: [
+              expect.objectContaining({operation: 'write', contentId: expect.objectContaining({file: EXACT_FILE.fullFilename})}),
+              expect.objectContaining({operation: 'delete', contentId: expect.objectContaining({file: IMAGE_FILE.fullFilename})})
+            ]
+          });
+        });
+
+        test('restarts the window with each notification if debouncing', async () => {
+          const config = v2Config([v2Target({batch: {window: 1000, debounce: true}})]);
+          await notifyWith(config, 'write', EXACT_FILE);
+          jest.advanceTimersByTime(600);
+          await notifyWith(config, 'write', EXACT_FILE);
+          jest.advanceTimersByTime(600);
+          expect(notifier).not.toHaveBeenCalled();
+          jest.advanceTimersByTime(400);
+          expect(notifier).toHaveBeenCalledTimes(1);
+          expect(notifier.mock.calls[0][1].notifications).toHaveLength(2);
+        });
+
+        test('sends a batch early when it reaches its maximum size', async () => {
+          const config = v2Config([v2Target({batch: {window: 1000, maxSize: 2}})]);
+          for (let i = 0; i < 3; i++) await notifyWith(config, 'write', EXACT_FILE);
+          expect(notifier).toHaveBeenCalledTimes(1);
+          expect(notifier.mock.calls[0][1].notifications).toHaveLength(2);
+          jest.advanceTimersByTime(1000);
+          expect(notifier).toHaveBeenCalledTimes(2);
+          expect(notifier.mock.calls[1][1].notifications).toHaveLength(1);
+        });
+
+        test('batches each target of each bubble separately', async () => {
+          const config = v2Config([v2Target({batch: {window: 1000}}), v2Target({id: 'other', batch: {window: 1000}})]);
+          await notifyWith(config, 'write', EXACT_FILE);
+          dataServer.read.mockReturnValue(JSON.stringify(config));
+          await manager.notify('write', {...buildParams(), contract: OTHER_CONTRACT}, EXACT_FILE, SIGNATORY);
+          jest.advanceTimersByTime(1000);
+          expect(notifier).toHaveBeenCalledTimes(4);
+          expect(notifier.mock.calls.map(call => [call[0].id, call[1].contentId.contract])).toStrictEqual([
+            ['v2-target', CONTRACT], ['other', CONTRACT], ['v2-target', OTHER_CONTRACT], ['other', OTHER_CONTRACT]
+          ]);
+        });
+
+        test('sends pending batches immediately when flushed', async () => {
+          await notifyWith(v2Config([v2Target({batch: {window: 1000}})]), 'write', EXACT_FILE);
+          manager.flush();
+          expect(notifier).toHaveBeenCalledTimes(1);
+          jest.advanceTimersByTime(1000);
+          expect(notifier).toHaveBeenCalledTimes(1);
+        });
+
+      });
+
+    });
+
+  });
+
 });
@@ -0,0 +1,161 @@
+import { describe, expect, jest } from '@jest/globals';
+import { notifiers, dataServers, keyValueStores, Guardian, MultiChainGuardian, NotificationManager, BubbleFilename, ErrorCodes } from '../../src/index.js';
+import { Permissions } from '../Guardian/common.js';
+import '@bubble-protocol/core/test/BubbleErrorMatcher.js';
+
+const { BubbleNotifier } = notifiers;
+
+
+describe('BubbleNotifier', () => {
+
+  const PROVIDER_URL = 'https://provider.example';
+  const SENDER = '0x0000000000000000000000000000000000000001';
+  const RECIPIENT = '0x0000000000000000000000000000000000000002';
+  const INBOX_DIR = '0x0000000000000000000000000000000000000000000000000000000000000003';
+  const INBOX = `${INBOX_DIR}/inbox.jsonl`;
+  const NOTIFICATION = {contentId: {chain: 1, contract: SENDER, provider: PROVIDER_URL, file: '0x0000000000000000000000000000000000000000000000000000000000000004'}, operation: 'write'};
+
+  let dataServer, blockchainProvider, guardian, permissions;
+
+  beforeEach(async () => {
+    dataServer = new dataServers.KeyValueDataServer(new keyValueStores.MemoryKeyValueStore());
+    await dataServer.create(RECIPIENT);
+    await dataServer.mkdir(RECIPIENT, INBOX_DIR);
+    // the recipient's contract grants the sender append permission to the inbox directory
+    permissions = {[SENDER]: Permissions.DIRECTORY_BIT | Permissions.APPEND_BIT};
+    blockchainProvider = {
+      getChainId: () => 1,
+      validateContract: contract => /^0x[0-9a-fA-F]{40}$/.test(contract),
+      getPermissions: jest.fn(async (contract, signatory, file) => contract === RECIPIENT && file === INBOX_DIR && permissions[signatory] || 0n)
+    };
+    guardian = new Guardian(dataServer, blockchainProvider);
+  });
+
+  function bubbleTarget(transport = {}) {
+    return {id: 'inbox', transport: {type: 'bubble', contentId: {chain: 1, contract: RECIPIENT, provider: PROVIDER_URL, file: INBOX}, ...transport}};
+  }
+
+  async function inbox() {
+    const contents = await dataServer.read(RECIPIENT, INBOX);
+    return contents.split('\n').filter(line => line).map(line => JSON.parse(line));
+  }
+
+  describe('deliver', () => {
+
+    test('appends the notification to the recipient file as a line of JSON', async () => {
+      const notifier = new BubbleNotifier(guardian);
+      await notifier.deliver(bubbleTarget(), NOTIFICATION);
+      await notifier.deliver(bubbleTarget(), {...NOTIFICATION, operation: 'delete'});
+      await expect(inbox()).resolves.toStrictEqual([NOTIFICATION, {...NOTIFICATION, operation: 'delete'}]);
+    });
+
+    test('checks the recipient contract\'s permissions for the notifying bubble', async () => {
+      await new BubbleNotifier(guardian).deliver(bubbleTarget(), NOTIFICATION);
+      expect(blockchainProvider.getPermissions).toHaveBeenCalledWith(RECIPIENT, SENDER, INBOX_DIR);
+    });
+
+    test('rejects if the notifying bubble does not have permission', async () => {
+      const notifier = new BubbleNotifier(guardian);
+      const otherSender = {...NOTIFICATION, contentId: {...NOTIFICATION.contentId, contract: '0x0000000000000000000000000000000000000009'}};
+      await expect(notifier.deliver(bubbleTarget(), otherSender)).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+      await expect(notifier.deliver(bubbleTarget({mode: 'write'}), NOTIFICATION)).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+      await expect(dataServer.read(RECIPIENT, INBOX, {silent: true})).resolves.toBeFalsy();
+    });
+
+    test('overwrites the recipient file in write mode', async () => {
+      permissions[SENDER] = Permissions.DIRECTORY_BIT | Permissions.WRITE_BIT;
+      const notifier = new BubbleNotifier(guardian);
+      await notifier.deliver(bubbleTarget({mode: 'write'}), NOTIFICATION);
+      await notifier.deliver(bubbleTarget({mode: 'write'}), {...NOTIFICATION, operation: 'delete'});
+      await expect(inbox()).resolves.toStrictEqual([{...NOTIFICATION, operation: 'delete'}]);
+    });
+
+    test('is subject to the Guardian\'s request validators', async () => {
+      const validator = jest.fn().mockRejectedValue(new Error('rejected by validator'));
+      const notifier = new BubbleNotifier(new Guardian(dataServer, blockchainProvider, [validator]));
+      await expect(notifier.deliver(bubbleTarget(), NOTIFICATION)).rejects.toThrow('rejected by validator');
+      expect(validator.mock.calls[0][0]).toMatchObject({method: 'append', signatory: SENDER});
+    });
+
+    test('rejects an invalid transport', async () => {
+      const notifier = new BubbleNotifier(guardian);
+      await expect(notifier.deliver({id: 't', transport: {type: 'webhook'}}, NOTIFICATION)).rejects.toThrow("unsupported transport type 'webhook'");
+      await expect(notifier.deliver(bubbleTarget({contentId: {chain: 1, contract: RECIPIENT}}), NOTIFICATION)).rejects.toThrow('invalid bubble content id');
+      await expect(notifier.deliver(bubbleTarget({contentId: {chain: '1', contract: RECIPIENT, file: INBOX}}), NOTIFICATION)).rejects.toThrow('invalid bubble content id');
+      await expect(notifier.deliver(bubbleTarget({mode: 'delete'}), NOTIFICATION)).rejects.toThrow("unsupported mode 'delete'");
+    });
+
+    test('rejects a bubble hosted by another provider', async () => {
+      const notifier = new BubbleNotifier(guardian, {providerUrl: 'https://other.example'});
+      await expect(notifier.deliver(bubbleTarget(), NOTIFICATION)).rejects.toThrow('bubble is not hosted by this provider');
+      await expect(notifier.deliver(bubbleTarget({contentId: {chain: 1, contract: RECIPIENT, file: INBOX}}), NOTIFICATION)).resolves.toBeDefined();
+    });
+
+    test('rejects a bubble on a different chain to the notifying bubble', async () => {
+      // the same contract address on chain 2 grants the sender permission, but it is not the sender
+      const chain2Provider = {...blockchainProvider, getChainId: () => 2, getPermissions: jest.fn(async () => permissions[SENDER])};
+      const notifier = new BubbleNotifier(new MultiChainGuardian(dataServer, [blockchainProvider, chain2Provider]));
+      await expect(notifier.deliver(bubbleTarget({contentId: {chain: 2, contract: RECIPIENT, file: INBOX}}), NOTIFICATION)).rejects.toThrow('bubble is on a different chain to the notifying bubble');
+      expect(chain2Provider.getPermissions).not.toHaveBeenCalled();
+    });
+
+    test('rejects a notification without a sender', async () => {
+      await expect(new BubbleNotifier(guardian).deliver(bubbleTarget(), {operation: 'write'})).rejects.toThrow('notification has no sender');
+    });
+
+  });
+
+  describe('notify', () => {
+
+    test('passes delivery failures to onError', async () => {
+      const onError = jest.fn();
+      const notifier = new BubbleNotifier(guardian, {onError});
+      await expect(notifier.notify(bubbleTarget({mode: 'write'}), NOTIFICATION)).resolves.toBeUndefined();
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED}), bubbleTarget({mode: 'write'}));
+    });
+
+    test('delivers notifications from the NotificationManager end to end', async () => {
+      const file = new BubbleFilename('0x0000000000000000000000000000000000000000000000000000000000000004');
+      const config = {
+        version: 2,
+        enabled: true,
+        targets: [{id: 'inbox', enabled: true, transport: bubbleTarget().transport, paths: [{path: file.fullFilename, match: 'exact', operations: ['write']}]}]
+      };
+      const notifier = new BubbleNotifier(guardian, {providerUrl: PROVIDER_URL});
+      const deliveries = [];
+      const manager = new NotificationManager(dataServer, PROVIDER_URL, (target, notification) => deliveries.push(notifier.notify(target, notification)));
+      await dataServer.create(SENDER);
+      await dataServer.write(SENDER, '0xb9f67f2a5b929a7c1f97864c755308c84d01d3764ba7d8061f6de8de52e0eec8', JSON.stringify(config));
+      await manager.notify('write', {chainId: 1, contract: SENDER, nonce: 'n', timestamp: 1}, file, '0x09');
+      await Promise.all(deliveries);
+      const [received] = await inbox();
+      expect(received).toMatchObject({operation: 'write', signer: '0x09', contentId: {contract: SENDER, file: file.fullFilename}});
+    });
+
+  });
+
+  describe('config validation', () => {
+
+    const manager = new NotificationManager({}, PROVIDER_URL, jest.fn());
+    const RESERVED_FILE = new BubbleFilename('0xb9f67f2a5b929a7c1f97864c755308c84d01d3764ba7d8061f6de8de52e0eec8');
+
+    function validate(transport) {
+      const config = {version: 1, enabled: true, targets: [{id: 'inbox', enabled: true, transport, paths: [{path: INBOX_DIR, match: 'children', operations: ['write']}]}]};
+      return manager.validateRequest({method: 'write', params: {contract: SENDER, data: JSON.stringify(config)}, file: RESERVED_FILE});
+    }
+
+    test('accepts a bubble transport', async () => {
+      await expect(validate(bubbleTarget().transport)).resolves.toBeUndefined();
+      await expect(validate(bubbleTarget({mode: 'write'}).transport)).resolves.toBeUndefined();
+    });
+
+    test('rejects a bubble transport with an invalid content id or mode', async () => {
+      await expect(validate(bubbleTarget({contentId: undefined}).transport)).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED, message: 'invalid notification config'});
+      await expect(validate(bubbleTarget({contentId: {chain: 1, contract: '0x1234', file: INBOX}}).transport)).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+      await expect(validate(bubbleTarget({contentId: {chain: 1, contract: RECIPIENT, file: 'not a file'}}).transport)).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+      await expect(validate(bubbleTarget({mode: 'delete'}).transport)).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+    });
+
+  });
+
+});
@@ -0,0 +1,294 @@
+import { describe, expect, jest } from '@jest/globals';
+import { notifiers, keyValueStores } from '../../src/index.js';
+
+const { NotificationQueue, WebhookNotifier, WebhookReceiver } = notifiers;
+const { MemoryKeyValueStore } = keyValueStores;
+
+
+describe('NotificationQueue', () => {
+
+  const TARGET_1 = {id: 'target-1', transport: {type: 'webhook', url: 'https://example.com/1'}};
+  const TARGET_2 = {id: 'target-2', transport: {type: 'webhook', url: 'https://example.com/2'}};
+
+  function notification(n) {
+    return {contentId: {chain: 1, contract: '0x01', provider: 'https://provider.example', file: '0x02'}, operation: 'write', n};
+  }
+
+  let queue;
+
+  afterEach(() => {
+    if (queue) queue.stop();
+    queue = undefined;
+  });
+
+  async function until(condition, timeout = 2000) {
+    const end = Date.now() + timeout;
+    while (!(await condition())) {
+      if (Date.now() > end) throw new Error('timed out waiting for condition');
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+
+  test('delivers a queued notification and removes it from the store', async () => {
+    const deliver = jest.fn().mockResolvedValue();
+    const store = new MemoryKeyValueStore();
+    queue = new NotificationQueue(deliver, {store});
+    await queue.start();
+    await queue.notify(TARGET_1, notification(1));
+    await until(() => deliver.mock.calls.length === 1);
+    expect(deliver).toHaveBeenCalledWith(TARGET_1, notification(1));
+    await until(() => store.size === 0);
+    await expect(queue.pending()).resolves.toStrictEqual([]);
+  });
+
+  test('retries a failed delivery with backoff until it succeeds', async () => {
+    const times = [];
+    const deliver = jest.fn(async () => {
+      times.push(Date.now());
+      if (times.length < 3) throw new Error('unavailable');
+    });
+    queue = new NotificationQueue(deliver, {initialDelay: 20, backoffFactor: 3});
+    await queue.start();
+    await queue.notify(TARGET_1, notification(1));
+    await until(() => deliver.mock.calls.length === 3);
+    expect(times[1] - times[0]).toBeGreaterThanOrEqual(19);
+    expect(times[2] - times[1]).toBeGreaterThanOrEqual(59);
+    await until(async () => (await queue.pending()).length === 0);
+    await expect(queue.deadLetters()).resolves.toStrictEqual([]);
+  });
+
+  test('records the attempts and last error of a retrying entry', async () => {
+    queue = new NotificationQueue(jest.fn().mockRejectedValue(new Error('unavailable')), {initialDelay: 10000});
+    await queue.start();
+    await queue.notify(TARGET_1, notification(1));
+    await until(() => queue.queues.size === 1 && [...queue.queues.values()][0][0].entry.attempts === 1);
+    const [entry] = await queue.pending();
+    expect(entry).toMatchObject({target: TARGET_1, notification: notification(1), attempts: 1, error: 'unavailable'});
+    expect(entry.nextAttempt).toBeGreaterThan(Date.now() + 5000);
+  });
+
+  test('caps the retry delay at maxDelay', async () => {
+    queue = new NotificationQueue(jest.fn().mockRejectedValue(new Error('unavailable')), {initialDelay: 10000, maxDelay: 5});
+    await queue.start();
+    await queue.notify(TARGET_1, notification(1));
+    await until(() => queue.deliver.mock.calls.length >= 3);
+  });
+
+  test('dead-letters an entry after maxAttempts failures', async () => {
+    const deliver = jest.fn().mockRejectedValue(new Error('unavailable'));
+    const onDeadLetter = jest.fn();
+    queue = new NotificationQueue(deliver, {maxAttempts: 3, initialDelay: 1, onDeadLetter});
+    await queue.start();
+    await queue.notify(TARGET_1, notification(1));
+    await until(() => onDeadLetter.mock.calls.length === 1);
+    expect(deliver).toHaveBeenCalledTimes(3);
+    const deadLetters = await queue.deadLetters();
+    expect(deadLetters).toHaveLength(1);
+    expect(deadLetters[0]).toMatchObject({target: TARGET_1, notification: notification(1), attempts: 3, error: 'unavailable'});
+    expect(deadLetters[0].failed).toBeDefined();
+    expect(deadLetters[0].nextAttempt).toBeUndefined();
+    expect(onDeadLetter).toHaveBeenCalledWith(deadLetters[0]);
+    await expect(queue.pending()).resolves.toStrictEqual([]);
+  });
+
+  test('dead-letters an entry only once if onDeadLetter throws', async () => {
+    const deliver = jest.fn().mockRejectedValue(new Error('unavailable'));
+    const onDeadLetter = jest.fn(() => { throw new Error('callback failed') });
+    const onError = jest.fn();
+    queue = new NotificationQueue(deliver, {maxAttempts: 2, initialDelay: 1, onDeadLetter, onError});
+    await queue.start();
+    await queue.notify(TARGET_1, notification(1));
+    await until(() => onError.mock.calls.length === 1);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(deliver).toHaveBeenCalledTimes(2);
+    expect(onDeadLetter).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledWith(new Error('callback failed'), TARGET_1);
+    await expect(queue.deadLetters()).resolves.toHaveLength(1);
+    await expect(queue.pending()).resolves.toStrictEqual([]);
+  });
+
+  test('delivers notifications for a target in order, holding back later ones while retrying', async () => {
+    const delivered = [];
+    let failures = 2;
+    const deliver = jest.fn(async (target, n) => {
+      if (target.id === TARGET_1.id && failures-- > 0) throw new Error('unavailable');
+      delivered.push([target.id, n.n]);
+    });
+    queue = new NotificationQueue(deliver, {initialDelay: 30});
+    await queue.start();
+    await queue.notify(TARGET_1, notification(1));
+    await queue.notify(TARGET_1, notification(2));
+    await queue.notify(TARGET_2, notification(3));
+    await until(() => delivered.length === 1);
+    expect(delivered).toStrictEqual([['target-2', 3]]);
+    await until(() => delivered.length === 3);
+    expect(delivered).toStrictEqual([['target-2', 3], ['target-1', 1], ['target-1', 2]]);
+  });
+
+  test('treats the same target id in different bubbles as different targets', async () => {
+    const deliver = jest.fn(async (target, n) => { if (n.contentId.contract === '0x01') throw new Error('unavailable') });
+    queue = new NotificationQueue(deliver, {initialDelay: 10000});
+    await queue.start();
+    await queue.notify(TARGET_1, notification(1));
+    await queue.notify(TARGET_1, {...notification(2), contentId: {...notification(2).contentId, contract: '0x03'}});
+    await until(() => deliver.mock.calls.length === 2);
+    const pending = await queue.pending();
+    expect(pending.map(entry => entry.notification.n)).toStrictEqual([1]);
+  });
+
+  test('does not deliver until started', async () => {
+    const deliver = jest.fn().mockResolvedValue();
+    queue = new NotificationQueue(deliver);
+    await queue.notify(TARGET_1, notification(1));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(deliver).not.toHaveBeenCalled();
+    await queue.start();
+    await until(() => deliver.mock.calls.length === 1);
+  });
+
+  test('stops delivering when stopped', async () => {
+    const deliver = jest.fn().mockRejectedValue(new Error('unavailable'));
+    queue = new NotificationQueue(deliver, {initialDelay: 20});
+    await queue.start();
+    await queue.notify(TARGET_1, notification(1));
+    await until(() => deliver.mock.calls.length === 1);
+    queue.stop();
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(deliver).toHaveBeenCalledTimes(1);
+    await expect(queue.pending()).resolves.toHaveLength(1);
+  });
+
+  test('recovers queued entries from the store on start', async () => {
+    const store = new MemoryKeyValueStore();
+    const failing = new NotificationQueue(jest.fn().mockRejectedValue(new Error('unavailable')), {store, initialDelay: 100});
+    await failing.start();
+    await failing.notify(TARGET_1, notification(1));
+    await failing.notify(TARGET_1, notification(2));
+    await failing.notify(TARGET_2, notification(3));
+    await until(() => failing.deliver.mock.calls.length === 2);
+    failing.stop();
+
+    const delivered = [];
+    queue = new NotificationQueue(async (target, n) => { delivered.push(n.n) }, {store});
+    await queue.start();
+    await until(() => delivered.length === 3);
+    expect(delivered.indexOf(1)).toBeLessThan(delivered.indexOf(2));
+    await until(() => store.size === 0);
+  });
+
+  describe('dead letters', () => {
+
+    let deliver, store;
+
+    beforeEach(async () => {
+      deliver = jest.fn().mockRejectedValue(new Error('unavailable'));
+      store = new MemoryKeyValueStore();
+      queue = new NotificationQueue(deliver, {store, maxAttempts: 1});
+      await queue.start();
+      await queue.notify(TARGET_1, notification(1));
+      await queue.notify(TARGET_2, notification(2));
+      await until(() => deliver.mock.calls.length === 2);
+      await until(async () => (await queue.deadLetters()).length === 2);
+    });
+
+    test('are listed oldest first', async () => {
+      const deadLetters = await queue.deadLetters();
+      expect(deadLetters.map(entry => entry.notification.n)).toStrictEqual([1, 2]);
+    });
+
+    test('survive a restart', async () => {
+      queue.stop();
+      queue = new NotificationQueue(deliver, {store});
+      await expect(queue.deadLetters()).resolves.toHaveLength(2);
+    });
+
+    test('can be replayed', async () => {
+      deliver.mockResolvedValue();
+      const [first] = await queue.deadLetters();
+      const entry = await queue.replay(first.id);
+      expect(entry).toMatchObject({target: TARGET_1, notification: notification(1), attempts: 0, queued: first.queued});
+      await until(() => deliver.mock.calls.length === 3);
+      expect(deliver).toHaveBeenLastCalledWith(TARGET_1, notification(1));
+      const deadLetters = await queue.deadLetters();
+      expect(deadLetters.map(entry => entry.notification.n)).toStrictEqual([2]);
+    });
+
+    test('can all be replayed', async () => {
+      deliver.mockResolvedValue();
+      await expect(queue.replayAll()).resolves.toHaveLength(2);
+      await until(() => deliver.mock.calls.length === 4);
+      await expect(queue.deadLetters()).resolves.toStrictEqual([]);
+    });
+
+    test('are dead-lettered again if a replay fails', async () => {
+      const [first] = await queue.deadLetters();
+      await queue.replay(first.id);
+      await until(() => deliver.mock.calls.length === 3);
+      await until(async () => (await queue.deadLetters()).length === 2);
+    });
+
+    test('cannot replay an entry that does not exist', async () => {
+      await expect(queue.replay('unknown')).rejects.toThrow('dead letter unknown does not exist');
+    });
+
+    test('can be discarded', async () => {
+      const [first] = await queue.deadLetters();
+      await queue.discard(first.id);
+      const deadLetters = await queue.deadLetters();
+      expect(deadLetters.map(entry => entry.notification.n)).toStrictEqual([2]);
+      await expect(queue.discard('unknown')).resolves.toBeUndefined();
+    });
+
+  });
+
+  test('notify passes store failures to onError and never rejects', async () => {
+    const store = new MemoryKeyValueStore();
+    store.put = jest.fn().mockRejectedValue(new Error('store unavailable'));
+    const onError = jest.fn();
+    queue = new NotificationQueue(jest.fn(), {store, onError});
+    await queue.start();
+    await expect(queue.notify(TARGET_1, notification(1))).resolves.toBeUndefined();
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({message: 'store unavailable'}), TARGET_1);
+  });
+
+  test('retries after a store failure during delivery', async () => {
+    const store = new MemoryKeyValueStore();
+    const del = store.del.bind(store);
+    store.del = jest.fn().mockRejectedValueOnce(new Error('store unavailable')).mockImplementation(del);
+    const deliver = jest.fn().mockResolvedValue();
+    const onError = jest.fn();
+    queue = new NotificationQueue(deliver, {store, onError, initialDelay: 10});
+    await queue.start();
+    await queue.notify(TARGET_1, notification(1));
+    await until(() => store.size === 0);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({message: 'store unavailable'}), TARGET_1);
+    expect(deliver).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects invalid options', () => {
+    expect(() => new NotificationQueue()).toThrow();
+    expect(() => new NotificationQueue(jest.fn(), {initialDelay: '1'})).toThrow();
+  });
+
+  test('retries a failing webhook until it accepts the notification', async () => {
+    const SECRET = 'webhook-secret';
+    const receiver = new WebhookReceiver({secret: SECRET, status: 503});
+    const url = await receiver.start();
+    try {
+      const notifier = new WebhookNotifier({allowPrivateAddresses: true, resolveSecret: () => SECRET});
+      queue = new NotificationQueue(notifier.deliver, {initialDelay: 20});
+      await queue.start();
+      const target = {id: 'app', transport: {type: 'webhook', url, authRef: 'main'}};
+      await queue.notify(target, notification(1));
+      await receiver.waitFor(2);
+      receiver.status = 200;
+      await until(() => queue.queues.size === 0);
+      expect(receiver.notifications.length).toBeGreaterThanOrEqual(3);
+      expect(receiver.notifications.every(received => received.verified)).toBe(true);
+    }
+    finally {
+      await receiver.stop();
+    }
+  });
+
+});
@@ -0,0 +1,195 @@
+import { describe, expect, jest } from '@jest/globals';
+import http from 'http';
+import { notifiers, NotificationManager, BubbleFilename } from '../../src/index.js';
+
+const { WebhookNotifier, WebhookReceiver } = notifiers;
+
+
+describe('WebhookNotifier', () => {
+
+  const SECRET = 'webhook-secret';
+  const NOTIFICATION = {contentId: {chain: 1, contract: '0x01', provider: 'https://provider.example', file: '0x02'}, operation: 'write'};
+
+  let receiver, url;
+
+  beforeEach(async () => {
+    receiver = new WebhookReceiver({secret: SECRET});
+    url = await receiver.start();
+  });
+
+  afterEach(async () => {
+    await receiver.stop();
+  });
+
+  function webhookTarget(transport = {}) {
+    return {id: 'target-1', transport: {type: 'webhook', url, authRef: 'main', ...transport}};
+  }
+
+  describe('deliver', () => {
+
+    test('posts the notification with a signature', async () => {
+      const resolveSecret = jest.fn().mockResolvedValue(SECRET);
+      const notifier = new WebhookNotifier({allowPrivateAddresses: true, resolveSecret});
+      await expect(notifier.deliver(webhookTarget(), NOTIFICATION)).resolves.toStrictEqual({status: 200});
+      expect(resolveSecret).toHaveBeenCalledWith('main', webhookTarget());
+      expect(receiver.notifications).toStrictEqual([{target: 'target-1', notification: NOTIFICATION, verified: true}]);
+    });
+
+    test('posts an unsigned notification if the transport has no authRef', async () => {
+      const noAuthReceiver = new WebhookReceiver();
+      const noAuthUrl = await noAuthReceiver.start();
+      try {
+        await new WebhookNotifier({allowPrivateAddresses: true}).deliver(webhookTarget({url: noAuthUrl, authRef: undefined}), NOTIFICATION);
+        expect(noAuthReceiver.notifications).toStrictEqual([{target: 'target-1', notification: NOTIFICATION, verified: false}]);
+      }
+      finally {
+        await noAuthReceiver.stop();
+      }
+    });
+
+    test('rejects if the signature is not accepted', async () => {
+      const notifier = new WebhookNotifier({allowPrivateAddresses: true, resolveSecret: () => 'wrong-secret'});
+      await expect(notifier.deliver(webhookTarget(), NOTIFICATION)).rejects.toThrow('webhook responded with status 401');
+      expect(receiver.notifications[0].verified).toBe(false);
+    });
+
+    test('rejects without posting if the authRef cannot be resolved', async () => {
+      await expect(new WebhookNotifier({allowPrivateAddresses: true}).deliver(webhookTarget(), NOTIFICATION)).rejects.toThrow("unknown authRef 'main'");
+      expect(receiver.notifications).toHaveLength(0);
+    });
+
+    test('rejects if the webhook responds with an error status', async () => {
+      receiver.status = 503;
+      const notifier = new WebhookNotifier({allowPrivateAddresses: true, resolveSecret: () => SECRET});
+      await expect(notifier.deliver(webhookTarget(), NOTIFICATION)).rejects.toThrow('webhook responded with status 503');
+    });
+
+    test('rejects if the transport is not a webhook', async () => {
+      await expect(new WebhookNotifier({allowPrivateAddresses: true}).deliver({id: 't', transport: {type: 'email'}}, NOTIFICATION)).rejects.toThrow("unsupported transport type 'email'");
+    });
+
+    test('rejects if the url is not an http or https url', async () => {
+      const notifier = new WebhookNotifier({allowPrivateAddresses: true, resolveSecret: () => SECRET});
+      await expect(notifier.deliver(webhookTarget({url: 'file:///etc/passwd'}), NOTIFICATION)).rejects.toThrow('invalid webhook url');
+      await expect(notifier.deliver(webhookTarget({url: undefined}), NOTIFICATION)).rejects.toThrow('invalid webhook url');
+    });
+
+    test('rejects if the webhook does not respond within the timeout', async () => {
+      const server = http.createServer(() => {});
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      try {
+        const notifier = new WebhookNotifier({allowPrivateAddresses: true, timeout: 50, resolveSecret: () => SECRET});
+        const target = webhookTarget({url: `http://127.0.0.1:${server.address().port}/`});
+        await expect(notifier.deliver(target, NOTIFICATION)).rejects.toThrow('webhook timed out after 50ms');
+      }
+      finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('does not follow redirects', async () => {
+      const server = http.createServer((req, res) => res.writeHead(307, {Location: url}).end());
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      try {
+        const notifier = new WebhookNotifier({allowPrivateAddresses: true, resolveSecret: () => SECRET});
+        const target = webhookTarget({url: `http://127.0.0.1:${server.address().port}/`});
+        await expect(notifier.deliver(target, NOTIFICATION)).rejects.toThrow('webhook responded with status 307');
+        expect(receiver.notifications).toHaveLength(0);
+      }
+      finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+  });
+
+  describe('address checks', () => {
+
+    test.each([
+      ['loopback', 'http://127.0.0.1:1/'],
+      ['private network', 'http://10.0.0.1/'],
+      ['link-local', 'http://169.254.169.254/latest/meta-data'],
+      ['IPv6 loopback', 'http://[::1]/'],
+      ['IPv4-mapped IPv6', 'http://[::ffff:127.0.0.1]/'],
+      ['IPv6 unique local', 'https://[fd00::1]/']
+    ])('rejects a %s address by default', async (_, url) => {
+      const notifier = new WebhookNotifier({resolveSecret: () => SECRET});
+      await expect(notifier.deliver(webhookTarget({url}), NOTIFICATION)).rejects.toThrow(/^webhook address .* is not public$/);
+    });
+
+    test('rejects a hostname that resolves to a private address', async () => {
+      const notifier = new WebhookNotifier({resolveSecret: () => SECRET});
+      const target = webhookTarget({url: url.replace('127.0.0.1', 'localhost')});
+      await expect(notifier.deliver(target, NOTIFICATION)).rejects.toThrow(/^webhook address .* is not public$/);
+      expect(receiver.notifications).toHaveLength(0);
+    });
+
+    test('allows a public address', async () => {
+      const notifier = new WebhookNotifier({timeout: 50, resolveSecret: () => SECRET});
+      await expect(notifier.deliver(webhookTarget({url: 'http://192.0.2.1/'}), NOTIFICATION)).rejects.toThrow(/^webhook (timed out|request failed)/);
+    });
+
+    test('allows private addresses if configured', async () => {
+      const notifier = new WebhookNotifier({allowPrivateAddresses: true, resolveSecret: () => SECRET});
+      await expect(notifier.deliver(webhookTarget({url: url.replace('127.0.0.1', 'localhost')}), NOTIFICATION)).resolves.toStrictEqual({status: 200});
+    });
+
+  });
+
+  describe('notify', () => {
+
+    test('passes delivery failures to onError', async () => {
+      const onError = jest.fn();
+      const notifier = new WebhookNotifier({allowPrivateAddresses: true, onError});
+      await expect(notifier.notify(webhookTarget(), NOTIFICATION)).resolves.toBeUndefined();
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({message: "unknown authRef 'main'"}), webhookTarget());
+    });
+
+    test('delivers notifications from the NotificationManager end to end', async () => {
+      const file = new BubbleFilename('0x0000000000000000000000000000000000000000000000000000000000000001');
+      const config = {
+        version: 1,
+        enabled: true,
+        targets: [{id: 'app', enabled: true, transport: {type: 'webhook', url, authRef: 'main'}, paths: [{path: file.fullFilename, match: 'exact', operations: ['write']}]}]
+      };
+      const dataServer = {read: jest.fn().mockResolvedValue(JSON.stringify(config))};
+      const notifier = new WebhookNotifier({allowPrivateAddresses: true, resolveSecret: authRef => authRef === 'main' ? SECRET : undefined});
+      const manager = new NotificationManager(dataServer, 'https://provider.example', notifier.notify);
+      await manager.notify('write', {chainId: 1, contract: '0x01', nonce: 'n', timestamp: 1}, file, '0x09');
+      const [received] = await receiver.waitFor(1);
+      expect(received).toMatchObject({target: 'app', verified: true, notification: {operation: 'write', signer: '0x09', contentId: {file: file.fullFilename}}});
+    });
+
+  });
+
+  describe('signatures', () => {
+
+    const BODY = JSON.stringify(NOTIFICATION);
+
+    test('verifies a signature made with the same secret', () => {
+      expect(WebhookNotifier.verify(BODY, WebhookNotifier.sign(BODY, SECRET), SECRET)).toBe(true);
+      expect(WebhookNotifier.verify(BODY, WebhookNotifier.sign(BODY, Buffer.from(SECRET)), SECRET)).toBe(true);
+    });
+
+    test('rejects a signature made with a different secret or body', () => {
+      expect(WebhookNotifier.verify(BODY, WebhookNotifier.sign(BODY, 'other'), SECRET)).toBe(false);
+      expect(WebhookNotifier.verify(BODY+' ', WebhookNotifier.sign(BODY, SECRET), SECRET)).toBe(false);
+    });
+
+    test('rejects a signature outside the tolerance', () => {
+      const header = WebhookNotifier.sign(BODY, SECRET, Date.now() - 10000);
+      expect(WebhookNotifier.verify(BODY, header, SECRET)).toBe(true);
+      expect(WebhookNotifier.verify(BODY, header, SECRET, {tolerance: 5000})).toBe(false);
+    });
+
+    test('rejects a malformed signature header', () => {
+      expect(WebhookNotifier.verify(BODY, undefined, SECRET)).toBe(false);
+      expect(WebhookNotifier.verify(BODY, 'garbage', SECRET)).toBe(false);
+      expect(WebhookNotifier.verify(BODY, `t=${Date.now()},v1=00`, SECRET)).toBe(false);
+    });
+
+  });
+
+});
@@ -0,0 +1,102 @@
+import { describe, expect, jest } from '@jest/globals';
+import { PermissionCache } from '../../src/index.js';
+
+
+describe('PermissionCache', () => {
+
+  const CONTRACT = '0x0000000000000000000000000000000000000001';
+  const OTHER_CONTRACT = '0x0000000000000000000000000000000000000002';
+  const ACCOUNT = '0x1234567890123456789012345678901234567890';
+  const FILE = '0x0000000000000000000000000000000000000000000000000000000000000002';
+
+  let blockchainProvider, cache;
+
+  beforeEach(() => {
+    blockchainProvider = {
+      getPermissions: jest.fn(() => Promise.resolve(7n)),
+      onNewBlock: jest.fn(() => jest.fn())
+    };
+    cache = new PermissionCache(blockchainProvider, {ttl: 1000});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('fetches permissions from the blockchain provider on a miss', async () => {
+    await expect(cache.getPermissions(CONTRACT, ACCOUNT, FILE)).resolves.toBe(7n);
+    expect(blockchainProvider.getPermissions).toHaveBeenCalledWith(CONTRACT, ACCOUNT, FILE);
+    expect(cache.misses).toBe(1);
+  });
+
+  test('serves repeat requests from the cache', async () => {
+    await cache.getPermissions(CONTRACT, ACCOUNT, FILE);
+    await expect(cache.getPermissions(CONTRACT, ACCOUNT, FILE)).resolves.toBe(7n);
+    expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(1);
+    expect(cache.hits).toBe(1);
+  });
+
+  test('keys entries by contract, account and file', async () => {
+    await cache.getPermissions(CONTRACT, ACCOUNT, FILE);
+    await cache.getPermissions(OTHER_CONTRACT, ACCOUNT, FILE);
+    await cache.getPermissions(CONTRACT, OTHER_CONTRACT, FILE);
+    await cache.getPermissions(CONTRACT, ACCOUNT, FILE+'/a');
+    expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(4);
+  });
+
+  test('shares a single blockchain call between concurrent requests', async () => {
+    await Promise.all([
+      cache.getPermissions(CONTRACT, ACCOUNT, FILE),
+      cache.getPermissions(CONTRACT, ACCOUNT, FILE)
+    ]);
+    expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(1);
+  });
+
+  test('refetches once an entry has expired', async () => {
+    jest.useFakeTimers({now: 10000});
+    await cache.getPermissions(CONTRACT, ACCOUNT, FILE);
+    jest.setSystemTime(11000);
+    await cache.getPermissions(CONTRACT, ACCOUNT, FILE);
+    expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not cache failures', async () => {
+    blockchainProvider.getPermissions.mockRejectedValueOnce(new Error('blockchain down'));
+    await expect(cache.getPermissions(CONTRACT, ACCOUNT, FILE)).rejects.toThrow('blockchain down');
+    await expect(cache.getPermissions(CONTRACT, ACCOUNT, FILE)).resolves.toBe(7n);
+    expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(2);
+  });
+
+  test('evicts the oldest entry when full', async () => {
+    cache = new PermissionCache(blockchainProvider, {maxEntries: 2});
+    await cache.getPermissions(CONTRACT, ACCOUNT, FILE);
+    await cache.getPermissions(OTHER_CONTRACT, ACCOUNT, FILE);
+    await cache.getPermissions(CONTRACT, OTHER_CONTRACT, FILE);
+    expect(cache.entries.size).toBe(2);
+    await cache.getPermissions(CONTRACT, ACCOUNT, FILE);
+    expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(4);
+  });
+
+  test('invalidates the entries of a single contract', async () => {
+    await cache.getPermissions(CONTRACT, ACCOUNT, FILE);
+    await cache.getPermissions(OTHER_CONTRACT, ACCOUNT, FILE);
+    cache.invalidate(CONTRACT);
+    await cache.getPermissions(CONTRACT, ACCOUNT, FILE);
+    await cache.getPermissions(OTHER_CONTRACT, ACCOUNT, FILE);
+    expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(3);
+  });
+
+  test('clears the cache on each new block when configured', async () => {
+    cache = new PermissionCache(blockchainProvider, {invalidateOnBlock: true});
+    expect(blockchainProvider.onNewBlock).toHaveBeenCalledTimes(1);
+    const onBlock = blockchainProvider.onNewBlock.mock.calls[0][0];
+    await cache.getPermissions(CONTRACT, ACCOUNT, FILE);
+    onBlock(123);
+    await cache.getPermissions(CONTRACT, ACCOUNT, FILE);
+    expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(2);
+    const unwatch = blockchainProvider.onNewBlock.mock.results[0].value;
+    cache.close();
+    expect(unwatch).toHaveBeenCalledTimes(1);
+  });
+
+});
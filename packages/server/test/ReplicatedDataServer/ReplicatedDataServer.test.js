@@ -0,0 +1,305 @@
+import { describe, expect, jest } from '@jest/globals';
+import { dataServers, keyValueStores, ErrorCodes, ROOT_PATH } from '../../src/index.js';
+import { DataServerTestPoint } from '../DataServerTestSuite/DataServerTestPoint.js';
+import { testDataServerRequirements } from '../DataServerTestSuite/requirementsTests.js';
+import '@bubble-protocol/core/test/BubbleErrorMatcher.js';
+
+function newReplica() {
+  return new dataServers.KeyValueDataServer(new keyValueStores.MemoryKeyValueStore());
+}
+
+
+describe('ReplicatedDataServer', () => {
+
+  describe('over three KeyValueDataServers', () => {
+    const dataServer = new dataServers.ReplicatedDataServer([newReplica(), newReplica(), newReplica()]);
+    testDataServerRequirements(dataServer, new DataServerTestPoint(dataServer), {noVersionHistory: true});
+  });
+
+
+  describe('construction', () => {
+
+    test('defaults the quorum to a majority', () => {
+      expect(new dataServers.ReplicatedDataServer([newReplica()]).quorum).toBe(1);
+      expect(new dataServers.ReplicatedDataServer([newReplica(), newReplica()]).quorum).toBe(2);
+      expect(new dataServers.ReplicatedDataServer([newReplica(), newReplica(), newReplica()]).quorum).toBe(2);
+    });
+
+    test('rejects an invalid quorum', () => {
+      expect(() => new dataServers.ReplicatedDataServer([newReplica()], {quorum: 0})).toThrow(TypeError);
+      expect(() => new dataServers.ReplicatedDataServer([newReplica()], {quorum: 2})).toThrow(TypeError);
+      expect(() => new dataServers.ReplicatedDataServer([newReplica()], {quorum: 1.5})).toThrow(TypeError);
+    });
+
+    test('rejects an empty list of replicas', () => {
+      expect(() => new dataServers.ReplicatedDataServer([])).toThrow(TypeError);
+      expect(() => new dataServers.ReplicatedDataServer()).toThrow(TypeError);
+    });
+
+  });
+
+
+  describe('replication', () => {
+
+    const CONTRACT = '0x00000000000000000000000000000000000000000000000000000000000f5d01';
+    const OTHER_CONTRACT = '0x00000000000000000000000000000000000000000000000000000000000f5d02';
+    const THIRD_CONTRACT = '0x00000000000000000000000000000000000000000000000000000000000f5d03';
+    const DIR = '0x0000000000000000000000000000000000000000000000000000000000000003';
+    const FILE = '0x0000000000000000000000000000000000000000000000000000000000000001';
+    const FILE2 = '0x0000000000000000000000000000000000000000000000000000000000000002';
+
+    let replicas, onError, dataServer;
+
+    function offline(replica, method) {
+      return jest.spyOn(replica, method).mockRejectedValue(new Error('replica offline'));
+    }
+
+    beforeEach(async () => {
+      replicas = [newReplica(), newReplica(), newReplica()];
+      onError = jest.fn();
+      dataServer = new dataServers.ReplicatedDataServer(replicas, {onError});
+      await dataServer.create(CONTRACT);
+    });
+
+    test('applies mutations to every replica', async () => {
+      await dataServer.write(CONTRACT, FILE, 'hello');
+      await dataServer.append(CONTRACT, FILE, ' world');
+      await dataServer.mkdir(CONTRACT, DIR);
+      await dataServer.transaction(CONTRACT, [{method: 'write', file: DIR+'/a', data: 'a'}]);
+      await dataServer.move(CONTRACT, DIR+'/a', DIR+'/b');
+      for (const replica of replicas) {
+        await expect(replica.read(CONTRACT, FILE)).resolves.toBe('hello world');
+        await expect(replica.list(CONTRACT, DIR)).resolves.toStrictEqual([{name: DIR+'/b', type: 'file'}]);
+      }
+      await dataServer.terminate(CONTRACT);
+      for (const replica of replicas) {
+        await expect(replica.list(CONTRACT, ROOT_PATH))
+          .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
+      }
+    });
+
+    test('resolves with the result of the primary replica', async () => {
+      const {version} = await dataServer.write(CONTRACT, FILE, 'hello');
+      const [entry] = await replicas[0].list(CONTRACT, FILE, {version: true});
+      expect(version).toBe(entry.version);
+      await expect(dataServer.write(CONTRACT, FILE, 'changed', {ifMatch: version})).resolves.toBeDefined();
+    });
+
+    test('evaluates preconditions on the primary replica only', async () => {
+      const {version} = await dataServer.write(CONTRACT, FILE, 'hello');
+      const write = jest.spyOn(replicas[1], 'write');
+      await expect(dataServer.write(CONTRACT, FILE, 'changed', {ifMatch: 'stale'}))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED});
+      expect(write).not.toHaveBeenCalled();
+      await dataServer.write(CONTRACT, FILE, 'changed', {ifMatch: version});
+      await expect(replicas[1].read(CONTRACT, FILE)).resolves.toBe('changed');
+      expect(onError).not.toHaveBeenCalled();
+    });
+
+    test('rejects with the error of the primary replica without changing the others', async () => {
+      await dataServer.mkdir(CONTRACT, DIR);
+      const mkdir = jest.spyOn(replicas[2], 'mkdir');
+      await expect(dataServer.mkdir(CONTRACT, DIR))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_DIR_ALREADY_EXISTS});
+      await expect(dataServer.delete(CONTRACT, FILE))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+      expect(mkdir).not.toHaveBeenCalled();
+      expect(dataServer.replicas.every(replica => replica.healthy)).toBe(true);
+    });
+
+    test('resolves if the quorum is reached and marks a failed replica unhealthy', async () => {
+      const error = new Error('replica offline');
+      jest.spyOn(replicas[2], 'write').mockRejectedValue(error);
+      await expect(dataServer.write(CONTRACT, FILE, 'hello')).resolves.toBeDefined();
+      expect(dataServer.replicas.map(replica => replica.healthy)).toStrictEqual([true, true, false]);
+      expect(onError).toHaveBeenCalledWith(error, 2);
+    });
+
+    test('rejects with INTERNAL_ERROR if the quorum is not reached', async () => {
+      offline(replicas[1], 'write');
+      offline(replicas[2], 'write');
+      await expect(dataServer.write(CONTRACT, FILE, 'hello'))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR});
+    });
+
+    test('rejects with INTERNAL_ERROR if an unhealthy and a failing replica leave the quorum unreached', async () => {
+      offline(replicas[2], 'write');
+      await dataServer.write(CONTRACT, FILE, 'hello');
+      const append = jest.spyOn(replicas[2], 'append');
+      offline(replicas[1], 'append');
+      await expect(dataServer.append(CONTRACT, FILE, ' world'))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, message: 'write quorum of 2 not reached - serviced by 1 of 3 replicas'});
+      expect(append).not.toHaveBeenCalled();
+    });
+
+    test('fails over to the next healthy replica if the primary fails', async () => {
+      offline(replicas[0], 'write');
+      const {version} = await dataServer.write(CONTRACT, FILE, 'hello');
+      const [entry] = await replicas[1].list(CONTRACT, FILE, {version: true});
+      expect(version).toBe(entry.version);
+      expect(dataServer.replicas.map(replica => replica.healthy)).toStrictEqual([false, true, true]);
+      const append = jest.spyOn(replicas[0], 'append');
+      await dataServer.append(CONTRACT, FILE, ' world');
+      expect(append).not.toHaveBeenCalled();
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('hello world');
+    });
+
+    test('reads from the first healthy replica', async () => {
+      await dataServer.write(CONTRACT, FILE, 'hello');
+      const read = jest.spyOn(replicas[1], 'read');
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('hello');
+      expect(read).not.toHaveBeenCalled();
+      offline(replicas[0], 'read');
+      await expect(dataServer.read(CONTRACT, FILE)).resolves.toBe('hello');
+      expect(read).toHaveBeenCalledTimes(1);
+      expect(dataServer.replicas[0].healthy).toBe(false);
+    });
+
+    test('does not fail over on a request error', async () => {
+      await expect(dataServer.read(CONTRACT, FILE))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+      expect(dataServer.replicas[0].healthy).toBe(true);
+    });
+
+    test('rejects with INTERNAL_ERROR if no replica is healthy', async () => {
+      replicas.forEach(replica => offline(replica, 'list'));
+      await expect(dataServer.list(CONTRACT, ROOT_PATH))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR});
+      await expect(dataServer.write(CONTRACT, FILE, 'hello'))
+        .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR});
+    });
+
+    test('writes the restored contents to the other replicas', async () => {
+      const primary = {
+        restore: jest.fn().mockResolvedValue({version: 'v3', hash: 'h'}),
+        read: jest.fn().mockResolvedValue(Buffer.from('restored').toString('base64'))
+      };
+      dataServer = new dataServers.ReplicatedDataServer([primary, replicas[1]], {onError});
+      await expect(dataServer.restore(CONTRACT, FILE, {version: 'v1'})).resolves.toStrictEqual({version: 'v3', hash: 'h'});
+      expect(primary.restore).toHaveBeenCalledWith(CONTRACT, FILE, {version: 'v1'});
+      await expect(replicas[1].read(CONTRACT, FILE)).resolves.toBe('restored');
+    });
+
+    describe('subscriptions', () => {
+
+      async function settle() {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      test('notifies each change exactly once', async () => {
+        const listener = jest.fn();
+        const {subscriptionId} = await dataServer.subscribe(CONTRACT, FILE, listener);
+        await dataServer.write(CONTRACT, FILE, 'hello');
+        await dataServer.append(CONTRACT, FILE, '!');
+        await settle();
+        expect(listener.mock.calls.map(([n]) => [n.subscriptionId, n.event, n.data]))
+          .toStrictEqual([[subscriptionId, 'write', 'hello'], [subscriptionId, 'append', '!']]);
+      });
+
+      test('moves subscriptions to the new primary before it services a change', async () => {
+        dataServer = new dataServers.ReplicatedDataServer(replicas, {onError, quorum: 1});
+        const listener = jest.fn();
+        await dataServer.subscribe(CONTRACT, FILE, listener);
+        offline(replicas[0], 'write');
+        await dataServer.write(CONTRACT, FILE, 'hello');
+        jest.spyOn(replicas[1], 'append').mockRejectedValue(new Error('replica offline'));
+        await dataServer.append(CONTRACT, FILE, '!');
+        await settle();
+        expect(listener.mock.calls.map(([n]) => [n.event, n.data])).toStrictEqual([['write', 'hello'], ['append', '!']]);
+      });
+
+      test('stops notifying when unsubscribed', async () => {
+        const listener = jest.fn();
+        const {subscriptionId} = await dataServer.subscribe(CONTRACT, FILE, listener);
+        await dataServer.unsubscribe(subscriptionId);
+        await dataServer.write(CONTRACT, FILE, 'hello');
+        await settle();
+        expect(listener).not.toHaveBeenCalled();
+      });
+
+    });
+
+    describe('repair', () => {
+
+      beforeEach(async () => {
+        await dataServer.create(OTHER_CONTRACT);
+        await dataServer.write(CONTRACT, FILE, 'hello');
+        await dataServer.write(CONTRACT, DIR+'/a', 'a');
+        await dataServer.mkdir(CONTRACT, DIR+'2');
+      });
+
+      function snapshot(replica, contract) {
+        return replica.list(contract, ROOT_PATH, {recursive: true, length: true, hash: true});
+      }
+
+      test('reconciles divergent replicas with the first healthy replica', async () => {
+        // diverge replica 1 and replica 2 while they are unhealthy
+        dataServer = new dataServers.ReplicatedDataServer(replicas, {onError, quorum: 1});
+        offline(replicas[1], 'write');
+        offline(replicas[2], 'delete');
+        await dataServer.write(CONTRACT, FILE, 'changed');
+        await dataServer.delete(CONTRACT, DIR);
+        await dataServer.terminate(OTHER_CONTRACT);
+        jest.restoreAllMocks();
+        await replicas[1].write(CONTRACT, FILE2, 'extra');
+        await replicas[2].delete(CONTRACT, DIR+'2');
+        await replicas[2].create(THIRD_CONTRACT);
+        expect(dataServer.replicas.map(replica => replica.healthy)).toStrictEqual([true, false, false]);
+
+        const report = await dataServer.repair();
+
+        expect(report).toMatchObject({checked: 3, repaired: [CONTRACT, OTHER_CONTRACT, THIRD_CONTRACT], errors: []});
+        expect(dataServer.lastReport).toBe(report);
+        const expected = await snapshot(replicas[0], CONTRACT);
+        for (const replica of replicas.slice(1)) {
+          await expect(snapshot(replica, CONTRACT)).resolves.toStrictEqual(expected);
+          await expect(replica.read(CONTRACT, FILE)).resolves.toBe('changed');
+          await expect(replica.list(THIRD_CONTRACT, ROOT_PATH))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
+          await expect(replica.list(OTHER_CONTRACT, ROOT_PATH))
+            .rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
+        }
+        expect(dataServer.replicas.map(replica => replica.healthy)).toStrictEqual([true, true, true]);
+      });
+
+      test('creates bubbles missing from a replica', async () => {
+        await replicas[2].terminate(CONTRACT);
+        const report = await dataServer.repair();
+        expect(report.repaired).toStrictEqual([CONTRACT]);
+        await expect(snapshot(replicas[2], CONTRACT)).resolves.toStrictEqual(await snapshot(replicas[0], CONTRACT));
+      });
+
+      test('changes nothing if the replicas are consistent', async () => {
+        const write = jest.spyOn(replicas[1], 'write');
+        await expect(dataServer.repair()).resolves.toMatchObject({checked: 2, repaired: [], errors: []});
+        expect(write).not.toHaveBeenCalled();
+      });
+
+      test('leaves a replica that cannot be repaired unhealthy', async () => {
+        offline(replicas[2], 'write');
+        await dataServer.write(CONTRACT, FILE, 'changed');
+        const report = await dataServer.repair();
+        expect(report.errors).toStrictEqual([{contract: CONTRACT, replica: 2, error: expect.any(Error)}]);
+        expect(dataServer.replicas.map(replica => replica.healthy)).toStrictEqual([true, true, false]);
+        jest.restoreAllMocks();
+        await dataServer.repair();
+        expect(dataServer.replicas.map(replica => replica.healthy)).toStrictEqual([true, true, true]);
+        await expect(replicas[2].read(CONTRACT, FILE)).resolves.toBe('changed');
+      });
+
+      test('does not notify subscribers of the changes made by a repair', async () => {
+        const listener = jest.fn();
+        await dataServer.subscribe(CONTRACT, FILE, listener);
+        offline(replicas[1], 'write');
+        await dataServer.write(CONTRACT, FILE, 'changed');
+        jest.restoreAllMocks();
+        await dataServer.repair();
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(listener).toHaveBeenCalledTimes(1);
+      });
+
+    });
+
+  });
+
+});
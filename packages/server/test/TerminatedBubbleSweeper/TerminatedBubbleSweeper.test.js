@@ -0,0 +1,167 @@
+import { describe, expect, jest } from '@jest/globals';
+import { TerminatedBubbleSweeper, ROOT_PATH } from '../../src/index.js';
+
+
+describe('TerminatedBubbleSweeper', () => {
+
+  const PUBLIC_SIGNATORY = '0x99e2c875341d1cbb70432e35f5350f29bf20aa52';
+  const TERMINATED = 1n << 255n;
+  const ACTIVE = 1n << 253n;
+  const CONTRACTS = [
+    '0x0000000000000000000000000000000000000001',
+    '0x0000000000000000000000000000000000000002',
+    '0x0000000000000000000000000000000000000003',
+    '0x0000000000000000000000000000000000000004',
+    '0x0000000000000000000000000000000000000005'
+  ];
+
+  let dataServer, blockchainProvider, terminatedContracts, sweeper;
+
+  function listBubblesFrom(ids) {
+    return jest.fn(async ({limit, cursor}) => {
+      const start = cursor ? parseInt(cursor) : 0;
+      const items = ids.slice(start, start+limit);
+      return start+limit < ids.length ? {items, nextCursor: String(start+limit)} : {items};
+    });
+  }
+
+  beforeEach(() => {
+    terminatedContracts = new Set([CONTRACTS[1], CONTRACTS[3]]);
+    dataServer = {
+      listBubbles: listBubblesFrom(CONTRACTS),
+      terminate: jest.fn(() => Promise.resolve())
+    };
+    blockchainProvider = {
+      getPermissions: jest.fn(contract => Promise.resolve(terminatedContracts.has(contract) ? TERMINATED : ACTIVE)),
+      getPublicSignatory: jest.fn(() => PUBLIC_SIGNATORY),
+      validateContract: jest.fn(contract => /^0x[0-9a-fA-F]{40}$/.test(contract))
+    };
+    sweeper = new TerminatedBubbleSweeper(dataServer, blockchainProvider, {pageSize: 2});
+  });
+
+  afterEach(() => {
+    sweeper.stop();
+    jest.useRealTimers();
+  });
+
+  test('terminates each bubble whose contract has been terminated', async () => {
+    const report = await sweeper.sweep();
+    expect(dataServer.terminate.mock.calls).toStrictEqual([[CONTRACTS[1], {silent: true}], [CONTRACTS[3], {silent: true}]]);
+    expect(report).toStrictEqual({
+      started: expect.any(Number),
+      finished: expect.any(Number),
+      checked: 5,
+      skipped: 0,
+      terminated: [CONTRACTS[1], CONTRACTS[3]],
+      errors: []
+    });
+    expect(sweeper.lastReport).toBe(report);
+  });
+
+  test('queries root permissions with the public signatory', async () => {
+    await sweeper.sweep();
+    expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(5);
+    CONTRACTS.forEach(contract => {
+      expect(blockchainProvider.getPermissions).toHaveBeenCalledWith(contract, PUBLIC_SIGNATORY, ROOT_PATH);
+    });
+  });
+
+  test('uses the signatory option if given', async () => {
+    const signatory = '0x1234567890123456789012345678901234567890';
+    sweeper = new TerminatedBubbleSweeper(dataServer, blockchainProvider, {signatory});
+    await sweeper.sweep();
+    expect(blockchainProvider.getPublicSignatory).not.toHaveBeenCalled();
+    expect(blockchainProvider.getPermissions.mock.calls[0][1]).toBe(signatory);
+  });
+
+  test('pages through the data server bubbles', async () => {
+    await sweeper.sweep();
+    expect(dataServer.listBubbles.mock.calls).toStrictEqual([
+      [{limit: 2, cursor: undefined}],
+      [{limit: 2, cursor: '2'}],
+      [{limit: 2, cursor: '4'}]
+    ]);
+  });
+
+  test('skips bubble ids that are not valid contracts', async () => {
+    dataServer.listBubbles = listBubblesFrom(['137_'+CONTRACTS[0], CONTRACTS[1]]);
+    const report = await sweeper.sweep();
+    expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(1);
+    expect(report.skipped).toBe(1);
+    expect(report.checked).toBe(1);
+  });
+
+  test('limits the number of bubbles checked at once', async () => {
+    let active = 0, maxActive = 0;
+    blockchainProvider.getPermissions.mockImplementation(async () => {
+      maxActive = Math.max(maxActive, ++active);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      active--;
+      return ACTIVE;
+    });
+    sweeper = new TerminatedBubbleSweeper(dataServer, blockchainProvider, {concurrency: 3});
+    await sweeper.sweep();
+    expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(5);
+    expect(maxActive).toBe(3);
+  });
+
+  test('reports errors and continues with the remaining bubbles', async () => {
+    const permissionError = new Error('blockchain down');
+    const terminateError = new Error('disk error');
+    blockchainProvider.getPermissions.mockRejectedValueOnce(permissionError);
+    dataServer.terminate.mockRejectedValueOnce(terminateError);
+    const report = await sweeper.sweep();
+    expect(report.checked).toBe(4);
+    expect(report.terminated).toStrictEqual([CONTRACTS[3]]);
+    expect(report.errors).toStrictEqual([
+      {contract: CONTRACTS[0], error: permissionError},
+      {contract: CONTRACTS[1], error: terminateError}
+    ]);
+  });
+
+  test('rejects if the data server cannot list its bubbles', async () => {
+    dataServer.listBubbles.mockRejectedValueOnce(new Error('not supported'));
+    await expect(sweeper.sweep()).rejects.toThrow('not supported');
+  });
+
+  test('shares a sweep that is already in progress', async () => {
+    const [report1, report2] = await Promise.all([sweeper.sweep(), sweeper.sweep()]);
+    expect(report1).toBe(report2);
+    expect(blockchainProvider.getPermissions).toHaveBeenCalledTimes(5);
+  });
+
+  test('passes each report to the onReport option', async () => {
+    const onReport = jest.fn();
+    sweeper = new TerminatedBubbleSweeper(dataServer, blockchainProvider, {onReport});
+    const report = await sweeper.sweep();
+    expect(onReport).toHaveBeenCalledWith(report);
+  });
+
+  test('sweeps immediately when started and then every interval until stopped', async () => {
+    jest.useFakeTimers();
+    const onReport = jest.fn();
+    sweeper = new TerminatedBubbleSweeper(dataServer, blockchainProvider, {interval: 1000, onReport});
+    sweeper.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(onReport).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(onReport).toHaveBeenCalledTimes(2);
+    sweeper.stop();
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(onReport).toHaveBeenCalledTimes(2);
+  });
+
+  test('passes scheduled sweep failures to the onError option and keeps sweeping', async () => {
+    jest.useFakeTimers();
+    const onError = jest.fn();
+    const onReport = jest.fn();
+    dataServer.listBubbles.mockRejectedValueOnce(new Error('not supported'));
+    sweeper = new TerminatedBubbleSweeper(dataServer, blockchainProvider, {interval: 1000, onReport, onError});
+    sweeper.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(onError).toHaveBeenCalledWith(new Error('not supported'));
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(onReport).toHaveBeenCalledTimes(1);
+  });
+
+});
@@ -1,12 +1,13 @@
 // uut imports
-import { BubblePermissions, ContentId, ErrorCodes, BubbleContentManager, ContentManager, encryptionPolicies, toDelegateSignFunction, toFileId, Delegation } from '../packages/client';
+import { BubblePermissions, ROOT_PATH, ContentId, ErrorCodes, PreconditionFailedError, BubbleContentManager, ContentManager, encryptionPolicies, toDelegateSignFunction, toFileId, Delegation, contentHash } from '../packages/client';
 
 // test imports
-import { BUBBLE_SERVER_URL, CHAIN_ID, MockBubbleServer, pingServerTest, startServers, stopServers } from './mockups/test-servers.js';
+import { BUBBLE_SERVER_URL, CHAIN_ID, MockBubbleServer, blockchainProvider, pingServerTest, startServers, stopServers } from './mockups/test-servers.js';
 import { bubbleAvailableTest, clearTestBubble, contract, owner, ownerBubble, ownerSign, requester, requesterBubble, requesterSign } from './mockups/test-bubble.js';
 import { DataServerTestPoint } from '../packages/server/test/DataServerTestSuite/DataServerTestPoint.js';
 import { testDataServerRequirements } from '../packages/server/test/DataServerTestSuite/requirementsTests.js';
 import { RamBasedDataServer } from './mockups/RamBasedDataServer.js';
+import { TerminatedBubbleSweeper } from '../packages/server';
 import { constructTestBubble } from './mockups/test-bubble.js';
 import '../packages/core/test/BubbleErrorMatcher.js';
 
@@ -216,6 +217,17 @@ describe('end-to-end bubble to server and blockchain tests', () => {
         await expect(ownerBubble.read(file6)).resolves.toBe('');
       })
 
+      test('reads part of a file', async () => {
+        await ownerBubble.write(file6, "0123456789");
+        await expect(ownerBubble.read(file6, {offset: 2, length: 3})).resolves.toBe("234");
+        await expect(ownerBubble.read(file6, {tail: 4})).resolves.toBe("6789");
+      })
+
+      test('fails if a range option is invalid', async () => {
+        await ownerBubble.write(file6, "0123456789");
+        await expect(ownerBubble.read(file6, {offset: -1})).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+      })
+
       test('a read of a directory is equivalent to list', async () => {
         await expect(ownerBubble.append(file4+'/test1', "")).resolves.toBeInstanceOf(ContentId);
         await expect(requesterBubble.read(file4)).resolves.toStrictEqual([{type: "file", name: file4+"/test1"}]);
@@ -457,6 +469,247 @@ describe('end-to-end bubble to server and blockchain tests', () => {
         
       })
 
+      test('returns a page of directory contents', async () => {
+        await ownerBubble.append(file4+'/f1', "1");
+        await ownerBubble.append(file4+'/f2', "2");
+        await ownerBubble.append(file4+'/f3', "3");
+        const page = await requesterBubble.list(file4, {limit: 2, sort: 'name'});
+        expect(page.items.map(item => item.name)).toStrictEqual([file4+'/f1', file4+'/f2']);
+        expect(typeof page.nextCursor).toBe('string');
+      })
+
+      test('listAll iterates over every page', async () => {
+        await ownerBubble.append(file4+'/f1', "1");
+        await ownerBubble.append(file4+'/f2', "2");
+        await ownerBubble.append(file4+'/f3', "3");
+        const names = [];
+        for await (const entry of requesterBubble.listAll(file4, {limit: 2, sort: 'name', order: 'desc'})) names.push(entry.name);
+        expect(names).toStrictEqual([file4+'/f3', file4+'/f2', file4+'/f1']);
+      })
+
+      test('a recursive listing excludes the contents of directories the user cannot read', async () => {
+        await ownerBubble.append(file4+'/f1', "1");
+        await requesterBubble.write(file5+'/f1', "1");
+        const names = [];
+        for await (const entry of requesterBubble.listAll(file0, {recursive: true})) names.push(entry.name);
+        expect(names).toContain(file4+'/f1');
+        expect(names).toContain(file5);
+        expect(names).not.toContain(file5+'/f1');
+      })
+
+    })
+
+
+    describe('bubble postAll', () => {
+
+      test('processes each request independently and resolves with the responses in request order', async () => {
+        const rpcs = await Promise.all([
+          ownerBubble.rpcFactory.write(file1, 'hello'),
+          ownerBubble.rpcFactory.write(file2, 'hello'),
+          ownerBubble.rpcFactory.read(file1)
+        ]);
+        const responses = await ownerBubble.postAll(rpcs);
+        expect(responses).toHaveLength(3);
+        expect(responses[0].error).toBeUndefined();
+        expect(responses[1].error).toBeInstanceOf(Error);
+        expect(responses[1].error.code).toBe(ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED);
+        expect(responses[2].result).toBe('hello');
+      })
+
+      test('assigns ids to requests without one and preserves given ids', async () => {
+        const rpcs = await Promise.all([
+          ownerBubble.rpcFactory.read(file1, {silent: true}),
+          ownerBubble.rpcFactory.read(file1, {silent: true})
+        ]);
+        rpcs[1].id = 'my-id';
+        const responses = await ownerBubble.postAll(rpcs);
+        expect(rpcs[0].id).toBeDefined();
+        expect(responses.map(r => r.id)).toStrictEqual([rpcs[0].id, 'my-id']);
+      })
+
+    })
+
+
+    describe('bubble transaction', () => {
+
+      test('applies all operations', async () => {
+        await expect(ownerBubble.transaction([
+          {method: 'write', path: file1, data: 'hello'},
+          {method: 'append', path: file1, data: ' world'},
+          {method: 'write', path: file6, data: 'hi'}
+        ])).resolves.toHaveLength(3);
+        await expect(ownerBubble.read(file1)).resolves.toBe('hello world');
+        await expect(ownerBubble.read(file6)).resolves.toBe('hi');
+      })
+
+      test('fails and applies nothing if any operation is not permitted', async () => {
+        await ownerBubble.write(file1, 'original');
+        await expect(ownerBubble.transaction([
+          {method: 'write', path: file1, data: 'changed'},
+          {method: 'write', path: file2, data: 'hello'}
+        ])).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        await expect(ownerBubble.read(file1)).resolves.toBe('original');
+      })
+
+      test('fails and applies nothing if any operation fails', async () => {
+        await ownerBubble.write(file1, 'original');
+        await expect(ownerBubble.transaction([
+          {method: 'write', path: file1, data: 'changed'},
+          {method: 'delete', path: file6}
+        ])).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+        await expect(ownerBubble.read(file1)).resolves.toBe('original');
+      })
+
+    })
+
+
+    describe('bubble move and copy', () => {
+
+      test('move relocates a file', async () => {
+        await ownerBubble.write(file1, 'hello');
+        await ownerBubble.delete(file6, {silent: true});
+        await expect(ownerBubble.move(file1, file6)).resolves.toStrictEqual(ownerBubble.getContentId(file6));
+        await expect(ownerBubble.read(file6)).resolves.toBe('hello');
+        await expect(ownerBubble.read(file1)).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST});
+      })
+
+      test('copy duplicates a file', async () => {
+        await ownerBubble.write(file1, 'hello');
+        await expect(ownerBubble.copy(file1, file6)).resolves.toStrictEqual(ownerBubble.getContentId(file6));
+        await expect(ownerBubble.read(file1)).resolves.toBe('hello');
+        await expect(ownerBubble.read(file6)).resolves.toBe('hello');
+      })
+
+      test('requires write permission on the destination', async () => {
+        await ownerBubble.write(file1, 'hello');
+        await expect(ownerBubble.copy(file1, file2)).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+      })
+
+      test('copy only requires read permission on the source', async () => {
+        await ownerBubble.write(file1, 'hello');
+        await expect(requesterBubble.copy(file1, file2)).resolves.toStrictEqual(requesterBubble.getContentId(file2));
+        await expect(ownerBubble.read(file2)).resolves.toBe('hello');
+      })
+
+      test('move requires write permission on the source', async () => {
+        await ownerBubble.write(file1, 'hello');
+        await expect(requesterBubble.move(file1, file2)).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
+        await expect(ownerBubble.read(file1)).resolves.toBe('hello');
+      })
+
+    })
+
+
+    describe('bubble content hashes', () => {
+
+      test('getHash resolves with the hash of the file contents', async () => {
+        await ownerBubble.write(file1, 'hello');
+        await expect(ownerBubble.getHash(file1)).resolves.toBe(await contentHash('hello'));
+        await ownerBubble.write(file1, new Uint8Array([0, 255]));
+        await expect(ownerBubble.getHash(file1)).resolves.toBe(await contentHash(new Uint8Array([0, 255])));
+      })
+
+      test('requester can get the hash of a file they can read', async () => {
+        await ownerBubble.write(file1, 'hello');
+        await expect(requesterBubble.getHash(file1)).resolves.toBe(await ownerBubble.getHash(file1));
+      })
+
+      test('getHash rejects if the file is a directory', async () => {
+        await requesterBubble.write(file5+'/f1', 'hello');
+        await expect(ownerBubble.getHash(file5, {directoryOnly: true})).rejects.toThrow('bubble server did not return a hash');
+      })
+
+    })
+
+
+    describe('bubble binary data', () => {
+
+      const BYTES = new Uint8Array([0, 255, 128, 10, 1]);
+
+      test('writes and reads binary data', async () => {
+        await expect(ownerBubble.write(file1, BYTES)).resolves.toStrictEqual(ownerBubble.getContentId(file1));
+        await expect(ownerBubble.read(file1, {encoding: 'base64'})).resolves.toStrictEqual(BYTES);
+        await expect(ownerBubble.read(file1, {encoding: 'hex'})).resolves.toStrictEqual(BYTES);
+      })
+
+      test('accepts a Buffer and sends it hex encoded if requested', async () => {
+        await ownerBubble.write(file1, Buffer.from('hello'), {encoding: 'hex'});
+        await expect(ownerBubble.read(file1)).resolves.toBe('hello');
+      })
+
+      test('appends binary data', async () => {
+        await ownerBubble.write(file1, BYTES);
+        await ownerBubble.append(file1, new Uint8Array([2, 3]));
+        await expect(ownerBubble.read(file1, {encoding: 'hex'})).resolves.toStrictEqual(new Uint8Array([0, 255, 128, 10, 1, 2, 3]));
+      })
+
+      test('writes binary data within a transaction', async () => {
+        await ownerBubble.transaction([{method: 'write', path: file1, data: BYTES}]);
+        await expect(ownerBubble.read(file1, {encoding: 'base64'})).resolves.toStrictEqual(BYTES);
+      })
+
+      test('reads a range of a binary file', async () => {
+        await ownerBubble.write(file1, BYTES);
+        await expect(ownerBubble.read(file1, {encoding: 'hex', offset: 1, length: 2})).resolves.toStrictEqual(new Uint8Array([255, 128]));
+      })
+
+      test('rejects string data that does not match the encoding option', async () => {
+        await expect(ownerBubble.write(file1, 'not hex', {encoding: 'hex'})).rejects.toThrow('data type. Expected hex encoded string');
+      })
+
+      test('the server rejects data that does not match the encoding option', async () => {
+        const rpc = await ownerBubble.rpcFactory.write(file1, 'hello');
+        rpc.params.options = {encoding: 'hex'};
+        await expect(ownerBubble.post(rpc)).rejects.toBeBubbleError({code: ErrorCodes.JSON_RPC_ERROR_INVALID_METHOD_PARAMS, message: 'malformed data'});
+      })
+
+    })
+
+
+    describe('bubble conditional writes', () => {
+
+      test('getVersion resolves with the file version', async () => {
+        await ownerBubble.write(file1, 'hello');
+        const version = await ownerBubble.getVersion(file1);
+        expect(typeof version).toBe('string');
+        await ownerBubble.append(file1, ' world');
+        await expect(ownerBubble.getVersion(file1)).resolves.not.toBe(version);
+      })
+
+      test('write with the current version succeeds', async () => {
+        await ownerBubble.write(file1, 'hello');
+        const version = await ownerBubble.getVersion(file1);
+        await expect(ownerBubble.write(file1, 'world', {ifMatch: version})).resolves.toStrictEqual(ownerBubble.getContentId(file1));
+        await expect(ownerBubble.read(file1)).resolves.toBe('world');
+      })
+
+      test('write with a stale version rejects with a PreconditionFailedError', async () => {
+        await ownerBubble.write(file1, 'hello');
+        const version = await ownerBubble.getVersion(file1);
+        await ownerBubble.append(file1, ' world');
+        const promise = ownerBubble.write(file1, 'overwritten', {ifMatch: version});
+        await expect(promise).rejects.toBeInstanceOf(PreconditionFailedError);
+        await expect(promise).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED});
+        await expect(ownerBubble.read(file1)).resolves.toBe('hello world');
+      })
+
+      test('write and append resolve with the new version if the returnVersion option is given', async () => {
+        const first = await ownerBubble.write(file1, 'hello', {returnVersion: true});
+        expect(first.contentId).toStrictEqual(ownerBubble.getContentId(file1));
+        expect(typeof first.hash).toBe('string');
+        const second = await ownerBubble.write(file1, 'world', {ifMatch: first.version, returnVersion: true});
+        const third = await ownerBubble.append(file1, '!', {ifMatch: second.version, returnVersion: true});
+        await expect(ownerBubble.write(file1, 'stale', {ifMatch: second.version})).rejects.toBeInstanceOf(PreconditionFailedError);
+        await expect(ownerBubble.read(file1)).resolves.toBe('world!');
+        await expect(ownerBubble.getVersion(file1)).resolves.toBe(third.version);
+      })
+
+      test('write with ifNoneMatch * does not overwrite an existing file', async () => {
+        await ownerBubble.write(file1, 'hello');
+        await expect(ownerBubble.write(file1, 'overwritten', {ifNoneMatch: '*'})).rejects.toBeInstanceOf(PreconditionFailedError);
+        await expect(ownerBubble.read(file1)).resolves.toBe('hello');
+      })
+
     })
 
 
@@ -525,6 +778,30 @@ describe('end-to-end bubble to server and blockchain tests', () => {
         await expect(requesterBubble.read(file1)).resolves.toMatch(/^0x[0-9a-fA-F]{17}[0-9a-fA-F]*$/);
       })
 
+      test('applies range options to the decrypted data', async () => {
+        class TestEncryptionPolicy extends encryptionPolicies.AESGCMEncryptionPolicy {
+          isEncrypted(contentId) { return contentId.file === file1 } 
+        }
+        ownerBubble.setEncryptionPolicy(new TestEncryptionPolicy(owner.privateKey));
+        await expect(ownerBubble.write(file1, "0123456789")).resolves.toBeInstanceOf(ContentId);
+        await expect(ownerBubble.read(file1, {offset: 2, length: 3})).resolves.toBe("234");
+        await expect(ownerBubble.read(file1, {tail: 4})).resolves.toBe("6789");
+        await expect(ownerBubble.read(file1, {offset: 1, tail: 4})).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION});
+      })
+
+      test('encrypts and decrypts binary data', async () => {
+        class TestEncryptionPolicy extends encryptionPolicies.AESGCMEncryptionPolicy {
+          isEncrypted(contentId) { return contentId.file === file1 } 
+        }
+        ownerBubble.setEncryptionPolicy(new TestEncryptionPolicy(owner.privateKey));
+        const bytes = new Uint8Array([0, 255, 128, 10, 1]);
+        await expect(ownerBubble.write(file1, bytes)).resolves.toBeInstanceOf(ContentId);
+        await expect(ownerBubble.read(file1, {encoding: 'base64'})).resolves.toStrictEqual(bytes);
+        await expect(ownerBubble.read(file1, {encoding: 'hex', tail: 2})).resolves.toStrictEqual(new Uint8Array([10, 1]));
+        await ownerBubble.write(file1, 'aGVsbG8=', {encoding: 'base64'});
+        await expect(ownerBubble.read(file1)).resolves.toBe('hello');
+      })
+
       test('does not encrypt when policy returns false', async () => {
         class TestEncryptionPolicy extends encryptionPolicies.AESGCMEncryptionPolicy {
           isEncrypted(contentId) { return contentId.file === file2 } 
@@ -1160,6 +1437,14 @@ describe('end-to-end bubble to server and blockchain tests', () => {
 
     describe('bubble terminate and isTerminated', () => {
 
+      test('sweeper ignores the bubble if contract is not terminated', async () => {
+        const sweeper = new TerminatedBubbleSweeper(MockBubbleServer.getDataServer(), blockchainProvider);
+        const report = await sweeper.sweep();
+        expect(report.checked).toBeGreaterThan(0);
+        expect(report.terminated).toStrictEqual([]);
+        await expect(ownerBubble.list(ROOT_PATH)).resolves.toStrictEqual([]);
+      })
+
       test('fails if contract is not terminated', async () => {
         await expect(ownerBubble.isTerminated()).resolves.toBe(false);
         await expect(ownerBubble.terminate()).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_ERROR_PERMISSION_DENIED});
@@ -1176,6 +1461,16 @@ describe('end-to-end bubble to server and blockchain tests', () => {
         await expect(ownerBubble.terminate()).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
       })
 
+      test('sweeper deletes the bubble if contract is terminated', async () => {
+        const bubbleId = contract.options.address.toLowerCase();
+        MockBubbleServer.createBubble(bubbleId);
+        const sweeper = new TerminatedBubbleSweeper(MockBubbleServer.getDataServer(), blockchainProvider);
+        const report = await sweeper.sweep();
+        expect(report.terminated).toStrictEqual([bubbleId]);
+        expect(report.errors).toStrictEqual([]);
+        await expect(ownerBubble.terminate()).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
+      })
+
       test('fails if bubble does not exist', async () => {
         MockBubbleServer.deleteAllBubbles();
         await expect(ownerBubble.terminate()).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
@@ -37,6 +37,10 @@ export class RamBasedBubbleServer {
       list: makeMethod('list'),
       getPermissions: makeMethod('getPermissions'),
       terminate: makeMethod('terminate'),
+      transaction: makeMethod('transaction'),
+      move: makeMethod('move'),
+      copy: makeMethod('copy'),
+      restore: makeMethod('restore'),
     };
 
     const rpcServer = new jayson.Server(this.methods);
@@ -5,10 +5,10 @@ import WebSocketServer from 'ws';
 
 export class RamBasedBubbleServerWebSocket {
 
-  constructor(host, port, blockchainProvider) {
+  constructor(host, port, blockchainProvider, guardianOptions) {
     this.port = port;
     this.dataServer = new RamBasedDataServer();
-    this.guardian = new Guardian(this.dataServer, blockchainProvider);
+    this.guardian = new Guardian(this.dataServer, blockchainProvider, [], guardianOptions);
 
     this.wsServer = new WebSocketServer.Server({ port: this.port });
 
@@ -29,8 +29,10 @@ export class RamBasedBubbleServerWebSocket {
       });
 
       ws.on('close', () => {
-        if (ws.bubbleServer_subscriptions.length > 0)
-          this.dataServer.unsubscribeClient(ws.bubbleServer_subscriptions)
+        if (ws.bubbleServer_subscriptions.length > 0) {
+          this.dataServer.unsubscribeClient(ws.bubbleServer_subscriptions);
+          this.guardian.releaseSubscriptions(ws.bubbleServer_subscriptions);
+        }
       });
       
     });
@@ -39,7 +41,9 @@ export class RamBasedBubbleServerWebSocket {
 
   handleRequest(ws, msg) {
     try {
-      const { id, method, params } = JSON.parse(msg);
+      const request = JSON.parse(msg);
+      if (Array.isArray(request)) return this.guardian.postAll(request, (msg, result, error) => this.notifySubscriber(ws, msg, error));
+      const { id, method, params } = request;
       return this.serviceValidRequest(ws, method, params)
         .then(result => {
           return {id: id, result: result}
@@ -66,14 +70,18 @@ export class RamBasedBubbleServerWebSocket {
   }
 
   subscribe(ws, params) {
-    return this.guardian.post('subscribe', params, (msg) => this.notifySubscriber(ws, msg))
+    return this.guardian.post('subscribe', params, (msg, result, error) => this.notifySubscriber(ws, msg, error))
       .then(subscription => {
         ws.bubbleServer_subscriptions.push(subscription.subscriptionId);
         return subscription;
       })
   }
 
-  notifySubscriber(ws, params) {
+  notifySubscriber(ws, params, error) {
+    if (error) {
+      const subscriptionId = typeof params === 'object' ? params.subscriptionId : params;
+      params = {subscriptionId, error: {code: error.code, message: error.message}};
+    }
     const alive = ws.readyState === WebSocketServer.OPEN;
     if (alive) {
       ws.send(JSON.stringify({ method: "subscription", params: params }));
@@ -86,6 +94,7 @@ export class RamBasedBubbleServerWebSocket {
   }
 
   close(callback) {
+    this.guardian.close();
     this.wsServer.close(callback);
   }
 
@@ -1,4 +1,5 @@
-import {BubbleError, ErrorCodes, ROOT_PATH, DataServer} from '../../packages/server';
+import { createHash } from 'crypto';
+import {BubbleError, ErrorCodes, ROOT_PATH, DATA_ENCODINGS, DataServer} from '../../packages/server';
 
 /**
  * RAM based implementation of a `DataServer`.  Can be used for testing purposes.
@@ -9,70 +10,84 @@ export class RamBasedDataServer extends DataServer {
     super();
     this.bubbles = {};
     this.subscriptions = [];
+    this.pendingNotifications = {};
+    this.lastVersion = 0;
   }
 
   create(contract, options={}) {
     if (this.bubbles[contract] !== undefined && !options.silent) {
       return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_ALREADY_EXISTS, "bubble already exists"));
     }
+    const retainVersions = options.retainVersions || 0;
+    if (!(Number.isInteger(retainVersions) && retainVersions >= 0))
+      return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid retainVersions option"));
     const time = Date.now();
-    this.bubbles[contract] = {created: time};
+    this.bubbles[contract] = {created: time, retainVersions, history: {}};
     this.bubbles[contract][ROOT_PATH] = {type: 'dir', created: time, modified: time};
     return Promise.resolve();
   }
   
-  write(contract, file, data) {
+  write(contract, file, data, options={}) {
     if (this.bubbles[contract] === undefined) {
       return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist"));
     }
+    const optionsError = this._checkEncoding(options) || this._checkPreconditions(contract, file, options);
+    if (optionsError) return Promise.reject(optionsError);
     const time = Date.now();
-    const fileExists = this.bubbles[contract][file] !== undefined;
-    let dir;
-    if (file.length > 66) {
-      dir = file.slice(0,66);
-      if (this.bubbles[contract][dir] === undefined) this.bubbles[contract][dir] = {type: 'dir', created: time, modified: time};
-      else if (!fileExists) this.bubbles[contract][dir].modified = time;
-    }
-    else {
-      if (!fileExists) this.bubbles[contract][ROOT_PATH].modified = time;
-    }
-    this.bubbles[contract][file] = {type: 'file', created: time, modified: time, data: data};
-    this._notifySubscribers(contract, file, 'write', data);
-    if (dir) this._notifySubscribers(contract, dir, 'update', [{event: 'write', name: file, type: 'file', length: data.length, created: this.bubbles[contract][file].created, modified: time}]);
-    else this._notifySubscribers(contract, ROOT_PATH, 'update', [{event: 'write', name: file, type: 'file', length: data.length, created: this.bubbles[contract][file].created, modified: time}]);
-    return Promise.resolve();
+    this._storeFile(contract, file, {type: 'file', created: time, modified: time, version: this._nextVersion(), data: decode(data, options.encoding)});
+    return Promise.resolve({version: this.bubbles[contract][file].version, hash: hashOf(this.bubbles[contract][file].data)});
   }
 
-  append(contract, file, data) {
+  append(contract, file, data, options={}) {
     if (this.bubbles[contract] === undefined) {
       return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist"));
     }
+    const optionsError = this._checkEncoding(options) || this._checkPreconditions(contract, file, options);
+    if (optionsError) return Promise.reject(optionsError);
+    const bytes = decode(data, options.encoding);
     const time = Date.now();
     let dir;
     if (file.length > 66) {
       dir = file.slice(0,66);
       if (this.bubbles[contract][dir] === undefined) this.bubbles[contract][dir] = {type: 'dir', created: time, modified: time};
     }
-    if (this.bubbles[contract][file] === undefined) this.bubbles[contract][file] = {type: 'file', created: time, modified: time, data: data};
+    if (this.bubbles[contract][file] === undefined) this.bubbles[contract][file] = {type: 'file', created: time, modified: time, version: this._nextVersion(), data: bytes};
     else {
-      this.bubbles[contract][file].data += data;
+      this._retainVersion(contract, file);
+      this.bubbles[contract][file].data = Buffer.concat([this.bubbles[contract][file].data, bytes]);
       this.bubbles[contract][file].modified = time;
+      this.bubbles[contract][file].version = this._nextVersion();
     }
-    this._notifySubscribers(contract, file, 'append', data);
+    this._notifySubscribers(contract, file, 'append', bytes);
     if (dir) this._notifySubscribers(contract, dir, 'update', [{event: 'append', name: file, type: 'file', length: this.bubbles[contract][file].data.length, created: this.bubbles[contract][file].created, modified: time}]);
     else this._notifySubscribers(contract, ROOT_PATH, 'update', [{event: 'append', name: file, type: 'file', length: this.bubbles[contract][file].data.length, created: this.bubbles[contract][file].created, modified: time}]);
-    return Promise.resolve();
+    return Promise.resolve({version: this.bubbles[contract][file].version, hash: hashOf(this.bubbles[contract][file].data)});
   }
 
   read(contract, file, options={}) {
     if (this.bubbles[contract] === undefined) {
       return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist"));
     }
+    for (const option of ['offset', 'length', 'tail']) {
+      if (options[option] !== undefined && !(Number.isInteger(options[option]) && options[option] >= 0))
+        return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, `invalid ${option} option`));
+    }
+    if (options.offset !== undefined && options.tail !== undefined)
+      return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "offset and tail options cannot be combined"));
+    const encodingError = this._checkEncoding(options);
+    if (encodingError) return Promise.reject(encodingError);
+    if (options.version !== undefined) {
+      if (typeof options.version !== 'string' || options.version === '')
+        return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid version option"));
+      const entry = this._versionsOf(contract, file).find(v => v.version === options.version);
+      if (!entry) return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "version does not exist"));
+      return this._readData(entry.data, options);
+    }
     if (this.bubbles[contract][file] === undefined) {
       if (options.silent) return Promise.resolve('');
       else return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist"));
     }
-    return Promise.resolve(this.bubbles[contract][file].data);
+    return this._readData(this.bubbles[contract][file].data, options);
   }
 
 
@@ -89,6 +104,8 @@ export class RamBasedDataServer extends DataServer {
     if (this.bubbles[contract] === undefined) {
       return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist"));
     }
+    const preconditionError = this._checkPreconditions(contract, file, options);
+    if (preconditionError) return Promise.reject(preconditionError);
     if (this.bubbles[contract][file] === undefined) {
       if (options.silent) return Promise.resolve();
       else return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist"));
@@ -97,11 +114,15 @@ export class RamBasedDataServer extends DataServer {
     const type = this.bubbles[contract][file].type;
     const isDir = type === 'dir';
     
+    if (!isDir) this._retainVersion(contract, file);
     delete this.bubbles[contract][file];
 
     if (isDir) {
       for (let f in this.bubbles[contract]) {
-        if (f.length > 66 && f.slice(0,67) === file+"/") delete this.bubbles[contract][f];
+        if (f.length > 66 && f.slice(0,67) === file+"/") {
+          this._retainVersion(contract, f);
+          delete this.bubbles[contract][f];
+        }
       }
     }
 
@@ -143,8 +164,9 @@ export class RamBasedDataServer extends DataServer {
     if (this.bubbles[contract] === undefined) {
       return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist"));
     }
+    if (options.versions) return this._listVersions(contract, file, options);
     if (this.bubbles[contract][file] === undefined && !isRoot) {
-      if (options.silent) return Promise.resolve([])
+      if (options.silent) return Promise.resolve(options.limit !== undefined || options.cursor !== undefined ? {items: []} : [])
       else return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist"));
     }
 
@@ -156,7 +178,7 @@ export class RamBasedDataServer extends DataServer {
         if (f.length === 66) {
           if (isRoot && f !== ROOT_PATH) files.push(f); 
         }
-        else if (f.slice(0,67) === file+"/") files.push(f);
+        else if (f.slice(0,67) === file+"/" || (isRoot && options.recursive && f.length > 66)) files.push(f);
       }
     }
     
@@ -183,10 +205,28 @@ export class RamBasedDataServer extends DataServer {
     if (options.createdAfter !== undefined && typeof options.createdAfter !== 'number') 
       return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid createdAfter option"));
 
-    
+    // Prepare sort and pagination options
+
+    const sort = options.sort || 'name';
+    const order = options.order || 'asc';
+    const paginate = options.limit !== undefined || options.cursor !== undefined;
+    if (!['name', 'created', 'modified'].includes(sort))
+      return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid sort option"));
+    if (!['asc', 'desc'].includes(order))
+      return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid order option"));
+    if (options.limit !== undefined && !(Number.isInteger(options.limit) && options.limit > 0))
+      return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid limit option"));
+    let cursor;
+    if (options.cursor !== undefined) {
+      cursor = decodeCursor(options.cursor);
+      if (!cursor || cursor.sort !== sort || cursor.order !== order)
+        return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid cursor option"));
+    }
+
     // Filter files
 
     const results = [];
+    const sortKeys = new Map();
     files.forEach(f => {
       const meta = this.bubbles[contract][f];
       if (meta === undefined) return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, "meta is undefined for file "+f))
@@ -199,16 +239,32 @@ export class RamBasedDataServer extends DataServer {
       if (options.long || options.length) result.length = meta.type === 'dir' ? this._countFilesIn(contract, f) : meta.data ? meta.data.length : 0;
       if (options.long || options.created) result.created = meta.created;
       if (options.long || options.modified) result.modified = meta.modified;
+      if ((options.long || options.version) && meta.type === 'file') result.version = meta.version;
+      if ((options.long || options.hash) && meta.type === 'file') result.hash = hashOf(meta.data);
       results.push(result);
+      sortKeys.set(result, {value: sort === 'name' ? f : meta[sort], name: f});
     })
-    
-    return Promise.resolve(results);
+
+    // Sort and paginate
+
+    if (!options.sort && !paginate) return Promise.resolve(results);
+    const direction = order === 'desc' ? -1 : 1;
+    const compare = (a, b) => direction * (a.value < b.value ? -1 : a.value > b.value ? 1 : a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+    results.sort((a, b) => compare(sortKeys.get(a), sortKeys.get(b)));
+    if (!paginate) return Promise.resolve(results);
+    const remaining = cursor ? results.filter(r => compare(sortKeys.get(r), cursor) > 0) : results;
+    const items = options.limit !== undefined ? remaining.slice(0, options.limit) : remaining;
+    const page = {items};
+    if (items.length < remaining.length) page.nextCursor = encodeCursor({sort, order, ...sortKeys.get(items[items.length-1])});
+    return Promise.resolve(page);
   }
 
   subscribe(contract, file, listener, options={}) {
     if (this.bubbles[contract] === undefined) {
       return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist"));
     }
+    const encodingError = this._checkEncoding(options);
+    if (encodingError) return Promise.reject(encodingError);
     this.subscriptions.push({contract, file, listener, options});
     // construct response
     const id = this.subscriptions.length-1;
@@ -217,7 +273,7 @@ export class RamBasedDataServer extends DataServer {
       meta.length = meta.type === 'dir' ? this._countFilesIn(contract, file) : meta.data ? meta.data.length : 0;
       if (options.list === true) return this.list(contract, file, {long: true}).then(list => { return {subscriptionId: id, file: meta, data: list} });
       if (options.since) return this.list(contract, file, {long: true, after: options.since}).then(list => { return {subscriptionId: id, file: meta, data: list} });
-      if (options.read) return this.read(contract, file).then(data => { return {subscriptionId: id, file: meta, data: data} });
+      if (options.read) return this.read(contract, file, {encoding: options.encoding}).then(data => { return {subscriptionId: id, file: meta, data: data} });
     }
     return Promise.resolve({subscriptionId: id, file: meta});
   }
@@ -227,6 +283,58 @@ export class RamBasedDataServer extends DataServer {
     return Promise.resolve();
   }
 
+  async transaction(contract, ops) {
+    if (this.bubbles[contract] === undefined) {
+      throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist");
+    }
+    const snapshot = this._copyBubble(contract);
+    const notifications = [];
+    this.pendingNotifications[contract] = notifications;
+    try {
+      const results = [];
+      for (const op of ops) {
+        switch (op.method) {
+          case 'write': results.push(await this.write(contract, op.file, op.data, op.options)); break;
+          case 'append': results.push(await this.append(contract, op.file, op.data, op.options)); break;
+          case 'delete': results.push(await this.delete(contract, op.file, op.options)); break;
+          case 'mkdir': results.push(await this.mkdir(contract, op.file, op.options)); break;
+          default: throw new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INTERNAL_ERROR, "unsupported transaction operation: "+op.method);
+        }
+      }
+      delete this.pendingNotifications[contract];
+      notifications.forEach(n => this._dispatchNotification(...n));
+      return results;
+    }
+    catch(error) {
+      delete this.pendingNotifications[contract];
+      this.bubbles[contract] = snapshot;
+      throw error;
+    }
+  }
+
+  move(contract, file, to, options={}) {
+    return this._copyFile(contract, file, to, options, true);
+  }
+
+  copy(contract, file, to, options={}) {
+    return this._copyFile(contract, file, to, options, false);
+  }
+
+  restore(contract, file, options={}) {
+    if (this.bubbles[contract] === undefined) {
+      return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist"));
+    }
+    if (typeof options.version !== 'string' || options.version === '')
+      return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid version option"));
+    const preconditionError = this._checkPreconditions(contract, file, options);
+    if (preconditionError) return Promise.reject(preconditionError);
+    const entry = (this.bubbles[contract].history[file] || []).find(v => v.version === options.version);
+    if (!entry) return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "version does not exist"));
+    const time = Date.now();
+    this._storeFile(contract, file, {type: 'file', created: time, modified: time, version: this._nextVersion(), data: entry.data});
+    return Promise.resolve({version: this.bubbles[contract][file].version, hash: hashOf(entry.data)});
+  }
+
   terminate(contract, options={}) {
     if (this.bubbles[contract] === undefined && !options.silent) 
       return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist"));
@@ -234,10 +342,94 @@ export class RamBasedDataServer extends DataServer {
     return Promise.resolve();
   }
 
+  listBubbles(options={}) {
+    if (options.limit !== undefined && !(Number.isInteger(options.limit) && options.limit > 0))
+      return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid limit option"));
+    let cursor;
+    if (options.cursor !== undefined) {
+      cursor = decodeCursor(options.cursor);
+      if (!cursor || typeof cursor.after !== 'string')
+        return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid cursor option"));
+    }
+    const remaining = Object.keys(this.bubbles).sort().filter(id => !cursor || id > cursor.after);
+    const items = options.limit !== undefined ? remaining.slice(0, options.limit) : remaining;
+    const page = {items};
+    if (items.length < remaining.length) page.nextCursor = encodeCursor({after: items[items.length-1]});
+    return Promise.resolve(page);
+  }
+
   unsubscribeClient() {
     // TODO
   }
 
+  _copyFile(contract, file, to, options, move) {
+    if (this.bubbles[contract] === undefined) {
+      return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST, "bubble does not exist"));
+    }
+    const source = this.bubbles[contract][file];
+    if (source === undefined || source.type !== 'file') {
+      return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist"));
+    }
+    const preconditionError = this._checkPreconditions(contract, to, options);
+    if (preconditionError) return Promise.reject(preconditionError);
+    const time = Date.now();
+    const created = move ? source.created : time;
+    const modified = move ? source.modified : time;
+    this._storeFile(contract, to, {type: 'file', created, modified, version: this._nextVersion(), data: source.data});
+    if (move) this.delete(contract, file);
+    return Promise.resolve({version: this.bubbles[contract][to].version});
+  }
+
+  _storeFile(contract, file, entry) {
+    const time = Date.now();
+    const fileExists = this.bubbles[contract][file] !== undefined;
+    let dir;
+    if (file.length > 66) {
+      dir = file.slice(0,66);
+      if (this.bubbles[contract][dir] === undefined) this.bubbles[contract][dir] = {type: 'dir', created: time, modified: time};
+      else if (!fileExists) this.bubbles[contract][dir].modified = time;
+    }
+    else {
+      if (!fileExists) this.bubbles[contract][ROOT_PATH].modified = time;
+    }
+    if (fileExists) this._retainVersion(contract, file);
+    this.bubbles[contract][file] = entry;
+    this._notifySubscribers(contract, file, 'write', entry.data);
+    const update = [{event: 'write', name: file, type: 'file', length: entry.data.length, created: entry.created, modified: entry.modified}];
+    this._notifySubscribers(contract, dir || ROOT_PATH, 'update', update);
+  }
+
+  _readData(data, options) {
+    if (data === undefined) return Promise.resolve(data);
+    const start = options.tail !== undefined ? Math.max(data.length - options.tail, 0) : options.offset || 0;
+    const end = options.length !== undefined ? start + options.length : undefined;
+    return Promise.resolve(encode(data.subarray(start, end), options.encoding));
+  }
+
+  _retainVersion(contract, file) {
+    const bubble = this.bubbles[contract];
+    if (bubble.retainVersions === 0) return;
+    const {version, modified, data} = bubble[file];
+    bubble.history[file] = [{version, modified, data}, ...(bubble.history[file] || [])].slice(0, bubble.retainVersions);
+  }
+
+  _versionsOf(contract, file) {
+    const current = this.bubbles[contract][file];
+    const history = this.bubbles[contract].history[file] || [];
+    return current && current.type === 'file' ? [current, ...history] : history;
+  }
+
+  _listVersions(contract, file, options) {
+    if (file === ROOT_PATH || (this.bubbles[contract][file] && this.bubbles[contract][file].type === 'dir'))
+      return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "cannot list the versions of a directory"));
+    const versions = this._versionsOf(contract, file);
+    if (versions.length === 0 && !options.silent)
+      return Promise.reject(new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_FILE_DOES_NOT_EXIST, "file does not exist"));
+    return Promise.resolve(versions.map(v => {
+      return {name: file, type: 'file', version: v.version, length: v.data.length, modified: v.modified, hash: hashOf(v.data)};
+    }));
+  }
+
   _notifySubscribers(contract, file, event, data, type) {
     let meta;
     if (event === 'delete') meta = {name: file, type: type};
@@ -246,18 +438,57 @@ export class RamBasedDataServer extends DataServer {
       meta.length = meta.type === 'dir' ? this._countFilesIn(contract, file) : meta.data ? meta.data.length : 0;
       delete meta.data;
     }
+    // notifications raised within a transaction are held until the transaction completes
+    if (this.pendingNotifications[contract]) this.pendingNotifications[contract].push([contract, file, event, data, meta]);
+    else this._dispatchNotification(contract, file, event, data, meta);
+  }
+
+  _dispatchNotification(contract, file, event, data, meta) {
     this.subscriptions.forEach((sub, i) => {
       if (sub.contract === contract && sub.file === file) {
         sub.listener({
           subscriptionId: i,
           event: event,
           file: meta,
-          data: event === 'delete' || sub.options.list ? undefined : data
+          data: event === 'delete' || sub.options.list ? undefined : Buffer.isBuffer(data) ? encode(data, sub.options.encoding) : data
         })
       }
     })
   }
 
+  _nextVersion() {
+    return String(++this.lastVersion);
+  }
+
+  _checkEncoding(options) {
+    if (options.encoding !== undefined && !DATA_ENCODINGS.includes(options.encoding))
+      return new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid encoding option");
+  }
+
+  _checkPreconditions(contract, file, options) {
+    const {ifMatch, ifNoneMatch} = options;
+    if (ifMatch !== undefined && typeof ifMatch !== 'string')
+      return new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid ifMatch option");
+    if (ifNoneMatch !== undefined && typeof ifNoneMatch !== 'string')
+      return new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_INVALID_OPTION, "invalid ifNoneMatch option");
+    const meta = this.bubbles[contract][file];
+    const exists = meta !== undefined;
+    const version = exists ? meta.version : undefined;
+    if (ifMatch !== undefined && (!exists || (ifMatch !== '*' && ifMatch !== version)))
+      return new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED, "precondition failed - version does not match");
+    if (ifNoneMatch !== undefined && exists && (ifNoneMatch === '*' || ifNoneMatch === version))
+      return new BubbleError(ErrorCodes.BUBBLE_SERVER_ERROR_PRECONDITION_FAILED, "precondition failed - version matches");
+  }
+
+  _copyBubble(contract) {
+    const copy = {};
+    for (let f in this.bubbles[contract]) {
+      const entry = this.bubbles[contract][f];
+      copy[f] = typeof entry === 'object' ? {...entry} : entry;
+    }
+    return copy;
+  }
+
   _countFilesIn(contract, dir) {
     const dirIsRoot = dir === ROOT_PATH;
     let count = 0;
@@ -273,6 +504,7 @@ export class RamBasedDataServer extends DataServer {
   _reset() {
     this.bubbles = {};
     this.subscriptions = [];
+    this.pendingNotifications = {};
   }
 
   _resetBubble(contract) {
@@ -288,3 +520,29 @@ export class RamBasedDataServer extends DataServer {
   }
 
 }
+
+
+function decode(data, encoding = 'utf8') {
+  return Buffer.from(data, encoding);
+}
+
+function encode(bytes, encoding = 'utf8') {
+  return bytes.toString(encoding);
+}
+
+function hashOf(bytes) {
+  return createHash('sha256').update(bytes).digest('hex');
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64');
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64').toString());
+  }
+  catch(_) {
+    return undefined;
+  }
+}
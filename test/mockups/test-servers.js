@@ -43,7 +43,7 @@ export async function startServers(options={}) {
   if(!options.noBubbleServer) {
     bubbleServer = 
       options.protocol === 'ws:'
-      ? new RamBasedBubbleServerWebSocket('ws://127.0.0.1', 8131, blockchainProvider)
+      ? new RamBasedBubbleServerWebSocket('ws://127.0.0.1', 8131, blockchainProvider, options.guardianOptions)
       : new RamBasedBubbleServer('http://127.0.0.1', 8131, blockchainProvider);
     dataServer = bubbleServer.dataServer;
     await bubbleServer.start();
@@ -75,7 +75,8 @@ export function setDataServer(server) {
 export const MockBubbleServer = {
   createBubble: (address) => dataServer._createBubble(address),
   clearBubble: (address) => dataServer._resetBubble(address),
-  deleteAllBubbles: () => dataServer._reset()
+  deleteAllBubbles: () => dataServer._reset(),
+  getDataServer: () => dataServer
 }
 
 
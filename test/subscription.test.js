@@ -1,10 +1,10 @@
 // uut imports
-import { ROOT_PATH } from '../packages/client';
+import { ROOT_PATH, ErrorCodes } from '../packages/client';
 
 // test imports
 import { jest } from '@jest/globals';
-import { pingWebsocketServerTest, startServers, stopServers } from './mockups/test-servers.js';
-import { bubbleAvailableTest, clearTestBubble, ownerBubble, requesterBubble } from './mockups/test-bubble.js';
+import { blockchainProvider, pingWebsocketServerTest, startServers, stopServers } from './mockups/test-servers.js';
+import { bubbleAvailableTest, clearTestBubble, contract, owner, ownerBubble, requesterBubble } from './mockups/test-bubble.js';
 import { constructTestBubble } from './mockups/test-bubble.js';
 import '../packages/core/test/BubbleErrorMatcher.js';
 import contractSrc from './contracts/MultiUserContract.json';
@@ -18,7 +18,8 @@ const logFile = "0x0000000000000000000000000000000000000000000000000000000000000
 describe('subscription tests', () => {
 
   beforeAll(async () => {
-    await startServers({protocol: 'ws:'});
+    await startServers({protocol: 'ws:', guardianOptions: {watchSubscriptions: 'block'}});
+    blockchainProvider.provider.pollingInterval = 100;
     await constructTestBubble({protocol: 'ws:', contractSrc: contractSrc});
   }, 20000)
 
@@ -360,4 +361,62 @@ describe('subscription tests', () => {
       
   })
 
-})
\ No newline at end of file
+
+  describe('Batch requests', () => {
+
+    beforeEach(() => {
+      clearTestBubble();
+    })
+
+    test('batch is sent over the websocket and responses are matched to their requests', async () => {
+      const rpcs = await Promise.all([
+        ownerBubble.rpcFactory.write(logFile, 'hello'),
+        ownerBubble.rpcFactory.read(logFile),
+        ownerBubble.rpcFactory.read(logFile+'x')
+      ]);
+      const responses = await ownerBubble.postAll(rpcs);
+      expect(responses.map(r => r.id)).toStrictEqual(rpcs.map(r => r.id));
+      expect(responses[0].error).toBeUndefined();
+      expect(responses[1].result).toBe('hello');
+      expect(responses[2].error).toBeInstanceOf(Error);
+    })
+
+    test('subscriber is notified of writes made within a batch', async () => {
+      const listener = jest.fn();
+      await ownerBubble.subscribe(logFile, listener);
+      const rpcs = await Promise.all([
+        ownerBubble.rpcFactory.write(logFile, 'hello'),
+        ownerBubble.rpcFactory.append(logFile, ' world')
+      ]);
+      await ownerBubble.postAll(rpcs);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(listener.mock.calls.map(call => call[0].event)).toStrictEqual(['write', 'append']);
+    })
+
+  })
+
+
+  describe('Contract state changes', () => {
+
+    beforeEach(() => {
+      clearTestBubble();
+    })
+
+    // Must be the last test since it terminates the contract
+    test('subscriber is sent a subscription terminated error as soon as the contract is terminated', async () => {
+      const listener = jest.fn();
+      await ownerBubble.subscribe(logFile, listener);
+      await contract.methods.terminate().send({
+        from: owner.address,
+        gas: 1500000,
+        gasPrice: '30000000000000'
+      });
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      expect(listener.mock.calls).toHaveLength(1);
+      expect(listener.mock.calls[0][0].error.code).toBe(ErrorCodes.BUBBLE_ERROR_SUBSCRIPTION_TERMINATED);
+      await expect(ownerBubble.terminate()).rejects.toBeBubbleError({code: ErrorCodes.BUBBLE_SERVER_ERROR_BUBBLE_DOES_NOT_EXIST});
+    })
+
+  })
+
+})